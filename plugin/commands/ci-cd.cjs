@@ -52,6 +52,16 @@ const TEMPLATE_MAPPINGS = {
     'github-actions': 'java-gradle.yml',
     'gitlab-ci': 'java-gradle.gitlab-ci.yml',
     'bitbucket-pipelines': 'java-gradle.yml'
+  },
+  rust: {
+    'github-actions': 'rust.yml',
+    'gitlab-ci': 'rust.gitlab-ci.yml',
+    'bitbucket-pipelines': 'rust.yml'
+  },
+  go: {
+    'github-actions': 'go.yml',
+    'gitlab-ci': 'go.gitlab-ci.yml',
+    'bitbucket-pipelines': 'go.yml'
   }
 };
 
@@ -62,8 +72,8 @@ const TEMPLATE_MAPPINGS = {
  * @returns {string|null} Template filename or null if not found
  */
 function selectTemplate(projectTypes, platform) {
-  // Priority order: gradle > maven > nodejs > python
-  const priorityOrder = ['gradle', 'maven', 'nodejs', 'python'];
+  // Priority order: gradle > maven > rust > go > nodejs > python
+  const priorityOrder = ['gradle', 'maven', 'rust', 'go', 'nodejs', 'python'];
 
   for (const type of priorityOrder) {
     if (projectTypes.includes(type) && TEMPLATE_MAPPINGS[type][platform]) {
@@ -98,7 +108,7 @@ async function generatePipeline(platform = 'github-actions', cwd = process.cwd()
   if (projectTypes.length === 0) {
     return {
       success: false,
-      message: 'No supported project type detected. Supported types: Node.js, Python, Maven, Gradle'
+      message: 'No supported project type detected. Supported types: Node.js, Python, Maven, Gradle, Rust, Go'
     };
   }
 
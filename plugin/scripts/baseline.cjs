@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Baseline - CLI
+ *
+ * Maintains the project's .claude/baseline.json of accepted hook findings,
+ * using the checks recorded in $CLAUDE_CONFIG_DIR/diagnostics.jsonl.
+ *
+ * Usage:
+ *   node scripts/baseline.cjs status [--root DIR] [--days N]
+ *   node scripts/baseline.cjs update [--root DIR] [--days N]
+ *   node scripts/baseline.cjs prune [--root DIR] [--days N]
+ */
+
+const path = require('path');
+const {
+  DIAGNOSTICS_FILE,
+  readDiagnosticsLog,
+  getLatestDiagnostics,
+  getCheckedFiles
+} = require('./lib/diagnostics.cjs');
+const {
+  BASELINE_FILE,
+  loadBaseline,
+  saveBaseline,
+  findProjectRoot,
+  filterBaselined,
+  rebuildBaseline
+} = require('./lib/baseline.cjs');
+
+const USAGE = `Usage:
+  node baseline.cjs status [--root DIR]   Show accepted and new findings
+  node baseline.cjs update [--root DIR]   Accept all current findings, drop fixed ones
+  node baseline.cjs prune [--root DIR]    Only drop entries that are fixed or whose file is gone
+
+Options:
+  --root DIR   Project root holding ${BASELINE_FILE} (default: the nearest
+               directory with one above the cwd, else the git root)
+  --days N     Only consider checks from the last N days
+
+Findings come from checks recorded by the hooks in ${DIAGNOSTICS_FILE}.`;
+
+/**
+ * Read a --flag value
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function flagValue(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1 || idx + 1 >= args.length) return undefined;
+  return args[idx + 1];
+}
+
+function printStatus(root, current, baseline) {
+  const { surfaced, baselined } = filterBaselined(current, baseline);
+  console.log(`Baseline: ${path.join(root, BASELINE_FILE)}`);
+  console.log(`  Accepted entries:  ${baseline.findings.length}`);
+  console.log(`  Current findings:  ${current.length} (${baselined.length} accepted, ${surfaced.length} new)`);
+  for (const d of surfaced.slice(0, 20)) {
+    console.log(`    new: ${path.relative(root, d.file)}:${d.line} ${d.source}/${d.ruleId}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const subcommand = args[0];
+  const rootFlag = flagValue(args, '--root');
+  const root = rootFlag ? path.resolve(rootFlag) : findProjectRoot(process.cwd());
+  const days = parseInt(flagValue(args, '--days'), 10) || 0;
+
+  if (!['status', 'update', 'prune'].includes(subcommand)) {
+    console.log(USAGE);
+    process.exit(subcommand ? 1 : 0);
+  }
+
+  const records = readDiagnosticsLog({ days });
+  const current = getLatestDiagnostics(records, { root }).filter(d => d.fingerprint);
+  const baseline = loadBaseline(root);
+
+  if (subcommand === 'status') {
+    printStatus(root, current, baseline);
+    return;
+  }
+
+  const checkedFiles = getCheckedFiles(records, { root });
+  const { findings, added, removed } = rebuildBaseline(baseline, current, checkedFiles, root, {
+    addNew: subcommand === 'update'
+  });
+  const written = saveBaseline(root, { findings });
+  console.log(`Wrote ${written}: ${findings.length} entries (${added} added, ${removed} removed)`);
+}
+
+main();
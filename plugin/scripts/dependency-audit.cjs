@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Dependency Audit - CLI
+ *
+ * Shows the cached dependency audits ($CLAUDE_CONFIG_DIR/dependency-audit.json)
+ * for a project and each of its workspace packages, or runs them.
+ *
+ * Usage:
+ *   node scripts/dependency-audit.cjs list [--root DIR] [--json]
+ *   node scripts/dependency-audit.cjs run [--root DIR] [--force]
+ *   node scripts/dependency-audit.cjs worker DIR...   (started by the hook)
+ */
+
+const path = require('path');
+const {
+  CACHE_FILE,
+  auditDirectory,
+  runAuditWorker,
+  getCachedAudits,
+  worstSeverity
+} = require('./lib/dependency-audit.cjs');
+const { detectWorkspace } = require('./lib/workspace/detection.cjs');
+
+const USAGE = `Usage:
+  node dependency-audit.cjs list [--root DIR] [--json]   Show cached advisories per package (default)
+  node dependency-audit.cjs run [--root DIR] [--force]   Audit now; unchanged lockfiles are skipped unless --force
+  node dependency-audit.cjs worker DIR...                Background audit started by the hook
+
+Options:
+  --root DIR   Project or workspace root (default: cwd)
+  --json       Print the audit entries as JSON
+  --force      Re-run audits even when lockfiles are unchanged
+
+Audit cache: ${CACHE_FILE}`;
+
+/**
+ * Read a --flag value
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function flagValue(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1 || idx + 1 >= args.length) return undefined;
+  return args[idx + 1];
+}
+
+/**
+ * The root and its workspace packages, as { name, dir }
+ */
+function listProjects(root) {
+  const workspace = detectWorkspace(root);
+  const projects = [{ name: path.basename(root), dir: root }];
+  if (workspace && path.resolve(workspace.root) === root) {
+    for (const pkg of workspace.packages) {
+      projects.push({ name: pkg.name || pkg.relativePath, dir: path.resolve(pkg.path) });
+    }
+  }
+  return projects;
+}
+
+function printEntries(project, entries, root) {
+  const where = path.relative(root, project.dir) || '.';
+  console.log(`${project.name} (${where})`);
+  if (entries.length === 0) {
+    console.log('  no audit yet');
+    return;
+  }
+  for (const entry of entries) {
+    const state = entry.status === 'error'
+      ? `failed: ${entry.error}`
+      : entry.status === 'unavailable'
+        ? `not run: ${entry.error}`
+        : `${entry.vulnerabilities.length} advisor${entry.vulnerabilities.length === 1 ? 'y' : 'ies'}`;
+    const covered = entry.dir !== project.dir ? ` via ${path.relative(root, entry.dir) || '.'}` : '';
+    console.log(`  ${entry.auditor} [${entry.lockfiles.join(', ')}${covered}] ${state}, ${entry.ranAt}${entry.stale ? ' (stale: lockfile changed)' : ''}`);
+    for (const vuln of entry.vulnerabilities || []) {
+      const fix = vuln.fixVersions.length > 0 ? ` -> ${vuln.fixVersions.join(', ')}` : '';
+      console.log(`    ${worstSeverity([vuln]).padEnd(8)} ${vuln.package}${vuln.version ? '@' + vuln.version : ''} ${vuln.id}${fix}`);
+    }
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const subcommand = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+  const root = path.resolve(flagValue(args, '--root') || process.cwd());
+
+  if (args.includes('--help') || args.includes('-h') || !['list', 'run', 'worker'].includes(subcommand)) {
+    console.log(USAGE);
+    process.exit(args.includes('--help') || args.includes('-h') ? 0 : 1);
+  }
+
+  if (subcommand === 'worker') {
+    runAuditWorker(args.slice(1));
+    return;
+  }
+
+  if (subcommand === 'run') {
+    const force = args.includes('--force');
+    for (const project of listProjects(root)) {
+      const entries = auditDirectory(project.dir, { force }).filter(entry => entry.fresh);
+      if (entries.length > 0) printEntries(project, entries, root);
+    }
+    return;
+  }
+
+  // A package without its own lockfiles is covered by the root's
+  const rootEntries = getCachedAudits(root);
+  const report = listProjects(root).map(project => {
+    const own = project.dir === root ? rootEntries : getCachedAudits(project.dir);
+    return { ...project, entries: own.length > 0 ? own : rootEntries };
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  for (const project of report) {
+    printEntries(project, project.entries, root);
+  }
+}
+
+main();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Diagnostics Export - CLI
+ *
+ * Exports the current findings of the checker hooks ($CLAUDE_CONFIG_DIR/diagnostics.jsonl)
+ * as SARIF 2.1.0 or JSON, for code-scanning dashboards.
+ *
+ * Usage:
+ *   node scripts/diagnostics-export.cjs [--format sarif|json] [--root DIR] [--out FILE] [--days N] [--include-baselined]
+ *
+ * Findings accepted in the root's .claude/baseline.json are left out unless
+ * --include-baselined is given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DIAGNOSTICS_FILE,
+  readDiagnosticsLog,
+  getLatestDiagnostics,
+  toSarif,
+  toJson
+} = require('./lib/diagnostics.cjs');
+const { loadBaseline, filterBaselined } = require('./lib/baseline.cjs');
+
+const USAGE = `Usage:
+  node diagnostics-export.cjs [options]
+
+Options:
+  --format sarif|json  Output format (default: sarif)
+  --root DIR           Only export findings under DIR; SARIF paths are relative to it (default: cwd)
+  --out FILE           Write to FILE instead of stdout
+  --days N             Only consider checks from the last N days
+  --include-baselined  Also export findings accepted in .claude/baseline.json
+
+Diagnostics log: ${DIAGNOSTICS_FILE}`;
+
+/**
+ * Read a --flag value
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function flagValue(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1 || idx + 1 >= args.length) return undefined;
+  return args[idx + 1];
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const format = flagValue(args, '--format') || 'sarif';
+  if (format !== 'sarif' && format !== 'json') {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  const root = path.resolve(flagValue(args, '--root') || process.cwd());
+  const days = parseInt(flagValue(args, '--days'), 10) || 0;
+  const latest = getLatestDiagnostics(readDiagnosticsLog({ days }), { root });
+  const diagnostics = args.includes('--include-baselined')
+    ? latest
+    : filterBaselined(latest, loadBaseline(root)).surfaced;
+  const report = format === 'sarif' ? toSarif(diagnostics, { root }) : toJson(diagnostics);
+  const output = JSON.stringify(report, null, 2);
+
+  const outFile = flagValue(args, '--out');
+  if (outFile) {
+    fs.writeFileSync(outFile, output + '\n');
+    console.error(`Wrote ${diagnostics.length} diagnostic(s) to ${outFile}`);
+  } else {
+    console.log(output);
+  }
+}
+
+main();
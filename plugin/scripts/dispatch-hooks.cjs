@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * Dispatch Hooks - Entry point registered in hooks/hooks.json
+ *
+ * Runs every hook listed for an event in hooks/registry.json, in order and in
+ * one process, and prints their merged output.
+ *
+ * Usage:
+ *   node scripts/dispatch-hooks.cjs <Event> < hook-input.json
+ */
+
+const { runDispatcher } = require('./lib/hook-runtime.cjs');
+
+const event = process.argv[2];
+if (!event) {
+  console.error('Usage: node scripts/dispatch-hooks.cjs <Event> < hook-input.json');
+  process.exit(1);
+}
+
+runDispatcher(event);
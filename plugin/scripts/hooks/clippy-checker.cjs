@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Clippy Checker - Run cargo clippy after editing Rust files
+ *
+ * Cross-platform (Windows, macOS, Linux)
+ *
+ * Runs on PostToolUse for Edit commands.
+ * Filters internally for .rs files.
+ * Mirrors typescript-checker.cjs behavior for Rust ecosystem.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { commandExists } = require('../lib/utils.cjs');
+const { spawnWithBudget } = require('../lib/hook-budget.cjs');
+const { createDiagnostic, emitDiagnostics } = require('../lib/diagnostics.cjs');
+const { defineHook, debugHook } = require('../lib/hook-sdk.cjs');
+
+/**
+ * Diagnostic from one line of `cargo clippy --message-format=json`
+ * ({"reason":"compiler-message","message":{...}}), or null for other lines
+ * and for messages without a location or about another file
+ * @param {string} line - Output line
+ * @param {string} resolvedFile - Absolute path of the edited file
+ * @returns {object|null}
+ */
+function parseCompilerMessage(line, resolvedFile) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  const message = record && record.reason === 'compiler-message' ? record.message : null;
+  if (!message || !['warning', 'error'].includes(message.level)) return null;
+  const span = (message.spans || []).find(s => s.is_primary);
+  if (!span) return null;
+
+  // Cargo reports paths relative to the workspace root, so match on path suffix
+  const normalizedFile = resolvedFile.split(path.sep).join('/');
+  const reported = span.file_name.split(path.sep).join('/');
+  if (normalizedFile !== reported && !normalizedFile.endsWith(`/${reported.replace(/^\.\//, '')}`)) return null;
+
+  // Prefer the help that points at code ("remove `return`") over a link to the lint docs
+  const helps = (message.children || []).filter(child => child.level === 'help');
+  const help = helps.find(child => child.spans && child.spans.length > 0) || helps[0];
+  return createDiagnostic({
+    file: resolvedFile,
+    line: span.line_start,
+    column: span.column_start,
+    severity: message.level,
+    // "clippy::needless_return", "unused_variables", "E0308"
+    ruleId: message.code && message.code.code ? message.code.code : 'clippy',
+    source: 'clippy',
+    message: message.message,
+    fix: help ? help.message : undefined
+  });
+}
+
+module.exports = defineHook(module, 'clippy-checker', (input, ctx) => {
+  const filePath = input.tool_input?.file_path;
+
+  // Only process Rust files
+  if (!filePath || !/\.rs$/.test(filePath) || !fs.existsSync(filePath)) {
+    debugHook('clippy-checker', 'process', 'Skipping — not a .rs file or missing', filePath);
+    return { outcome: 'skipped', reason: 'not a .rs file or file missing' };
+  }
+
+  // Find Cargo.toml by walking up directories
+  let dir = path.dirname(filePath);
+  while (dir !== path.dirname(dir) && !fs.existsSync(path.join(dir, 'Cargo.toml'))) {
+    dir = path.dirname(dir);
+  }
+
+  if (!fs.existsSync(path.join(dir, 'Cargo.toml'))) {
+    debugHook('clippy-checker', 'process', 'No Cargo.toml found');
+    return { outcome: 'skipped', reason: 'no Cargo.toml found' };
+  }
+
+  if (!commandExists('cargo')) {
+    debugHook('clippy-checker', 'process', 'cargo not available — skipping');
+    return { outcome: 'skipped', reason: 'cargo not installed' };
+  }
+
+  debugHook('clippy-checker', 'process', 'Running cargo clippy', { cwd: dir });
+  const result = spawnWithBudget('cargo', ['clippy', '--quiet', '--message-format=json'], {
+    cwd: dir,
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    timeout: 60000
+  });
+
+  if (result.error) {
+    debugHook('clippy-checker', 'error', 'cargo clippy failed to run', result.error.message);
+    return { outcome: 'skipped', reason: `cargo clippy failed: ${result.error.message}` };
+  }
+
+  // `cargo clippy` without the component installed prints an install hint
+  const output = `${result.stdout || ''}\n${result.stderr || ''}`;
+  if (/no such (sub)?command:? .?clippy/i.test(output)) {
+    debugHook('clippy-checker', 'process', 'clippy component not installed — skipping');
+    return { outcome: 'skipped', reason: 'clippy not installed' };
+  }
+
+  const resolvedFile = path.resolve(filePath);
+  const diagnostics = (result.stdout || '').split('\n')
+    .map(line => parseCompilerMessage(line, resolvedFile))
+    .filter(Boolean);
+
+  const { output: hookOutput, surfaced } = emitDiagnostics('clippy-checker', diagnostics, { title: 'Clippy', files: [resolvedFile], cwd: dir, minSeverity: ctx.hookSettings('clippy-checker').options.minSeverity, writeOutput: false });
+
+  if (surfaced.length) {
+    debugHook('clippy-checker', 'output', 'Wrote clippy lints', surfaced.length);
+    return { outcome: 'fired', reason: `${surfaced.length} clippy lint(s)`, output: hookOutput };
+  }
+
+  debugHook('clippy-checker', 'exit', 'No lints — clean exit');
+  return { outcome: 'skipped', reason: 'no clippy lints' };
+}, { event: 'PostToolUse' });
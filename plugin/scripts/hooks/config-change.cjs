@@ -13,21 +13,7 @@
  */
 
 const { log } = require('../lib/utils.cjs');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
-
-function readStdin() {
-  return new Promise((resolve) => {
-    let data = '';
-    process.stdin.on('data', chunk => data += chunk);
-    process.stdin.on('end', () => {
-      try {
-        resolve(JSON.parse(data));
-      } catch {
-        resolve({});
-      }
-    });
-  });
-}
+const { defineHook, buildHookResult } = require('../lib/hook-sdk.cjs');
 
 /**
  * Classify the change and return an audit entry
@@ -155,13 +141,9 @@ function findArrayRemovals(oldArr, newArr) {
   return oldSet.filter(item => !newSet.has(item));
 }
 
-async function main() {
-  const start = Date.now();
-  const input = await readStdin();
-
+module.exports = defineHook(module, 'config-change', (input) => {
   if (!input.hook_event_name || input.hook_event_name !== 'ConfigChange') {
-    logTelemetry({ hook: 'config-change', event: 'ConfigChange', outcome: 'skipped', reason: 'not a ConfigChange event', duration_ms: Date.now() - start });
-    process.exit(0);
+    return { outcome: 'skipped', reason: 'not a ConfigChange event' };
   }
 
   const result = classifyChange(input);
@@ -178,20 +160,9 @@ async function main() {
   if (result.detail) contextParts.push(result.detail);
   if (result.setupHint) contextParts.push(result.setupHint);
 
-  const output = {
-    hookSpecificOutput: {
-      hookEventName: 'ConfigChange',
-      additionalContext: contextParts.join('\n')
-    }
+  return {
+    outcome: 'fired',
+    reason: `${result.category}: ${result.severity}`,
+    output: buildHookResult('ConfigChange', { additionalContext: contextParts.join('\n') })
   };
-
-  console.log(JSON.stringify(output));
-  logTelemetry({ hook: 'config-change', event: 'ConfigChange', outcome: 'fired', reason: `${result.category}: ${result.severity}`, duration_ms: Date.now() - start });
-  process.exit(0);
-}
-
-main().catch(err => {
-  console.error('[ConfigChange] Error:', err.message);
-  logTelemetry({ hook: 'config-change', event: 'ConfigChange', outcome: 'error', reason: err.message });
-  process.exit(0); // Never crash on config changes
-});
+}, { event: 'ConfigChange' });
@@ -11,11 +11,12 @@
 
 const fs = require('fs');
 const { getAllDebugPatterns } = require('../lib/ecosystems/index.cjs');
-const { debugHook, wrapHookMain } = require('../lib/hook-debug.cjs');
+const { createDiagnostic, emitDiagnostics } = require('../lib/diagnostics.cjs');
+const { defineHook, debugHook } = require('../lib/hook-sdk.cjs');
 
 const DEBUG_PATTERNS = getAllDebugPatterns();
 
-wrapHookMain('console-log-detector', (input) => {
+module.exports = defineHook(module, 'console-log-detector', (input, ctx) => {
   const filePath = input.tool_input?.file_path;
 
   if (!filePath || !fs.existsSync(filePath)) {
@@ -25,39 +26,42 @@ wrapHookMain('console-log-detector', (input) => {
 
   const content = fs.readFileSync(filePath, 'utf8');
   const lines = content.split('\n');
-  const allFindings = [];
+  const diagnostics = [];
 
   for (const dp of DEBUG_PATTERNS) {
     if (!dp.extensions.test(filePath)) continue;
 
-    const matches = [];
     lines.forEach((line, idx) => {
       if (dp.skipPattern && dp.skipPattern.test(line.trim())) return;
-      if (dp.pattern.test(line)) {
-        matches.push(`${idx + 1}: ${line.trim()}`);
+      const match = line.match(dp.pattern);
+      if (match) {
+        diagnostics.push(createDiagnostic({
+          file: filePath,
+          line: idx + 1,
+          column: match.index + 1,
+          severity: 'warning',
+          ruleId: 'debug-statement',
+          source: 'debug-statements',
+          message: `${dp.name} debug statement: ${line.trim()}`,
+          fix: dp.message
+        }));
       }
     });
-
-    if (matches.length) {
-      console.error(`[Hook] WARNING: ${dp.name} found in ${filePath}`);
-      matches.slice(0, 5).forEach(m => console.error(m));
-      console.error(`[Hook] ${dp.message}`);
-
-      allFindings.push(`${dp.name} (${matches.length} occurrence${matches.length > 1 ? 's' : ''})`);
-    }
   }
 
-  if (allFindings.length > 0) {
-    debugHook('console-log-detector', 'output', 'Writing findings', allFindings);
-    console.log(JSON.stringify({
-      hookSpecificOutput: {
-        hookEventName: 'PostToolUse',
-        additionalContext: `[Debug Statements] Found in ${filePath}: ${allFindings.join(', ')}. Remove before committing.`
-      }
-    }));
-    return { outcome: 'fired', reason: `found ${allFindings.join(', ')}` };
+  const { output, surfaced } = emitDiagnostics('console-log-detector', diagnostics, {
+    title: 'Debug Statements',
+    files: [filePath],
+    footer: 'Remove before committing.',
+    minSeverity: ctx.hookSettings('console-log-detector').options.minSeverity,
+    writeOutput: false
+  });
+
+  if (surfaced.length > 0) {
+    debugHook('console-log-detector', 'output', 'Wrote findings', surfaced.length);
+    return { outcome: 'fired', reason: `found ${surfaced.length} debug statement(s)`, output };
   }
 
   debugHook('console-log-detector', 'exit', 'No debug statements found');
   return { outcome: 'skipped', reason: 'no debug statements found' };
-});
+}, { event: 'PostToolUse' });
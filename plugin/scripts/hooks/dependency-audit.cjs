@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Dependency Audit - Report vulnerable dependencies when lockfiles change
+ *
+ * Cross-platform (Windows, macOS, Linux)
+ *
+ * Runs on PostToolUse for Edit/Write/Bash. The audit service in
+ * lib/dependency-audit.cjs hashes the project's lockfiles; when that hash
+ * changed it starts a detached worker that runs npm/pnpm/yarn audit,
+ * pip-audit, cargo audit or OWASP dependency-check, so the hook itself never
+ * waits for an audit tool. Audits the worker finished since the last event
+ * are reported once; the full list is in the CLI:
+ *   node scripts/dependency-audit.cjs
+ */
+
+const path = require('path');
+const {
+  findAuditDirectories,
+  takeUnreportedAudits,
+  startBackgroundAudit,
+  auditToDiagnostics
+} = require('../lib/dependency-audit.cjs');
+const { emitDiagnostics } = require('../lib/diagnostics.cjs');
+const { defineHook, debugHook } = require('../lib/hook-sdk.cjs');
+
+module.exports = defineHook(module, 'dependency-audit', (input, ctx) => {
+  const cwd = input.cwd || process.cwd();
+  const dirs = findAuditDirectories(cwd);
+  const finished = takeUnreportedAudits(dirs);
+  const started = startBackgroundAudit(dirs);
+  debugHook('dependency-audit', 'process', `Audits for ${dirs.join(', ')}`, {
+    finished: finished.map(e => `${e.auditor}:${e.status}`),
+    started
+  });
+
+  if (finished.length === 0) {
+    return { outcome: 'skipped', reason: started ? 'audit started in the background' : 'lockfiles unchanged' };
+  }
+
+  for (const entry of finished.filter(e => e.status === 'error')) {
+    console.error(`[dependency-audit] ${entry.auditor} failed in ${entry.dir}: ${entry.error}`);
+  }
+
+  const { output, surfaced } = emitDiagnostics('dependency-audit', auditToDiagnostics(finished), {
+    title: 'Dependency Audit',
+    files: finished.map(entry => path.join(entry.dir, entry.lockfiles[0] || '')),
+    cwd,
+    footer: 'Upgrade or replace the affected packages. Full list: node scripts/dependency-audit.cjs',
+    minSeverity: ctx.hookSettings('dependency-audit').options.minSeverity,
+    writeOutput: false
+  });
+
+  const ran = finished.map(entry => entry.auditor).join(',');
+  return surfaced.length > 0
+    ? { outcome: 'fired', reason: `${surfaced.length} vulnerable package(s) (${ran})`, output }
+    : { outcome: 'skipped', reason: `no vulnerabilities (${ran})` };
+}, { event: 'PostToolUse' });
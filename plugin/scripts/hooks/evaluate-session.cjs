@@ -24,40 +24,7 @@ const {
   countInFile,
   log
 } = require('../lib/utils.cjs');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
-
-/**
- * Read hook input from stdin (JSON format)
- */
-function readStdin() {
-  return new Promise((resolve) => {
-    let data = '';
-
-    // Set a timeout for hooks that may not have stdin
-    const timeout = setTimeout(() => {
-      resolve({});
-    }, 100);
-
-    process.stdin.on('data', chunk => {
-      clearTimeout(timeout);
-      data += chunk;
-    });
-
-    process.stdin.on('end', () => {
-      clearTimeout(timeout);
-      try {
-        resolve(JSON.parse(data));
-      } catch {
-        resolve({});
-      }
-    });
-
-    if (process.stdin.readableEnded) {
-      clearTimeout(timeout);
-      resolve({});
-    }
-  });
-}
+const { defineHook } = require('../lib/hook-sdk.cjs');
 
 /**
  * Detect patterns worth extracting from the session
@@ -100,17 +67,7 @@ function detectExtractablePatterns(transcriptPath) {
   }
 }
 
-async function main() {
-  const start = Date.now();
-  const input = await readStdin();
-  const hookEvent = 'SessionEnd';
-
-  // Skip advisory hooks inside subagents — only fire for top-level Claude sessions
-  if (input.agent_id) {
-    logTelemetry({ hook: 'evaluate-session', event: hookEvent, outcome: 'skipped', reason: 'subagent', duration_ms: Date.now() - start });
-    process.exit(0);
-  }
-
+module.exports = defineHook(module, 'evaluate-session', () => {
   // Get script directory to find config
   const scriptDir = __dirname;
   const configFile = path.join(scriptDir, '..', '..', 'skills', 'continuous-learning', 'config.json');
@@ -141,9 +98,7 @@ async function main() {
   const transcriptPath = process.env.CLAUDE_TRANSCRIPT_PATH;
 
   if (!transcriptPath || !fs.existsSync(transcriptPath)) {
-    logTelemetry({ hook: 'evaluate-session', event: hookEvent, outcome: 'skipped', reason: 'no transcript path', duration_ms: Date.now() - start });
-    console.log(JSON.stringify(input));
-    process.exit(0);
+    return { outcome: 'skipped', reason: 'no transcript path' };
   }
 
   // Count user messages in session
@@ -152,9 +107,7 @@ async function main() {
   // Skip short sessions
   if (messageCount < minSessionLength) {
     log(`[ContinuousLearning] Session too short (${messageCount} messages), skipping`);
-    logTelemetry({ hook: 'evaluate-session', event: hookEvent, outcome: 'skipped', reason: `session too short (${messageCount} messages)`, duration_ms: Date.now() - start });
-    console.log(JSON.stringify(input));
-    process.exit(0);
+    return { outcome: 'skipped', reason: `session too short (${messageCount} messages)` };
   }
 
   // Detect extractable patterns
@@ -163,26 +116,17 @@ async function main() {
   // Build context message
   log(`[ContinuousLearning] Session has ${messageCount} messages`);
 
-  if (patterns.length > 0) {
-    // SessionEnd/PreCompact hooks do NOT support hookSpecificOutput
-    // Log to stderr for visibility - Claude sees these as [Hook] messages
-    log(`[ContinuousLearning] Detected ${patterns.length} extractable pattern(s): ${patterns.join(', ')}`);
-    log(`[ContinuousLearning] Universal patterns → ${userLearnedSkillsPath}`);
-    if (projectLearnedSkillsPath) {
-      log(`[ContinuousLearning] Project-specific → ${projectLearnedSkillsPath}`);
-    }
-    log('[ContinuousLearning] ACTION REQUIRED: Run /learn now to extract and save these patterns before the session ends. Patterns will be lost if not extracted.');
-    logTelemetry({ hook: 'evaluate-session', event: hookEvent, outcome: 'fired', reason: `${patterns.length} pattern(s): ${patterns.join(', ')}`, duration_ms: Date.now() - start });
-  } else {
-    logTelemetry({ hook: 'evaluate-session', event: hookEvent, outcome: 'skipped', reason: `no patterns detected (${messageCount} messages)`, duration_ms: Date.now() - start });
+  if (patterns.length === 0) {
+    return { outcome: 'skipped', reason: `no patterns detected (${messageCount} messages)` };
   }
 
-  // SessionEnd/PreCompact hooks should exit cleanly
-  process.exit(0);
-}
-
-main().catch(err => {
-  console.error('[ContinuousLearning] Error:', err.message);
-  console.log(JSON.stringify({}));
-  process.exit(0);
-});
+  // SessionEnd/PreCompact hooks do NOT support hookSpecificOutput
+  // Log to stderr for visibility - Claude sees these as [Hook] messages
+  log(`[ContinuousLearning] Detected ${patterns.length} extractable pattern(s): ${patterns.join(', ')}`);
+  log(`[ContinuousLearning] Universal patterns → ${userLearnedSkillsPath}`);
+  if (projectLearnedSkillsPath) {
+    log(`[ContinuousLearning] Project-specific → ${projectLearnedSkillsPath}`);
+  }
+  log('[ContinuousLearning] ACTION REQUIRED: Run /learn now to extract and save these patterns before the session ends. Patterns will be lost if not extracted.');
+  return { outcome: 'fired', reason: `${patterns.length} pattern(s): ${patterns.join(', ')}` };
+}, { event: 'SessionEnd', skipSubagents: true });
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Format Queue - Format the files edited during a response in one batch
+ *
+ * Cross-platform (Windows, macOS, Linux)
+ *
+ * Runs on Stop. Only does work when the project sets `"mode": "deferred"` in
+ * .claude/formatting.json: smart-formatter then queues touched files instead
+ * of formatting them, and this hook claims the session's queue, groups the
+ * files by formatter and runs each formatter once (lib/format-queue.cjs).
+ * Abandoned queues of other sessions are pruned after a week.
+ */
+
+const path = require('path');
+const { claimQueue, releaseQueue, pruneQueues, formatBatch } = require('../lib/format-queue.cjs');
+const { defineHook, debugHook } = require('../lib/hook-sdk.cjs');
+
+module.exports = defineHook(module, 'format-queue', (input) => {
+  pruneQueues();
+
+  // The queue is only written in deferred mode, so no config lookup is needed here
+  const claim = claimQueue(input.session_id);
+  if (!claim) {
+    return { outcome: 'skipped', reason: 'queue empty' };
+  }
+  debugHook('format-queue', 'process', `Claimed ${claim.entries.length} queued file(s)`, claim.entries.map(e => e.file));
+
+  const result = formatBatch(claim.entries);
+  releaseQueue(claim);
+  debugHook('format-queue', 'process', 'Batch result', result);
+
+  for (const { file, error } of result.failed) {
+    console.error(`[format-queue] Failed to format ${path.basename(file)}: ${error}`);
+  }
+  if (result.formatted.length > 0) {
+    const tools = [...new Set(result.formatted.map(f => f.tool))].join(', ');
+    console.error(`[format-queue] Formatted ${result.formatted.length} file(s) with ${tools}`);
+  }
+
+  const outcome = result.formatted.length + result.failed.length > 0 ? 'fired' : 'skipped';
+  const reason = `formatted ${result.formatted.length}, failed ${result.failed.length}, skipped ${result.skipped.length} in ${result.runs} run(s)`;
+  return { outcome, reason };
+}, { event: 'Stop' });
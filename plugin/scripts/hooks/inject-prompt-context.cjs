@@ -8,69 +8,58 @@
  * Injects branch, pending tasks, time, and other context.
  */
 
-const { execSync } = require('child_process');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
+const { defineHook, buildHookResult } = require('../lib/hook-sdk.cjs');
+const { spawnWithBudget } = require('../lib/hook-budget.cjs');
 
-let data = '';
-process.stdin.on('data', chunk => data += chunk);
-process.stdin.on('end', () => {
-  const start = Date.now();
-  try {
-    const input = JSON.parse(data);
-    const contextParts = [];
+const GIT_TIMEOUT_MS = 5000;
 
-    // Get current time
-    contextParts.push(`Time: ${new Date().toISOString()}`);
-
-    // Get git branch if in a repo
-    try {
-      const branch = execSync('git rev-parse --abbrev-ref HEAD', {
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      }).trim();
-      contextParts.push(`Branch: ${branch}`);
+/**
+ * Run git and return trimmed stdout, or null when it fails
+ * @private
+ */
+function git(args) {
+  const result = spawnWithBudget('git', args, {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: GIT_TIMEOUT_MS
+  });
+  return result.error || result.status !== 0 ? null : result.stdout.trim();
+}
 
-      // Check for uncommitted changes
-      const status = execSync('git status --porcelain', {
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      }).trim();
+module.exports = defineHook(module, 'inject-prompt-context', () => {
+  const contextParts = [];
 
-      if (status) {
-        const lines = status.split('\n').length;
-        contextParts.push(`Uncommitted changes: ${lines} file(s)`);
-      }
-    } catch {
-      // Not a git repo, skip
-    }
+  // Get current time
+  contextParts.push(`Time: ${new Date().toISOString()}`);
 
-    // Check for pending tasks in session
-    const taskCount = process.env.CLAUDE_PENDING_TASKS;
-    if (taskCount) {
-      contextParts.push(`Pending tasks: ${taskCount}`);
-    }
+  // Get git branch if in a repo
+  const branch = git(['rev-parse', '--abbrev-ref', 'HEAD']);
+  if (branch !== null) {
+    contextParts.push(`Branch: ${branch}`);
 
-    // Get package manager if detected
-    const pkgManager = process.env.CLAUDE_PACKAGE_MANAGER || process.env.DETECTED_PKG_MANAGER;
-    if (pkgManager) {
-      contextParts.push(`Package manager: ${pkgManager}`);
+    // Check for uncommitted changes
+    const status = git(['status', '--porcelain']);
+    if (status) {
+      const lines = status.split('\n').length;
+      contextParts.push(`Uncommitted changes: ${lines} file(s)`);
     }
+  }
 
-    // Build output with additionalContext
-    const output = {
-      ...input,
-      hookSpecificOutput: {
-        hookEventName: 'UserPromptSubmit',
-        additionalContext: contextParts.join('\n')
-      }
-    };
+  // Check for pending tasks in session
+  const taskCount = process.env.CLAUDE_PENDING_TASKS;
+  if (taskCount) {
+    contextParts.push(`Pending tasks: ${taskCount}`);
+  }
 
-    logTelemetry({ hook: 'inject-prompt-context', event: 'UserPromptSubmit', outcome: 'fired', reason: `${contextParts.length} context parts`, duration_ms: Date.now() - start });
-    console.log(JSON.stringify(output));
-  } catch (error) {
-    console.error(`[PromptContext] Error: ${error.message}`);
-    logTelemetry({ hook: 'inject-prompt-context', event: 'UserPromptSubmit', outcome: 'error', reason: error.message, duration_ms: Date.now() - start });
-    // Pass through on error
-    console.log(data);
+  // Get package manager if detected
+  const pkgManager = process.env.CLAUDE_PACKAGE_MANAGER || process.env.DETECTED_PKG_MANAGER;
+  if (pkgManager) {
+    contextParts.push(`Package manager: ${pkgManager}`);
   }
-});
+
+  return {
+    outcome: 'fired',
+    reason: `${contextParts.length} context parts`,
+    output: buildHookResult('UserPromptSubmit', { additionalContext: contextParts.join('\n') })
+  };
+}, { event: 'UserPromptSubmit' });
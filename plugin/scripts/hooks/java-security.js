@@ -2,31 +2,36 @@
 
 /**
  * Java Security Hook
- * Runs SpotBugs + FindSecurityBugs on Java files to detect security vulnerabilities
+ * Scans edited Java and Kotlin files with the token-aware rules in
+ * jvm-security-scanner.cjs, plus SpotBugs + FindSecurityBugs when installed
+ * and compiled classes exist.
  *
- * This hook runs AFTER compilation (needs .class files)
- * Checks for:
- * - SQL injection
- * - Command injection
- * - Path traversal
- * - XXE vulnerabilities
- * - Insecure random
+ * Source rules (see JVM_SECURITY_RULES) check for:
+ * - SQL, command and path injection
  * - Hardcoded credentials
+ * - Insecure random, weak hashes and ciphers
+ * - XXE, unsafe deserialization
+ * - Disabled TLS verification, wildcard CORS
+ *
+ * Findings below `jvm.minConfidence` in .claude/security.json are hidden.
  */
 
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import { defineHook, buildHookResult, debugHook } from '../lib/hook-sdk.cjs';
 import {
-  readHookInput,
-  writeHookResult,
-  debugHook,
+  sharedProjectTypes,
   getFilePath,
-  detectProjectType,
   logHook,
   commandExists,
-  logTelemetry
+  safeExecSync
 } from '../lib/hook-utils.js';
+import { createDiagnostic, emitDiagnostics } from '../lib/diagnostics.cjs';
+import { scanSource as scanJvmSource, languageOf as jvmLanguageOf, getMinConfidence } from '../lib/jvm-security-scanner.cjs';
+
+// SpotBugs -textui line: "H S SQL_INJECTION_JDBC: This use of ... At UserDao.java:[line 42]"
+const SPOTBUGS_LINE = /^([HML])\s+\w+\s+([A-Z0-9_]+):\s+(.*?)\s+At\s+(\S+\.(?:java|kt)):\[lines?\s+(\d+)/;
+const SPOTBUGS_SEVERITY = { H: 'error', M: 'warning', L: 'info' };
 
 /**
  * Find the build output directory for compiled classes
@@ -57,85 +62,70 @@ function findClassesDirectory(cwd, projectTypes) {
 /**
  * Run SpotBugs with FindSecurityBugs plugin
  * @param {string} classesDir - Path to compiled classes directory
+ * @param {string} filePath - Edited Java file; only its bugs become diagnostics
+ * @returns {object[]} Diagnostics for the edited file
  */
-function runSpotBugs(classesDir) {
+function runSpotBugs(classesDir, filePath) {
   if (!commandExists('spotbugs')) {
     logHook('SpotBugs not installed. Install: https://spotbugs.github.io/', 'WARNING');
-    return;
+    return [];
   }
 
+  let output = '';
   try {
     // Run SpotBugs with maximum effort and low threshold
     // -textui: text user interface
     // -effort:max: maximum analysis effort
     // -low: report all issues (including low priority)
-    const cmd = `spotbugs -textui -effort:max -low "${classesDir}"`;
+    // spotbugs is a .bat script on Windows, which only runs through the shell
+    const shell = process.platform === 'win32';
 
     logHook('Running SpotBugs security analysis...');
-    const output = execSync(cmd, { encoding: 'utf-8', stdio: 'pipe' });
-
-    // Parse output for security issues
-    if (output.includes('Bug') || output.includes('Warning')) {
-      logHook('SpotBugs found potential security issues:', 'WARNING');
-      console.error(output);
-    } else {
-      logHook('SpotBugs security scan: No issues found');
-    }
+    output = safeExecSync('spotbugs', ['-textui', '-effort:max', '-low', shell ? `"${classesDir}"` : classesDir], { shell });
   } catch (error) {
     // SpotBugs exits with non-zero if bugs found
-    if (error.stdout) {
-      logHook('SpotBugs found security issues:', 'WARNING');
-      console.error(error.stdout.toString());
-    } else {
+    if (!error.stdout) {
       logHook(`SpotBugs analysis failed: ${error.message}`, 'ERROR');
+      return [];
     }
+    output = error.stdout.toString();
   }
+
+  // SpotBugs only reports source file names, so match on the edited file's name
+  const fileName = path.basename(filePath);
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.trim().match(SPOTBUGS_LINE);
+    if (!match || match[4] !== fileName) continue;
+    diagnostics.push(createDiagnostic({
+      file: filePath,
+      line: match[5],
+      severity: SPOTBUGS_SEVERITY[match[1]],
+      ruleId: match[2],
+      source: 'spotbugs',
+      message: match[3]
+    }));
+  }
+
+  if (diagnostics.length === 0) {
+    logHook('SpotBugs security scan: No issues found in edited file');
+  }
+  return diagnostics;
 }
 
 /**
- * Run basic security pattern checks on Java source file
- * @param {string} filePath - Path to Java file
- * @returns {string[]} Array of issue descriptions
+ * Run the source-level security rules on a Java or Kotlin file
+ * @param {string} filePath - Path to the source file
+ * @param {string} cwd - Project directory (for jvm.minConfidence)
+ * @returns {object[]} Diagnostics
  */
-function runBasicSecurityChecks(filePath) {
+function runSourceSecurityChecks(filePath, cwd) {
   try {
     const content = fs.readFileSync(filePath, 'utf-8');
-    const issues = [];
-
-    // Check for SQL injection patterns
-    const sqlInjectionPattern = /["']\s*\+\s*\w+\s*\+\s*["'].*(?:SELECT|INSERT|UPDATE|DELETE)/i;
-    if (sqlInjectionPattern.test(content)) {
-      issues.push('Potential SQL injection (string concatenation in SQL query). Use PreparedStatement.');
-    }
-
-    // Check for hardcoded credentials patterns
-    const credentialPatterns = [
-      /password\s*=\s*["'][^"']+["']/i,
-      /api[_-]?key\s*=\s*["'][^"']+["']/i,
-      /secret\s*=\s*["'][^"']+["']/i,
-      /token\s*=\s*["'][^"']+["']/i
-    ];
-
-    for (const pattern of credentialPatterns) {
-      if (pattern.test(content)) {
-        issues.push('Possible hardcoded credential detected. Use environment variables or secure config.');
-        break;
-      }
-    }
-
-    // Check for command injection (Runtime.exec with variables)
-    const commandInjectionPattern = /Runtime\.getRuntime\(\)\.exec\([^)]*\+/;
-    if (commandInjectionPattern.test(content)) {
-      issues.push('Potential command injection in Runtime.exec(). Validate inputs carefully.');
-    }
-
-    // Check for insecure Random usage in security context
-    if (content.includes('new Random()') &&
-        (content.includes('token') || content.includes('password') || content.includes('secret'))) {
-      issues.push('Using java.util.Random for security-sensitive operations. Use SecureRandom instead.');
-    }
-
-    return issues;
+    return scanJvmSource(content, {
+      file: filePath,
+      minConfidence: getMinConfidence(cwd)
+    });
   } catch (error) {
     logHook(`Failed to run security checks: ${error.message}`, 'ERROR');
     return [];
@@ -190,78 +180,51 @@ function checkSecurityPluginConfiguration(cwd, projectTypes) {
   }
 }
 
-/**
- * Main hook function
- */
-async function main() {
-  const start = Date.now();
-  try {
-    const context = await readHookInput();
-
-    if (!context) {
-      logHook('No context received from stdin', 'WARNING');
-      logTelemetry({ hook: 'java-security', event: 'PostToolUse', outcome: 'skipped', reason: 'no stdin context', duration_ms: Date.now() - start });
-      process.exit(0);
-    }
+export default defineHook(import.meta, 'java-security', (context, ctx) => {
+  const filePath = getFilePath(context);
 
-    const filePath = getFilePath(context);
-    const tool = context?.tool_name;
-
-    if (!filePath || !filePath.endsWith('.java')) {
-      debugHook('java-security', 'process', 'Skipping — not a .java file', filePath);
-      logTelemetry({ hook: 'java-security', event: 'PostToolUse', outcome: 'skipped', reason: 'not a .java file', duration_ms: Date.now() - start, file: filePath, tool });
-      process.exit(0);
-    }
-
-    if (!fs.existsSync(filePath)) {
-      debugHook('java-security', 'process', 'File does not exist', filePath);
-      logHook(`File does not exist: ${filePath}`, 'WARNING');
-      logTelemetry({ hook: 'java-security', event: 'PostToolUse', outcome: 'skipped', reason: 'file does not exist', duration_ms: Date.now() - start, file: filePath, tool });
-      process.exit(0);
-    }
+  if (!filePath || !jvmLanguageOf(filePath)) {
+    debugHook('java-security', 'process', 'Skipping — not a Java/Kotlin file', filePath);
+    return { outcome: 'skipped', reason: 'not a .java/.kt file' };
+  }
 
-    const projectTypes = detectProjectType(process.cwd());
+  if (!fs.existsSync(filePath)) {
+    debugHook('java-security', 'process', 'File does not exist', filePath);
+    logHook(`File does not exist: ${filePath}`, 'WARNING');
+    return { outcome: 'skipped', reason: 'file does not exist' };
+  }
 
-    if (!projectTypes.includes('maven') && !projectTypes.includes('gradle')) {
-      debugHook('java-security', 'process', 'Skipping — not a Maven/Gradle project', projectTypes);
-      logTelemetry({ hook: 'java-security', event: 'PostToolUse', outcome: 'skipped', reason: `not a maven/gradle project (${projectTypes.join(',')})`, duration_ms: Date.now() - start, file: filePath, tool });
-      process.exit(0);
-    }
+  const projectTypes = sharedProjectTypes(ctx);
 
-    const findings = [];
+  if (!projectTypes.includes('maven') && !projectTypes.includes('gradle')) {
+    debugHook('java-security', 'process', 'Skipping — not a Maven/Gradle project', projectTypes);
+    return { outcome: 'skipped', reason: `not a maven/gradle project (${projectTypes.join(',')})` };
+  }
 
-    const issues = runBasicSecurityChecks(filePath);
-    if (issues.length > 0) {
-      findings.push(`Security issues in ${path.basename(filePath)}: ${issues.join('; ')}`);
-      logHook(`Security issues found in ${path.basename(filePath)}:`, 'WARNING');
-      issues.forEach(issue => console.error(`  - ${issue}`));
-    }
+  const diagnostics = runSourceSecurityChecks(path.resolve(filePath), process.cwd());
 
-    checkSecurityPluginConfiguration(process.cwd(), projectTypes);
+  checkSecurityPluginConfiguration(process.cwd(), projectTypes);
 
-    const classesDir = findClassesDirectory(process.cwd(), projectTypes);
-    if (classesDir) {
-      runSpotBugs(classesDir);
-    }
+  const classesDir = findClassesDirectory(process.cwd(), projectTypes);
+  if (classesDir) {
+    diagnostics.push(...runSpotBugs(classesDir, path.resolve(filePath)));
+  }
 
-    if (findings.length > 0) {
-      writeHookResult('PostToolUse', {
-        additionalContext: `[Java Security] ${findings.join(' | ')}. Review and fix before committing.`
-      });
-      logTelemetry({ hook: 'java-security', event: 'PostToolUse', outcome: 'fired', reason: `${findings.length} finding(s)`, duration_ms: Date.now() - start, file: filePath, tool });
-    } else {
-      logTelemetry({ hook: 'java-security', event: 'PostToolUse', outcome: 'skipped', reason: 'no security issues', duration_ms: Date.now() - start, file: filePath, tool });
-    }
-    process.exit(0);
+  const { rendered, surfaced } = emitDiagnostics('java-security', diagnostics, {
+    title: 'JVM Security',
+    files: [path.resolve(filePath)],
+    minSeverity: ctx.hookSettings('java-security').options.minSeverity,
+    writeOutput: false
+  });
 
-  } catch (error) {
-    logHook(`Unexpected error: ${error.message}`, 'ERROR');
-    logTelemetry({ hook: 'java-security', event: 'PostToolUse', outcome: 'error', reason: error.message, duration_ms: Date.now() - start });
-    process.exit(0);
+  if (!rendered) {
+    return { outcome: 'skipped', reason: 'no security issues' };
   }
-}
-
-main().catch((err) => {
-  logHook(`Fatal error: ${err.message}`, 'ERROR');
-  process.exit(0);
-});
+  return {
+    outcome: 'fired',
+    reason: `${surfaced.length} finding(s)`,
+    output: buildHookResult('PostToolUse', {
+      additionalContext: `${rendered}\nReview and fix before committing.`
+    })
+  };
+}, { event: 'PostToolUse' });
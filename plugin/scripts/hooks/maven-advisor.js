@@ -9,76 +9,49 @@
  * - Suggest `./gradlew` instead of `gradle` for wrapper consistency
  */
 
+import { defineHook, buildHookResult, debugHook } from '../lib/hook-sdk.cjs';
 import {
-  readHookInput,
-  writeHookResult,
-  debugHook,
+  sharedProjectTypes,
   getCommand,
-  detectProjectType,
-  logHook,
-  logTelemetry
+  logHook
 } from '../lib/hook-utils.js';
 
-/**
- * Main hook function
- */
-async function main() {
-  const start = Date.now();
-  try {
-    const context = await readHookInput();
-
-    if (!context) {
-      logHook('No context received from stdin', 'WARNING');
-      logTelemetry({ hook: 'maven-advisor', event: 'PostToolUse', outcome: 'skipped', reason: 'no stdin context', duration_ms: Date.now() - start });
-      process.exit(0);
-    }
-
-    const command = getCommand(context);
+export default defineHook(import.meta, 'maven-advisor', (context, ctx) => {
+  const command = getCommand(context);
 
-    if (!command) {
-      debugHook('maven-advisor', 'process', 'Skipping — no command in context');
-      logTelemetry({ hook: 'maven-advisor', event: 'PostToolUse', outcome: 'skipped', reason: 'no command in context', duration_ms: Date.now() - start });
-      process.exit(0);
-    }
+  if (!command) {
+    debugHook('maven-advisor', 'process', 'Skipping — no command in context');
+    return { outcome: 'skipped', reason: 'no command in context' };
+  }
 
-    const projectTypes = detectProjectType(process.cwd());
-    const advice = [];
+  const projectTypes = sharedProjectTypes(ctx);
+  const advice = [];
 
-    if (projectTypes.includes('maven')) {
-      if (command.includes('mvn install') && !command.includes('mvn clean install')) {
-        advice.push('Consider: mvn verify (faster than install for local builds). Use "mvn clean install" only when publishing to local repo.');
-      }
-      if (command.includes('gradle') && !command.includes('./gradlew') && !command.includes('.\\gradlew')) {
-        advice.push('Consider: Use ./gradlew instead of gradle for wrapper consistency.');
-      }
+  if (projectTypes.includes('maven')) {
+    if (command.includes('mvn install') && !command.includes('mvn clean install')) {
+      advice.push('Consider: mvn verify (faster than install for local builds). Use "mvn clean install" only when publishing to local repo.');
     }
-
-    if (projectTypes.includes('gradle')) {
-      if (command.includes('gradle') && !command.includes('./gradlew') && !command.includes('.\\gradlew')) {
-        advice.push('Consider: Use ./gradlew instead of gradle for wrapper consistency.');
-      }
+    if (command.includes('gradle') && !command.includes('./gradlew') && !command.includes('.\\gradlew')) {
+      advice.push('Consider: Use ./gradlew instead of gradle for wrapper consistency.');
     }
+  }
 
-    if (advice.length > 0) {
-      advice.forEach(a => logHook(a, 'INFO'));
-      writeHookResult('PostToolUse', {
-        additionalContext: `[Build Advisor] ${advice.join(' ')}`
-      });
-      logTelemetry({ hook: 'maven-advisor', event: 'PostToolUse', outcome: 'fired', reason: `${advice.length} recommendation(s)`, duration_ms: Date.now() - start, tool: 'Bash' });
-    } else {
-      logTelemetry({ hook: 'maven-advisor', event: 'PostToolUse', outcome: 'skipped', reason: 'no advice applicable', duration_ms: Date.now() - start, tool: 'Bash' });
+  if (projectTypes.includes('gradle')) {
+    if (command.includes('gradle') && !command.includes('./gradlew') && !command.includes('.\\gradlew')) {
+      advice.push('Consider: Use ./gradlew instead of gradle for wrapper consistency.');
     }
+  }
 
-    process.exit(0);
-
-  } catch (error) {
-    logHook(`Unexpected error: ${error.message}`, 'ERROR');
-    logTelemetry({ hook: 'maven-advisor', event: 'PostToolUse', outcome: 'error', reason: error.message, duration_ms: Date.now() - start });
-    process.exit(0);
+  if (advice.length === 0) {
+    return { outcome: 'skipped', reason: 'no advice applicable' };
   }
-}
 
-main().catch((err) => {
-  logHook(`Fatal error: ${err.message}`, 'ERROR');
-  process.exit(0);
-});
+  advice.forEach(a => logHook(a, 'INFO'));
+  return {
+    outcome: 'fired',
+    reason: `${advice.length} recommendation(s)`,
+    output: buildHookResult('PostToolUse', {
+      additionalContext: `[Build Advisor] ${advice.join(' ')}`
+    })
+  };
+}, { event: 'PostToolUse' });
@@ -4,42 +4,31 @@
  * Works on Linux, macOS, and Windows without external dependencies
  */
 
-const { execSync, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const os = require('os');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
-
-// Read from stdin (hook input)
-let data = '';
-process.stdin.on('data', chunk => data += chunk);
-process.stdin.on('end', () => {
-  const start = Date.now();
-  try {
-    const input = JSON.parse(data);
-    const title = 'Claude Code';
-    let message = 'Waiting for input';
-
-    // Customize message based on notification type
-    const notificationType = input.notification_type;
-    if (notificationType === 'permission_prompt') {
-      message = 'Permission required - check terminal';
-    } else if (notificationType === 'idle_prompt') {
-      message = 'Claude is waiting for your input';
-    } else if (notificationType === 'auth_success') {
-      message = 'Authentication successful';
-    }
-
-    sendNotification(title, message);
-    logTelemetry({ hook: 'notify', event: 'Notification', outcome: 'fired', reason: notificationType || 'unknown', duration_ms: Date.now() - start });
-
-    // Pass through input unchanged
-    console.log(data);
-  } catch (error) {
-    // Don't fail the hook on notification error
-    console.error(`[Notify] Error: ${error.message}`);
-    logTelemetry({ hook: 'notify', event: 'Notification', outcome: 'error', reason: error.message, duration_ms: Date.now() - start });
-    console.log(data);
+const { defineHook } = require('../lib/hook-sdk.cjs');
+const { spawnWithBudget } = require('../lib/hook-budget.cjs');
+
+const NOTIFY_TIMEOUT_MS = 5000;
+const POWERSHELL_TIMEOUT_MS = 10000;
+
+module.exports = defineHook(module, 'notify', (input) => {
+  const title = 'Claude Code';
+  let message = 'Waiting for input';
+
+  // Customize message based on notification type
+  const notificationType = input.notification_type;
+  if (notificationType === 'permission_prompt') {
+    message = 'Permission required - check terminal';
+  } else if (notificationType === 'idle_prompt') {
+    message = 'Claude is waiting for your input';
+  } else if (notificationType === 'auth_success') {
+    message = 'Authentication successful';
   }
-});
+
+  sendNotification(title, message);
+  return { outcome: 'fired', reason: notificationType || 'unknown' };
+}, { event: 'Notification' });
 
 /**
  * Send a desktop notification using native OS tools
@@ -73,27 +62,20 @@ function sendNotification(title, message) {
  * Linux notification using notify-send (libnotify)
  */
 function sendLinuxNotification(title, message) {
-  // Check if notify-send is available
-  try {
-    execSync('which notify-send', { stdio: 'pipe' });
-    execSync(`notify-send "${escapeShell(title)}" "${escapeShell(message)}"`, {
-      stdio: 'pipe',
-      timeout: 5000
-    });
-  } catch {
-    // Try alternative: zenity (GNOME)
-    try {
-      execSync('which zenity', { stdio: 'pipe' });
-      // Use spawn to not block
-      spawn('zenity', ['--notification', `--text=${title}: ${message}`], {
-        detached: true,
-        stdio: 'ignore'
-      }).unref();
-    } catch {
-      // No notification tool available
-      console.error('[Notify] No notification tool found on Linux (tried: notify-send, zenity)');
-    }
+  const sent = spawnWithBudget('notify-send', [title, message], { stdio: 'ignore', timeout: NOTIFY_TIMEOUT_MS });
+  if (sent.status === 0) return;
+
+  // Try alternative: zenity (GNOME)
+  if (spawnWithBudget('which', ['zenity'], { stdio: 'ignore', timeout: NOTIFY_TIMEOUT_MS }).status === 0) {
+    // Use spawn to not block
+    spawn('zenity', ['--notification', `--text=${title}: ${message}`], {
+      detached: true,
+      stdio: 'ignore'
+    }).unref();
+    return;
   }
+  // No notification tool available
+  console.error('[Notify] No notification tool found on Linux (tried: notify-send, zenity)');
 }
 
 /**
@@ -101,9 +83,20 @@ function sendLinuxNotification(title, message) {
  */
 function sendMacNotification(title, message) {
   const script = `display notification "${escapeAppleScript(message)}" with title "${escapeAppleScript(title)}"`;
-  execSync(`osascript -e '${script}'`, {
-    stdio: 'pipe',
-    timeout: 5000
+  const result = spawnWithBudget('osascript', ['-e', script], { stdio: 'ignore', timeout: NOTIFY_TIMEOUT_MS });
+  if (result.error) throw result.error;
+}
+
+/**
+ * Run a PowerShell script, passed encoded so no quoting can break it
+ * @private
+ */
+function runPowerShell(script) {
+  const encoded = Buffer.from(script, 'utf16le').toString('base64');
+  return spawnWithBudget('powershell', ['-NoProfile', '-NonInteractive', '-EncodedCommand', encoded], {
+    stdio: 'ignore',
+    timeout: POWERSHELL_TIMEOUT_MS,
+    windowsHide: true
   });
 }
 
@@ -134,48 +127,30 @@ function sendWindowsNotification(title, message) {
     $xml.LoadXml($template)
     $toast = [Windows.UI.Notifications.ToastNotification]::new($xml)
     [Windows.UI.Notifications.ToastNotificationManager]::CreateToastNotifier("Claude Code").Show($toast)
-  `.trim().replace(/\n/g, '; ');
-
-  try {
-    // Try modern toast notification
-    execSync(`powershell -NoProfile -Command "${psScript}"`, {
-      stdio: 'pipe',
-      timeout: 10000,
-      windowsHide: true
-    });
-  } catch {
-    // Fallback: simple balloon tip via PowerShell
-    try {
-      const fallbackScript = `
-        Add-Type -AssemblyName System.Windows.Forms
-        $balloon = New-Object System.Windows.Forms.NotifyIcon
-        $balloon.Icon = [System.Drawing.SystemIcons]::Information
-        $balloon.BalloonTipTitle = '${escapePowerShell(title)}'
-        $balloon.BalloonTipText = '${escapePowerShell(message)}'
-        $balloon.Visible = $true
-        $balloon.ShowBalloonTip(5000)
-        Start-Sleep -Seconds 1
-        $balloon.Dispose()
-      `.trim().replace(/\n/g, '; ');
-
-      execSync(`powershell -NoProfile -Command "${fallbackScript}"`, {
-        stdio: 'pipe',
-        timeout: 10000,
-        windowsHide: true
-      });
-    } catch {
-      console.error('[Notify] Windows notification failed');
-    }
+  `.trim();
+
+  // Try modern toast notification
+  const toast = runPowerShell(psScript);
+  if (toast.status === 0 || toast.timedOut) return;
+
+  // Fallback: simple balloon tip via PowerShell
+  const fallbackScript = `
+    Add-Type -AssemblyName System.Windows.Forms
+    $balloon = New-Object System.Windows.Forms.NotifyIcon
+    $balloon.Icon = [System.Drawing.SystemIcons]::Information
+    $balloon.BalloonTipTitle = '${escapePowerShell(title)}'
+    $balloon.BalloonTipText = '${escapePowerShell(message)}'
+    $balloon.Visible = $true
+    $balloon.ShowBalloonTip(5000)
+    Start-Sleep -Seconds 1
+    $balloon.Dispose()
+  `.trim();
+
+  if (runPowerShell(fallbackScript).status !== 0) {
+    console.error('[Notify] Windows notification failed');
   }
 }
 
-/**
- * Escape string for shell commands
- */
-function escapeShell(str) {
-  return str.replace(/"/g, '\\"').replace(/`/g, '\\`').replace(/\$/g, '\\$');
-}
-
 /**
  * Escape string for AppleScript
  */
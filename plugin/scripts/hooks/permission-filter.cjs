@@ -1,96 +1,77 @@
 #!/usr/bin/env node
 /**
- * Permission Filter - Auto-approve safe operations
+ * Permission Filter - Policy-driven permission decisions
  *
  * Cross-platform (Windows, macOS, Linux)
  *
  * Runs on PermissionRequest event.
- * Auto-approves known safe bash commands.
+ * Evaluates Bash commands against the permission policy (built-in rules plus
+ * permission-policy.json from the config hierarchy) and allows, denies, or
+ * leaves the decision to the user. Compound commands are split into segments
+ * and only approved when every segment is.
+ *
+ * Every request is recorded in the permission audit trail
+ * (see lib/permission-audit.cjs and scripts/permission-audit.cjs).
+ *
+ * CLI mode: node permission-filter.cjs --explain "<command>"
  */
 
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
-
-let data = '';
-process.stdin.on('data', chunk => data += chunk);
-process.stdin.on('end', () => {
-  const start = Date.now();
-  try {
-    const input = JSON.parse(data);
-    const toolName = input.tool_name || '';
-    const toolInput = input.tool_input || {};
-
-    // Default: don't modify behavior (let user decide)
-    let decision = null;
-    let reason = '';
-
-    // Auto-approve safe bash commands
-    if (toolName === 'Bash') {
-      const command = toolInput.command || '';
-
-      // Whitelist of safe command patterns
-      const safePatterns = [
-        // Testing
-        /^(npm|yarn|pnpm|bun)\s+(test|run\s+test)/,
-        /^npx\s+(jest|vitest|mocha|playwright)/,
-        /^(pytest|python\s+-m\s+pytest)/,
-        /^go\s+test/,
-        /^cargo\s+test/,
-        /^mvn\s+test/,
-        /^gradle(w)?\s+test/,
+const { loadPolicy, compilePolicy, evaluateCommand, explainCommand } = require('../lib/permission-policy.cjs');
+const { logPermissionDecision } = require('../lib/permission-audit.cjs');
+const { defineHook, buildHookResult } = require('../lib/hook-sdk.cjs');
 
-        // Linting/formatting (read-only analysis)
-        /^(npm|yarn|pnpm|bun)\s+run\s+(lint|format|prettier|eslint)/,
-        /^npx\s+(prettier|eslint|tsc)\s+--check/,
-        /^(ruff|black|flake8|mypy)\s+check/,
-
-        // Build commands
-        /^(npm|yarn|pnpm|bun)\s+run\s+build/,
-        /^npx\s+tsc/,
-        /^mvn\s+(compile|package)/,
-        /^gradle(w)?\s+(build|assemble)/,
-        /^cargo\s+build/,
-        /^go\s+build/,
+if (require.main === module && process.argv.includes('--explain')) {
+  const command = process.argv[process.argv.indexOf('--explain') + 1];
+  if (!command) {
+    console.log('Usage: node permission-filter.cjs --explain "<command>"');
+    process.exit(1);
+  }
+  console.log(explainCommand(command));
+  process.exit(0);
+}
 
-        // Git read operations
-        /^git\s+(status|log|diff|branch|show|blame)/,
-        /^git\s+rev-parse/,
+module.exports = defineHook(module, 'permission-filter', (input) => {
+  const toolName = input.tool_name || '';
+  const toolInput = input.tool_input || {};
 
-        // Package info
-        /^(npm|yarn|pnpm)\s+(list|ls|outdated|audit)/,
+  // Default: don't modify behavior (let user decide)
+  let decision = null;
+  let reason = '';
+  const audit = { tool: toolName, cwd: input.cwd, session_id: input.session_id, decision: null };
 
-        // Safe system info
-        /^(which|whereis|type)\s+/,
-        /^(node|npm|yarn|pnpm|python|java|go|cargo|rustc)\s+(-v|--version)/
-      ];
+  if (toolName === 'Bash') {
+    const command = toolInput.command || '';
+    const compiled = compilePolicy(loadPolicy(input.cwd || process.cwd()));
+    const result = evaluateCommand(command, compiled);
+    const ruleReason = result.rule && result.rule.reason ? `: ${result.rule.reason}` : '';
 
-      for (const pattern of safePatterns) {
-        if (pattern.test(command)) {
-          decision = { behavior: 'allow' };
-          reason = `Auto-approved safe command: ${command.substring(0, 50)}...`;
-          break;
-        }
+    if (result.decision === 'allow') {
+      decision = { behavior: 'allow' };
+      reason = `Auto-approved by rule ${result.rule.id}${ruleReason}`;
+    } else if (result.decision === 'deny') {
+      reason = `Denied by rule ${result.rule.id}${ruleReason}`;
+      decision = { behavior: 'deny', message: reason };
+    } else if (result.decision === 'ask') {
+      reason = `rule ${result.rule.id} requires confirmation${ruleReason}`;
+    } else {
+      const unmatched = result.segments.find(s => s.words.length > 0 && s.decision === null);
+      if (unmatched) {
+        reason = `no rule for segment: ${unmatched.text.substring(0, 50)}`;
+        audit.unmatched = unmatched.text;
       }
     }
 
-    // Build output
-    const output = { ...input };
+    Object.assign(audit, { command, decision: result.decision, rule: result.rule && result.rule.id });
+  }
 
-    if (decision) {
-      output.hookSpecificOutput = {
-        hookEventName: 'PermissionRequest',
-        decision: decision,
-        additionalContext: reason
-      };
-      logTelemetry({ hook: 'permission-filter', event: 'PermissionRequest', outcome: 'fired', reason: reason, duration_ms: Date.now() - start, tool: toolName });
-    } else {
-      logTelemetry({ hook: 'permission-filter', event: 'PermissionRequest', outcome: 'skipped', reason: `no auto-approve for ${toolName}`, duration_ms: Date.now() - start, tool: toolName });
-    }
+  logPermissionDecision(audit);
 
-    console.log(JSON.stringify(output));
-  } catch (error) {
-    console.error(`[PermissionFilter] Error: ${error.message}`);
-    logTelemetry({ hook: 'permission-filter', event: 'PermissionRequest', outcome: 'error', reason: error.message, duration_ms: Date.now() - start });
-    // Pass through on error
-    console.log(data);
+  if (!decision) {
+    return { outcome: 'skipped', reason: reason || `no policy decision for ${toolName}` };
   }
-});
+  return {
+    outcome: 'fired',
+    reason,
+    output: buildHookResult('PermissionRequest', { decision, additionalContext: reason })
+  };
+}, { event: 'PermissionRequest' });
@@ -10,30 +10,29 @@
  */
 
 const { log } = require('../lib/utils.cjs');
-const { debugHook, wrapHookMain } = require('../lib/hook-debug.cjs');
+const { defineHook, debugHook, buildHookResult } = require('../lib/hook-sdk.cjs');
+const { spawnWithBudget } = require('../lib/hook-budget.cjs');
+
+const GIT_TIMEOUT_MS = 5000;
 
 /**
  * Get list of source files modified in current session
  */
 function getModifiedSourceFiles() {
-  try {
-    const { execSync } = require('child_process');
-    execSync('git rev-parse --git-dir', { stdio: 'pipe' });
-    const files = execSync('git diff --name-only HEAD 2>/dev/null || git diff --name-only', {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    }).trim().split('\n').filter(f => f.length > 0);
+  const gitOptions = { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: GIT_TIMEOUT_MS };
+  if (spawnWithBudget('git', ['rev-parse', '--git-dir'], gitOptions).status !== 0) return [];
 
-    const sourceExtensions = /\.(ts|tsx|js|jsx|py|java|kt|go|rs|rb|php|cs|cpp|c|h)$/;
-    return files.filter(f => sourceExtensions.test(f));
-  } catch {
-    return [];
-  }
+  // Without a HEAD commit yet, fall back to the unstaged diff
+  let diff = spawnWithBudget('git', ['diff', '--name-only', 'HEAD'], gitOptions);
+  if (diff.status !== 0 && !diff.timedOut) diff = spawnWithBudget('git', ['diff', '--name-only'], gitOptions);
+  if (diff.status !== 0) return [];
+
+  const files = diff.stdout.trim().split('\n').filter(f => f.length > 0);
+  const sourceExtensions = /\.(ts|tsx|js|jsx|py|java|kt|go|rs|rb|php|cs|cpp|c|h)$/;
+  return files.filter(f => sourceExtensions.test(f));
 }
 
-wrapHookMain('post-task-update', (input) => {
-  // Skip advisory hooks inside subagents — only fire for top-level Claude sessions
-  if (input.agent_id) return { outcome: 'skipped', reason: 'subagent' };
+module.exports = defineHook(module, 'post-task-update', (input) => {
   // Check if this was a task completion
   const toolInput = input.tool_input || {};
   const status = toolInput.status;
@@ -56,13 +55,12 @@ wrapHookMain('post-task-update', (input) => {
   log(`[TaskComplete] Task completed with ${modifiedFiles.length} source file(s) modified`);
 
   const fileList = modifiedFiles.slice(0, 5).join(', ') + (modifiedFiles.length > 5 ? '...' : '');
-  debugHook('post-task-update', 'output', 'Writing review recommendation', { fileCount: modifiedFiles.length });
-  console.log(JSON.stringify({
-    hookSpecificOutput: {
-      hookEventName: 'PostToolUse',
+  debugHook('post-task-update', 'output', 'Returning review recommendation', { fileCount: modifiedFiles.length });
+  return {
+    outcome: 'fired',
+    reason: `review recommended for ${modifiedFiles.length} file(s)`,
+    output: buildHookResult('PostToolUse', {
       additionalContext: `[Code Review Recommended] Task completed with ${modifiedFiles.length} source file(s) modified: ${fileList}. Consider running code-reviewer agent to verify code quality and security before committing. You should inform the user about this recommendation.`
-    }
-  }));
-
-  return { outcome: 'fired', reason: `review recommended for ${modifiedFiles.length} file(s)` };
-});
+    })
+  };
+}, { event: 'PostToolUse', skipSubagents: true });
@@ -8,11 +8,9 @@
  * Filters internally for "gh pr create" commands.
  */
 
-const { debugHook, wrapHookMain } = require('../lib/hook-debug.cjs');
+const { defineHook, debugHook, buildHookResult } = require('../lib/hook-sdk.cjs');
 
-wrapHookMain('pr-url-logger', (input) => {
-  // Skip advisory hooks inside subagents — only fire for top-level Claude sessions
-  if (input.agent_id) return { outcome: 'skipped', reason: 'subagent' };
+module.exports = defineHook(module, 'pr-url-logger', (input) => {
   const cmd = input.tool_input?.command || '';
 
   // Only process gh pr create commands
@@ -35,17 +33,17 @@ wrapHookMain('pr-url-logger', (input) => {
       console.error(`[Hook] PR created: ${prUrl}`);
       console.error(`[Hook] To review: gh pr review ${prNumber} --repo ${repo}`);
 
-      debugHook('pr-url-logger', 'output', 'Writing PR URL context', prUrl);
-      console.log(JSON.stringify({
-        hookSpecificOutput: {
-          hookEventName: 'PostToolUse',
+      debugHook('pr-url-logger', 'output', 'Returning PR URL context', prUrl);
+      return {
+        outcome: 'fired',
+        reason: `PR #${prNumber} logged`,
+        output: buildHookResult('PostToolUse', {
           additionalContext: `PR created: ${prUrl}. To review: gh pr review ${prNumber} --repo ${repo}`
-        }
-      }));
-      return { outcome: 'fired', reason: `PR #${prNumber} logged` };
+        })
+      };
     }
   }
 
   debugHook('pr-url-logger', 'exit', 'No PR URL found — clean exit');
   return { outcome: 'skipped', reason: 'no PR URL in output' };
-});
+}, { event: 'PostToolUse', skipSubagents: true });
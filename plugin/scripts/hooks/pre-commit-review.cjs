@@ -14,42 +14,26 @@
  */
 
 const { log } = require('../lib/utils.cjs');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
+const { defineHook } = require('../lib/hook-sdk.cjs');
+const { spawnWithBudget } = require('../lib/hook-budget.cjs');
 
-/**
- * Read hook input from stdin (JSON format)
- */
-function readStdin() {
-  return new Promise((resolve) => {
-    let data = '';
-    process.stdin.on('data', chunk => data += chunk);
-    process.stdin.on('end', () => {
-      try {
-        resolve(JSON.parse(data));
-      } catch {
-        resolve({});
-      }
-    });
-  });
-}
+const GIT_TIMEOUT_MS = 5000;
 
 /**
  * Get list of staged source files
  */
 function getStagedSourceFiles() {
-  try {
-    const { execSync } = require('child_process');
-    const files = execSync('git diff --cached --name-only', {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    }).trim().split('\n').filter(f => f.length > 0);
+  const diff = spawnWithBudget('git', ['diff', '--cached', '--name-only'], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: GIT_TIMEOUT_MS
+  });
+  if (diff.status !== 0) return [];
+  const files = diff.stdout.trim().split('\n').filter(f => f.length > 0);
 
-    // Filter to source code files only
-    const sourceExtensions = /\.(ts|tsx|js|jsx|py|java|kt|go|rs|rb|php|cs|cpp|c|h)$/;
-    return files.filter(f => sourceExtensions.test(f));
-  } catch {
-    return [];
-  }
+  // Filter to source code files only
+  const sourceExtensions = /\.(ts|tsx|js|jsx|py|java|kt|go|rs|rb|php|cs|cpp|c|h)$/;
+  return files.filter(f => sourceExtensions.test(f));
 }
 
 /**
@@ -62,26 +46,13 @@ function wasReviewRecentlyDone() {
   return process.env.CLAUDE_RECENT_CODE_REVIEW === 'true';
 }
 
-async function main() {
-  const start = Date.now();
-  const input = await readStdin();
-
-  // Skip advisory hooks inside subagents — only fire for top-level Claude sessions
-  if (input.agent_id) {
-    logTelemetry({ hook: 'pre-commit-review', event: 'PreToolUse', outcome: 'skipped', reason: 'subagent', duration_ms: Date.now() - start });
-    console.log(JSON.stringify(input));
-    process.exit(0);
-  }
-
+module.exports = defineHook(module, 'pre-commit-review', (input) => {
   // Get the command being executed
   const command = input.tool_input?.command || '';
 
   // Only trigger for actual git commit (not amend, not other git commands)
   if (!/^git\s+commit\b/.test(command) || /--amend/.test(command)) {
-    // Not a fresh commit, pass through
-    logTelemetry({ hook: 'pre-commit-review', event: 'PreToolUse', outcome: 'skipped', reason: 'not a git commit', duration_ms: Date.now() - start });
-    console.log(JSON.stringify(input));
-    process.exit(0);
+    return { outcome: 'skipped', reason: 'not a git commit' };
   }
 
   // Check for staged source files
@@ -90,17 +61,13 @@ async function main() {
   if (stagedFiles.length === 0) {
     // No source files being committed, skip review suggestion
     log('[PreCommit] Commit has no source files staged');
-    logTelemetry({ hook: 'pre-commit-review', event: 'PreToolUse', outcome: 'skipped', reason: 'no staged source files', duration_ms: Date.now() - start });
-    console.log(JSON.stringify(input));
-    process.exit(0);
+    return { outcome: 'skipped', reason: 'no staged source files' };
   }
 
   // Check if review was recently done
   if (wasReviewRecentlyDone()) {
     log('[PreCommit] Code review was recently performed, skipping suggestion');
-    logTelemetry({ hook: 'pre-commit-review', event: 'PreToolUse', outcome: 'skipped', reason: 'review recently done', duration_ms: Date.now() - start });
-    console.log(JSON.stringify(input));
-    process.exit(0);
+    return { outcome: 'skipped', reason: 'review recently done' };
   }
 
   // Staged source files - suggest review (but don't block)
@@ -108,21 +75,5 @@ async function main() {
   log(`[PreCommit] ${stagedFiles.length} source file(s) about to be committed`);
   log(`[PreCommit] Files: ${stagedFiles.slice(0, 3).join(', ')}${stagedFiles.length > 3 ? '...' : ''}`);
   log('[PreCommit] Tip: Run code-reviewer agent before commit for quality assurance');
-  logTelemetry({ hook: 'pre-commit-review', event: 'PreToolUse', outcome: 'fired', reason: `${stagedFiles.length} staged source file(s)`, duration_ms: Date.now() - start });
-
-  // Pass through unchanged (don't block the commit)
-  console.log(JSON.stringify(input));
-  process.exit(0);
-}
-
-main().catch(err => {
-  console.error('[PreCommit] Error:', err.message);
-  // On error, pass through without blocking
-  process.stdin.resume();
-  let data = '';
-  process.stdin.on('data', c => data += c);
-  process.stdin.on('end', () => {
-    console.log(data || '{}');
-    process.exit(0);
-  });
-});
+  return { outcome: 'fired', reason: `${stagedFiles.length} staged source file(s)` };
+}, { event: 'PreToolUse', skipSubagents: true });
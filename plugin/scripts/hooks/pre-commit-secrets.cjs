@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Pre-Commit Secrets - Scan what a git commit would record for secrets
+ *
+ * Cross-platform (Windows, macOS, Linux)
+ *
+ * Runs on PreToolUse for Bash commands that include `git commit`.
+ * Scans the added lines of the staged changes with lib/secret-scanner.cjs.
+ * When the same command stages files first (`git add -A && git commit`) or
+ * uses `git commit -a`, the working tree is scanned instead, since the index
+ * is not updated yet; `git add <paths>` adds only those paths to the index
+ * scan. `cd dir &&` and `git -C dir commit` pick the repository to scan.
+ *
+ * With `secrets.commit` = "deny" (default) in .claude/security.json, a
+ * high-confidence finding denies the commit; "warn" only reports, "off" skips.
+ * Inline `magic-claude-ignore` comments and the project baseline apply.
+ */
+
+const path = require('path');
+const { analyzeCommitCommand, scanCommitChanges, getSecretsConfig } = require('../lib/secret-scanner.cjs');
+const { emitDiagnostics } = require('../lib/diagnostics.cjs');
+const { defineHook, debugHook, buildHookResult } = require('../lib/hook-sdk.cjs');
+
+module.exports = defineHook(module, 'pre-commit-secrets', (input, ctx) => {
+  const commit = analyzeCommitCommand(input.tool_input?.command || '');
+  if (!commit) {
+    return { outcome: 'skipped', reason: 'not a git commit' };
+  }
+
+  const cwd = path.resolve(input.cwd || process.cwd(), commit.dir || '.');
+  const config = getSecretsConfig(cwd);
+  if (config.commit === 'off') {
+    return { outcome: 'skipped', reason: 'secrets.commit is off' };
+  }
+
+  const { root, files, diagnostics } = scanCommitChanges(cwd, { worktree: commit.worktree, paths: commit.paths, config });
+  if (!root) {
+    return { outcome: 'skipped', reason: 'not a git repository' };
+  }
+  debugHook('pre-commit-secrets', 'process', `Scanned ${files.length} file(s)`, { worktree: commit.worktree });
+
+  const { rendered, surfaced } = emitDiagnostics('pre-commit-secrets', diagnostics, {
+    title: 'Secrets in commit',
+    files,
+    cwd: root,
+    hookEventName: 'PreToolUse',
+    minSeverity: ctx.hookSettings('pre-commit-secrets').options.minSeverity,
+    writeOutput: false
+  });
+
+  if (surfaced.length === 0) {
+    return { outcome: 'skipped', reason: `no secrets in ${files.length} changed file(s)` };
+  }
+
+  const blocking = surfaced.filter(d => d.confidence === 'high');
+  if (config.commit === 'deny' && blocking.length > 0) {
+    return {
+      outcome: 'fired',
+      reason: `denied commit: ${blocking.length} high-confidence secret(s)`,
+      output: buildHookResult('PreToolUse', {
+        permissionDecision: 'deny',
+        permissionDecisionReason: `${rendered}\nRemove the secret(s) from the staged changes (and rotate them), or mark a false positive with a magic-claude-ignore comment.`
+      })
+    };
+  }
+
+  return { outcome: 'fired', reason: `warned about ${surfaced.length} possible secret(s)` };
+}, { event: 'PreToolUse' });
@@ -19,10 +19,9 @@ const {
   findFiles,
   ensureDir,
   appendFile,
-  readStdinJson,
   log
 } = require('../lib/utils.cjs');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
+const { defineHook } = require('../lib/hook-sdk.cjs');
 
 const STATE_FILENAME = 'craft-state.md';
 const LEGACY_STATE_FILENAME = 'orchestration-state.md';
@@ -161,14 +160,7 @@ function enrichStateFile(stateFilePath) {
   return { enriched: true, phase, feature };
 }
 
-async function main() {
-  const start = Date.now();
-  // Skip advisory hooks inside subagents — only fire for top-level Claude sessions
-  const hookInput = await readStdinJson().catch(() => ({}));
-  if (hookInput.agent_id) {
-    logTelemetry({ hook: 'pre-compact', event: 'PreCompact', outcome: 'skipped', reason: 'subagent', duration_ms: Date.now() - start });
-    process.exit(0);
-  }
+module.exports = defineHook(module, 'pre-compact', () => {
   const sessionsDir = getSessionsDir();
   const compactionLog = path.join(sessionsDir, 'compaction-log.txt');
 
@@ -236,11 +228,5 @@ async function main() {
 
   log('[PreCompact] State saved before compaction');
   const hasCraftState = fs.existsSync(stateFile);
-  logTelemetry({ hook: 'pre-compact', event: 'PreCompact', outcome: 'fired', reason: hasCraftState ? 'state saved (active craft pipeline)' : 'state saved', duration_ms: Date.now() - start });
-  process.exit(0);
-}
-
-main().catch(err => {
-  console.error('[PreCompact] Error:', err.message);
-  process.exit(0);
-});
+  return { outcome: 'fired', reason: hasCraftState ? 'state saved (active craft pipeline)' : 'state saved' };
+}, { event: 'PreCompact', skipSubagents: true });
@@ -9,12 +9,16 @@
  * Mirrors typescript-checker.cjs behavior for Python ecosystem.
  */
 
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { debugHook, wrapHookMain } = require('../lib/hook-debug.cjs');
+const { createDiagnostic, emitDiagnostics } = require('../lib/diagnostics.cjs');
+const { spawnWithBudget } = require('../lib/hook-budget.cjs');
+const { defineHook, debugHook } = require('../lib/hook-sdk.cjs');
 
-wrapHookMain('pyright-checker', (input) => {
+// "  /abs/path/app.py:12:5 - error: Expression of type ... (reportAssignmentType)"
+const DIAGNOSTIC_LINE = /^\s*(.+?):(\d+):(\d+) - (error|warning|information): (.*?)(?: \((report\w+)\))?$/;
+
+module.exports = defineHook(module, 'pyright-checker', (input, ctx) => {
   const filePath = input.tool_input?.file_path;
 
   // Only process Python files
@@ -41,60 +45,53 @@ wrapHookMain('pyright-checker', (input) => {
     return { outcome: 'skipped', reason: 'no pyproject.toml or pyrightconfig.json' };
   }
 
-  // Check if pyright is available
-  let pyrightAvailable = false;
-  try {
-    execSync('which pyright', { stdio: 'pipe' });
-    pyrightAvailable = true;
-  } catch {
-    try {
-      execSync('npx pyright --version', { stdio: 'pipe', timeout: 10000 });
-      pyrightAvailable = true;
-    } catch {
-      // pyright not available at all
-    }
-  }
+  // Check if pyright is available. pyright and npx are .cmd shims on
+  // Windows, which only run through the shell
+  const shell = process.platform === 'win32';
+  const probe = { stdio: 'ignore', shell };
+  const pyrightAvailable =
+    spawnWithBudget(shell ? 'where' : 'which', ['pyright'], { ...probe, timeout: 5000 }).status === 0 ||
+    spawnWithBudget('npx', ['pyright', '--version'], { ...probe, timeout: 10000 }).status === 0;
 
   if (!pyrightAvailable) {
     debugHook('pyright-checker', 'process', 'Pyright not available — skipping');
     return { outcome: 'skipped', reason: 'pyright not installed' };
   }
 
-  let errorLines = [];
-  try {
-    debugHook('pyright-checker', 'process', 'Running pyright', { file: filePath, cwd: dir });
-    const result = execSync(`pyright "${filePath}" 2>&1`, {
-      cwd: dir,
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-      timeout: 30000
-    });
+  debugHook('pyright-checker', 'process', 'Running pyright', { file: filePath, cwd: dir });
+  const result = spawnWithBudget('pyright', [shell ? `"${filePath}"` : filePath], {
+    cwd: dir,
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    timeout: 30000,
+    shell
+  });
+  // pyright exits non-zero when there are errors
+  const output = `${result.stdout || ''}${result.stderr || ''}`;
 
-    errorLines = result.split('\n').filter(line =>
-      line.includes('error:') && line.includes(filePath)
-    ).slice(0, 10);
-  } catch (error) {
-    // pyright exits non-zero when there are errors
-    const stdout = error.stdout || '';
-    errorLines = stdout.split('\n').filter(line =>
-      line.includes('error:') && line.includes(filePath)
-    ).slice(0, 10);
+  const resolvedFile = path.resolve(filePath);
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(DIAGNOSTIC_LINE);
+    if (!match || match[4] !== 'error' || path.resolve(dir, match[1]) !== resolvedFile) continue;
+    diagnostics.push(createDiagnostic({
+      file: resolvedFile,
+      line: match[2],
+      column: match[3],
+      severity: 'error',
+      ruleId: match[6] || 'pyright',
+      source: 'pyright',
+      message: match[5]
+    }));
   }
 
-  if (errorLines.length) {
-    console.error('[Pyright] Type errors found:');
-    console.error(errorLines.join('\n'));
+  const { output: hookOutput, surfaced } = emitDiagnostics('pyright-checker', diagnostics, { title: 'Pyright', files: [resolvedFile], cwd: dir, minSeverity: ctx.hookSettings('pyright-checker').options.minSeverity, writeOutput: false });
 
-    debugHook('pyright-checker', 'output', 'Writing type errors', errorLines.length);
-    console.log(JSON.stringify({
-      hookSpecificOutput: {
-        hookEventName: 'PostToolUse',
-        additionalContext: `[Pyright] Type errors in ${path.basename(filePath)}:\n${errorLines.join('\n')}`
-      }
-    }));
-    return { outcome: 'fired', reason: `${errorLines.length} type error(s)` };
+  if (surfaced.length) {
+    debugHook('pyright-checker', 'output', 'Wrote type errors', surfaced.length);
+    return { outcome: 'fired', reason: `${surfaced.length} type error(s)`, output: hookOutput };
   }
 
   debugHook('pyright-checker', 'exit', 'No errors — clean exit');
   return { outcome: 'skipped', reason: 'no type errors' };
-});
+}, { event: 'PostToolUse' });
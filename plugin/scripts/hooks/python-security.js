@@ -2,277 +2,112 @@
 
 /**
  * Python Security Hook
- * Runs security scans on Python files using Semgrep and pip-audit
+ * Runs security scans on Python files using Semgrep
  *
  * Triggers:
  * - PostToolUse: Edit/Write of .py files
- * - Runs Semgrep SAST scan on changed files
- * - Runs pip-audit on project dependencies (throttled)
+ * - Runs Semgrep SAST scan on changed files (offline rule pack by default)
  *
  * Tools:
- * - Semgrep: AI-powered static analysis for security vulnerabilities
- * - pip-audit: Checks for known vulnerabilities in dependencies
+ * - Semgrep: static analysis with the plugin's rule pack (plugin/security/semgrep/),
+ *   project rules from .claude/security-rules/ and optionally the registry
+ *
+ * Dependency vulnerabilities (pip-audit) are handled by the dependency-audit hook.
  */
 
 import fs from 'fs';
 import path from 'path';
+import { defineHook, buildHookResult, debugHook } from '../lib/hook-sdk.cjs';
 import {
-  readHookInput,
-  writeHookResult,
-  debugHook,
+  sharedProjectTypes,
   getFilePath,
   getToolName,
-  detectProjectType,
   logHook,
   commandExists,
   safeExecSync,
-  isValidFilePath,
-  logTelemetry
+  isValidFilePath
 } from '../lib/hook-utils.js';
+import { emitDiagnostics } from '../lib/diagnostics.cjs';
+import { buildSemgrepArgs, semgrepToDiagnostics } from '../lib/semgrep.cjs';
 
 /**
  * Run Semgrep security scan on a Python file
  * @param {string} filePath - Path to Python file
- * @returns {boolean} True if issues found
+ * @param {string} cwd - Session working directory (project rules, config)
+ * @returns {object[]} Diagnostics (empty if Semgrep is unavailable or found nothing)
  */
-function runSemgrepScan(filePath) {
+function runSemgrepScan(filePath, cwd) {
   if (!isValidFilePath(filePath)) {
     logHook(`Invalid file path for security scan: ${filePath}`, 'WARNING');
-    return false;
+    return [];
   }
 
   if (!commandExists('semgrep')) {
-    return false;
+    return [];
+  }
+
+  // Offline rule pack + .claude/security-rules/ by default; registry only when configured
+  const { mode, args, ruleIds, pack } = buildSemgrepArgs(filePath, { language: 'python', cwd });
+  if (args.length === 0) {
+    return [];
   }
+  debugHook('python-security', 'process', `Semgrep rules: ${mode}`, pack && `${pack.name}@${pack.version}`);
 
+  let result;
   try {
-    // Run Semgrep with auto config (includes Python security rules)
-    // --quiet: Suppress progress messages
-    // --config auto: Use curated ruleset from Semgrep registry
     // Safe execution with array arguments - prevents command injection
-    const result = safeExecSync(
-      'semgrep',
-      ['--config', 'auto', filePath, '--json', '--quiet'],
-      {
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      }
-    );
-
-    const output = JSON.parse(result);
-
-    // Check if any results were found
-    if (output.results && output.results.length > 0) {
-      const critical = output.results.filter(r => r.extra?.severity === 'ERROR');
-      const warnings = output.results.filter(r => r.extra?.severity === 'WARNING');
-
-      if (critical.length > 0 || warnings.length > 0) {
-        logHook(`Semgrep found security issues in ${path.basename(filePath)}:`, 'WARNING');
-
-        critical.forEach(issue => {
-          console.error(`  [CRITICAL] Line ${issue.start.line}: ${issue.extra?.message || issue.check_id}`);
-        });
-
-        warnings.forEach(issue => {
-          console.error(`  [WARNING] Line ${issue.start.line}: ${issue.extra?.message || issue.check_id}`);
-        });
-
-        console.error('[Hook] Review and fix security issues before committing');
-        return true;
-      }
-    }
-
-    return false;
+    result = safeExecSync('semgrep', args, {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
   } catch (error) {
     // Semgrep may exit with non-zero if issues found
-    if (error.stdout) {
-      try {
-        const output = JSON.parse(error.stdout);
-        if (output.results && output.results.length > 0) {
-          logHook(`Semgrep found ${output.results.length} issue(s) in ${path.basename(filePath)}`, 'WARNING');
-          return true;
-        }
-      } catch {
-        // Failed to parse output, skip
-      }
-    }
-    return false;
+    result = error.stdout;
   }
-}
-
-/**
- * Check if pip-audit was run recently (avoid running too often)
- * @param {string} cwd - Working directory
- * @returns {boolean} True if pip-audit should be skipped
- */
-function shouldSkipPipAudit(cwd) {
-  const cacheFile = path.join(cwd, '.claude', 'pip-audit-last-run.txt');
 
   try {
-    if (fs.existsSync(cacheFile)) {
-      const lastRun = fs.readFileSync(cacheFile, 'utf8');
-      const lastRunTime = new Date(lastRun).getTime();
-      const now = Date.now();
-      const hoursSinceLastRun = (now - lastRunTime) / (1000 * 60 * 60);
-
-      // Skip if run less than 1 hour ago
-      if (hoursSinceLastRun < 1) {
-        return true;
-      }
-    }
+    return semgrepToDiagnostics(JSON.parse(result), filePath, ruleIds);
   } catch {
-    // Cache file doesn't exist or invalid, don't skip
+    // Failed to parse output, skip
+    return [];
   }
-
-  return false;
 }
 
-/**
- * Update pip-audit last run timestamp
- * @param {string} cwd - Working directory
- */
-function updatePipAuditTimestamp(cwd) {
-  const cacheDir = path.join(cwd, '.claude');
-  const cacheFile = path.join(cacheDir, 'pip-audit-last-run.txt');
+export default defineHook(import.meta, 'python-security', (context, ctx) => {
+  const projectTypes = sharedProjectTypes(ctx);
 
-  try {
-    if (!fs.existsSync(cacheDir)) {
-      fs.mkdirSync(cacheDir, { recursive: true });
-    }
-    fs.writeFileSync(cacheFile, new Date().toISOString(), 'utf8');
-  } catch {
-    // Fail silently
+  if (!projectTypes.includes('python')) {
+    debugHook('python-security', 'process', 'Skipping — not a Python project', projectTypes);
+    return { outcome: 'skipped', reason: `not a python project (${projectTypes.join(',')})` };
   }
-}
 
-/**
- * Run pip-audit to check for vulnerable dependencies
- * @param {string} cwd - Working directory
- * @returns {boolean} True if vulnerabilities found
- */
-function runPipAudit(cwd) {
-  if (!commandExists('pip-audit')) {
-    return false;
-  }
+  const tool = getToolName(context);
+  const filePath = getFilePath(context);
 
-  // Skip if run recently
-  if (shouldSkipPipAudit(cwd)) {
-    return false;
+  if (!(tool === 'Edit' || tool === 'Write') || !filePath || !filePath.endsWith('.py')) {
+    return { outcome: 'skipped', reason: `not Edit/Write on .py (tool=${tool})` };
   }
-
-  try {
-    // Run pip-audit with JSON output
-    // Safe execution with array arguments - prevents command injection
-    const result = safeExecSync('pip-audit', ['--format', 'json'], {
-      cwd,
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-
-    const output = JSON.parse(result);
-
-    // Check for vulnerabilities
-    if (output.dependencies && output.dependencies.length > 0) {
-      const critical = output.dependencies.filter(d =>
-        d.vulns.some(v => v.severity === 'CRITICAL' || v.severity === 'HIGH')
-      );
-
-      if (critical.length > 0) {
-        logHook('pip-audit found vulnerable dependencies:', 'WARNING');
-
-        critical.forEach(dep => {
-          console.error(`  [${dep.name}] ${dep.version}`);
-          dep.vulns.forEach(vuln => {
-            console.error(`    - ${vuln.id}: ${vuln.description.substring(0, 80)}...`);
-          });
-        });
-
-        console.error('[Hook] Update vulnerable dependencies before deploying');
-        updatePipAuditTimestamp(cwd);
-        return true;
-      }
-    }
-
-    updatePipAuditTimestamp(cwd);
-    return false;
-  } catch (error) {
-    // pip-audit may exit with non-zero if vulnerabilities found
-    if (error.stdout) {
-      try {
-        const output = JSON.parse(error.stdout);
-        if (output.dependencies && output.dependencies.length > 0) {
-          logHook(`pip-audit found ${output.dependencies.length} vulnerable package(s)`, 'WARNING');
-          updatePipAuditTimestamp(cwd);
-          return true;
-        }
-      } catch {
-        // Failed to parse output, skip
-      }
-    }
-    return false;
+  if (!fs.existsSync(filePath)) {
+    return { outcome: 'skipped', reason: 'file does not exist' };
   }
-}
 
-/**
- * Main hook function
- */
-async function main() {
-  const start = Date.now();
-  try {
-    const context = await readHookInput();
-
-    if (!context) {
-      logHook('No context received from stdin', 'WARNING');
-      logTelemetry({ hook: 'python-security', event: 'PostToolUse', outcome: 'skipped', reason: 'no stdin context', duration_ms: Date.now() - start });
-      process.exit(0);
-    }
-
-    const projectTypes = detectProjectType(process.cwd());
-
-    if (!projectTypes.includes('python')) {
-      debugHook('python-security', 'process', 'Skipping — not a Python project', projectTypes);
-      logTelemetry({ hook: 'python-security', event: 'PostToolUse', outcome: 'skipped', reason: `not a python project (${projectTypes.join(',')})`, duration_ms: Date.now() - start });
-      process.exit(0);
-    }
-
-    const tool = getToolName(context);
-    const filePath = getFilePath(context);
-
-    if ((tool === 'Edit' || tool === 'Write') && filePath && filePath.endsWith('.py')) {
-      if (fs.existsSync(filePath)) {
-        const findings = [];
+  const diagnostics = runSemgrepScan(filePath, ctx.cwd);
 
-        const semgrepIssues = runSemgrepScan(filePath);
-        if (semgrepIssues) findings.push(`Semgrep found security issues in ${path.basename(filePath)}`);
+  const { rendered, surfaced } = emitDiagnostics('python-security', diagnostics, {
+    title: 'Python Security',
+    files: [path.resolve(filePath)],
+    minSeverity: ctx.hookSettings('python-security').options.minSeverity,
+    writeOutput: false
+  });
 
-        const pipAuditIssues = runPipAudit(process.cwd());
-        if (pipAuditIssues) findings.push('pip-audit found vulnerable dependencies');
-
-        if (findings.length > 0) {
-          writeHookResult('PostToolUse', {
-            additionalContext: `[Python Security] ${findings.join('. ')}. Review and fix before committing.`
-          });
-          logTelemetry({ hook: 'python-security', event: 'PostToolUse', outcome: 'fired', reason: `${findings.length} finding(s)`, duration_ms: Date.now() - start, file: filePath, tool });
-        } else {
-          logTelemetry({ hook: 'python-security', event: 'PostToolUse', outcome: 'skipped', reason: 'no security issues', duration_ms: Date.now() - start, file: filePath, tool });
-        }
-      } else {
-        logTelemetry({ hook: 'python-security', event: 'PostToolUse', outcome: 'skipped', reason: 'file does not exist', duration_ms: Date.now() - start, file: filePath, tool });
-      }
-    } else {
-      logTelemetry({ hook: 'python-security', event: 'PostToolUse', outcome: 'skipped', reason: `not Edit/Write on .py (tool=${tool})`, duration_ms: Date.now() - start, file: filePath, tool });
-    }
-
-    process.exit(0);
-
-  } catch (error) {
-    logHook(`Unexpected error: ${error.message}`, 'ERROR');
-    logTelemetry({ hook: 'python-security', event: 'PostToolUse', outcome: 'error', reason: error.message, duration_ms: Date.now() - start });
-    process.exit(0);
+  if (!rendered) {
+    return { outcome: 'skipped', reason: 'no security issues' };
   }
-}
-
-main().catch((err) => {
-  logHook(`Fatal error: ${err.message}`, 'ERROR');
-  process.exit(0);
-});
+  return {
+    outcome: 'fired',
+    reason: `${surfaced.length} finding(s)`,
+    output: buildHookResult('PostToolUse', {
+      additionalContext: `${rendered}\nReview and fix before committing.`
+    })
+  };
+}, { event: 'PostToolUse' });
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Secret Scanner - Flag hardcoded secrets after edits
+ *
+ * Cross-platform (Windows, macOS, Linux)
+ *
+ * Runs on PostToolUse for Edit/Write, for every file type.
+ * Token formats, credential assignments and high-entropy literals come from
+ * lib/secret-scanner.cjs; test fixtures and lockfiles are allowlisted there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanContent, getSecretsConfig, isAllowedPath } = require('../lib/secret-scanner.cjs');
+const { emitDiagnostics } = require('../lib/diagnostics.cjs');
+const { defineHook, debugHook } = require('../lib/hook-sdk.cjs');
+
+module.exports = defineHook(module, 'secret-scanner', (input, ctx) => {
+  const filePath = input.tool_input?.file_path;
+
+  if (!filePath || !fs.existsSync(filePath)) {
+    debugHook('secret-scanner', 'process', 'Skipping — no file path or missing', filePath);
+    return { outcome: 'skipped', reason: 'no file path or file missing' };
+  }
+
+  const absolute = path.resolve(filePath);
+  const config = getSecretsConfig(input.cwd || process.cwd());
+
+  if (isAllowedPath(absolute, config.allowPaths)) {
+    debugHook('secret-scanner', 'process', 'Skipping — allowlisted path', absolute);
+    return { outcome: 'skipped', reason: 'allowlisted path' };
+  }
+
+  const diagnostics = scanContent(fs.readFileSync(absolute, 'utf8'), { file: absolute, config });
+
+  const { output, surfaced } = emitDiagnostics('secret-scanner', diagnostics, {
+    title: 'Secrets',
+    files: [absolute],
+    footer: 'Move secrets to environment variables or a secret manager before committing.',
+    minSeverity: ctx.hookSettings('secret-scanner').options.minSeverity,
+    writeOutput: false
+  });
+
+  if (surfaced.length > 0) {
+    return { outcome: 'fired', reason: `found ${surfaced.length} possible secret(s)`, output };
+  }
+  return { outcome: 'skipped', reason: 'no secrets found' };
+}, { event: 'PostToolUse' });
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Security Gate - Deny edits that would introduce severe security findings
+ *
+ * Cross-platform (Windows, macOS, Linux)
+ *
+ * Runs on PreToolUse for Edit/Write. Only active when the project sets
+ * `enforcement.mode` to "block" in .claude/security.json; in advisory mode
+ * (default) it exits immediately and the PostToolUse security hooks report
+ * findings after the fact. In blocking mode the content the call would write
+ * (Write content, or the Edit applied to the current file) is scanned with
+ * lib/security-gate.cjs, and the call is denied when a finding reaches
+ * `enforcement.severity` (default "error").
+ */
+
+const { evaluateToolUse, getEnforcementConfig } = require('../lib/security-gate.cjs');
+const { renderDiagnostics } = require('../lib/diagnostics.cjs');
+const { defineHook, debugHook, buildHookResult } = require('../lib/hook-sdk.cjs');
+
+module.exports = defineHook(module, 'security-gate', (input) => {
+  const cwd = input.cwd || process.cwd();
+  const config = getEnforcementConfig(cwd);
+  if (config.mode !== 'block') {
+    return { outcome: 'skipped', reason: 'advisory mode' };
+  }
+
+  const result = evaluateToolUse(input.tool_name, input.tool_input, { cwd, config });
+  if (!result) {
+    return { outcome: 'skipped', reason: `not an applicable Edit/Write (tool=${input.tool_name})` };
+  }
+  debugHook('security-gate', 'process', `Scanned proposed content of ${result.file}`, { surfaced: result.surfaced.length, blocking: result.blocking.length });
+
+  if (result.blocking.length === 0) {
+    return { outcome: 'skipped', reason: `no findings at ${config.severity} or above` };
+  }
+
+  const rendered = renderDiagnostics(result.blocking, { title: 'Security gate', cwd });
+  console.error(rendered);
+  return {
+    outcome: 'fired',
+    reason: `denied ${input.tool_name}: ${result.blocking.length} finding(s)`,
+    output: buildHookResult('PreToolUse', {
+      permissionDecision: 'deny',
+      permissionDecisionReason: `${rendered}\nRewrite the change without these issues, or mark a false positive with a magic-claude-ignore comment.`
+    })
+  };
+}, { event: 'PreToolUse' });
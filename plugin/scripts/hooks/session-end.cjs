@@ -17,19 +17,11 @@ const {
   ensureDir,
   writeFile,
   replaceInFile,
-  readStdinJson,
   log
 } = require('../lib/utils.cjs');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
+const { defineHook } = require('../lib/hook-sdk.cjs');
 
-async function main() {
-  const start = Date.now();
-  // Skip advisory hooks inside subagents — only fire for top-level Claude sessions
-  const hookInput = await readStdinJson().catch(() => ({}));
-  if (hookInput.agent_id) {
-    logTelemetry({ hook: 'session-end', event: 'SessionEnd', outcome: 'skipped', reason: 'subagent', duration_ms: Date.now() - start });
-    process.exit(0);
-  }
+module.exports = defineHook(module, 'session-end', () => {
   const sessionsDir = getSessionsDir();
   const today = getDateString();
   const sessionFile = path.join(sessionsDir, `${today}-session.tmp`);
@@ -48,11 +40,13 @@ async function main() {
 
     if (success) {
       log(`[SessionEnd] Updated session file: ${sessionFile}`);
-      logTelemetry({ hook: 'session-end', event: 'SessionEnd', outcome: 'fired', reason: 'updated session file', duration_ms: Date.now() - start });
+      return { outcome: 'fired', reason: 'updated session file' };
     }
-  } else {
-    // Create new session file with template
-    const template = `# Session: ${today}
+    return { outcome: 'skipped', reason: 'session file not updated' };
+  }
+
+  // Create new session file with template
+  const template = `# Session: ${today}
 **Date:** ${today}
 **Started:** ${currentTime}
 **Last Updated:** ${currentTime}
@@ -78,15 +72,7 @@ async function main() {
 \`\`\`
 `;
 
-    writeFile(sessionFile, template);
-    log(`[SessionEnd] Created session file: ${sessionFile}`);
-    logTelemetry({ hook: 'session-end', event: 'SessionEnd', outcome: 'fired', reason: 'created session file', duration_ms: Date.now() - start });
-  }
-
-  process.exit(0);
-}
-
-main().catch(err => {
-  console.error('[SessionEnd] Error:', err.message);
-  process.exit(0);
-});
+  writeFile(sessionFile, template);
+  log(`[SessionEnd] Created session file: ${sessionFile}`);
+  return { outcome: 'fired', reason: 'created session file' };
+}, { event: 'SessionEnd', skipSubagents: true });
@@ -35,7 +35,7 @@ const {
   detectLanguages
 } = require('../lib/serena.cjs');
 const { detectEcosystem, ECOSYSTEMS } = require('../lib/ecosystems/index.cjs');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
+const { defineHook, buildHookResult } = require('../lib/hook-sdk.cjs');
 
 const STATE_FILENAME = 'craft-state.md';
 const LEGACY_STATE_FILENAME = 'orchestration-state.md';
@@ -80,40 +80,6 @@ function readCraftStateResume() {
   }
 }
 
-/**
- * Read hook input from stdin (JSON format)
- */
-function readStdin() {
-  return new Promise((resolve) => {
-    let data = '';
-
-    // Set a short timeout - SessionStart may not have stdin
-    const timeout = setTimeout(() => {
-      resolve({});
-    }, 100);
-
-    process.stdin.on('data', chunk => {
-      clearTimeout(timeout);
-      data += chunk;
-    });
-
-    process.stdin.on('end', () => {
-      clearTimeout(timeout);
-      try {
-        resolve(JSON.parse(data));
-      } catch {
-        resolve({});
-      }
-    });
-
-    // Handle if stdin is already closed
-    if (process.stdin.readableEnded) {
-      clearTimeout(timeout);
-      resolve({});
-    }
-  });
-}
-
 /**
  * Read the using-magic-claude meta-skill content.
  * Returns the raw markdown or null if not found.
@@ -273,16 +239,7 @@ function detectSetupNeeds() {
   };
 }
 
-async function main() {
-  const start = Date.now();
-  // Read stdin (required for hook protocol, though SessionStart may not have data)
-  const hookInput = await readStdin();
-
-  // Skip advisory hooks inside subagents — only fire for top-level Claude sessions
-  if (hookInput.agent_id) {
-    logTelemetry({ hook: 'session-start', event: 'SessionStart', outcome: 'skipped', reason: 'subagent', duration_ms: Date.now() - start });
-    process.exit(0);
-  }
+module.exports = defineHook(module, 'session-start', () => {
   const sessionsDir = getSessionsDir();
   const learnedDir = getProjectLearnedSkillsDir() || getUserLearnedSkillsDir();
 
@@ -474,24 +431,8 @@ async function main() {
     );
   }
 
-  // Output hookSpecificOutput with additionalContext
-  if (additionalContextParts.length > 0) {
-    const additionalContext = additionalContextParts.join('\n\n---\n\n');
-    const hookOutput = {
-      hookSpecificOutput: {
-        hookEventName: 'SessionStart',
-        additionalContext
-      }
-    };
-    console.log(JSON.stringify(hookOutput));
-  }
-
-  logTelemetry({ hook: 'session-start', event: 'SessionStart', outcome: 'fired', reason: `${contextParts.length} context parts, ${allLearnedSkills.length} learned skills`, duration_ms: Date.now() - start });
-  process.exit(0);
-}
+  // null when there is no additional context
+  const output = buildHookResult('SessionStart', { additionalContext: additionalContextParts.join('\n\n---\n\n') });
 
-main().catch(err => {
-  console.error('[SessionStart] Error:', err.message);
-  console.log(JSON.stringify({}));
-  process.exit(0); // Don't block on errors
-});
+  return { outcome: 'fired', reason: `${contextParts.length} context parts, ${allLearnedSkills.length} learned skills`, output };
+}, { event: 'SessionStart', skipSubagents: true });
@@ -2,98 +2,92 @@
 
 /**
  * Smart Formatter Hook
- * Auto-formats files based on ecosystem registry and file extension.
+ * Auto-formats files with the formatter the project configures.
  *
- * Formatter definitions come from each ecosystem's getFileFormatters() method,
- * making this hook automatically support new ecosystems without code changes.
+ * Project configuration wins (lib/formatter-resolution.cjs): Biome, dprint,
+ * Prettier, black/ruff and Spotless configs are detected from the file's
+ * directory upwards, local binaries (node_modules/.bin, .venv, gradlew) are
+ * preferred, and ignore files such as .prettierignore are honoured. Only when
+ * nothing is configured are the ecosystems' getFileFormatters() defaults used
+ * with global binaries, so new ecosystems are supported without code changes.
+ *
+ * With `"mode": "deferred"` in .claude/formatting.json the file is only
+ * queued, and the format-queue Stop hook formats the batch once per response
+ * (lib/format-queue.cjs). `rangeFormatting` and `formatOnTouchOnly` limit
+ * formatting to the lines the edit changed (lib/format-ranges.cjs).
  */
 
 import fs from 'fs';
 import path from 'path';
 import { createRequire } from 'module';
+import { defineHook, debugHook } from '../lib/hook-sdk.cjs';
 import {
-  readHookInput,
-  debugHook,
   getFilePath,
   logHook,
-  commandExists,
-  safeExecSync,
-  isValidFilePath,
-  logTelemetry
+  isValidFilePath
 } from '../lib/hook-utils.js';
 
 const require = createRequire(import.meta.url);
-const {
-  detectMultipleEcosystems,
-  getEcosystem
-} = require('../lib/ecosystems/index.cjs');
-
-/**
- * Main hook function
- */
-async function main() {
-  const start = Date.now();
-  try {
-    const context = await readHookInput();
+const { resolveFormatters, runFormatter } = require('../lib/formatter-resolution.cjs');
+const { getFormattingConfig, enqueueFile } = require('../lib/format-queue.cjs');
+const { planFormatting } = require('../lib/format-ranges.cjs');
 
-    if (!context) {
-      logHook('No context received from stdin', 'WARNING');
-      logTelemetry({ hook: 'smart-formatter', event: 'PostToolUse', outcome: 'skipped', reason: 'no stdin context', duration_ms: Date.now() - start });
-      process.exit(0);
-    }
+export default defineHook(import.meta, 'smart-formatter', (context, ctx) => {
+  const filePath = getFilePath(context);
+  const tool = context.tool_name;
 
-    const filePath = getFilePath(context);
-    const tool = context?.tool_name;
+  if (!filePath || !fs.existsSync(filePath) || !isValidFilePath(filePath)) {
+    debugHook('smart-formatter', 'process', 'Skipping — no file, missing, or invalid path', filePath);
+    return { outcome: 'skipped', reason: 'no file or invalid path' };
+  }
 
-    if (!filePath || !fs.existsSync(filePath) || !isValidFilePath(filePath)) {
-      debugHook('smart-formatter', 'process', 'Skipping — no file, missing, or invalid path', filePath);
-      logTelemetry({ hook: 'smart-formatter', event: 'PostToolUse', outcome: 'skipped', reason: 'no file or invalid path', duration_ms: Date.now() - start, file: filePath, tool });
-      process.exit(0);
-    }
+  const cwd = context.cwd || process.cwd();
+  const config = getFormattingConfig(cwd);
+  if (config.mode === 'deferred') {
+    const queued = enqueueFile(context.session_id, filePath, { cwd });
+    debugHook('smart-formatter', 'process', queued ? 'Queued for deferred formatting' : 'Failed to write format queue', filePath);
+    return queued
+      ? { outcome: 'fired', reason: 'queued for deferred formatting' }
+      : { outcome: 'error', reason: 'format queue not writable' };
+  }
 
-    const detectedEcosystems = detectMultipleEcosystems(process.cwd());
-    const ext = path.extname(filePath);
+  const plan = planFormatting(filePath, { config, cwd, toolName: tool, toolInput: context.tool_input });
+  debugHook('smart-formatter', 'process', 'Formatting plan', plan);
+  if (plan.scope === 'skip') {
+    return { outcome: 'skipped', reason: plan.reason };
+  }
 
-    const formatters = [];
-    for (const ecoType of detectedEcosystems) {
-      const eco = getEcosystem(ecoType);
-      for (const fmt of eco.getFileFormatters()) {
-        formatters.push(fmt);
-      }
-    }
+  const ext = path.extname(filePath);
+  const resolution = resolveFormatters(filePath, {
+    ecosystems: ctx.ecosystems(cwd),
+    cwd,
+    ranges: plan.ranges,
+    prefer: ctx.hookSettings('smart-formatter').options.formatter
+  });
+  debugHook('smart-formatter', 'process', 'Resolved formatters', resolution);
 
-    let formatted = false;
-    for (const fmt of formatters) {
-      if (!fmt.extensions.includes(ext)) continue;
+  if (resolution.ignoredBy) {
+    return { outcome: 'skipped', reason: `ignored by ${path.basename(resolution.ignoredBy)}` };
+  }
 
-      const cmd = fmt.command || fmt.tool;
-      if (commandExists(fmt.tool)) {
-        try {
-          safeExecSync(cmd, fmt.args(filePath), { stdio: 'pipe' });
-          logHook(`Formatted ${path.basename(filePath)} with ${fmt.tool}`);
-          logTelemetry({ hook: 'smart-formatter', event: 'PostToolUse', outcome: 'fired', reason: `formatted with ${fmt.tool}`, duration_ms: Date.now() - start, file: filePath, tool });
-          formatted = true;
-          break;
-        } catch (error) {
-          logHook(`Failed to format with ${fmt.tool}: ${error.message}`, 'WARNING');
-        }
-      }
-    }
+  // Format-on-touch only files are never formatted as a whole
+  const formatters = plan.touchOnly ? resolution.formatters.filter(fmt => fmt.range) : resolution.formatters;
 
-    if (!formatted) {
-      logTelemetry({ hook: 'smart-formatter', event: 'PostToolUse', outcome: 'skipped', reason: `no formatter for ${ext}`, duration_ms: Date.now() - start, file: filePath, tool });
+  for (const fmt of formatters) {
+    const result = runFormatter(fmt);
+    if (result.ok) {
+      const scope = fmt.range ? `${fmt.source}, changed lines` : fmt.source;
+      logHook(`Formatted ${path.basename(filePath)} with ${fmt.tool} (${scope})`);
+      return { outcome: 'fired', reason: `formatted with ${fmt.tool} (${scope})` };
     }
-
-    process.exit(0);
-
-  } catch (error) {
-    logHook(`Unexpected error: ${error.message}`, 'ERROR');
-    logTelemetry({ hook: 'smart-formatter', event: 'PostToolUse', outcome: 'error', reason: error.message, duration_ms: Date.now() - start });
-    process.exit(0);
+    logHook(`Failed to format with ${fmt.tool}: ${result.error}`, 'WARNING');
   }
-}
 
-main().catch((err) => {
-  logHook(`Fatal error: ${err.message}`, 'ERROR');
-  process.exit(0);
-});
+  let reason = `no formatter for ${ext}`;
+  if (resolution.missing && resolution.missing.length > 0) {
+    reason = `configured formatter not installed (${resolution.missing.join(', ')})`;
+  } else if (plan.touchOnly && resolution.formatters.length > 0 && formatters.length === 0) {
+    reason = 'format-on-touch only: no range-capable formatter';
+  }
+  return { outcome: 'skipped', reason };
+}, { event: 'PostToolUse' });
@@ -9,63 +9,46 @@
  * ecosystem automatically extends detection.
  */
 
-const { execSync } = require('child_process');
 const fs = require('fs');
 const { getAllDebugPatterns } = require('../lib/ecosystems/index.cjs');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
+const { defineHook } = require('../lib/hook-sdk.cjs');
+const { spawnWithBudget } = require('../lib/hook-budget.cjs');
 
-const DEBUG_PATTERNS = getAllDebugPatterns();
+const GIT_TIMEOUT_MS = 5000;
 
-let data = '';
-process.stdin.on('data', chunk => data += chunk);
-process.stdin.on('end', () => {
-  const start = Date.now();
-  try {
-    // Check if we're in a git repo
-    try {
-      execSync('git rev-parse --git-dir', { stdio: 'pipe' });
-    } catch {
-      // Not a git repo, skip
-      logTelemetry({ hook: 'stop-validation', event: 'Stop', outcome: 'skipped', reason: 'not a git repo', duration_ms: Date.now() - start });
-      console.log(data);
-      process.exit(0);
-    }
+const DEBUG_PATTERNS = getAllDebugPatterns();
 
-    try {
-      const allFiles = execSync('git diff --name-only HEAD', {
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      }).split('\n').filter(f => f && fs.existsSync(f));
+module.exports = defineHook(module, 'stop-validation', () => {
+  // Check if we're in a git repo
+  const gitOptions = { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: GIT_TIMEOUT_MS };
+  const gitDir = spawnWithBudget('git', ['rev-parse', '--git-dir'], gitOptions);
+  if (gitDir.error || gitDir.status !== 0) {
+    return { outcome: 'skipped', reason: 'not a git repo' };
+  }
 
-      let hasDebugStatements = false;
+  const diff = spawnWithBudget('git', ['diff', '--name-only', 'HEAD'], gitOptions);
+  if (diff.error || diff.status !== 0) {
+    // Git command failed (or ran out of budget), skip silently
+    return { outcome: 'skipped', reason: 'git diff failed' };
+  }
+  const allFiles = diff.stdout.split('\n').filter(f => f && fs.existsSync(f));
 
-      for (const f of allFiles) {
-        for (const dp of DEBUG_PATTERNS) {
-          if (!dp.extensions.test(f)) continue;
-          const content = fs.readFileSync(f, 'utf8');
-          if (dp.pattern.test(content)) {
-            console.error(`[Hook] WARNING: ${dp.name} found in ${f}`);
-            hasDebugStatements = true;
-          }
-        }
-      }
+  let hasDebugStatements = false;
 
-      if (hasDebugStatements) {
-        console.error('[Hook] Remove debug statements before committing');
-        logTelemetry({ hook: 'stop-validation', event: 'Stop', outcome: 'fired', reason: 'debug statements found', duration_ms: Date.now() - start });
-      } else {
-        logTelemetry({ hook: 'stop-validation', event: 'Stop', outcome: 'skipped', reason: `no debug statements (${allFiles.length} files checked)`, duration_ms: Date.now() - start });
+  for (const f of allFiles) {
+    for (const dp of DEBUG_PATTERNS) {
+      if (!dp.extensions.test(f)) continue;
+      const content = fs.readFileSync(f, 'utf8');
+      if (dp.pattern.test(content)) {
+        console.error(`[Hook] WARNING: ${dp.name} found in ${f}`);
+        hasDebugStatements = true;
       }
-    } catch {
-      // Git command failed, skip silently
-      logTelemetry({ hook: 'stop-validation', event: 'Stop', outcome: 'skipped', reason: 'git diff failed', duration_ms: Date.now() - start });
     }
+  }
 
-    // Pass through unchanged
-    console.log(data);
-  } catch (error) {
-    console.error(`[StopValidation] Error: ${error.message}`);
-    logTelemetry({ hook: 'stop-validation', event: 'Stop', outcome: 'error', reason: error.message, duration_ms: Date.now() - start });
-    console.log(data);
+  if (hasDebugStatements) {
+    console.error('[Hook] Remove debug statements before committing');
+    return { outcome: 'fired', reason: 'debug statements found' };
   }
-});
+  return { outcome: 'skipped', reason: `no debug statements (${allFiles.length} files checked)` };
+}, { event: 'Stop' });
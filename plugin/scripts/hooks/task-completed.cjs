@@ -15,65 +15,41 @@
  */
 
 const { log } = require('../lib/utils.cjs');
-const { logTelemetry } = require('../lib/hook-telemetry.cjs');
+const { defineHook } = require('../lib/hook-sdk.cjs');
+const { spawnWithBudget } = require('../lib/hook-budget.cjs');
 
-function readStdin() {
-  return new Promise((resolve) => {
-    let data = '';
-    process.stdin.on('data', chunk => data += chunk);
-    process.stdin.on('end', () => {
-      try {
-        resolve(JSON.parse(data));
-      } catch {
-        resolve({});
-      }
-    });
-  });
-}
+const GIT_TIMEOUT_MS = 5000;
 
 function getModifiedSourceFiles() {
-  try {
-    const { execSync } = require('child_process');
-    execSync('git rev-parse --git-dir', { stdio: 'pipe' });
-    const files = execSync('git diff --name-only HEAD 2>/dev/null || git diff --name-only', {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    }).trim().split('\n').filter(f => f.length > 0);
+  const gitOptions = { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: GIT_TIMEOUT_MS };
+  if (spawnWithBudget('git', ['rev-parse', '--git-dir'], gitOptions).status !== 0) return [];
 
-    const sourceExtensions = /\.(ts|tsx|js|jsx|py|java|kt|go|rs|rb|php|cs|cpp|c|h)$/;
-    return files.filter(f => sourceExtensions.test(f));
-  } catch {
-    return [];
-  }
-}
+  // Without a HEAD commit yet, fall back to the unstaged diff
+  let diff = spawnWithBudget('git', ['diff', '--name-only', 'HEAD'], gitOptions);
+  if (diff.status !== 0 && !diff.timedOut) diff = spawnWithBudget('git', ['diff', '--name-only'], gitOptions);
+  if (diff.status !== 0) return [];
 
-async function main() {
-  const start = Date.now();
-  const input = await readStdin();
+  const files = diff.stdout.trim().split('\n').filter(f => f.length > 0);
+  const sourceExtensions = /\.(ts|tsx|js|jsx|py|java|kt|go|rs|rb|php|cs|cpp|c|h)$/;
+  return files.filter(f => sourceExtensions.test(f));
+}
 
+module.exports = defineHook(module, 'task-completed', (input) => {
   const taskSubject = input.task_subject || 'unknown';
-  const taskId = input.task_id || '';
   const teammateName = input.teammate_name || '';
 
   const modifiedFiles = getModifiedSourceFiles();
 
-  if (modifiedFiles.length > 0) {
-    const context = teammateName
-      ? `Teammate "${teammateName}" completing task`
-      : 'Task completing';
-
-    log(`[TaskCompleted] ${context}: "${taskSubject}" with ${modifiedFiles.length} modified source file(s)`);
-    log('[TaskCompleted] Consider verifying tests pass and running code review');
-    logTelemetry({ hook: 'task-completed', event: 'TaskCompleted', outcome: 'fired', reason: `${modifiedFiles.length} modified file(s)`, duration_ms: Date.now() - start });
-  } else {
-    logTelemetry({ hook: 'task-completed', event: 'TaskCompleted', outcome: 'skipped', reason: 'no modified source files', duration_ms: Date.now() - start });
+  // Advisory only - always allow completion
+  if (modifiedFiles.length === 0) {
+    return { outcome: 'skipped', reason: 'no modified source files' };
   }
 
-  // Advisory only - always allow completion
-  process.exit(0);
-}
+  const context = teammateName
+    ? `Teammate "${teammateName}" completing task`
+    : 'Task completing';
 
-main().catch(err => {
-  console.error('[TaskCompleted] Error:', err.message);
-  process.exit(0);
-});
+  log(`[TaskCompleted] ${context}: "${taskSubject}" with ${modifiedFiles.length} modified source file(s)`);
+  log('[TaskCompleted] Consider verifying tests pass and running code review');
+  return { outcome: 'fired', reason: `${modifiedFiles.length} modified file(s)` };
+}, { event: 'TaskCompleted' });
@@ -1,68 +1,70 @@
 #!/usr/bin/env node
 /**
- * TypeScript Checker - Run tsc after editing TypeScript files
+ * TypeScript Checker - Incrementally type check after editing TypeScript files
  *
  * Cross-platform (Windows, macOS, Linux)
  *
  * Runs on PostToolUse for Edit commands.
- * Filters internally for .ts/.tsx files.
+ * Filters internally for .ts/.tsx/.mts/.cts files.
+ * Checks only the tsconfig project that owns the file, using a cached
+ * --incremental build-info file, and reports errors in the edited file and
+ * its direct dependents (see lib/typescript-check.cjs).
  */
 
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { debugHook, wrapHookMain } = require('../lib/hook-debug.cjs');
+const { TS_SOURCE, checkFile } = require('../lib/typescript-check.cjs');
+const { createDiagnostic, emitDiagnostics } = require('../lib/diagnostics.cjs');
+const { defineHook, debugHook } = require('../lib/hook-sdk.cjs');
 
-wrapHookMain('typescript-checker', (input) => {
+module.exports = defineHook(module, 'typescript-checker', (input, ctx) => {
   const filePath = input.tool_input?.file_path;
 
   // Only process TypeScript files
-  if (!filePath || !/\.(ts|tsx)$/.test(filePath) || !fs.existsSync(filePath)) {
+  if (!filePath || !TS_SOURCE.test(filePath) || !fs.existsSync(filePath)) {
     debugHook('typescript-checker', 'process', 'Skipping — not a TS file or missing', filePath);
-    return { outcome: 'skipped', reason: 'not a .ts/.tsx file or file missing' };
+    return { outcome: 'skipped', reason: 'not a TypeScript file or file missing' };
   }
 
-  // Find tsconfig.json by walking up directories
-  let dir = path.dirname(filePath);
-  while (dir !== path.dirname(dir) && !fs.existsSync(path.join(dir, 'tsconfig.json'))) {
-    dir = path.dirname(dir);
-  }
+  debugHook('typescript-checker', 'process', 'Running incremental tsc', filePath);
+  const result = checkFile(path.resolve(filePath));
+  debugHook('typescript-checker', 'process', `tsc ${result.status}`, {
+    tsconfig: result.tsconfig,
+    dependents: result.dependents ? result.dependents.length : 0,
+    durationMs: result.durationMs
+  });
 
-  if (!fs.existsSync(path.join(dir, 'tsconfig.json'))) {
-    debugHook('typescript-checker', 'process', 'No tsconfig.json found');
-    return { outcome: 'skipped', reason: 'no tsconfig.json found' };
+  if (result.status === 'skipped') {
+    return { outcome: 'skipped', reason: result.reason };
   }
 
-  let errorLines = [];
-  try {
-    debugHook('typescript-checker', 'process', 'Running tsc --noEmit', { cwd: dir });
-    const result = execSync('npx tsc --noEmit --pretty false 2>&1', {
-      cwd: dir,
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-
-    errorLines = result.split('\n').filter(line => line.includes(filePath)).slice(0, 10);
-  } catch (error) {
-    // tsc exits non-zero when there are errors
-    const stdout = error.stdout || '';
-    errorLines = stdout.split('\n').filter(line => line.includes(filePath)).slice(0, 10);
+  if (result.status === 'timeout') {
+    // Budget exceeded — the build-info cache is being warmed in the background
+    return { outcome: 'skipped', reason: `type check ${result.reason}` };
   }
 
-  if (errorLines.length) {
-    console.error('[TypeScript] Type errors found:');
-    console.error(errorLines.join('\n'));
+  const diagnostics = result.diagnostics.map(d => createDiagnostic({
+    file: d.file,
+    line: d.line,
+    column: d.column,
+    severity: d.severity,
+    ruleId: d.code,
+    source: 'tsc',
+    message: d.message
+  }));
+  const { output, surfaced } = emitDiagnostics('typescript-checker', diagnostics, {
+    title: 'TypeScript',
+    files: [path.resolve(filePath), ...(result.dependents || [])],
+    cwd: path.dirname(result.tsconfig),
+    minSeverity: ctx.hookSettings('typescript-checker').options.minSeverity,
+    writeOutput: false
+  });
 
-    debugHook('typescript-checker', 'output', 'Writing type errors', errorLines.length);
-    console.log(JSON.stringify({
-      hookSpecificOutput: {
-        hookEventName: 'PostToolUse',
-        additionalContext: `[TypeScript] Type errors in ${path.basename(filePath)}:\n${errorLines.join('\n')}`
-      }
-    }));
-    return { outcome: 'fired', reason: `${errorLines.length} type error(s)` };
+  if (surfaced.length) {
+    debugHook('typescript-checker', 'output', 'Wrote type errors', surfaced.length);
+    return { outcome: 'fired', reason: `${surfaced.length} type error(s)`, output };
   }
 
   debugHook('typescript-checker', 'exit', 'No errors — clean exit');
   return { outcome: 'skipped', reason: 'no type errors' };
-});
+}, { event: 'PostToolUse' });
@@ -0,0 +1,317 @@
+/**
+ * Baseline - Suppress accepted hook findings
+ *
+ * Two ways to stop a diagnostic from being reported on every edit:
+ *
+ * 1. Inline suppression comment on the flagged line or the comment line above it:
+ *      print(report)  # magic-claude-ignore: debug-statement
+ *      // magic-claude-ignore: eval, hardcoded-credential
+ *    Rules are matched against the diagnostic's ruleId or source tool; `*` matches all.
+ *
+ * 2. A committed `.claude/baseline.json` at the project root recording accepted
+ *    findings by fingerprint:
+ *    {
+ *      "version": 1,
+ *      "findings": [
+ *        { "fingerprint": "3f2a…", "file": "src/cli.py", "ruleId": "debug-statement", "source": "debug-statements", "message": "…", "count": 1 }
+ *      ]
+ *    }
+ *    The fingerprint hashes the file path (relative to the project root), source,
+ *    rule and the flagged line's text, so it survives unrelated edits that move
+ *    the line.
+ *
+ * CLI: node scripts/baseline.cjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BASELINE_FILE = path.join('.claude', 'baseline.json');
+const BASELINE_VERSION = 1;
+
+const IGNORE_MARKER = /magic-claude-ignore:\s*([^\n]*?)\s*(?:\*\/|-->)?\s*$/;
+const COMMENT_ONLY_LINE = /^\s*(?:\/\/|#|\/\*|\*|--|<!--|')/;
+
+/**
+ * Project root for baseline purposes: the nearest directory with a
+ * .claude/baseline.json, else the nearest git root, else the file's directory.
+ * @param {string} filePath - Absolute file path, or a directory to start from
+ * @returns {string}
+ */
+function findProjectRoot(filePath) {
+  const resolved = path.resolve(filePath);
+  let start = path.dirname(resolved);
+  try {
+    if (fs.statSync(resolved).isDirectory()) start = resolved;
+  } catch {
+    // A file that does not exist (yet)
+  }
+  let gitRoot = null;
+  let dir = start;
+
+  while (true) {
+    if (fs.existsSync(path.join(dir, BASELINE_FILE))) return dir;
+    if (!gitRoot && fs.existsSync(path.join(dir, '.git'))) gitRoot = dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  return gitRoot || start;
+}
+
+/**
+ * Rules named by an inline suppression comment on a line
+ * @param {string} line - Source line
+ * @returns {string[]|null} Rule names, or null if the line has no suppression comment
+ */
+function parseIgnoreComment(line) {
+  const match = line.match(IGNORE_MARKER);
+  if (!match) return null;
+  const rules = match[1].split(/[\s,]+/).filter(Boolean);
+  return rules.length > 0 ? rules : null;
+}
+
+/**
+ * Whether a diagnostic is suppressed by a comment on its line or a comment-only line above
+ * @param {object} diagnostic
+ * @param {string[]} lines - File content split into lines
+ * @returns {boolean}
+ */
+function isSuppressedInline(diagnostic, lines) {
+  if (!diagnostic.line || !lines) return false;
+
+  const candidates = [lines[diagnostic.line - 1]];
+  const previous = lines[diagnostic.line - 2];
+  if (previous !== undefined && COMMENT_ONLY_LINE.test(previous)) {
+    candidates.push(previous);
+  }
+
+  return candidates.some(line => {
+    const rules = line !== undefined && parseIgnoreComment(line);
+    return !!rules && rules.some(rule => rule === '*' || rule === diagnostic.ruleId || rule === diagnostic.source);
+  });
+}
+
+/**
+ * Stable fingerprint of a diagnostic
+ * @param {object} diagnostic
+ * @param {string} root - Project root (paths are hashed relative to it)
+ * @param {string[]} [lines] - File content split into lines
+ * @returns {string}
+ */
+function fingerprintDiagnostic(diagnostic, root, lines) {
+  const relative = toPosix(path.relative(root, diagnostic.file));
+  const lineText = diagnostic.line && lines && lines[diagnostic.line - 1] !== undefined
+    ? lines[diagnostic.line - 1].trim().replace(/\s+/g, ' ')
+    : diagnostic.message;
+
+  return crypto.createHash('sha1')
+    .update([relative, diagnostic.source, diagnostic.ruleId, lineText].join('\0'))
+    .digest('hex')
+    .slice(0, 20);
+}
+
+/**
+ * Load a project's baseline
+ * @param {string} root - Project root
+ * @returns {{ version: number, findings: object[] }} Empty baseline when missing or invalid
+ */
+function loadBaseline(root) {
+  try {
+    const baseline = JSON.parse(fs.readFileSync(path.join(root, BASELINE_FILE), 'utf8'));
+    if (baseline && Array.isArray(baseline.findings)) return baseline;
+  } catch {
+    // Missing or invalid baseline — nothing is accepted
+  }
+  return { version: BASELINE_VERSION, findings: [] };
+}
+
+/**
+ * Write a project's baseline (sorted for stable diffs)
+ * @param {string} root - Project root
+ * @param {{ findings: object[] }} baseline
+ * @returns {string} Path written
+ */
+function saveBaseline(root, baseline) {
+  const filePath = path.join(root, BASELINE_FILE);
+  const findings = [...baseline.findings].sort((a, b) =>
+    a.file.localeCompare(b.file) || a.ruleId.localeCompare(b.ruleId) || a.fingerprint.localeCompare(b.fingerprint)
+  );
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ version: BASELINE_VERSION, findings }, null, 2) + '\n');
+  return filePath;
+}
+
+/**
+ * Apply inline suppressions and project baselines to a hook's diagnostics.
+ * Fingerprints are added to every diagnostic that is not suppressed inline.
+ * @param {object[]} diagnostics
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.contents] - File content to use instead of
+ *   reading the file from disk (content proposed by a tool call that has not run yet)
+ * @returns {{ surfaced: object[], baselined: object[], suppressed: object[] }}
+ *   surfaced: new findings to report; baselined: accepted in baseline.json;
+ *   suppressed: silenced by an inline comment
+ */
+function applySuppressions(diagnostics, options = {}) {
+  const suppressed = [];
+  const byRoot = new Map(); // root -> fingerprinted diagnostics
+  const surfaced = [];
+  const linesCache = new Map();
+
+  for (const diagnostic of diagnostics) {
+    if (!diagnostic.file) {
+      surfaced.push(diagnostic);
+      continue;
+    }
+
+    if (!linesCache.has(diagnostic.file)) {
+      const content = options.contents && options.contents[diagnostic.file];
+      linesCache.set(diagnostic.file, typeof content === 'string' ? content.split('\n') : readLines(diagnostic.file));
+    }
+    const lines = linesCache.get(diagnostic.file);
+
+    if (isSuppressedInline(diagnostic, lines)) {
+      suppressed.push(diagnostic);
+      continue;
+    }
+
+    const root = findProjectRoot(diagnostic.file);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push({ ...diagnostic, fingerprint: fingerprintDiagnostic(diagnostic, root, lines) });
+  }
+
+  const baselined = [];
+  for (const [root, fingerprinted] of byRoot) {
+    const split = filterBaselined(fingerprinted, loadBaseline(root));
+    surfaced.push(...split.surfaced);
+    baselined.push(...split.baselined);
+  }
+
+  return { surfaced, baselined, suppressed };
+}
+
+/**
+ * Split fingerprinted diagnostics into new and accepted findings
+ * @param {object[]} diagnostics - Fingerprinted diagnostics
+ * @param {{ findings: object[] }} baseline
+ * @returns {{ surfaced: object[], baselined: object[] }}
+ */
+function filterBaselined(diagnostics, baseline) {
+  const remaining = new Map(baseline.findings.map(f => [f.fingerprint, f.count || 1]));
+  const result = { surfaced: [], baselined: [] };
+  for (const d of diagnostics) {
+    const left = remaining.get(d.fingerprint) || 0;
+    if (left > 0) {
+      remaining.set(d.fingerprint, left - 1);
+      result.baselined.push(d);
+    } else {
+      result.surfaced.push(d);
+    }
+  }
+  return result;
+}
+
+/**
+ * Baseline entries for a set of diagnostics (identical findings are counted)
+ * @param {object[]} diagnostics - Fingerprinted diagnostics
+ * @param {string} root - Project root
+ * @returns {object[]} Baseline findings
+ */
+function toBaselineFindings(diagnostics, root) {
+  const byFingerprint = new Map();
+  for (const d of diagnostics) {
+    if (!d.fingerprint) continue;
+    const existing = byFingerprint.get(d.fingerprint);
+    if (existing) {
+      existing.count++;
+    } else {
+      byFingerprint.set(d.fingerprint, {
+        fingerprint: d.fingerprint,
+        file: toPosix(path.relative(root, d.file)),
+        ruleId: d.ruleId,
+        source: d.source,
+        message: d.message,
+        count: 1
+      });
+    }
+  }
+  return [...byFingerprint.values()];
+}
+
+/**
+ * Rebuild a baseline from the latest checks: entries for checked files are
+ * replaced by their current findings; entries for deleted files are dropped;
+ * entries for files not checked since are kept.
+ * @param {{ findings: object[] }} baseline - Existing baseline
+ * @param {object[]} current - Current fingerprinted diagnostics under root
+ * @param {Set<string>} checkedFiles - Absolute paths of files with a recorded check
+ * @param {string} root - Project root
+ * @param {object} [options]
+ * @param {boolean} [options.addNew=true] - Accept current findings that are not in the baseline yet (false = prune only)
+ * @returns {{ findings: object[], added: number, removed: number }}
+ */
+function rebuildBaseline(baseline, current, checkedFiles, root, options = {}) {
+  const addNew = options.addNew !== false;
+  const currentFindings = toBaselineFindings(current, root);
+  const currentByFingerprint = new Map(currentFindings.map(f => [f.fingerprint, f]));
+
+  const findings = [];
+  let removed = 0;
+
+  for (const entry of baseline.findings) {
+    const absolute = path.resolve(root, entry.file);
+    const stillPresent = currentByFingerprint.get(entry.fingerprint);
+
+    if (!fs.existsSync(absolute) || (checkedFiles.has(absolute) && !stillPresent)) {
+      removed++;
+      continue;
+    }
+    findings.push(stillPresent && addNew ? stillPresent : entry);
+    currentByFingerprint.delete(entry.fingerprint);
+  }
+
+  let added = 0;
+  if (addNew) {
+    for (const finding of currentByFingerprint.values()) {
+      findings.push(finding);
+      added++;
+    }
+  }
+
+  return { findings, added, removed };
+}
+
+/**
+ * @private
+ */
+function readLines(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').split('\n');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+module.exports = {
+  BASELINE_FILE,
+  findProjectRoot,
+  parseIgnoreComment,
+  isSuppressedInline,
+  fingerprintDiagnostic,
+  loadBaseline,
+  saveBaseline,
+  applySuppressions,
+  filterBaselined,
+  toBaselineFindings,
+  rebuildBaseline
+};
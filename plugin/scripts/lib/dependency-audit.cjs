@@ -0,0 +1,872 @@
+/**
+ * Dependency Audit - One vulnerability audit service for every ecosystem
+ *
+ * Each auditor covers a set of lockfiles (npm, pnpm, yarn, pip-audit,
+ * cargo audit, OWASP dependency-check for Maven/Gradle). An audit runs only
+ * when the hash of its lockfiles changed since the last run, so editing
+ * source files never re-audits unchanged dependencies; a failed audit is
+ * retried after ERROR_RETRY_MS. The hook does not wait for the tools: it
+ * starts a detached worker (at most one, see process-lock.cjs) and reports
+ * what the worker found on a later event. Results are cached in
+ * $CLAUDE_CONFIG_DIR/dependency-audit.json, one entry per (directory, auditor):
+ * {
+ *   "dir": "/abs/project", "auditor": "npm", "ecosystem": "nodejs",
+ *   "lockfiles": ["package-lock.json"], "lockHash": "3f2a…",
+ *   "ranAt": "2026-01-01T00:00:00.000Z", "status": "ok|error|unavailable", "error": "…",
+ *   "vulnerabilities": [ … ]
+ * }
+ *
+ * Every tool's output is normalized to the same vulnerability model:
+ * {
+ *   "package": "lodash", "version": "4.17.20",
+ *   "id": "GHSA-35jh-r3h4-6jhm", "aliases": ["CVE-2021-23337"],
+ *   "severity": "critical|high|moderate|low|unknown",
+ *   "title": "Command Injection in lodash", "url": "https://…",
+ *   "fixVersions": ["4.17.21"]
+ * }
+ *
+ * CLI: node scripts/dependency-audit.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { getClaudeDir, commandExists } = require('./utils.cjs');
+const { spawnWithBudget } = require('./hook-budget.cjs');
+const { isLockHeld, acquireLock, releaseLock } = require('./process-lock.cjs');
+const { createDiagnostic } = require('./diagnostics.cjs');
+const { findWorkspaceRoot } = require('./workspace/detection.cjs');
+
+const CACHE_FILE = path.join(getClaudeDir(), 'dependency-audit.json');
+const CLI = path.join(__dirname, '..', 'dependency-audit.cjs');
+const CACHE_VERSION = 1;
+const SEVERITIES = ['critical', 'high', 'moderate', 'low', 'unknown'];
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+// A failed audit (timeout, network, unreadable output) or a missing tool is retried after this
+const ERROR_RETRY_MS = 15 * 60 * 1000;
+// Longer than every auditor's timeout together
+const WORKER_STALE_MS = 30 * 60 * 1000;
+
+/**
+ * Normalize a tool's severity label
+ * @param {string} value - e.g. 'CRITICAL', 'medium', 'moderate'
+ * @returns {string} One of SEVERITIES
+ */
+function normalizeSeverity(value) {
+  const severity = String(value || '').toLowerCase();
+  if (severity === 'medium') return 'moderate';
+  return SEVERITIES.includes(severity) ? severity : 'unknown';
+}
+
+/**
+ * Build a vulnerability in the shared model
+ * @private
+ */
+function vulnerability(fields) {
+  return {
+    package: fields.package || '',
+    version: fields.version || '',
+    id: fields.id || '',
+    aliases: (fields.aliases || []).filter(alias => alias && alias !== fields.id),
+    severity: normalizeSeverity(fields.severity),
+    title: fields.title || '',
+    url: fields.url || '',
+    fixVersions: [...new Set(fields.fixVersions || [])]
+  };
+}
+
+// --- Output parsers ---
+
+/**
+ * Parse `npm audit --json` (v7+ `vulnerabilities` and v6 `advisories`) and
+ * `pnpm audit --json`, which uses the v6 layout
+ * @param {object} output - Parsed JSON
+ * @returns {object[]} Vulnerabilities
+ */
+function parseNpmAudit(output) {
+  if (!output) return [];
+  const results = [];
+
+  if (output.advisories) {
+    for (const advisory of Object.values(output.advisories)) {
+      const versions = [...new Set((advisory.findings || []).map(f => f.version))];
+      results.push(vulnerability({
+        package: advisory.module_name,
+        version: versions.join(', '),
+        id: advisory.github_advisory_id || String(advisory.id),
+        aliases: advisory.cves,
+        severity: advisory.severity,
+        title: advisory.title,
+        url: advisory.url,
+        fixVersions: advisory.patched_versions && advisory.patched_versions !== '<0.0.0' ? [advisory.patched_versions] : []
+      }));
+    }
+    return results;
+  }
+
+  for (const [name, entry] of Object.entries(output.vulnerabilities || {})) {
+    // `via` holds advisories for this package, or names of vulnerable dependencies it pulls in
+    const advisories = (entry.via || []).filter(via => typeof via === 'object');
+    const fix = entry.fixAvailable && typeof entry.fixAvailable === 'object'
+      ? [`${entry.fixAvailable.name}@${entry.fixAvailable.version}`]
+      : [];
+    for (const advisory of advisories) {
+      const ghsa = (advisory.url || '').match(/GHSA(?:-[a-z0-9]{4}){3}/);
+      results.push(vulnerability({
+        package: name,
+        version: entry.range,
+        id: ghsa ? ghsa[0] : String(advisory.source || advisory.title),
+        severity: advisory.severity || entry.severity,
+        title: advisory.title,
+        url: advisory.url,
+        fixVersions: fix
+      }));
+    }
+  }
+  return results;
+}
+
+/**
+ * Parse yarn audit output: Yarn 1 (`auditAdvisory` lines) or Yarn 2+ (`yarn npm audit --json`)
+ * @param {string} text - Newline-delimited JSON
+ * @returns {object[]} Vulnerabilities
+ */
+function parseYarnAudit(text) {
+  const results = [];
+  const seen = new Set();
+
+  for (const line of String(text || '').split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if (record.type === 'auditAdvisory' && record.data && record.data.advisory) {
+      const advisory = record.data.advisory;
+      const key = `${advisory.module_name}\0${advisory.id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const [vulnerable] = parseNpmAudit({ advisories: { [advisory.id]: advisory } });
+      results.push(vulnerable);
+    } else if (record.value && record.children) {
+      const child = record.children;
+      results.push(vulnerability({
+        package: record.value,
+        version: (child['Tree Versions'] || []).join(', '),
+        id: String(child.ID),
+        severity: child.Severity,
+        title: child.Issue,
+        url: child.URL
+      }));
+    }
+  }
+  return results;
+}
+
+/**
+ * Parse `pip-audit --format json`
+ * @param {object} output - Parsed JSON
+ * @returns {object[]} Vulnerabilities
+ */
+function parsePipAudit(output) {
+  const dependencies = Array.isArray(output) ? output : ((output && output.dependencies) || []);
+  return dependencies.flatMap(dep => (dep.vulns || []).map(vuln => vulnerability({
+    package: dep.name,
+    version: dep.version,
+    id: vuln.id,
+    aliases: vuln.aliases,
+    severity: vuln.severity,
+    title: vuln.description ? vuln.description.split('\n')[0].slice(0, 200) : '',
+    url: /^GHSA-/.test(vuln.id) ? `https://github.com/advisories/${vuln.id}` : `https://osv.dev/vulnerability/${vuln.id}`,
+    fixVersions: vuln.fix_versions
+  })));
+}
+
+/**
+ * Parse `cargo audit --json`
+ * @param {object} output - Parsed JSON
+ * @returns {object[]} Vulnerabilities
+ */
+function parseCargoAudit(output) {
+  const list = (output && output.vulnerabilities && output.vulnerabilities.list) || [];
+  return list.map(item => {
+    const advisory = item.advisory || {};
+    return vulnerability({
+      package: item.package && item.package.name,
+      version: item.package && item.package.version,
+      id: advisory.id,
+      aliases: advisory.aliases,
+      severity: severityFromCvss(advisory.cvss),
+      title: advisory.title,
+      url: advisory.url || (advisory.id ? `https://rustsec.org/advisories/${advisory.id}` : ''),
+      fixVersions: (item.versions && item.versions.patched) || []
+    });
+  });
+}
+
+/**
+ * Qualitative severity from a CVSS v3 vector's base metrics (approximation:
+ * RustSec only publishes the vector)
+ * @private
+ * @param {string} vector - e.g. 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'
+ * @returns {string}
+ */
+function severityFromCvss(vector) {
+  if (!vector || typeof vector !== 'string') return 'unknown';
+  const metrics = Object.fromEntries(vector.split('/').map(part => part.split(':')));
+  const impacts = ['C', 'I', 'A'].map(m => metrics[m]);
+  const highImpacts = impacts.filter(v => v === 'H').length;
+  const remote = metrics.AV === 'N' && metrics.AC === 'L' && metrics.PR === 'N';
+  if (highImpacts >= 2 && remote) return 'critical';
+  if (highImpacts >= 1) return 'high';
+  if (impacts.includes('L')) return 'moderate';
+  return 'low';
+}
+
+/**
+ * Parse an OWASP dependency-check JSON report
+ * @param {object} report - Parsed dependency-check-report.json
+ * @returns {object[]} Vulnerabilities
+ */
+function parseDependencyCheck(report) {
+  const results = [];
+  for (const dependency of (report && report.dependencies) || []) {
+    if (!dependency.vulnerabilities || dependency.vulnerabilities.length === 0) continue;
+    // Package URL: pkg:maven/org.group/artifact@1.2.3
+    const purl = ((dependency.packages || [])[0] || {}).id || '';
+    const match = purl.match(/^pkg:[^/]+\/(.+)@([^?#]+)/);
+    const name = match ? match[1].replace('/', ':') : dependency.fileName;
+    for (const vuln of dependency.vulnerabilities) {
+      results.push(vulnerability({
+        package: name,
+        version: match ? match[2] : '',
+        id: vuln.name,
+        severity: vuln.severity,
+        title: vuln.description ? vuln.description.split('\n')[0].slice(0, 200) : '',
+        url: /^CVE-/.test(vuln.name) ? `https://nvd.nist.gov/vuln/detail/${vuln.name}` : ''
+      }));
+    }
+  }
+  return results;
+}
+
+// --- Auditors ---
+
+/**
+ * Dependency-check through the build's plugin when configured, else the CLI
+ * @private
+ * @param {string} dir - Project directory
+ * @returns {{ command: string, args: string[], report: string, cleanup?: string }|null}
+ */
+function dependencyCheckCommand(dir) {
+  const read = file => {
+    try {
+      return fs.readFileSync(path.join(dir, file), 'utf8');
+    } catch {
+      return '';
+    }
+  };
+
+  const gradleBuild = read('build.gradle.kts') || read('build.gradle');
+  if (/org\.owasp\.dependencycheck/.test(gradleBuild)) {
+    const wrapper = path.join(dir, process.platform === 'win32' ? 'gradlew.bat' : 'gradlew');
+    const command = fs.existsSync(wrapper) ? wrapper : (commandExists('gradle') ? 'gradle' : null);
+    if (command) {
+      return {
+        command,
+        args: ['dependencyCheckAnalyze', '-q', '-PdependencyCheck.format=JSON'],
+        report: path.join(dir, 'build', 'reports', 'dependency-check-report.json')
+      };
+    }
+  }
+
+  // Only a pom that declares the plugin: resolving it otherwise downloads it
+  // and runs a full NVD update on every audit
+  if (/dependency-check-maven/.test(read('pom.xml'))) {
+    const wrapper = path.join(dir, process.platform === 'win32' ? 'mvnw.cmd' : 'mvnw');
+    const command = fs.existsSync(wrapper) ? wrapper : (commandExists('mvn') ? 'mvn' : null);
+    if (command) {
+      return {
+        command,
+        args: ['-q', 'org.owasp:dependency-check-maven:check', '-Dformat=JSON'],
+        report: path.join(dir, 'target', 'dependency-check-report.json')
+      };
+    }
+  }
+
+  if (commandExists('dependency-check')) {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-check-'));
+    return {
+      command: 'dependency-check',
+      args: ['--scan', dir, '--format', 'JSON', '--out', out, '--project', path.basename(dir)],
+      report: path.join(out, 'dependency-check-report.json'),
+      cleanup: out
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Packages of a TOML lockfile with `[[package]]` tables (poetry.lock, uv.lock).
+ * Packages from git, a path or a private index are left out: only PyPI
+ * knows their advisories.
+ * @private
+ * @returns {string[]} `name==version` requirements
+ */
+function tomlLockRequirements(text) {
+  const requirements = [];
+  for (const block of text.split(/^\[\[package\]\][ \t]*$/m).slice(1)) {
+    const name = block.match(/^name\s*=\s*"([^"]+)"/m);
+    const version = block.match(/^version\s*=\s*"([^"]+)"/m);
+    // uv: `source = { registry = "https://pypi.org/simple" }`; poetry: a [package.source] table
+    const source = block.match(/^source\s*=\s*\{([^}]*)\}/m);
+    if (!name || !version || /^\[package\.source\]/m.test(block)) continue;
+    if (source && !/registry\s*=\s*"https:\/\/pypi\.org\//.test(source[1])) continue;
+    requirements.push(`${name[1]}==${version[1]}`);
+  }
+  return requirements;
+}
+
+/**
+ * Pinned requirements from the first Python lockfile present
+ * @param {string} dir - Project directory
+ * @returns {{ lockfile: string, requirements: string[] }|null} null when there
+ *   is no readable Pipfile.lock, poetry.lock or uv.lock
+ */
+function lockedPythonRequirements(dir) {
+  const read = file => {
+    try {
+      return fs.readFileSync(path.join(dir, file), 'utf8');
+    } catch {
+      return null;
+    }
+  };
+
+  const pipfile = read('Pipfile.lock');
+  if (pipfile !== null) {
+    try {
+      const lock = JSON.parse(pipfile);
+      const requirements = [];
+      for (const section of ['default', 'develop']) {
+        for (const [name, spec] of Object.entries(lock[section] || {})) {
+          if (spec && typeof spec.version === 'string' && spec.version.startsWith('==')) requirements.push(`${name}${spec.version}`);
+        }
+      }
+      return { lockfile: 'Pipfile.lock', requirements };
+    } catch {
+      // Unreadable — try the next lockfile
+    }
+  }
+
+  for (const lockfile of ['poetry.lock', 'uv.lock']) {
+    const text = read(lockfile);
+    if (text !== null) return { lockfile, requirements: tomlLockRequirements(text) };
+  }
+  return null;
+}
+
+/**
+ * pip-audit on the project's requirements: requirements.txt, else the pins of
+ * its lockfile, else the project itself (pyproject.toml). Never the Python
+ * environment the hook runs in.
+ * @private
+ * @param {string} dir - Project directory
+ * @returns {{ command: string, args: string[], cleanup?: string }|null}
+ */
+function pipAuditCommand(dir) {
+  if (!commandExists('pip-audit')) return null;
+  const args = ['--format', 'json'];
+
+  if (fs.existsSync(path.join(dir, 'requirements.txt'))) {
+    return { command: 'pip-audit', args: [...args, '-r', 'requirements.txt'] };
+  }
+
+  const locked = lockedPythonRequirements(dir);
+  if (locked) {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'pip-audit-'));
+    const requirements = path.join(out, 'requirements.txt');
+    fs.writeFileSync(requirements, locked.requirements.map(line => `${line}\n`).join(''));
+    // Every pin is listed, so nothing needs resolving
+    return { command: 'pip-audit', args: [...args, '-r', requirements, '--no-deps', '--disable-pip'], cleanup: out };
+  }
+
+  return { command: 'pip-audit', args: [...args, '.'] };
+}
+
+/**
+ * Auditor registry. `lockfiles` are the files whose content keys the cache
+ * (the first existing one of `requires` must be present for the auditor to apply);
+ * `command(dir)` returns how to run the tool, or null when it is not installed.
+ */
+const AUDITORS = [
+  {
+    id: 'npm',
+    ecosystem: 'nodejs',
+    source: 'npm-audit',
+    requires: ['package-lock.json', 'npm-shrinkwrap.json'],
+    lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+    timeoutMs: 120000,
+    command: () => (commandExists('npm') ? { command: 'npm', args: ['audit', '--json'] } : null),
+    parse: stdout => parseNpmAudit(JSON.parse(stdout))
+  },
+  {
+    id: 'pnpm',
+    ecosystem: 'nodejs',
+    source: 'pnpm-audit',
+    requires: ['pnpm-lock.yaml'],
+    lockfiles: ['pnpm-lock.yaml'],
+    timeoutMs: 120000,
+    command: () => (commandExists('pnpm') ? { command: 'pnpm', args: ['audit', '--json'] } : null),
+    parse: stdout => parseNpmAudit(JSON.parse(stdout))
+  },
+  {
+    id: 'yarn',
+    ecosystem: 'nodejs',
+    source: 'yarn-audit',
+    requires: ['yarn.lock'],
+    lockfiles: ['yarn.lock'],
+    timeoutMs: 120000,
+    command: dir => {
+      if (!commandExists('yarn')) return null;
+      // Yarn 2+ projects carry a .yarnrc.yml
+      return fs.existsSync(path.join(dir, '.yarnrc.yml'))
+        ? { command: 'yarn', args: ['npm', 'audit', '--json', '--recursive'] }
+        : { command: 'yarn', args: ['audit', '--json'] };
+    },
+    parse: stdout => parseYarnAudit(stdout)
+  },
+  {
+    id: 'pip-audit',
+    ecosystem: 'python',
+    source: 'pip-audit',
+    requires: ['requirements.txt', 'poetry.lock', 'Pipfile.lock', 'uv.lock', 'pyproject.toml'],
+    lockfiles: ['requirements.txt', 'poetry.lock', 'Pipfile.lock', 'uv.lock', 'pyproject.toml'],
+    timeoutMs: 180000,
+    command: pipAuditCommand,
+    parse: stdout => parsePipAudit(JSON.parse(stdout))
+  },
+  {
+    id: 'cargo-audit',
+    ecosystem: 'rust',
+    source: 'cargo-audit',
+    requires: ['Cargo.lock'],
+    lockfiles: ['Cargo.lock'],
+    timeoutMs: 120000,
+    command: () => (commandExists('cargo-audit') ? { command: 'cargo', args: ['audit', '--json'] } : null),
+    parse: stdout => parseCargoAudit(JSON.parse(stdout))
+  },
+  {
+    id: 'dependency-check',
+    ecosystem: 'jvm',
+    source: 'dependency-check',
+    requires: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
+    lockfiles: ['pom.xml', 'build.gradle', 'build.gradle.kts', 'gradle.lockfile', path.join('gradle', 'libs.versions.toml'), 'settings.gradle', 'settings.gradle.kts'],
+    timeoutMs: 600000,
+    command: dependencyCheckCommand,
+    parse: (stdout, report) => parseDependencyCheck(JSON.parse(fs.readFileSync(report, 'utf8')))
+  }
+];
+
+/**
+ * Auditors that apply to a directory, with the lockfiles present there
+ * @param {string} dir - Directory
+ * @param {object} [options]
+ * @param {string[]} [options.ecosystems] - Only these ecosystems
+ * @returns {Array<{ auditor: object, dir: string, lockfiles: string[] }>}
+ */
+function findAuditTargets(dir, options = {}) {
+  const targets = [];
+  for (const auditor of AUDITORS) {
+    if (options.ecosystems && !options.ecosystems.includes(auditor.ecosystem)) continue;
+    if (!auditor.requires.some(file => fs.existsSync(path.join(dir, file)))) continue;
+    const lockfiles = auditor.lockfiles.filter(file => fs.existsSync(path.join(dir, file)));
+    targets.push({ auditor, dir: path.resolve(dir), lockfiles });
+  }
+  return targets;
+}
+
+/**
+ * Hash of a target's lockfiles (names and contents)
+ * @param {string} dir - Directory holding the lockfiles
+ * @param {string[]} lockfiles - Relative lockfile paths
+ * @returns {string} sha256 hex
+ */
+function hashLockfiles(dir, lockfiles) {
+  const hash = crypto.createHash('sha256');
+  for (const file of lockfiles) {
+    hash.update(file).update('\0');
+    try {
+      hash.update(fs.readFileSync(path.join(dir, file)));
+    } catch {
+      hash.update('missing');
+    }
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Load the audit cache
+ * @param {string} [file] - Cache file (defaults to CACHE_FILE)
+ * @returns {{ version: number, entries: object }}
+ */
+function loadAuditCache(file = CACHE_FILE) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (cache && cache.version === CACHE_VERSION && cache.entries) return cache;
+  } catch {
+    // Missing or unreadable — start empty
+  }
+  return { version: CACHE_VERSION, entries: {} };
+}
+
+/**
+ * Write the audit cache
+ * @private
+ */
+function saveAuditCache(cache, file = CACHE_FILE) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cache, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+  } catch {
+    // Never break a hook because the cache cannot be written
+  }
+}
+
+/**
+ * @private
+ */
+function cacheKey(dir, auditorId) {
+  return `${path.resolve(dir)}\0${auditorId}`;
+}
+
+/**
+ * Worker lock and reported-audit state kept next to a cache file
+ * @private
+ */
+function sideFiles(cacheFile) {
+  const base = cacheFile.replace(/\.json$/, '');
+  return { lock: `${base}.lock`, reported: `${base}.reported.json` };
+}
+
+/**
+ * Whether a cached entry still answers for the current lockfiles
+ * @private
+ */
+function isCurrent(entry, lockHash, now) {
+  if (!entry || entry.lockHash !== lockHash) return false;
+  return entry.status === 'ok' || now - Date.parse(entry.ranAt) < ERROR_RETRY_MS;
+}
+
+/**
+ * Run one auditor's tool and normalize its output
+ * @private
+ * @returns {{ status: 'ok'|'error'|'unavailable', vulnerabilities: object[], error?: string }}
+ *   unavailable: the tool is not installed
+ */
+function runAuditor(target, exec) {
+  const invocation = target.auditor.command(target.dir);
+  if (!invocation) {
+    return { status: 'unavailable', vulnerabilities: [], error: `no ${target.auditor.id} tool installed` };
+  }
+
+  const started = Date.now();
+  try {
+    const result = exec(invocation.command, invocation.args, {
+      cwd: target.dir,
+      timeout: target.auditor.timeoutMs
+    });
+    if (result.error) {
+      return { status: 'error', vulnerabilities: [], error: result.error.message };
+    }
+    // A report left over from an earlier build must not pass for this run's
+    if (invocation.report && !(fs.existsSync(invocation.report) && fs.statSync(invocation.report).mtimeMs >= started - 1000)) {
+      return { status: 'error', vulnerabilities: [], error: `${target.auditor.id} wrote no report` };
+    }
+    // Audit tools exit non-zero when they find vulnerabilities, so only the output counts
+    const vulnerabilities = target.auditor.parse(result.stdout || '', invocation.report);
+    return { status: 'ok', vulnerabilities };
+  } catch (error) {
+    return { status: 'error', vulnerabilities: [], error: `unreadable ${target.auditor.id} output: ${error.message}` };
+  } finally {
+    if (invocation.cleanup) fs.rmSync(invocation.cleanup, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Default process runner
+ * @private
+ */
+function spawnAudit(command, args, options) {
+  return spawnWithBudget(command, args, {
+    ...options,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: MAX_OUTPUT_BYTES
+  });
+}
+
+/**
+ * Audit a directory's dependencies. Auditors whose lockfile hash matches the
+ * cache are not re-run; their cached result is returned with `fresh: false`.
+ * Failed audits and auditors whose tool is missing are re-run once
+ * ERROR_RETRY_MS has passed.
+ * @param {string} dir - Directory holding the lockfiles
+ * @param {object} [options]
+ * @param {string[]} [options.ecosystems] - Only these ecosystems
+ * @param {boolean} [options.force=false] - Re-run even when lockfiles are unchanged
+ * @param {string} [options.cacheFile] - Cache file override (tests)
+ * @param {Function} [options.exec] - Process runner override (tests): (command, args, { cwd, timeout }) => { stdout, error }
+ * @param {number} [options.now] - Current time (tests)
+ * @returns {object[]} Cache entries plus `fresh` (ran now) for every applicable auditor
+ */
+function auditDirectory(dir, options = {}) {
+  const targets = findAuditTargets(dir, options);
+  if (targets.length === 0) return [];
+
+  const cacheFile = options.cacheFile || CACHE_FILE;
+  const cache = loadAuditCache(cacheFile);
+  const exec = options.exec || spawnAudit;
+  const now = options.now || Date.now();
+  const entries = [];
+  let changed = false;
+
+  for (const target of targets) {
+    const key = cacheKey(target.dir, target.auditor.id);
+    const lockHash = hashLockfiles(target.dir, target.lockfiles);
+    const cached = cache.entries[key];
+
+    if (!options.force && isCurrent(cached, lockHash, now)) {
+      entries.push({ ...cached, fresh: false });
+      continue;
+    }
+
+    const result = runAuditor(target, exec);
+
+    const entry = {
+      dir: target.dir,
+      auditor: target.auditor.id,
+      ecosystem: target.auditor.ecosystem,
+      source: target.auditor.source,
+      lockfiles: target.lockfiles,
+      lockHash,
+      ranAt: new Date(now).toISOString(),
+      ...result
+    };
+    cache.entries[key] = entry;
+    changed = true;
+    entries.push({ ...entry, fresh: true });
+  }
+
+  if (changed) saveAuditCache(cache, cacheFile);
+  return entries;
+}
+
+/**
+ * Audit targets of a directory whose cached result does not answer for the
+ * current lockfiles
+ * @param {string} dir - Directory holding the lockfiles
+ * @param {object} [options]
+ * @param {string} [options.cacheFile] - Cache file override (tests)
+ * @param {number} [options.now] - Current time (tests)
+ * @returns {object[]} Targets, as findAuditTargets()
+ */
+function findDueTargets(dir, options = {}) {
+  const cache = loadAuditCache(options.cacheFile || CACHE_FILE);
+  const now = options.now || Date.now();
+  return findAuditTargets(dir).filter(target =>
+    !isCurrent(cache.entries[cacheKey(target.dir, target.auditor.id)], hashLockfiles(target.dir, target.lockfiles), now));
+}
+
+/**
+ * Start a detached worker that audits the directories, unless nothing is due
+ * or a worker is already running. Hooks use this so no audit tool ever runs
+ * inside their time budget.
+ * @param {string[]} dirs - Directories holding lockfiles
+ * @param {object} [options]
+ * @param {string} [options.cacheFile] - Cache file override (tests)
+ * @param {Function} [options.spawn] - child_process.spawn override (tests)
+ * @returns {boolean} Whether a worker was started
+ */
+function startBackgroundAudit(dirs, options = {}) {
+  const cacheFile = options.cacheFile || CACHE_FILE;
+  const due = dirs.filter(dir => findDueTargets(dir, { cacheFile }).length > 0);
+  if (due.length === 0 || isLockHeld(sideFiles(cacheFile).lock, { staleMs: WORKER_STALE_MS })) return false;
+
+  try {
+    const child = (options.spawn || spawn)(process.execPath, [CLI, 'worker', ...due.map(dir => path.resolve(dir))], {
+      detached: true,
+      stdio: 'ignore',
+      windowsHide: true
+    });
+    child.on('error', () => {});
+    child.unref();
+    return true;
+  } catch {
+    // Best effort: the next event tries again
+    return false;
+  }
+}
+
+/**
+ * Audit directories as the single background worker. Runs outside any hook,
+ * so each tool gets its own full timeout.
+ * @param {string[]} dirs - Directories holding lockfiles
+ * @param {object} [options] - auditDirectory() options
+ * @returns {object[]|null} Entries, or null when another worker holds the lock
+ */
+function runAuditWorker(dirs, options = {}) {
+  const lock = sideFiles(options.cacheFile || CACHE_FILE).lock;
+  if (!acquireLock(lock, { staleMs: WORKER_STALE_MS })) return null;
+  try {
+    return dirs.flatMap(dir => auditDirectory(dir, options));
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+/**
+ * Audits of the directories that finished since they were last reported.
+ * Each audit run is returned once; missing tools are never reported.
+ * @param {string[]} dirs - Directories holding lockfiles
+ * @param {object} [options]
+ * @param {string} [options.cacheFile] - Cache file override (tests)
+ * @returns {object[]} Cache entries
+ */
+function takeUnreportedAudits(dirs, options = {}) {
+  const cacheFile = options.cacheFile || CACHE_FILE;
+  const reportedFile = sideFiles(cacheFile).reported;
+  let reported = {};
+  try {
+    reported = JSON.parse(fs.readFileSync(reportedFile, 'utf8')) || {};
+  } catch {
+    // Nothing reported yet
+  }
+
+  const entries = [];
+  for (const dir of dirs) {
+    for (const entry of getCachedAudits(dir, { cacheFile })) {
+      const key = cacheKey(entry.dir, entry.auditor);
+      if (entry.stale || entry.status === 'unavailable' || reported[key] === entry.ranAt) continue;
+      reported[key] = entry.ranAt;
+      entries.push(entry);
+    }
+  }
+
+  if (entries.length > 0) saveAuditCache(reported, reportedFile);
+  return entries;
+}
+
+/**
+ * Directories whose lockfiles cover a working directory: the directory itself
+ * and, in a workspace package, the workspace root
+ * @param {string} cwd - Working directory
+ * @returns {string[]}
+ */
+function findAuditDirectories(cwd) {
+  const dirs = [path.resolve(cwd)];
+  const root = findWorkspaceRoot(cwd);
+  if (root && path.resolve(root) !== dirs[0]) dirs.push(path.resolve(root));
+  return dirs;
+}
+
+/**
+ * Cached audit entries for a directory, without running anything
+ * @param {string} dir - Directory holding the lockfiles
+ * @param {object} [options]
+ * @param {string} [options.cacheFile] - Cache file override (tests)
+ * @returns {object[]} Entries, each with `stale` when the lockfiles changed since the audit
+ */
+function getCachedAudits(dir, options = {}) {
+  const cache = loadAuditCache(options.cacheFile || CACHE_FILE);
+  return findAuditTargets(dir)
+    .map(target => {
+      const entry = cache.entries[cacheKey(target.dir, target.auditor.id)];
+      if (!entry) return null;
+      return { ...entry, stale: entry.lockHash !== hashLockfiles(target.dir, target.lockfiles) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Diagnostics for audit entries: one per vulnerable package, reported against
+ * the entry's main lockfile. critical/high are errors, the rest warnings.
+ * @param {object[]} entries - Result of auditDirectory()
+ * @returns {object[]}
+ */
+function auditToDiagnostics(entries) {
+  const diagnostics = [];
+  for (const entry of entries) {
+    const file = path.join(entry.dir, entry.lockfiles[0] || '');
+    const byPackage = new Map();
+    for (const vuln of entry.vulnerabilities || []) {
+      const key = `${vuln.package}@${vuln.version}`;
+      if (!byPackage.has(key)) byPackage.set(key, []);
+      byPackage.get(key).push(vuln);
+    }
+
+    for (const vulns of byPackage.values()) {
+      const [first] = vulns;
+      const severe = vulns.some(v => v.severity === 'critical' || v.severity === 'high');
+      const fixVersions = [...new Set(vulns.flatMap(v => v.fixVersions))];
+      const ids = [...new Set(vulns.map(v => v.id))];
+      const version = first.version ? ` ${first.version}` : '';
+      diagnostics.push(createDiagnostic({
+        file,
+        severity: severe ? 'error' : 'warning',
+        ruleId: ids.join(','),
+        source: entry.source || entry.auditor,
+        message: `${first.package}${version} has known vulnerabilities: ${ids.join(', ')} (${worstSeverity(vulns)})`,
+        fix: fixVersions.length > 0 ? `Upgrade ${first.package} to ${fixVersions.join(' or ')}.` : `Update ${first.package} before deploying.`
+      }));
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Most severe level among vulnerabilities
+ * @param {object[]} vulnerabilities
+ * @returns {string}
+ */
+function worstSeverity(vulnerabilities) {
+  let worst = SEVERITIES.length - 1;
+  for (const vuln of vulnerabilities) {
+    worst = Math.min(worst, SEVERITIES.indexOf(vuln.severity));
+  }
+  return SEVERITIES[worst];
+}
+
+module.exports = {
+  CACHE_FILE,
+  SEVERITIES,
+  ERROR_RETRY_MS,
+  AUDITORS,
+  normalizeSeverity,
+  parseNpmAudit,
+  parseYarnAudit,
+  parsePipAudit,
+  parseCargoAudit,
+  parseDependencyCheck,
+  lockedPythonRequirements,
+  findAuditTargets,
+  hashLockfiles,
+  loadAuditCache,
+  auditDirectory,
+  findDueTargets,
+  startBackgroundAudit,
+  runAuditWorker,
+  takeUnreportedAudits,
+  findAuditDirectories,
+  getCachedAudits,
+  auditToDiagnostics,
+  worstSeverity
+};
@@ -1,6 +1,6 @@
 /**
  * Project Type Detection
- * Detects project types (Node.js, Python, Maven, Gradle) based on manifest files
+ * Detects project types (Node.js, Python, Maven, Gradle, Go, ...) based on manifest files
  *
  * Simplified approach - no caching:
  * - Detection is fast (<200ms)
@@ -18,7 +18,7 @@ const __dirname = path.dirname(__filename);
 
 // Bridge CJS ecosystem registry into ESM
 const require = createRequire(import.meta.url);
-const { getAllProjectSubTypes } = require('./ecosystems/index.cjs');
+const { getAllProjectSubTypes, hasIndicator } = require('./ecosystems/index.cjs');
 
 /**
  * Project type indicators — built dynamically from the ecosystem registry
@@ -56,9 +56,8 @@ export function detectProjectType(cwd = process.cwd()) {
 
   for (const [type, indicators] of Object.entries(PROJECT_INDICATORS)) {
     for (const indicator of indicators) {
-      const indicatorPath = path.join(cwd, indicator);
       try {
-        if (fs.existsSync(indicatorPath)) {
+        if (hasIndicator(cwd, indicator)) {
           if (!types.includes(type)) {
             types.push(type);
           }
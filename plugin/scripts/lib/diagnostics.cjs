@@ -0,0 +1,450 @@
+/**
+ * Diagnostics - Shared finding model for post-edit checker hooks
+ *
+ * Checker hooks (type checkers, linters, debug-statement and security scans)
+ * report findings as diagnostics:
+ * {
+ *   "file": "/abs/path/src/a.ts",
+ *   "line": 12,              // 1-based, 0 when the finding has no position
+ *   "column": 5,             // 1-based, 0 when unknown
+ *   "severity": "error|warning|info",
+ *   "ruleId": "TS2322",
+ *   "source": "tsc",         // tool that produced the finding
+ *   "message": "Type 'string' is not assignable to type 'number'.",
+ *   "fix": "Use parameterized queries.",  // optional hint
+ *   "confidence": "high|medium|low",       // optional, for heuristic rules
+ *   "fingerprint": "3f2a…"                 // added when emitted, see baseline.cjs
+ * }
+ *
+ * emitDiagnostics() renders them the same way for every hook (stderr and
+ * additionalContext) and records each check in
+ * $CLAUDE_CONFIG_DIR/diagnostics.jsonl, so the latest findings per file can
+ * be exported as SARIF 2.1.0 or JSON. Past 5MB the log is rotated to
+ * diagnostics.<timestamp>.jsonl; rotated logs are read with the current one
+ * and deleted 30 days after their rotation.
+ *
+ * CLI: node scripts/diagnostics-export.cjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClaudeDir } = require('./utils.cjs');
+const { applySuppressions } = require('./baseline.cjs');
+
+const DIAGNOSTICS_FILE = path.join(getClaudeDir(), 'diagnostics.jsonl');
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB — rotate after this
+const RETENTION_DAYS = 30;
+const DEFAULT_RENDER_LIMIT = 10;
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const CONFIDENCES = ['high', 'medium', 'low'];
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Normalize a finding into a diagnostic
+ * @param {object} fields
+ * @param {string} fields.file - File the finding is in
+ * @param {number} [fields.line] - 1-based line
+ * @param {number} [fields.column] - 1-based column
+ * @param {string} [fields.severity='warning'] - error, warning or info
+ * @param {string} fields.ruleId - Rule or check identifier
+ * @param {string} fields.source - Tool that produced the finding
+ * @param {string} fields.message - Finding description
+ * @param {string} [fields.fix] - How to fix it
+ * @param {string} [fields.confidence] - high, medium or low (heuristic rules only)
+ * @returns {object} Diagnostic
+ */
+function createDiagnostic(fields) {
+  const severity = SEVERITIES.includes(fields.severity) ? fields.severity : 'warning';
+  return {
+    file: fields.file ? path.resolve(fields.file) : '',
+    line: Math.max(0, parseInt(fields.line, 10) || 0),
+    column: Math.max(0, parseInt(fields.column, 10) || 0),
+    severity,
+    ruleId: fields.ruleId || 'unknown',
+    source: fields.source || 'unknown',
+    message: String(fields.message || '').trim(),
+    ...(fields.fix && { fix: fields.fix }),
+    ...(CONFIDENCES.includes(fields.confidence) && { confidence: fields.confidence })
+  };
+}
+
+/**
+ * 1-based line number of a character offset
+ * @param {string} content - File content
+ * @param {number} index - Character offset
+ * @returns {number}
+ */
+function lineOfIndex(content, index) {
+  let line = 1;
+  for (let i = 0; i < index && i < content.length; i++) {
+    if (content[i] === '\n') line++;
+  }
+  return line;
+}
+
+/**
+ * Format one diagnostic as `path:line:col severity ruleId: message`
+ * @param {object} diagnostic
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Paths are shown relative to this directory
+ * @returns {string}
+ */
+function formatDiagnostic(diagnostic, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const relative = diagnostic.file ? path.relative(cwd, diagnostic.file) : '';
+  const shownPath = !relative || relative.startsWith('..') ? diagnostic.file : relative;
+  const position = diagnostic.line ? `:${diagnostic.line}${diagnostic.column ? `:${diagnostic.column}` : ''}` : '';
+  const confidence = diagnostic.confidence && diagnostic.confidence !== 'high' ? ` (${diagnostic.confidence} confidence)` : '';
+  const line = `${shownPath}${position} ${diagnostic.severity} ${diagnostic.ruleId}: ${diagnostic.message}${confidence}`;
+  return diagnostic.fix ? `${line}\n    fix: ${diagnostic.fix}` : line;
+}
+
+/**
+ * Render diagnostics as a block: a `[Title] N error(s), M warning(s) in file` header
+ * followed by one line per diagnostic (most severe first).
+ * @param {object[]} diagnostics
+ * @param {object} options
+ * @param {string} options.title - Header label, e.g. 'TypeScript'
+ * @param {string} [options.cwd] - Paths are shown relative to this directory
+ * @param {number} [options.limit=10] - Maximum diagnostics shown
+ * @returns {string} Rendered text ('' when there are no diagnostics)
+ */
+function renderDiagnostics(diagnostics, options) {
+  if (diagnostics.length === 0) return '';
+
+  const limit = options.limit || DEFAULT_RENDER_LIMIT;
+  const sorted = sortDiagnostics(diagnostics);
+  const counts = SEVERITIES
+    .map(severity => [severity, diagnostics.filter(d => d.severity === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}${count > 1 ? 's' : ''}`);
+  const files = [...new Set(diagnostics.map(d => path.basename(d.file)).filter(Boolean))];
+  const where = files.length === 1 ? ` in ${files[0]}` : files.length > 1 ? ` in ${files.length} files` : '';
+
+  const lines = [`[${options.title}] ${counts.join(', ')}${where}:`];
+  for (const diagnostic of sorted.slice(0, limit)) {
+    lines.push(formatDiagnostic(diagnostic, options));
+  }
+  if (sorted.length > limit) {
+    lines.push(`... and ${sorted.length - limit} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Report a hook's diagnostics: drop findings suppressed inline or accepted in
+ * the project's .claude/baseline.json (see baseline.cjs), print the new ones to
+ * stderr, return them to Claude as additionalContext, and record the check for
+ * export. Call it after every check, including clean ones, so fixed findings
+ * drop out of exports.
+ * @param {string} hookName - Hook that ran the check
+ * @param {object[]} diagnostics - Findings (may be empty)
+ * @param {object} options
+ * @param {string} options.title - Header label, e.g. 'TypeScript'
+ * @param {string[]} [options.files] - Files that were checked (defaults to the diagnostics' files)
+ * @param {string} [options.hookEventName='PostToolUse'] - Event for hookSpecificOutput
+ * @param {string} [options.footer] - Extra line appended to additionalContext
+ * @param {string} [options.cwd] - Paths are shown relative to this directory
+ * @param {boolean} [options.writeOutput=true] - Write hookSpecificOutput to stdout
+ *   (hooks run by the dispatcher pass false and return `output` instead)
+ * @param {string} [options.minSeverity] - Only show findings at least this severe
+ *   (the hook's `minSeverity` in .claude/magic-claude.json); the rest are still recorded
+ * @returns {{ rendered: string, output: object|null, surfaced: object[], baselined: object[], suppressed: object[], belowThreshold: object[] }}
+ *   rendered is '' and output null when there are no new findings
+ */
+function emitDiagnostics(hookName, diagnostics, options) {
+  const { surfaced: fresh, baselined, suppressed } = applySuppressions(diagnostics);
+
+  // Baselined findings are still recorded so the baseline CLI can tell they persist
+  const files = options.files || [...new Set(diagnostics.map(d => d.file))];
+  recordDiagnostics(hookName, files, [...fresh, ...baselined]);
+
+  const threshold = SEVERITIES.indexOf(options.minSeverity);
+  const surfaced = threshold === -1 ? fresh : fresh.filter(d => SEVERITIES.indexOf(d.severity) <= threshold);
+  const belowThreshold = fresh.filter(d => !surfaced.includes(d));
+
+  const rendered = renderDiagnostics(surfaced, options);
+  let output = null;
+  if (rendered) {
+    console.error(rendered);
+
+    output = {
+      hookSpecificOutput: {
+        hookEventName: options.hookEventName || 'PostToolUse',
+        additionalContext: options.footer ? `${rendered}\n${options.footer}` : rendered
+      }
+    };
+    if (options.writeOutput !== false) {
+      console.log(JSON.stringify(output));
+    }
+  }
+
+  return { rendered, output, surfaced, baselined, suppressed, belowThreshold };
+}
+
+/**
+ * Append a check result to the diagnostics log.
+ * @param {string} hook - Hook that ran the check
+ * @param {string[]} files - Files that were checked
+ * @param {object[]} diagnostics - Findings for those files
+ * @param {string} [filePath] - Override log file (tests)
+ */
+function recordDiagnostics(hook, files, diagnostics, filePath = DIAGNOSTICS_FILE) {
+  try {
+    const record = {
+      ts: new Date().toISOString(),
+      hook,
+      files: files.filter(Boolean).map(f => path.resolve(f)),
+      diagnostics
+    };
+
+    // Rotate if file too large
+    try {
+      const stats = fs.statSync(filePath);
+      if (stats.size > MAX_FILE_SIZE) {
+        fs.renameSync(filePath, filePath.replace('.jsonl', `.${Date.now()}.jsonl`));
+        pruneDiagnosticsLogs({ file: filePath });
+      }
+    } catch {
+      // File doesn't exist yet — fine
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+  } catch {
+    // Never break a hook because of diagnostics logging
+  }
+}
+
+/**
+ * Diagnostics logs, oldest first: rotated files, then the current one
+ * @param {string} [file] - Current log (defaults to DIAGNOSTICS_FILE)
+ * @returns {Array<{ file: string, rotatedAt: number|null }>} rotatedAt: epoch ms
+ *   of the rotation (no record in the file is newer); null for the current log
+ */
+function listDiagnosticsLogs(file = DIAGNOSTICS_FILE) {
+  const dir = path.dirname(file);
+  const rotatedPattern = new RegExp(`^${path.basename(file, '.jsonl')}\\.(\\d+)\\.jsonl$`);
+  const files = [];
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return files;
+  }
+  for (const name of names) {
+    const match = name.match(rotatedPattern);
+    if (match) files.push({ file: path.join(dir, name), rotatedAt: Number(match[1]) });
+  }
+  files.sort((a, b) => a.rotatedAt - b.rotatedAt);
+  if (fs.existsSync(file)) files.push({ file, rotatedAt: null });
+  return files;
+}
+
+/**
+ * Delete rotated logs rotated more than RETENTION_DAYS ago.
+ * The current log is never pruned.
+ * @param {object} [options]
+ * @param {string} [options.file] - Current log (defaults to DIAGNOSTICS_FILE)
+ * @param {number} [options.now] - Epoch ms, for tests
+ * @returns {string[]} Deleted files
+ */
+function pruneDiagnosticsLogs(options = {}) {
+  const cutoff = (options.now || Date.now()) - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const pruned = [];
+  for (const { file, rotatedAt } of listDiagnosticsLogs(options.file)) {
+    if (rotatedAt === null || rotatedAt >= cutoff) continue;
+    try {
+      fs.unlinkSync(file);
+      pruned.push(file);
+    } catch {
+      // Already gone
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Read the diagnostics log and its rotated files, optionally limited to the last N days.
+ * @param {object} [options]
+ * @param {number} [options.days] - Only include checks newer than this many days
+ * @param {string} [options.file] - Log file to read (defaults to DIAGNOSTICS_FILE)
+ * @returns {object[]} Check records, oldest first
+ */
+function readDiagnosticsLog(options = {}) {
+  const cutoffMs = options.days ? Date.now() - options.days * 24 * 60 * 60 * 1000 : 0;
+  const cutoff = cutoffMs ? new Date(cutoffMs).toISOString() : '';
+  const records = [];
+
+  for (const { file, rotatedAt } of listDiagnosticsLogs(options.file)) {
+    // Nothing in a file rotated before the cutoff is newer than it
+    if (rotatedAt !== null && rotatedAt < cutoffMs) continue;
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        if (!cutoff || record.ts >= cutoff) records.push(record);
+      } catch {
+        // Skip malformed lines
+      }
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Current findings: for every (hook, file) pair only the most recent check counts,
+ * so a clean re-check clears earlier findings.
+ * @param {object[]} records - Result of readDiagnosticsLog()
+ * @param {object} [options]
+ * @param {string} [options.root] - Only keep diagnostics for files under this directory
+ * @returns {object[]} Diagnostics
+ */
+function getLatestDiagnostics(records, options = {}) {
+  const latest = new Map();
+
+  for (const record of records) {
+    const byFile = new Map((record.files || []).map(f => [f, []]));
+    for (const diagnostic of record.diagnostics || []) {
+      if (!byFile.has(diagnostic.file)) byFile.set(diagnostic.file, []);
+      byFile.get(diagnostic.file).push(diagnostic);
+    }
+    for (const [file, diagnostics] of byFile) {
+      latest.set(`${record.hook}\0${file}`, diagnostics);
+    }
+  }
+
+  const root = options.root ? path.resolve(options.root) : null;
+  const diagnostics = [...latest.values()].flat()
+    .filter(d => !root || d.file === root || d.file.startsWith(root + path.sep));
+  return sortDiagnostics(diagnostics);
+}
+
+/**
+ * Files that have at least one recorded check
+ * @param {object[]} records - Result of readDiagnosticsLog()
+ * @param {object} [options]
+ * @param {string} [options.root] - Only include files under this directory
+ * @returns {Set<string>} Absolute file paths
+ */
+function getCheckedFiles(records, options = {}) {
+  const root = options.root ? path.resolve(options.root) : null;
+  const files = new Set();
+  for (const record of records) {
+    for (const file of record.files || []) {
+      if (!root || file.startsWith(root + path.sep)) files.add(file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Convert diagnostics to a SARIF 2.1.0 log with one run per source tool
+ * @param {object[]} diagnostics
+ * @param {object} [options]
+ * @param {string} [options.root] - Repository root; file URIs are made relative to it
+ * @returns {object} SARIF log
+ */
+function toSarif(diagnostics, options = {}) {
+  const root = path.resolve(options.root || process.cwd());
+  const bySource = new Map();
+  for (const diagnostic of diagnostics) {
+    if (!bySource.has(diagnostic.source)) bySource.set(diagnostic.source, []);
+    bySource.get(diagnostic.source).push(diagnostic);
+  }
+
+  const runs = [...bySource].map(([source, findings]) => {
+    const rules = [...new Set(findings.map(d => d.ruleId))].sort().map(id => ({ id }));
+
+    return {
+      tool: { driver: { name: source, rules } },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: toFileUri(root) + '/' }
+      },
+      results: findings.map(d => {
+        const relative = path.relative(root, d.file);
+        const inRoot = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+        const region = d.line ? { startLine: d.line, ...(d.column && { startColumn: d.column }) } : undefined;
+
+        return {
+          ruleId: d.ruleId,
+          level: SARIF_LEVELS[d.severity] || 'warning',
+          message: { text: d.fix ? `${d.message} Fix: ${d.fix}` : d.message },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: inRoot
+                ? { uri: relative.split(path.sep).join('/'), uriBaseId: '%SRCROOT%' }
+                : { uri: toFileUri(d.file) },
+              ...(region && { region })
+            }
+          }],
+          ...((d.fix || d.confidence) && {
+            properties: { ...(d.fix && { fix: d.fix }), ...(d.confidence && { confidence: d.confidence }) }
+          })
+        };
+      })
+    };
+  });
+
+  return { $schema: SARIF_SCHEMA, version: '2.1.0', runs };
+}
+
+/**
+ * Convert diagnostics to the plain JSON export format
+ * @param {object[]} diagnostics
+ * @returns {{ version: number, generated: string, summary: object, diagnostics: object[] }}
+ */
+function toJson(diagnostics) {
+  const summary = { total: diagnostics.length };
+  for (const severity of SEVERITIES) {
+    summary[severity] = diagnostics.filter(d => d.severity === severity).length;
+  }
+  return { version: 1, generated: new Date().toISOString(), summary, diagnostics };
+}
+
+/**
+ * @private
+ */
+function sortDiagnostics(diagnostics) {
+  return [...diagnostics].sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    a.file.localeCompare(b.file) ||
+    a.line - b.line ||
+    a.column - b.column
+  );
+}
+
+/**
+ * @private
+ */
+function toFileUri(filePath) {
+  const posix = path.resolve(filePath).split(path.sep).join('/');
+  return encodeURI(`file://${posix.startsWith('/') ? '' : '/'}${posix}`);
+}
+
+module.exports = {
+  DIAGNOSTICS_FILE,
+  SEVERITIES,
+  createDiagnostic,
+  lineOfIndex,
+  formatDiagnostic,
+  renderDiagnostics,
+  emitDiagnostics,
+  recordDiagnostics,
+  listDiagnosticsLogs,
+  pruneDiagnosticsLogs,
+  readDiagnosticsLog,
+  getLatestDiagnostics,
+  getCheckedFiles,
+  toSarif,
+  toJson
+};
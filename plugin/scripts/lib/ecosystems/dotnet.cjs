@@ -0,0 +1,158 @@
+/**
+ * .NET Ecosystem Module
+ * Handles C#/F# projects built with the dotnet CLI (solutions, SDK-style projects)
+ */
+
+const { Ecosystem } = require('./types.cjs');
+
+/**
+ * .NET Ecosystem implementation
+ */
+class DotnetEcosystem extends Ecosystem {
+  constructor(config = {}) {
+    super('dotnet', config);
+  }
+
+  getConstantKey() {
+    return 'DOTNET';
+  }
+
+  getDetectionPriority() {
+    return 25;
+  }
+
+  getName() {
+    return '.NET';
+  }
+
+  getIndicators() {
+    return [
+      'global.json',
+      '*.sln',
+      '*.csproj',
+      '*.fsproj',
+      'Directory.Build.props'
+    ];
+  }
+
+  getFileExtensions() {
+    return ['.cs', '.fs', '.csx'];
+  }
+
+  getTools() {
+    return {
+      runtime: ['dotnet'],
+      packageManagers: ['dotnet']
+    };
+  }
+
+  getVersionCommands() {
+    return {
+      dotnet: 'dotnet --version'
+    };
+  }
+
+  getInstallationHelp() {
+    return {
+      dotnet: {
+        win32: 'Install the .NET SDK from https://dot.net or use winget:\n  winget install Microsoft.DotNet.SDK.8\n\nOr use the /setup-ecosystem command for guided setup.',
+        darwin: 'Install the .NET SDK using Homebrew:\n  brew install --cask dotnet-sdk\n\nOr download from https://dot.net\n\nOr use the /setup-ecosystem command for guided setup.',
+        linux: 'Install the .NET SDK:\n  Ubuntu/Debian: sudo apt-get install dotnet-sdk-8.0\n  Fedora: sudo dnf install dotnet-sdk-8.0\n\nOr use the install script: https://dot.net/v1/dotnet-install.sh\n\nOr use the /setup-ecosystem command for guided setup.'
+      }
+    };
+  }
+
+  getSetupToolCategories() {
+    return {
+      critical: ['dotnet'],
+      packageManagers: ['dotnet'],
+      recommended: ['dotnet']
+    };
+  }
+
+  getFileFormatters() {
+    return [{
+      extensions: ['.cs', '.fs'],
+      tool: 'dotnet',
+      args: (filePath) => ['format', '--include', filePath]
+    }];
+  }
+
+  getDebugPatterns() {
+    return [{
+      extensions: /\.cs$/,
+      pattern: /\bConsole\.(Write|WriteLine)\s*\(/,
+      name: 'Console.WriteLine',
+      message: 'Remove Console.WriteLine debug statements before committing. Use ILogger instead.',
+      skipPattern: /^\s*(\/\/|\*|\/\*)/
+    }];
+  }
+
+  getSafeCommandPatterns() {
+    return [
+      ...super.getSafeCommandPatterns(),
+      { id: 'test', pattern: /^dotnet\s+test/, reason: 'Run .NET tests' },
+      { id: 'build', pattern: /^dotnet\s+(build|restore)/, reason: '.NET build' },
+      { id: 'format-check', pattern: /^dotnet\s+format\s+.*--verify-no-changes/, reason: 'Read-only format check' }
+    ];
+  }
+
+  getPackageManagerCommands() {
+    return {
+      dotnet: {
+        install: 'dotnet restore',
+        add: 'dotnet add package',
+        remove: 'dotnet remove package',
+        build: 'dotnet build',
+        test: 'dotnet test',
+        run: 'dotnet run',
+        format: 'dotnet format',
+        publish: 'dotnet publish'
+      }
+    };
+  }
+
+  // --- Config-aware command generation ---
+  // `config.solution` (e.g. 'App.sln') scopes commands to one solution when
+  // the directory holds several.
+
+  getInstallCommand(config) {
+    return this._withTarget('dotnet restore', config);
+  }
+
+  getRunCommand(script, config) {
+    return `dotnet run --project ${script}`;
+  }
+
+  getBuildCommand(config) {
+    return this._withTarget('dotnet build', config);
+  }
+
+  getTestCommand(config) {
+    return this._withTarget('dotnet test', config);
+  }
+
+  getFormatCommand(config) {
+    return this._withTarget('dotnet format', config);
+  }
+
+  getLintCommand(config) {
+    return `${this._withTarget('dotnet format', config)} --verify-no-changes`;
+  }
+
+  /**
+   * Append the configured solution/project to a dotnet command
+   * @private
+   * @param {string} command - Base dotnet command
+   * @param {object} [config] - Optional configuration
+   * @returns {string}
+   */
+  _withTarget(command, config) {
+    const solution = (config && config.solution) || this.config.solution;
+    return solution ? `${command} ${solution}` : command;
+  }
+}
+
+module.exports = {
+  DotnetEcosystem
+};
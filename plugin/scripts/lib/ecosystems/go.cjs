@@ -0,0 +1,168 @@
+/**
+ * Go Ecosystem Module
+ * Handles Go projects with Go modules and go.work workspaces
+ */
+
+const { Ecosystem } = require('./types.cjs');
+
+/**
+ * Go Ecosystem implementation
+ */
+class GoEcosystem extends Ecosystem {
+  constructor(config = {}) {
+    super('go', config);
+  }
+
+  getConstantKey() {
+    return 'GO';
+  }
+
+  getDetectionPriority() {
+    return 15;
+  }
+
+  getName() {
+    return 'Go';
+  }
+
+  getIndicators() {
+    return [
+      'go.mod',
+      'go.work',
+      'go.sum'
+    ];
+  }
+
+  getFileExtensions() {
+    return ['.go'];
+  }
+
+  getTools() {
+    return {
+      runtime: ['go'],
+      packageManagers: ['go'],
+      buildTools: ['gofmt', 'goimports', 'staticcheck']
+    };
+  }
+
+  getVersionCommands() {
+    return {
+      go: 'go version',
+      staticcheck: 'staticcheck -version'
+    };
+  }
+
+  getInstallationHelp() {
+    return {
+      go: {
+        win32: 'Install Go from https://go.dev/dl/ or use winget:\n  winget install GoLang.Go\n\nOr use the /setup-ecosystem command for guided setup.',
+        darwin: 'Install Go using Homebrew:\n  brew install go\n\nOr download from https://go.dev/dl/\n\nOr use the /setup-ecosystem command for guided setup.',
+        linux: 'Install Go from https://go.dev/dl/:\n  Ubuntu/Debian: sudo apt-get install golang-go\n  Fedora: sudo dnf install golang\n  Arch: sudo pacman -S go\n\nOr use the /setup-ecosystem command for guided setup.'
+      },
+      goimports: {
+        win32: 'Install goimports with the Go toolchain:\n  go install golang.org/x/tools/cmd/goimports@latest',
+        darwin: 'Install goimports with the Go toolchain:\n  go install golang.org/x/tools/cmd/goimports@latest',
+        linux: 'Install goimports with the Go toolchain:\n  go install golang.org/x/tools/cmd/goimports@latest'
+      },
+      staticcheck: {
+        win32: 'Install staticcheck with the Go toolchain:\n  go install honnef.co/go/tools/cmd/staticcheck@latest',
+        darwin: 'Install staticcheck using Homebrew:\n  brew install staticcheck\n\nOr with the Go toolchain:\n  go install honnef.co/go/tools/cmd/staticcheck@latest',
+        linux: 'Install staticcheck with the Go toolchain:\n  go install honnef.co/go/tools/cmd/staticcheck@latest'
+      }
+    };
+  }
+
+  getSetupToolCategories() {
+    return {
+      critical: ['go'],
+      packageManagers: ['go'],
+      buildTools: ['gofmt'],
+      recommended: ['goimports', 'staticcheck']
+    };
+  }
+
+  getFileFormatters() {
+    // goimports is a superset of gofmt (also fixes imports) — prefer it when installed
+    return [
+      {
+        extensions: ['.go'],
+        tool: 'goimports',
+        args: (filePath) => ['-w', filePath]
+      },
+      {
+        extensions: ['.go'],
+        tool: 'gofmt',
+        args: (filePath) => ['-w', filePath]
+      }
+    ];
+  }
+
+  getDebugPatterns() {
+    return [{
+      extensions: /\.go$/,
+      pattern: /\bfmt\.Print(ln|f)?\s*\(/,
+      name: 'fmt.Println',
+      message: 'Remove fmt.Print/Println/Printf debug statements before committing. Use the log or log/slog package instead.',
+      skipPattern: /^\s*\/\//
+    }];
+  }
+
+  getSafeCommandPatterns() {
+    return [
+      ...super.getSafeCommandPatterns(),
+      { id: 'test', pattern: /^go\s+test/, reason: 'Run Go tests' },
+      { id: 'build', pattern: /^go\s+build/, reason: 'Go build' },
+      { id: 'vet', pattern: /^(go\s+vet|staticcheck)(\s|$)/, reason: 'Read-only Go static analysis' },
+      // -w rewrites files, -r applies a rewrite rule, -cpuprofile writes a file
+      { id: 'fmt-check', pattern: /^gofmt(?!.*\s--?(w|r|cpuprofile)(=|\s|$))\s+(-l|-d)(\s|$)/, reason: 'Read-only format check' }
+    ];
+  }
+
+  getPackageManagerCommands() {
+    return {
+      go: {
+        install: 'go mod download',
+        add: 'go get',
+        remove: 'go mod tidy',
+        build: 'go build ./...',
+        test: 'go test ./...',
+        run: 'go run',
+        vet: 'go vet ./...',
+        tidy: 'go mod tidy',
+        update: 'go get -u ./...'
+      }
+    };
+  }
+
+  // --- Config-aware command generation ---
+
+  getInstallCommand(config) {
+    return 'go mod download';
+  }
+
+  getRunCommand(script, config) {
+    return `go run ${script}`;
+  }
+
+  getBuildCommand(config) {
+    return 'go build ./...';
+  }
+
+  getTestCommand(config) {
+    return 'go test ./...';
+  }
+
+  getFormatCommand(config) {
+    return 'gofmt -w .';
+  }
+
+  getLintCommand(config) {
+    const linter = (config && config.linter) || this.config.linter;
+    if (linter === 'staticcheck') return 'staticcheck ./...';
+    return 'go vet ./...';
+  }
+}
+
+module.exports = {
+  GoEcosystem
+};
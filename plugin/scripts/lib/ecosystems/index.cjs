@@ -146,6 +146,26 @@ function getEcosystemsByPriority() {
     .sort((a, b) => a.getDetectionPriority() - b.getDetectionPriority());
 }
 
+/**
+ * Check whether a directory contains an ecosystem indicator.
+ * Supports exact file names and `*.ext` patterns (e.g. `*.sln`).
+ * @param {string} dir - Directory to check
+ * @param {string} indicator - Indicator from getIndicators()
+ * @returns {boolean}
+ */
+function hasIndicator(dir, indicator) {
+  if (!indicator.startsWith('*')) {
+    return fs.existsSync(path.join(dir, indicator));
+  }
+
+  const suffix = indicator.slice(1);
+  try {
+    return fs.readdirSync(dir).some(file => file.endsWith(suffix));
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Detect ecosystem from directory by checking for indicator files.
  * Iterates in detection-priority order (lowest number first).
@@ -167,7 +187,7 @@ function detectEcosystem(dir) {
 
   for (const eco of getEcosystemsByPriority()) {
     for (const indicator of eco.getIndicators()) {
-      if (fs.existsSync(path.join(dir, indicator))) {
+      if (hasIndicator(dir, indicator)) {
         return eco.getType();
       }
     }
@@ -199,7 +219,7 @@ function detectMultipleEcosystems(dir) {
 
   for (const eco of getEcosystemsByPriority()) {
     for (const indicator of eco.getIndicators()) {
-      if (fs.existsSync(path.join(dir, indicator))) {
+      if (hasIndicator(dir, indicator)) {
         if (!detected.includes(eco.getType())) {
           detected.push(eco.getType());
         }
@@ -223,6 +243,21 @@ function getAllDebugPatterns() {
   return patterns;
 }
 
+/**
+ * Aggregate permission-filter safe command patterns from all discovered ecosystems.
+ * Each entry is augmented with an `ecosystem` field for traceability.
+ * @returns {Array<{ id: string, pattern: RegExp, reason: string, ecosystem: string }>}
+ */
+function getAllSafeCommandPatterns() {
+  const patterns = [];
+  for (const eco of getEcosystemsByPriority()) {
+    for (const entry of eco.getSafeCommandPatterns()) {
+      patterns.push({ ...entry, ecosystem: eco.getType() });
+    }
+  }
+  return patterns;
+}
+
 /**
  * Aggregate project sub-types from all discovered ecosystems.
  * @returns {{ [subtype: string]: string[] }}
@@ -298,6 +333,22 @@ function getAllFileFormatters() {
   return formatters;
 }
 
+/**
+ * Aggregate the formatters a project configures in a directory, from all
+ * discovered ecosystems (see Ecosystem#getProjectFormatters).
+ * @param {string} dir - Directory to inspect
+ * @returns {object[]} Formatter definitions, each with an `ecosystem` field
+ */
+function getAllProjectFormatters(dir) {
+  const formatters = [];
+  for (const eco of getEcosystemsByPriority()) {
+    for (const fmt of eco.getProjectFormatters(dir)) {
+      formatters.push({ ...fmt, ecosystem: eco.getType() });
+    }
+  }
+  return formatters;
+}
+
 // --- Backward-compatible named exports ---
 // Derived from registry after loading so they exist even if file names change.
 
@@ -305,6 +356,8 @@ const NodejsEcosystem = ECOSYSTEM_REGISTRY['nodejs'] || UnknownEcosystem;
 const JvmEcosystem = ECOSYSTEM_REGISTRY['jvm'] || UnknownEcosystem;
 const PythonEcosystem = ECOSYSTEM_REGISTRY['python'] || UnknownEcosystem;
 const RustEcosystem = ECOSYSTEM_REGISTRY['rust'] || UnknownEcosystem;
+const GoEcosystem = ECOSYSTEM_REGISTRY['go'] || UnknownEcosystem;
+const DotnetEcosystem = ECOSYSTEM_REGISTRY['dotnet'] || UnknownEcosystem;
 
 module.exports = {
   ECOSYSTEMS,
@@ -313,18 +366,23 @@ module.exports = {
   JvmEcosystem,
   PythonEcosystem,
   RustEcosystem,
+  GoEcosystem,
+  DotnetEcosystem,
   UnknownEcosystem,
   getEcosystem,
   getRegistry,
   getEcosystemDirs,
   getEcosystemsByPriority,
+  hasIndicator,
   detectEcosystem,
   detectMultipleEcosystems,
   getAllDebugPatterns,
+  getAllSafeCommandPatterns,
   getAllProjectSubTypes,
   getAllSetupToolCategories,
   getAllEcosystemTools,
   getAllVersionCommands,
   getAllInstallationHelp,
-  getAllFileFormatters
+  getAllFileFormatters,
+  getAllProjectFormatters
 };
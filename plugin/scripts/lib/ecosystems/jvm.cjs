@@ -3,7 +3,10 @@
  * Handles Java, Kotlin, Scala projects with Maven and Gradle
  */
 
-const { Ecosystem } = require('./types.cjs');
+const path = require('path');
+const { Ecosystem, escapeRegExp, readProjectFile } = require('./types.cjs');
+
+const SPOTLESS_EXTENSIONS = ['.java', '.kt', '.kts', '.scala', '.groovy'];
 
 /**
  * JVM Ecosystem implementation
@@ -92,7 +95,8 @@ class JvmEcosystem extends Ecosystem {
       {
         extensions: ['.java'],
         tool: 'google-java-format',
-        args: (filePath) => ['-i', filePath]
+        args: (filePath) => ['-i', filePath],
+        rangeArgs: (filePath, ranges) => ['-i', ...ranges.flatMap(r => ['--lines', `${r.start}:${r.end}`]), filePath]
       },
       {
         extensions: ['.kt', '.kts'],
@@ -107,6 +111,36 @@ class JvmEcosystem extends Ecosystem {
     ];
   }
 
+  getProjectFormatters(dir) {
+    const formatters = [];
+
+    // Spotless formats a single file through its IDE hook instead of the whole project
+    const gradleBuild = ['build.gradle.kts', 'build.gradle'].find(file => /com\.diffplug\.spotless|\bspotless\s*\{/.test(readProjectFile(dir, file)));
+    if (gradleBuild) {
+      formatters.push({
+        extensions: SPOTLESS_EXTENSIONS,
+        tool: 'gradle',
+        localBins: ['gradlew'],
+        configFile: gradleBuild,
+        timeoutMs: 120000,
+        args: (filePath) => ['spotlessApply', `-PspotlessIdeHook=${filePath}`, '-q']
+      });
+    }
+
+    if (/spotless-maven-plugin/.test(readProjectFile(dir, 'pom.xml'))) {
+      formatters.push({
+        extensions: SPOTLESS_EXTENSIONS,
+        tool: 'mvn',
+        localBins: ['mvnw'],
+        configFile: 'pom.xml',
+        timeoutMs: 120000,
+        args: (filePath) => ['-q', 'spotless:apply', `-DspotlessFiles=${escapeRegExp(filePath)}`]
+      });
+    }
+
+    return formatters;
+  }
+
   getDebugPatterns() {
     return [{
       extensions: /\.(java|kt|kts)$/,
@@ -117,6 +151,18 @@ class JvmEcosystem extends Ecosystem {
     }];
   }
 
+  getSafeCommandPatterns() {
+    const maven = '(mvn|\\./mvnw|mvnw\\.cmd)';
+    const gradle = '(gradle|\\./gradlew|gradlew(\\.bat)?)';
+    return [
+      ...super.getSafeCommandPatterns(),
+      { id: 'maven-test', pattern: new RegExp(`^${maven}\\s+test`), reason: 'Run Maven tests' },
+      { id: 'maven-build', pattern: new RegExp(`^${maven}\\s+(compile|package)`), reason: 'Maven build' },
+      { id: 'gradle-test', pattern: new RegExp(`^${gradle}\\s+test`), reason: 'Run Gradle tests' },
+      { id: 'gradle-build', pattern: new RegExp(`^${gradle}\\s+(build|assemble)`), reason: 'Gradle build' }
+    ];
+  }
+
   getProjectSubTypes() {
     return {
       maven: ['pom.xml', 'mvnw', 'mvnw.cmd'],
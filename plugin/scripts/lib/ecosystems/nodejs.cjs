@@ -3,7 +3,38 @@
  * Handles Node.js projects with npm, pnpm, yarn, bun
  */
 
-const { Ecosystem } = require('./types.cjs');
+const fs = require('fs');
+const path = require('path');
+const { Ecosystem, readProjectFile } = require('./types.cjs');
+
+const BIOME_CONFIGS = ['biome.json', 'biome.jsonc'];
+const BIOME_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.json', '.jsonc', '.css'];
+const PRETTIER_CONFIGS = [
+  '.prettierrc', '.prettierrc.json', '.prettierrc.json5', '.prettierrc.yaml', '.prettierrc.yml', '.prettierrc.toml',
+  '.prettierrc.js', '.prettierrc.cjs', '.prettierrc.mjs', 'prettier.config.js', 'prettier.config.cjs', 'prettier.config.mjs', 'prettier.config.ts'
+];
+const PRETTIER_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.json', '.css', '.scss'];
+
+/**
+ * Prettier takes one range per run (singleRange) as character offsets: from
+ * the start of its first line to the end of its last
+ * @private
+ */
+function prettierRangeArgs(filePath, [span]) {
+  let content = '';
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch {
+    // Formatting will fail on its own
+  }
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  const rangeStart = lineStarts[Math.min(span.start, lineStarts.length) - 1];
+  const rangeEnd = span.end < lineStarts.length ? lineStarts[span.end] - 1 : content.length;
+  return [`--range-start=${rangeStart}`, `--range-end=${rangeEnd}`];
+}
 
 /**
  * Node.js Ecosystem implementation
@@ -100,10 +131,55 @@ class NodejsEcosystem extends Ecosystem {
       extensions: ['.ts', '.tsx', '.js', '.jsx'],
       tool: 'prettier',
       command: 'npx',
-      args: (filePath) => ['prettier', '--write', filePath]
+      args: (filePath) => ['prettier', '--write', filePath],
+      rangeArgs: (filePath, ranges) => ['prettier', '--write', ...prettierRangeArgs(filePath, ranges), filePath],
+      singleRange: true
     }];
   }
 
+  getProjectFormatters(dir) {
+    const formatters = [];
+
+    const biomeConfig = BIOME_CONFIGS.find(file => fs.existsSync(path.join(dir, file)));
+    if (biomeConfig) {
+      formatters.push({
+        extensions: BIOME_EXTENSIONS,
+        tool: 'biome',
+        localBins: [path.join('node_modules', '.bin', 'biome')],
+        configFile: biomeConfig,
+        // Files excluded in biome.json are skipped instead of failing the run
+        args: (filePath) => ['format', '--write', '--no-errors-on-unmatched', filePath]
+      });
+    }
+
+    // A config file, a "prettier" key in package.json, or prettier pinned as a dependency
+    let prettierConfig = PRETTIER_CONFIGS.find(file => fs.existsSync(path.join(dir, file)));
+    if (!prettierConfig) {
+      try {
+        const pkg = JSON.parse(readProjectFile(dir, 'package.json') || '{}');
+        if (pkg.prettier || (pkg.devDependencies && pkg.devDependencies.prettier) || (pkg.dependencies && pkg.dependencies.prettier)) {
+          prettierConfig = 'package.json';
+        }
+      } catch {
+        // Invalid package.json — not configured here
+      }
+    }
+    if (prettierConfig) {
+      formatters.push({
+        extensions: PRETTIER_EXTENSIONS,
+        tool: 'prettier',
+        localBins: [path.join('node_modules', '.bin', 'prettier')],
+        configFile: prettierConfig,
+        ignoreFile: '.prettierignore',
+        args: (filePath) => ['--write', filePath],
+        rangeArgs: (filePath, ranges) => ['--write', ...prettierRangeArgs(filePath, ranges), filePath],
+        singleRange: true
+      });
+    }
+
+    return formatters;
+  }
+
   getDebugPatterns() {
     return [{
       extensions: /\.(ts|tsx|js|jsx)$/,
@@ -113,6 +189,20 @@ class NodejsEcosystem extends Ecosystem {
     }];
   }
 
+  getSafeCommandPatterns() {
+    return [
+      ...super.getSafeCommandPatterns(),
+      { id: 'test', pattern: /^(npm|yarn|pnpm|bun)\s+(test|run\s+test)/, reason: 'Run JavaScript tests' },
+      { id: 'test-runner', pattern: /^npx\s+(jest|vitest|mocha|playwright)/, reason: 'Run JavaScript test runner' },
+      { id: 'lint', pattern: /^(npm|yarn|pnpm|bun)\s+run\s+(lint|format|prettier|eslint)/, reason: 'Run JavaScript lint/format script' },
+      { id: 'check', pattern: /^npx\s+(prettier|eslint|tsc)\s+--check/, reason: 'Read-only format/lint check' },
+      { id: 'build', pattern: /^(npm|yarn|pnpm|bun)\s+run\s+build/, reason: 'Run JavaScript build' },
+      { id: 'tsc', pattern: /^npx\s+tsc/, reason: 'TypeScript compile' },
+      { id: 'package-info', pattern: /^(npm|yarn|pnpm)\s+(list|ls|outdated|audit)/, reason: 'Package information' },
+      { id: 'short-version', pattern: /^(node|npm|yarn|pnpm|bun)\s+-v$/, reason: 'Version check' }
+    ];
+  }
+
   getPackageManagerCommands() {
     const pm = this.config.packageManager || 'npm';
 
@@ -3,7 +3,14 @@
  * Handles Python projects with pip, poetry, uv, conda
  */
 
-const { Ecosystem } = require('./types.cjs');
+const fs = require('fs');
+const path = require('path');
+const { Ecosystem, readProjectFile } = require('./types.cjs');
+
+// ruff formats a single range per run (singleRange)
+const ruffRange = ([range]) => `--range=${range.start}-${range.end}`;
+// Virtualenv binaries, POSIX and Windows layouts
+const venvBins = tool => ['.venv', 'venv'].flatMap(venv => [path.join(venv, 'bin', tool), path.join(venv, 'Scripts', tool)]);
 
 /**
  * Python Ecosystem implementation
@@ -94,10 +101,46 @@ class PythonEcosystem extends Ecosystem {
     return [{
       extensions: ['.py'],
       tool: 'ruff',
-      args: (filePath) => ['format', filePath]
+      args: (filePath) => ['format', filePath],
+      rangeArgs: (filePath, ranges) => ['format', ruffRange(ranges), filePath],
+      singleRange: true
     }];
   }
 
+  getProjectFormatters(dir) {
+    const pyproject = readProjectFile(dir, 'pyproject.toml');
+    const formatters = [];
+
+    // Black first: projects that configure both usually lint with ruff and format with black
+    if (/^\[tool\.black\]/m.test(pyproject)) {
+      formatters.push({
+        extensions: ['.py', '.pyi'],
+        tool: 'black',
+        localBins: venvBins('black'),
+        configFile: 'pyproject.toml',
+        args: (filePath) => ['--quiet', filePath],
+        rangeArgs: (filePath, ranges) => ['--quiet', ...ranges.map(r => `--line-ranges=${r.start}-${r.end}`), filePath]
+      });
+    }
+
+    const ruffConfig = ['ruff.toml', '.ruff.toml'].find(file => fs.existsSync(path.join(dir, file)))
+      || (/^\[tool\.ruff[\].]/m.test(pyproject) ? 'pyproject.toml' : null);
+    if (ruffConfig) {
+      formatters.push({
+        extensions: ['.py', '.pyi'],
+        tool: 'ruff',
+        localBins: venvBins('ruff'),
+        configFile: ruffConfig,
+        // --force-exclude applies the configured excludes to explicitly passed files
+        args: (filePath) => ['format', '--force-exclude', filePath],
+        rangeArgs: (filePath, ranges) => ['format', '--force-exclude', ruffRange(ranges), filePath],
+        singleRange: true
+      });
+    }
+
+    return formatters;
+  }
+
   getDebugPatterns() {
     return [{
       extensions: /\.py$/,
@@ -108,6 +151,14 @@ class PythonEcosystem extends Ecosystem {
     }];
   }
 
+  getSafeCommandPatterns() {
+    return [
+      ...super.getSafeCommandPatterns(),
+      { id: 'pytest', pattern: /^(pytest|python3?\s+-m\s+pytest|(poetry|uv)\s+run\s+pytest)/, reason: 'Run Python tests' },
+      { id: 'lint', pattern: /^(ruff|black|flake8|mypy)\s+check/, reason: 'Read-only Python lint check' }
+    ];
+  }
+
   getPackageManagerCommands() {
     const pm = this.config.packageManager || 'pip';
 
@@ -39,14 +39,17 @@ class RustEcosystem extends Ecosystem {
   getTools() {
     return {
       runtime: ['rustc'],
-      packageManagers: ['cargo']
+      packageManagers: ['cargo'],
+      buildTools: ['cargo-clippy', 'rustfmt']
     };
   }
 
   getVersionCommands() {
     return {
       cargo: 'cargo --version',
-      rustc: 'rustc --version'
+      rustc: 'rustc --version',
+      'cargo-clippy': 'cargo clippy --version',
+      rustfmt: 'rustfmt --version'
     };
   }
 
@@ -56,6 +59,16 @@ class RustEcosystem extends Ecosystem {
         win32: 'Install Rust (includes cargo) from https://rustup.rs:\n  Download and run rustup-init.exe\n\nOr use the /setup-ecosystem command for guided setup.',
         darwin: 'Install Rust (includes cargo) using rustup:\n  curl --proto "=https" --tlsv1.2 -sSf https://sh.rustup.rs | sh\n\nOr use the /setup-ecosystem command for guided setup.',
         linux: 'Install Rust (includes cargo) using rustup:\n  curl --proto "=https" --tlsv1.2 -sSf https://sh.rustup.rs | sh\n\nOr use the /setup-ecosystem command for guided setup.'
+      },
+      'cargo-clippy': {
+        win32: 'Install clippy as a rustup component:\n  rustup component add clippy',
+        darwin: 'Install clippy as a rustup component:\n  rustup component add clippy',
+        linux: 'Install clippy as a rustup component:\n  rustup component add clippy'
+      },
+      rustfmt: {
+        win32: 'Install rustfmt as a rustup component:\n  rustup component add rustfmt',
+        darwin: 'Install rustfmt as a rustup component:\n  rustup component add rustfmt',
+        linux: 'Install rustfmt as a rustup component:\n  rustup component add rustfmt'
       }
     };
   }
@@ -64,7 +77,8 @@ class RustEcosystem extends Ecosystem {
     return {
       critical: ['rustc', 'cargo'],
       packageManagers: ['cargo'],
-      recommended: ['cargo']
+      buildTools: ['cargo-clippy', 'rustfmt'],
+      recommended: ['cargo-clippy', 'rustfmt']
     };
   }
 
@@ -77,7 +91,28 @@ class RustEcosystem extends Ecosystem {
   }
 
   getDebugPatterns() {
-    return [];
+    return [{
+      extensions: /\.rs$/,
+      pattern: /\b(println|eprintln|dbg)!\s*[([{]/,
+      name: 'println!/dbg!',
+      message: 'Remove println!/eprintln!/dbg! debug statements before committing. Use the log or tracing crate instead.',
+      skipPattern: /^\s*\/\//
+    }];
+  }
+
+  getProjectSubTypes() {
+    // Cargo.lock alone (e.g. a vendored lockfile) does not make a Rust project
+    return { rust: ['Cargo.toml'] };
+  }
+
+  getSafeCommandPatterns() {
+    return [
+      ...super.getSafeCommandPatterns(),
+      { id: 'test', pattern: /^cargo\s+test/, reason: 'Run Rust tests' },
+      { id: 'build', pattern: /^cargo\s+(build|check)/, reason: 'Cargo build' },
+      { id: 'fmt-check', pattern: /^cargo\s+fmt\s+(--\s+)?--check/, reason: 'Read-only format check' },
+      { id: 'clippy', pattern: /^cargo\s+clippy(\s|$)(?!.*--fix)/, reason: 'Rust lint check' }
+    ];
   }
 
   getPackageManagerCommands() {
@@ -91,7 +126,8 @@ class RustEcosystem extends Ecosystem {
         run: 'cargo run',
         check: 'cargo check',
         update: 'cargo update',
-        doc: 'cargo doc'
+        doc: 'cargo doc',
+        lint: 'cargo clippy'
       }
     };
   }
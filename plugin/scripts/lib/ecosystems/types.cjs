@@ -3,6 +3,9 @@
  * Defines ecosystem identifiers and base Ecosystem class
  */
 
+const fs = require('fs');
+const path = require('path');
+
 /**
  * Ecosystem type constants
  * Populated by auto-discovery registry in index.cjs
@@ -12,6 +15,29 @@ const ECOSYSTEMS = {
   UNKNOWN: 'unknown'
 };
 
+/**
+ * Escape a literal string for use inside a RegExp
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read a project file, for config detection
+ * @param {string} dir - Directory
+ * @param {string} file - File name relative to dir
+ * @returns {string} Content, or '' when missing or unreadable
+ */
+function readProjectFile(dir, file) {
+  try {
+    return fs.readFileSync(path.join(dir, file), 'utf8');
+  } catch {
+    return '';
+  }
+}
+
 /**
  * Base Ecosystem class
  * Each ecosystem extends this and provides specific implementations.
@@ -57,6 +83,8 @@ class Ecosystem {
 
   /**
    * Get file indicators for this ecosystem
+   * Entries are exact file names or `*.ext` patterns (e.g. `*.csproj`) for
+   * manifests whose name varies per project.
    * @returns {string[]} Array of file names that indicate this ecosystem
    */
   getIndicators() {
@@ -119,6 +147,22 @@ class Ecosystem {
     return [];
   }
 
+  /**
+   * Get command patterns the permission filter may auto-approve.
+   * Only commands that are read-only or confined to the project belong here
+   * (tests, builds, lint checks). Patterns are matched against a single
+   * simple command, so they never need to guard against `&&` or pipes.
+   * The default allows the exact commands from getVersionCommands().
+   * @returns {Array<{ id: string, pattern: RegExp, reason: string }>}
+   */
+  getSafeCommandPatterns() {
+    return Object.entries(this.getVersionCommands()).map(([tool, command]) => ({
+      id: `${tool}-version`,
+      pattern: new RegExp(`^${escapeRegExp(command)}$`),
+      reason: `${tool} version check`
+    }));
+  }
+
   /**
    * Get per-file formatter definitions for auto-format hooks.
    * Each entry maps file extensions to a formatter tool and its arguments.
@@ -126,13 +170,33 @@ class Ecosystem {
    * - `command`: (optional) actual binary to execute; defaults to `tool`
    * - `args`: function returning the args array for safeExecSync
    * - `projectTypes`: (optional) restrict to specific project sub-types
+   * - `rangeArgs`: (optional) args that format only the given line ranges
+   *   (sorted, merged, 1-based inclusive) — for tools with range options
+   * - `singleRange`: (optional) the tool takes one range per run; `rangeArgs`
+   *   then gets one range at a time and the tool runs once per range
    * Multiple entries for the same extension act as ordered fallbacks.
-   * @returns {Array<{ extensions: string[], tool: string, command?: string, args: (filePath: string) => string[], projectTypes?: string[] }>}
+   * @returns {Array<{ extensions: string[], tool: string, command?: string, args: (filePath: string) => string[], rangeArgs?: (filePath: string, ranges: Array<{ start: number, end: number }>) => string[], singleRange?: boolean, projectTypes?: string[] }>}
    */
   getFileFormatters() {
     return [];
   }
 
+  /**
+   * Get the formatters a project configures in one directory (config files,
+   * build plugins, pinned dependencies). Entries have the getFileFormatters()
+   * shape plus:
+   * - `configFile`: file in `dir` that selected the formatter
+   * - `localBins`: project-relative binaries, preferred over `tool` on PATH
+   * - `ignoreFile`: (optional) gitignore-style file in `dir` listing files to skip
+   * - `timeoutMs`: (optional) how long a run may take
+   * When one applies to a file, getFileFormatters() is not used for it.
+   * @param {string} dir - Directory to inspect
+   * @returns {Array<{ extensions: string[], tool: string, args: (filePath: string) => string[], configFile: string, localBins: string[], ignoreFile?: string, timeoutMs?: number }>}
+   */
+  getProjectFormatters(dir) {
+    return [];
+  }
+
   /**
    * Get project sub-types and their indicators
    * For ecosystems with distinct sub-types (e.g. JVM has maven and gradle)
@@ -204,5 +268,7 @@ class Ecosystem {
 
 module.exports = {
   ECOSYSTEMS,
-  Ecosystem
+  Ecosystem,
+  escapeRegExp,
+  readProjectFile
 };
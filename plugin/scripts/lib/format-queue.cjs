@@ -0,0 +1,355 @@
+/**
+ * Format Queue - Deferred batch formatting for the smart-formatter hook
+ *
+ * With `"mode": "deferred"` in .claude/formatting.json, smart-formatter only
+ * records touched files here and the format-queue Stop hook formats them once
+ * per response. Formatting after every Edit rewrites lines the agent is about
+ * to match with its next `old_string`, and spawns one formatter per edit.
+ *
+ * The queue is one JSONL file per session under ~/.claude/format-queue/.
+ * Appends are single small writes, so concurrent PostToolUse hooks don't lose
+ * entries. The Stop hook claims the queue by renaming it; a claim left behind
+ * by a crash is picked up again by the next Stop.
+ *
+ * Files are grouped by resolved formatter (tool, binary, directory, arguments)
+ * so each formatter runs once with many files. When a batch run fails, its
+ * files fall back to one run per file through their formatter candidates.
+ * Range-limited files (lib/format-ranges.cjs) are diffed against HEAD and
+ * always formatted one at a time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClaudeDir } = require('./utils.cjs');
+const { loadConfig } = require('./workspace/config.cjs');
+const { resolveFormatters, runFormatter } = require('./formatter-resolution.cjs');
+const { detectMultipleEcosystems } = require('./ecosystems/index.cjs');
+const { planFormatting } = require('./format-ranges.cjs');
+const { getHookSettings } = require('./hook-settings.cjs');
+
+const FORMATTING_CONFIG_NAME = 'formatting';
+const FORMATTING_MODES = ['immediate', 'deferred'];
+const QUEUE_DIR = path.join(getClaudeDir(), 'format-queue');
+const CLAIM_SUFFIX = '.processing';
+const MAX_BATCH_FILES = 100;
+const STALE_QUEUE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Formatting settings for a project (.claude/formatting.json)
+ * @param {string} [cwd] - Project directory
+ * @returns {{ mode: 'immediate'|'deferred', rangeFormatting: boolean, formatOnTouchOnly: string[] }}
+ */
+function getFormattingConfig(cwd = process.cwd()) {
+  let config = {};
+  try {
+    config = loadConfig(path.resolve(cwd), FORMATTING_CONFIG_NAME) || {};
+  } catch {
+    // Unreadable config — format immediately
+  }
+  return {
+    mode: FORMATTING_MODES.includes(config.mode) ? config.mode : 'immediate',
+    rangeFormatting: config.rangeFormatting === true,
+    formatOnTouchOnly: Array.isArray(config.formatOnTouchOnly)
+      ? config.formatOnTouchOnly.filter(pattern => typeof pattern === 'string')
+      : []
+  };
+}
+
+/**
+ * Queue file of a session
+ * @param {string} sessionId - Claude Code session id
+ * @param {string} [queueDir] - Queue directory override (tests)
+ * @returns {string}
+ */
+function queuePath(sessionId, queueDir = QUEUE_DIR) {
+  const safeId = String(sessionId || 'default').replace(/[^A-Za-z0-9_-]/g, '_');
+  return path.join(queueDir, `${safeId}.jsonl`);
+}
+
+/**
+ * Record a touched file for the session's next batch
+ * @param {string} sessionId - Claude Code session id
+ * @param {string} filePath - File to format later
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Project directory, for ecosystem detection when draining
+ * @param {string} [options.queueDir] - Queue directory override (tests)
+ * @returns {boolean} Whether the entry was written
+ */
+function enqueueFile(sessionId, filePath, options = {}) {
+  const file = queuePath(sessionId, options.queueDir);
+  const entry = { file: path.resolve(filePath), cwd: options.cwd || process.cwd(), queuedAt: new Date().toISOString() };
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse queue entries, latest entry per file wins
+ * @private
+ */
+function readEntries(files) {
+  const byFile = new Map();
+  for (const file of files) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry && typeof entry.file === 'string') byFile.set(entry.file, entry);
+      } catch {
+        // Torn line from a crash mid-append
+      }
+    }
+  }
+  return [...byFile.values()];
+}
+
+/**
+ * Files queued for a session, without claiming them
+ * @param {string} sessionId - Claude Code session id
+ * @param {object} [options]
+ * @param {string} [options.queueDir] - Queue directory override (tests)
+ * @returns {Array<{ file: string, cwd: string, queuedAt: string }>}
+ */
+function readQueue(sessionId, options = {}) {
+  const file = queuePath(sessionId, options.queueDir);
+  return readEntries([file + CLAIM_SUFFIX, file]);
+}
+
+/**
+ * Claim a session's queue for formatting. New edits go to a fresh queue
+ * file; the claim stays on disk until releaseQueue(), so an interrupted run
+ * is retried by the next Stop.
+ * @param {string} sessionId - Claude Code session id
+ * @param {object} [options]
+ * @param {string} [options.queueDir] - Queue directory override (tests)
+ * @returns {{ claimFile: string, entries: object[] }|null} null when nothing is queued
+ */
+function claimQueue(sessionId, options = {}) {
+  const file = queuePath(sessionId, options.queueDir);
+  const claimFile = file + CLAIM_SUFFIX;
+
+  if (fs.existsSync(file)) {
+    try {
+      if (fs.existsSync(claimFile)) {
+        // Leftover claim from an interrupted run — merge the new entries into it
+        fs.appendFileSync(claimFile, fs.readFileSync(file, 'utf8'));
+        fs.unlinkSync(file);
+      } else {
+        fs.renameSync(file, claimFile);
+      }
+    } catch {
+      return null;
+    }
+  }
+
+  if (!fs.existsSync(claimFile)) return null;
+  const entries = readEntries([claimFile]);
+  if (entries.length === 0) {
+    releaseQueue({ claimFile });
+    return null;
+  }
+  return { claimFile, entries };
+}
+
+/**
+ * Drop a processed claim
+ * @param {{ claimFile: string }} claim - Result of claimQueue()
+ */
+function releaseQueue(claim) {
+  try {
+    fs.unlinkSync(claim.claimFile);
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Remove queues of sessions that ended without a Stop (older than maxAgeMs)
+ * @param {object} [options]
+ * @param {string} [options.queueDir] - Queue directory override (tests)
+ * @param {number} [options.maxAgeMs] - Age after which a queue is abandoned
+ * @returns {number} Number of files removed
+ */
+function pruneQueues(options = {}) {
+  const dir = options.queueDir || QUEUE_DIR;
+  const cutoff = Date.now() - (options.maxAgeMs ?? STALE_QUEUE_MS);
+  let removed = 0;
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return 0;
+  }
+  for (const name of names) {
+    const full = path.join(dir, name);
+    try {
+      if (fs.statSync(full).mtimeMs < cutoff) {
+        fs.unlinkSync(full);
+        removed++;
+      }
+    } catch {
+      // Raced with another session
+    }
+  }
+  return removed;
+}
+
+/**
+ * Arguments for running a resolved formatter on several files, or null when
+ * the file is embedded in an argument (e.g. Spotless's -PspotlessIdeHook=<file>)
+ * and the formatter can only take one file per run
+ * @param {object} formatter - Entry from resolveFormatters() for one file
+ * @param {string} file - The file that entry was resolved for
+ * @param {string[]} files - Files to pass instead
+ * @returns {string[]|null}
+ */
+function batchArgs(formatter, file, files) {
+  const index = formatter.args.indexOf(file);
+  if (index === -1) return null;
+  return [...formatter.args.slice(0, index), ...files, ...formatter.args.slice(index + 1)];
+}
+
+/**
+ * Group queued files by the formatter that applies to them
+ * @param {Array<{ file: string, cwd?: string }>} entries - Queue entries
+ * @param {object} [options]
+ * @param {Function} [options.resolve] - (file, cwd, ranges) => resolveFormatters() result
+ * @param {Function} [options.plan] - (entry) => planFormatting() result
+ * @returns {{ groups: Array<{ formatter: object, batchable: boolean, files: string[], candidates: Map<string, object[]> }>, skipped: Array<{ file: string, reason: string }> }}
+ *   candidates: every file's full formatter list, for the per-file fallback
+ * @private
+ */
+function groupByFormatter(entries, options = {}) {
+  const ecosystemsByCwd = new Map();
+  const preferByCwd = new Map();
+  const resolve = options.resolve || ((file, cwd = process.cwd(), ranges) => {
+    if (!ecosystemsByCwd.has(cwd)) ecosystemsByCwd.set(cwd, detectMultipleEcosystems(cwd));
+    // Queued edits honour smart-formatter's preferred formatter, as immediate ones do
+    if (!preferByCwd.has(cwd)) preferByCwd.set(cwd, getHookSettings('smart-formatter', cwd).options.formatter);
+    return resolveFormatters(file, { ecosystems: ecosystemsByCwd.get(cwd), cwd, ranges, prefer: preferByCwd.get(cwd) });
+  });
+  const configByCwd = new Map();
+  const plan = options.plan || ((entry) => {
+    const cwd = entry.cwd || process.cwd();
+    if (!configByCwd.has(cwd)) configByCwd.set(cwd, getFormattingConfig(cwd));
+    return planFormatting(entry.file, { config: configByCwd.get(cwd), cwd });
+  });
+  const groups = new Map();
+  const skipped = [];
+
+  for (const entry of entries) {
+    if (!fs.existsSync(entry.file)) {
+      skipped.push({ file: entry.file, reason: 'deleted' });
+      continue;
+    }
+    const scope = plan(entry);
+    if (scope.scope === 'skip') {
+      skipped.push({ file: entry.file, reason: scope.reason });
+      continue;
+    }
+    const resolution = resolve(entry.file, entry.cwd, scope.ranges);
+    if (resolution.ignoredBy) {
+      skipped.push({ file: entry.file, reason: `ignored by ${path.basename(resolution.ignoredBy)}` });
+      continue;
+    }
+    const formatters = scope.touchOnly ? resolution.formatters.filter(fmt => fmt.range) : resolution.formatters;
+    if (formatters.length === 0) {
+      let reason = 'no formatter';
+      if (resolution.missing && resolution.missing.length > 0) {
+        reason = `configured formatter not installed (${resolution.missing.join(', ')})`;
+      } else if (scope.touchOnly && resolution.formatters.length > 0) {
+        reason = 'format-on-touch only: no range-capable formatter';
+      }
+      skipped.push({ file: entry.file, reason });
+      continue;
+    }
+
+    const [first] = formatters;
+    // Range arguments belong to one file, so those runs are never batched
+    const template = first.range ? null : batchArgs(first, entry.file, ['\u0000']);
+    // Formatters that take one file per run get a group of their own
+    const key = template
+      ? JSON.stringify([first.tool, first.command, first.cwd, template])
+      : JSON.stringify([first.tool, first.command, first.cwd, entry.file]);
+    if (!groups.has(key)) groups.set(key, { formatter: first, batchable: !!template, files: [], candidates: new Map() });
+    const group = groups.get(key);
+    group.files.push(entry.file);
+    group.candidates.set(entry.file, formatters);
+  }
+
+  return { groups: [...groups.values()], skipped };
+}
+
+/**
+ * Format queued files, one formatter run per group of up to MAX_BATCH_FILES
+ * @param {Array<{ file: string, cwd?: string }>} entries - Queue entries
+ * @param {object} [options]
+ * @param {Function} [options.resolve] - (file, cwd, ranges) => resolveFormatters() result
+ * @param {Function} [options.plan] - (entry) => planFormatting() result
+ * @param {Function} [options.run] - runFormatter() override (tests)
+ * @returns {{ formatted: Array<{ file: string, tool: string }>, failed: Array<{ file: string, error: string }>, skipped: Array<{ file: string, reason: string }>, runs: number }}
+ */
+function formatBatch(entries, options = {}) {
+  const run = options.run || runFormatter;
+  const { groups, skipped } = groupByFormatter(entries, options);
+  const formatted = [];
+  const failed = [];
+  let runs = 0;
+
+  for (const group of groups) {
+    const [firstFile] = group.files;
+    for (let i = 0; i < group.files.length; i += MAX_BATCH_FILES) {
+      const chunk = group.files.slice(i, i + MAX_BATCH_FILES);
+      const args = group.batchable ? batchArgs(group.formatter, firstFile, chunk) : group.formatter.args;
+      runs++;
+      if (run({ ...group.formatter, args }).ok) {
+        for (const file of chunk) formatted.push({ file, tool: group.formatter.tool });
+        continue;
+      }
+
+      // One file may break the whole run (syntax error) — retry each file on its own;
+      // a single-file run already tried the first candidate
+      for (const file of chunk) {
+        let error = 'no formatter succeeded';
+        let done = false;
+        for (const fmt of group.candidates.get(file).slice(chunk.length === 1 ? 1 : 0)) {
+          runs++;
+          const result = run(fmt);
+          if (result.ok) {
+            formatted.push({ file, tool: fmt.tool });
+            done = true;
+            break;
+          }
+          error = result.error;
+        }
+        if (!done) failed.push({ file, error });
+      }
+    }
+  }
+
+  return { formatted, failed, skipped, runs };
+}
+
+module.exports = {
+  FORMATTING_MODES,
+  MAX_BATCH_FILES,
+  getFormattingConfig,
+  queuePath,
+  enqueueFile,
+  readQueue,
+  claimQueue,
+  releaseQueue,
+  pruneQueues,
+  batchArgs,
+  formatBatch
+};
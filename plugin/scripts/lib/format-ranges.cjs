@@ -0,0 +1,191 @@
+/**
+ * Format Ranges - Limit formatting to the lines an edit changed
+ *
+ * Formatting a whole legacy file after a one-line edit buries the change in
+ * unrelated reformatting. Two settings in .claude/formatting.json restrict it:
+ *   - `rangeFormatting: true` — formatters with range options (google-java-format
+ *     --lines, black --line-ranges, ruff --range, prettier --range-start/end)
+ *     only format the changed lines; other formatters still format the file
+ *   - `formatOnTouchOnly: ["legacy/**"]` — gitignore-style patterns (relative to
+ *     the project root) for files that are never formatted as a whole: only
+ *     changed lines, and not at all when the formatter has no range option
+ *
+ * Changed lines come from the Edit's new_string when it occurs exactly once in
+ * the edited file, otherwise (and for Write and the deferred queue) from
+ * `git diff -U0 HEAD`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseIgnoreFile, matchesIgnoreRules } = require('./formatter-resolution.cjs');
+const { spawnWithBudget } = require('./hook-budget.cjs');
+
+const GIT_TIMEOUT_MS = 5000;
+
+/**
+ * Sort ranges and merge overlapping or adjacent ones
+ * @param {Array<{ start: number, end: number }>} ranges - 1-based inclusive line ranges
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges.map(r => ({ start: r.start, end: r.end })).sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+/**
+ * @private
+ */
+function countNewlines(text, end = text.length) {
+  let count = 0;
+  for (let i = 0; i < end; i++) {
+    if (text[i] === '\n') count++;
+  }
+  return count;
+}
+
+/**
+ * Lines holding an Edit's replacement text in the edited file
+ * @param {string} toolName - 'Edit' or 'MultiEdit'
+ * @param {object} toolInput - tool_input of the call
+ * @param {string} content - File content after the edit
+ * @returns {Array<{ start: number, end: number }>|null} null when the edit
+ *   cannot be located (Write, deletions, text changed since) or the text occurs
+ *   more than once, so which occurrence changed is unknown
+ */
+function rangesFromEdit(toolName, toolInput, content) {
+  let edits;
+  if (toolName === 'Edit') edits = [toolInput || {}];
+  else if (toolName === 'MultiEdit') edits = (toolInput && toolInput.edits) || [];
+  else return null;
+
+  const ranges = [];
+  for (const edit of edits) {
+    const text = typeof edit.new_string === 'string' ? edit.new_string.replace(/\n$/, '') : '';
+    if (!text) return null;
+
+    const index = content.indexOf(text);
+    if (index === -1 || content.indexOf(text, index + 1) !== -1) return null;
+    const start = countNewlines(content, index) + 1;
+    ranges.push({ start, end: start + countNewlines(text) });
+  }
+  return ranges.length > 0 ? mergeRanges(ranges) : null;
+}
+
+/**
+ * Parse the new-side line ranges from `git diff -U0` output
+ * @param {string} diff - Unified diff with zero context
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function parseDiffRanges(diff) {
+  const ranges = [];
+  for (const match of String(diff || '').matchAll(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/gm)) {
+    const start = Number(match[1]);
+    const count = match[2] === undefined ? 1 : Number(match[2]);
+    // Pure deletion: the lines around it may need rejoining
+    if (count === 0) ranges.push({ start: Math.max(start, 1), end: Math.max(start, 1) });
+    else ranges.push({ start, end: start + count - 1 });
+  }
+  return mergeRanges(ranges);
+}
+
+/**
+ * @private
+ */
+function git(args, cwd) {
+  return spawnWithBudget('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: GIT_TIMEOUT_MS });
+}
+
+/**
+ * Lines of a file that differ from HEAD
+ * @param {string} filePath - File to diff
+ * @param {object} [options]
+ * @param {Function} [options.exec] - (args, cwd) => spawnWithBudget result, for tests
+ * @returns {Array<{ start: number, end: number }>|null} null outside a git
+ *   repository; an untracked file is changed as a whole
+ */
+function rangesFromGitDiff(filePath, options = {}) {
+  const exec = options.exec || git;
+  const absolute = path.resolve(filePath);
+  const cwd = path.dirname(absolute);
+
+  const diff = exec(['diff', '--no-color', '--no-ext-diff', '-U0', 'HEAD', '--', absolute], cwd);
+  if (diff.error || diff.status !== 0) return null;
+  if (diff.stdout.trim()) return parseDiffRanges(diff.stdout);
+
+  const tracked = exec(['ls-files', '--error-unmatch', '--', absolute], cwd);
+  if (tracked.status === 0) return [];
+  try {
+    const lines = countNewlines(fs.readFileSync(absolute, 'utf8').replace(/\n$/, '')) + 1;
+    return [{ start: 1, end: lines }];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the project marks a file as format-on-touch only
+ * @param {string} filePath - File to check
+ * @param {string[]} patterns - `formatOnTouchOnly` patterns
+ * @param {string} rootDir - Directory the patterns are relative to
+ * @returns {boolean}
+ */
+function isFormatOnTouchOnly(filePath, patterns, rootDir) {
+  if (!patterns || patterns.length === 0) return false;
+  const relative = path.relative(path.resolve(rootDir), path.resolve(filePath)).split(path.sep).join('/');
+  if (relative.startsWith('..')) return false;
+  return matchesIgnoreRules(relative, parseIgnoreFile(patterns.join('\n')));
+}
+
+/**
+ * Decide how much of a file to format
+ * @param {string} filePath - Edited file
+ * @param {object} options
+ * @param {{ rangeFormatting: boolean, formatOnTouchOnly: string[] }} options.config - getFormattingConfig() result
+ * @param {string} [options.cwd] - Project root for formatOnTouchOnly patterns
+ * @param {string} [options.toolName] - Tool that changed the file (Edit ranges are used when possible)
+ * @param {object} [options.toolInput] - tool_input of that call
+ * @param {Function} [options.exec] - git runner override (tests)
+ * @returns {{ scope: 'file'|'ranges'|'skip', ranges?: Array<{ start: number, end: number }>, touchOnly: boolean, reason?: string }}
+ *   touchOnly: only range-capable formatters may run
+ */
+function planFormatting(filePath, options) {
+  const { config } = options;
+  const touchOnly = isFormatOnTouchOnly(filePath, config.formatOnTouchOnly, options.cwd || process.cwd());
+  if (!touchOnly && !config.rangeFormatting) return { scope: 'file', touchOnly };
+
+  let ranges = null;
+  if (options.toolName) {
+    try {
+      ranges = rangesFromEdit(options.toolName, options.toolInput, fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      // Unreadable — the formatter would fail as well
+    }
+  }
+  if (!ranges) ranges = rangesFromGitDiff(filePath, { exec: options.exec });
+
+  if (!ranges) {
+    return touchOnly
+      ? { scope: 'skip', touchOnly, reason: 'format-on-touch only: changed lines unknown' }
+      : { scope: 'file', touchOnly };
+  }
+  if (ranges.length === 0) return { scope: 'skip', touchOnly, reason: 'no changed lines' };
+  return { scope: 'ranges', ranges, touchOnly };
+}
+
+module.exports = {
+  mergeRanges,
+  rangesFromEdit,
+  parseDiffRanges,
+  rangesFromGitDiff,
+  isFormatOnTouchOnly,
+  planFormatting
+};
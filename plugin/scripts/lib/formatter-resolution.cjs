@@ -0,0 +1,283 @@
+/**
+ * Formatter Resolution - Pick the formatter a project actually uses for a file
+ *
+ * Used by the smart-formatter hook. Starting in the edited file's directory
+ * and walking up to the git root, each directory is checked for formatter
+ * configuration (Ecosystem#getProjectFormatters: Biome, Prettier, black/ruff,
+ * Spotless; plus dprint for any language). The nearest directory with a
+ * formatter for the file's extension wins:
+ *   - its binary is taken from the project (node_modules/.bin, .venv, gradlew/mvnw)
+ *     before PATH; a configured formatter that is not installed is not replaced
+ *   - files listed in its ignore file (e.g. .prettierignore) are left alone
+ * Only when nothing is configured do the ecosystem defaults
+ * (Ecosystem#getFileFormatters) apply, using global binaries.
+ *
+ * Given changed line ranges, formatters with range options (`rangeArgs`) are
+ * resolved to format only those lines (see lib/format-ranges.cjs). Tools that
+ * take one range per run (ruff, prettier) run once per range, last range
+ * first so the line numbers and offsets of the earlier ones stay valid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { commandExists } = require('./utils.cjs');
+const { spawnWithBudget } = require('./hook-budget.cjs');
+const { getAllProjectFormatters, getEcosystem } = require('./ecosystems/index.cjs');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DPRINT_CONFIGS = ['dprint.json', 'dprint.jsonc', '.dprint.json', '.dprint.jsonc'];
+const WINDOWS_BIN_EXTENSIONS = ['.cmd', '.bat', '.exe', ''];
+
+/**
+ * dprint is configured per project for any language; its plugins decide
+ * which files it formats
+ * @private
+ */
+function dprintFormatters(dir) {
+  const configFile = DPRINT_CONFIGS.find(file => fs.existsSync(path.join(dir, file)));
+  if (!configFile) return [];
+  return [{
+    extensions: ['*'],
+    tool: 'dprint',
+    localBins: [path.join('node_modules', '.bin', 'dprint')],
+    configFile,
+    args: (filePath) => ['fmt', filePath],
+    ecosystem: 'any'
+  }];
+}
+
+/**
+ * Directories from the file's directory up to the git root (or the filesystem root)
+ * @private
+ */
+function searchDirs(filePath) {
+  const dirs = [];
+  let dir = path.dirname(path.resolve(filePath));
+  while (true) {
+    dirs.push(dir);
+    if (fs.existsSync(path.join(dir, '.git'))) break;
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return dirs;
+}
+
+/**
+ * @private
+ */
+function matchesExtension(formatter, ext) {
+  return formatter.extensions.includes('*') || formatter.extensions.includes(ext);
+}
+
+/**
+ * First existing project binary, looked up from the config directory upwards
+ * (node_modules/.bin of a workspace package or its root)
+ * @param {string[]} localBins - Project-relative binary paths
+ * @param {string[]} dirs - Directories to search, nearest first
+ * @returns {string|null} Absolute path
+ */
+function findLocalBin(localBins, dirs) {
+  const extensions = process.platform === 'win32' ? WINDOWS_BIN_EXTENSIONS : [''];
+  for (const dir of dirs) {
+    for (const bin of localBins) {
+      for (const ext of extensions) {
+        const candidate = path.join(dir, bin + ext);
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a gitignore-style file (.prettierignore and friends)
+ * @param {string} text - File content
+ * @returns {Array<{ regex: RegExp, negate: boolean }>}
+ */
+function parseIgnoreFile(text) {
+  const rules = [];
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    let line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/^\/|\/$/g, '');
+    if (!line) continue;
+
+    // Patterns with a slash are relative to the ignore file; others match at any depth
+    const anchored = raw.trim().replace(/^!/, '').startsWith('/') || line.includes('/');
+    const body = line
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\//g, '\u0000')
+      .replace(/\*\*/g, '.*')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/\u0000/g, '(?:.*/)?');
+    // A directory pattern matches everything below it; a file pattern may also name a directory
+    const tail = dirOnly ? '/.*' : '(?:/.*)?';
+    rules.push({ regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}${tail}$`), negate });
+  }
+  return rules;
+}
+
+/**
+ * Whether gitignore-style rules exclude a path (the last matching rule wins)
+ * @param {string} relative - Path relative to the rules' base directory, with forward slashes
+ * @param {Array<{ regex: RegExp, negate: boolean }>} rules - Result of parseIgnoreFile()
+ * @returns {boolean}
+ */
+function matchesIgnoreRules(relative, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.regex.test(relative)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+/**
+ * Whether an ignore file excludes a file (the last matching rule wins)
+ * @param {string} filePath - File to check
+ * @param {string} ignoreFile - Absolute path of the ignore file
+ * @returns {boolean}
+ */
+function isIgnoredBy(filePath, ignoreFile) {
+  let text;
+  try {
+    text = fs.readFileSync(ignoreFile, 'utf8');
+  } catch {
+    return false;
+  }
+  const relative = path.relative(path.dirname(ignoreFile), path.resolve(filePath)).split(path.sep).join('/');
+  if (relative.startsWith('..')) return false;
+  return matchesIgnoreRules(relative, parseIgnoreFile(text));
+}
+
+/**
+ * Move the preferred tool to the front, keeping the others in order
+ * @private
+ */
+function preferFirst(formatters, prefer) {
+  if (!prefer) return formatters;
+  return [...formatters.filter(fmt => fmt.tool === prefer), ...formatters.filter(fmt => fmt.tool !== prefer)];
+}
+
+/**
+ * Formatters to try for a file, in order
+ * @param {string} filePath - File to format
+ * @param {object} [options]
+ * @param {string[]} [options.ecosystems] - Detected ecosystems, for the global defaults
+ * @param {string} [options.cwd] - Session working directory, where the global defaults run
+ * @param {Array<{ start: number, end: number }>} [options.ranges] - Changed lines to limit formatting to
+ * @param {string} [options.prefer] - Tool to try first when several apply
+ *   (smart-formatter's `formatter` in .claude/magic-claude.json)
+ * @param {Function} [options.commandExists] - PATH lookup override (tests)
+ * @returns {{ formatters: object[], configured: boolean, ignoredBy?: string, missing?: string[] }}
+ *   formatters: `{ tool, command, args, argsPerRange?, cwd, configFile?, source: 'project'|'global', timeoutMs, range }`
+ *   (range: args format only options.ranges; argsPerRange: one run per range
+ *   for tools that take a single range, args being the first);
+ *   configured: the project configures a formatter for this file (no global fallback);
+ *   ignoredBy: ignore file that excludes the file; missing: configured tools not installed
+ */
+function resolveFormatters(filePath, options = {}) {
+  const exists = options.commandExists || commandExists;
+  const absolute = path.resolve(filePath);
+  const ext = path.extname(absolute);
+  const dirs = searchDirs(absolute);
+  const argsFor = (fmt) => {
+    if (!options.ranges || !fmt.rangeArgs) return { args: fmt.args(absolute), range: false };
+    if (!fmt.singleRange || options.ranges.length < 2) return { args: fmt.rangeArgs(absolute, options.ranges), range: true };
+    const argsPerRange = [...options.ranges].reverse().map(range => fmt.rangeArgs(absolute, [range]));
+    return { args: argsPerRange[0], argsPerRange, range: true };
+  };
+
+  for (let i = 0; i < dirs.length; i++) {
+    const dir = dirs[i];
+    const configured = [...dprintFormatters(dir), ...getAllProjectFormatters(dir)]
+      .filter(fmt => matchesExtension(fmt, ext));
+    if (configured.length === 0) continue;
+
+    const ignoring = configured.find(fmt => fmt.ignoreFile && isIgnoredBy(absolute, path.join(dir, fmt.ignoreFile)));
+    if (ignoring) {
+      return { formatters: [], configured: true, ignoredBy: path.join(dir, ignoring.ignoreFile) };
+    }
+
+    const formatters = [];
+    const missing = [];
+    for (const fmt of configured) {
+      const command = findLocalBin(fmt.localBins || [], dirs.slice(i)) || (exists(fmt.tool) ? fmt.tool : null);
+      if (!command) {
+        missing.push(fmt.tool);
+        continue;
+      }
+      formatters.push({
+        tool: fmt.tool,
+        command,
+        ...argsFor(fmt),
+        cwd: dir,
+        configFile: path.join(dir, fmt.configFile),
+        source: 'project',
+        timeoutMs: fmt.timeoutMs || DEFAULT_TIMEOUT_MS
+      });
+    }
+    return { formatters: preferFirst(formatters, options.prefer), configured: true, missing };
+  }
+
+  const formatters = [];
+  for (const type of options.ecosystems || []) {
+    for (const fmt of getEcosystem(type).getFileFormatters()) {
+      if (!fmt.extensions.includes(ext) || !exists(fmt.tool)) continue;
+      formatters.push({
+        tool: fmt.tool,
+        command: fmt.command || fmt.tool,
+        ...argsFor(fmt),
+        cwd: options.cwd || process.cwd(),
+        source: 'global',
+        timeoutMs: DEFAULT_TIMEOUT_MS
+      });
+    }
+  }
+  return { formatters: preferFirst(formatters, options.prefer), configured: false };
+}
+
+/**
+ * Run a resolved formatter (once per range when it has argsPerRange)
+ * @param {object} formatter - Entry from resolveFormatters()
+ * @returns {{ ok: boolean, error?: string }}
+ */
+function runFormatter(formatter) {
+  const isPath = path.isAbsolute(formatter.command);
+  if (!isPath && !/^[a-z0-9_-]+$/i.test(formatter.command)) {
+    return { ok: false, error: `Invalid command name: ${formatter.command}` };
+  }
+
+  // .cmd/.bat shims (node_modules/.bin on Windows) only run through the shell
+  const shell = /\.(cmd|bat)$/i.test(formatter.command);
+  const quote = value => (shell ? `"${value}"` : value);
+  for (const args of formatter.argsPerRange || [formatter.args]) {
+    const result = spawnWithBudget(quote(formatter.command), args.map(quote), {
+      cwd: formatter.cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: formatter.timeoutMs || DEFAULT_TIMEOUT_MS,
+      shell
+    });
+
+    if (result.error) return { ok: false, error: result.error.message };
+    if (result.status !== 0) {
+      return { ok: false, error: (result.stderr || result.stdout || `exit code ${result.status}`).trim().split('\n')[0] };
+    }
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  findLocalBin,
+  parseIgnoreFile,
+  matchesIgnoreRules,
+  isIgnoredBy,
+  resolveFormatters,
+  runFormatter
+};
@@ -0,0 +1,345 @@
+/**
+ * Hook Budget - Time budgets for hooks and events
+ *
+ * A slow semgrep, SpotBugs or tsc run inside a hook must not stall the
+ * session. hook-runtime.cjs gives every hook run a budget: the smaller of the
+ * hook's own budget and what is left of its event's budget. Child processes
+ * started through spawnWithBudget() are stopped when the budget runs out,
+ * together with everything they started, and the run is logged with the
+ * `timeout` outcome.
+ *
+ * Budgets come from .claude/hook-budgets.json (merged through ConfigLoader):
+ *
+ *   {
+ *     "defaultHookMs": 60000,
+ *     "hooks": { "java-security": 120000 },
+ *     "events": { "PostToolUse": 170000 },
+ *     "backoff": { "timeouts": 3, "cooldownMinutes": 30 }
+ *   }
+ *
+ * Back-off: a hook that times out `timeouts` times in a row is skipped for
+ * `cooldownMinutes` in that session. The per-session state lives in
+ * ~/.claude/hook-backoff/<session>.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { getClaudeDir } = require('./utils.cjs');
+const { loadConfig } = require('./workspace/config.cjs');
+
+const BUDGET_CONFIG_NAME = 'hook-budgets';
+const BACKOFF_DIR = path.join(getClaudeDir(), 'hook-backoff');
+const STALE_BACKOFF_MS = 7 * 24 * 60 * 60 * 1000;
+const IS_WINDOWS = process.platform === 'win32';
+
+const DEFAULT_HOOK_BUDGET_MS = 60000;
+
+/**
+ * Hooks whose work routinely takes longer than the default
+ */
+const DEFAULT_HOOK_BUDGETS_MS = {
+  'format-queue': 240000
+};
+
+/**
+ * A little under each event's hooks.json timeout (60s unless set there), so
+ * the dispatcher still finishes and reports before Claude Code kills it
+ */
+const DEFAULT_EVENT_BUDGETS_MS = {
+  PostToolUse: 170000,
+  Stop: 290000
+};
+const DEFAULT_EVENT_BUDGET_MS = 55000;
+
+const DEFAULT_BACKOFF = { timeouts: 3, cooldownMinutes: 30 };
+
+/** Budget of the hook that is running, read by spawnWithBudget() */
+let activeBudget = null;
+
+/**
+ * @private
+ */
+function positiveNumber(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * @private
+ */
+function numberMap(value) {
+  const result = {};
+  if (!value || typeof value !== 'object') return result;
+  for (const [key, ms] of Object.entries(value)) {
+    const parsed = positiveNumber(ms, null);
+    if (parsed !== null) result[key] = parsed;
+  }
+  return result;
+}
+
+/**
+ * Budget settings for a project (.claude/hook-budgets.json)
+ * @param {string} [cwd] - Project directory
+ * @returns {{ defaultHookMs: number, hooks: Record<string, number>, events: Record<string, number>, backoff: { timeouts: number, cooldownMs: number } }}
+ */
+function getBudgetConfig(cwd = process.cwd()) {
+  let config = {};
+  try {
+    config = loadConfig(path.resolve(cwd), BUDGET_CONFIG_NAME) || {};
+  } catch {
+    // Unreadable config — defaults
+  }
+  const backoff = config.backoff || {};
+  return {
+    defaultHookMs: positiveNumber(config.defaultHookMs, DEFAULT_HOOK_BUDGET_MS),
+    hooks: { ...DEFAULT_HOOK_BUDGETS_MS, ...numberMap(config.hooks) },
+    events: { ...DEFAULT_EVENT_BUDGETS_MS, ...numberMap(config.events) },
+    backoff: {
+      timeouts: Math.floor(positiveNumber(backoff.timeouts, DEFAULT_BACKOFF.timeouts)),
+      cooldownMs: positiveNumber(backoff.cooldownMinutes, DEFAULT_BACKOFF.cooldownMinutes) * 60 * 1000
+    }
+  };
+}
+
+/**
+ * Budget of one hook
+ * @param {object} config - getBudgetConfig() result
+ * @param {string} hook - Hook name
+ * @returns {number} Milliseconds
+ */
+function hookBudgetMs(config, hook) {
+  return config.hooks[hook] || config.defaultHookMs;
+}
+
+/**
+ * Budget of all hooks of one event together
+ * @param {object} config - getBudgetConfig() result
+ * @param {string} event - Hook event name
+ * @returns {number} Milliseconds
+ */
+function eventBudgetMs(config, event) {
+  return config.events[event] || DEFAULT_EVENT_BUDGET_MS;
+}
+
+/**
+ * Start a hook's budget; child processes spawned until endHookBudget() are
+ * held to it
+ * @param {string} hook - Hook name
+ * @param {object} options
+ * @param {object} options.config - getBudgetConfig() result
+ * @param {number} [options.eventDeadline] - Time (ms since epoch) the event's budget runs out
+ * @param {number} [options.now] - Start time (tests)
+ * @returns {{ hook: string, budgetMs: number, deadline: number, exceeded: { command: string }|null }}
+ *   exceeded: set when a child process was stopped because the budget ran out
+ */
+function beginHookBudget(hook, options) {
+  const now = options.now || Date.now();
+  const own = now + hookBudgetMs(options.config, hook);
+  const deadline = options.eventDeadline ? Math.min(own, options.eventDeadline) : own;
+  activeBudget = { hook, budgetMs: Math.max(deadline - now, 0), deadline, exceeded: null };
+  return activeBudget;
+}
+
+/**
+ * End a hook's budget
+ * @param {object} budget - beginHookBudget() result
+ */
+function endHookBudget(budget) {
+  if (activeBudget === budget) activeBudget = null;
+}
+
+/**
+ * Time left in the running hook's budget
+ * @returns {number} Milliseconds (Infinity outside a hook run)
+ */
+function remainingMs() {
+  return activeBudget ? activeBudget.deadline - Date.now() : Infinity;
+}
+
+/**
+ * Stop a process and everything it started. On POSIX the process must lead
+ * its own process group (spawnWithBudget() starts children detached); on
+ * Windows the tree is ended with taskkill /T.
+ * @param {number} pid - Process id
+ */
+function killProcessTree(pid) {
+  if (!pid) return;
+  if (IS_WINDOWS) {
+    spawnSync('taskkill', ['/pid', String(pid), '/T', '/F'], { stdio: 'ignore', timeout: 5000 });
+    return;
+  }
+  try {
+    process.kill(-pid, 'SIGKILL');
+  } catch {
+    try {
+      process.kill(pid, 'SIGKILL');
+    } catch {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * spawnSync() held to the running hook's budget. The child gets the smaller
+ * of `options.timeout` and the time left; when that runs out the child's
+ * whole process tree is stopped. Outside a hook run this is plain spawnSync()
+ * with tree termination on `options.timeout`.
+ * @param {string} command - Command to run
+ * @param {string[]} [args] - Arguments
+ * @param {object} [options] - spawnSync options
+ * @returns {object} spawnSync result, plus `timedOut: true` when the child was stopped
+ */
+function spawnWithBudget(command, args = [], options = {}) {
+  const budget = activeBudget;
+  const remaining = remainingMs();
+  const ownTimeout = positiveNumber(options.timeout, Infinity);
+  const timeout = Math.min(ownTimeout, remaining);
+
+  if (timeout <= 0) {
+    if (budget && !budget.exceeded) budget.exceeded = { command: path.basename(command) };
+    const error = Object.assign(new Error(`spawnSync ${command} ETIMEDOUT (hook budget exhausted)`), { code: 'ETIMEDOUT' });
+    const empty = options.encoding && options.encoding !== 'buffer' ? '' : Buffer.alloc(0);
+    return { pid: 0, output: [null, empty, empty], stdout: empty, stderr: empty, status: null, signal: null, error, timedOut: true };
+  }
+
+  const result = spawnSync(command, args, {
+    ...options,
+    ...(Number.isFinite(timeout) && { timeout: Math.ceil(timeout) }),
+    // Own process group, so the whole tree can be stopped
+    detached: IS_WINDOWS ? Boolean(options.detached) : true
+  });
+
+  if (result.error && result.error.code === 'ETIMEDOUT') {
+    killProcessTree(result.pid);
+    result.timedOut = true;
+    if (budget && remaining <= ownTimeout && !budget.exceeded) {
+      budget.exceeded = { command: path.basename(command) };
+    }
+  }
+  return result;
+}
+
+/**
+ * Back-off state file of a session
+ * @param {string} sessionId - Claude Code session id
+ * @param {string} [dir] - State directory override (tests)
+ * @returns {string}
+ */
+function backoffPath(sessionId, dir = BACKOFF_DIR) {
+  const safeId = String(sessionId || 'default').replace(/[^A-Za-z0-9_-]/g, '_');
+  return path.join(dir, `${safeId}.json`);
+}
+
+/**
+ * Read a session's back-off state
+ * @param {string} sessionId - Claude Code session id
+ * @param {object} [options]
+ * @param {string} [options.dir] - State directory override (tests)
+ * @returns {{ file: string, hooks: Record<string, { timeouts: number, disabledUntil?: string }> }}
+ */
+function loadBackoff(sessionId, options = {}) {
+  const file = backoffPath(sessionId, options.dir);
+  let hooks = {};
+  try {
+    hooks = JSON.parse(fs.readFileSync(file, 'utf8')).hooks || {};
+  } catch {
+    // No timeouts yet
+  }
+  return { file, hooks };
+}
+
+/**
+ * Whether a hook is backed off
+ * @param {object} state - loadBackoff() result
+ * @param {string} hook - Hook name
+ * @param {number} [now] - Current time (tests)
+ * @returns {{ until: string }|null}
+ */
+function isBackedOff(state, hook, now = Date.now()) {
+  const entry = state.hooks[hook];
+  if (!entry || !entry.disabledUntil) return null;
+  return Date.parse(entry.disabledUntil) > now ? { until: entry.disabledUntil } : null;
+}
+
+/**
+ * @private
+ */
+function pruneBackoff(dir) {
+  const cutoff = Date.now() - STALE_BACKOFF_MS;
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return;
+  }
+  for (const name of names) {
+    const full = path.join(dir, name);
+    try {
+      if (fs.statSync(full).mtimeMs < cutoff) fs.unlinkSync(full);
+    } catch {
+      // Raced with another session
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function saveBackoff(state) {
+  try {
+    fs.mkdirSync(path.dirname(state.file), { recursive: true });
+    pruneBackoff(path.dirname(state.file));
+    fs.writeFileSync(state.file, JSON.stringify({ hooks: state.hooks }, null, 2));
+  } catch {
+    // Never break a hook because of back-off bookkeeping
+  }
+}
+
+/**
+ * Count a hook run toward back-off. Consecutive timeouts disable the hook for
+ * the cooldown; a run that finishes in time resets the count.
+ * @param {object} state - loadBackoff() result (updated and saved)
+ * @param {string} hook - Hook name
+ * @param {boolean} timedOut - Whether the run timed out
+ * @param {object} config - getBudgetConfig() result
+ * @param {number} [now] - Current time (tests)
+ * @returns {{ disabledUntil: string }|null} Set when this run disabled the hook
+ */
+function recordHookRun(state, hook, timedOut, config, now = Date.now()) {
+  const entry = state.hooks[hook];
+  if (!timedOut) {
+    if (entry && entry.timeouts > 0) {
+      entry.timeouts = 0;
+      saveBackoff(state);
+    }
+    return null;
+  }
+
+  const timeouts = ((entry && entry.timeouts) || 0) + 1;
+  if (timeouts < config.backoff.timeouts) {
+    state.hooks[hook] = { ...entry, timeouts };
+    saveBackoff(state);
+    return null;
+  }
+  const disabledUntil = new Date(now + config.backoff.cooldownMs).toISOString();
+  state.hooks[hook] = { timeouts: 0, disabledUntil };
+  saveBackoff(state);
+  return { disabledUntil };
+}
+
+module.exports = {
+  getBudgetConfig,
+  hookBudgetMs,
+  eventBudgetMs,
+  beginHookBudget,
+  endHookBudget,
+  remainingMs,
+  killProcessTree,
+  spawnWithBudget,
+  backoffPath,
+  loadBackoff,
+  isBackedOff,
+  recordHookRun,
+  DEFAULT_HOOK_BUDGET_MS,
+  DEFAULT_EVENT_BUDGET_MS
+};
@@ -0,0 +1,654 @@
+/**
+ * Hook Runtime - Run hook modules standalone or all hooks of an event in one process
+ *
+ * Every hook script exports a definition created with defineHook(), which
+ * hooks import from lib/hook-sdk.cjs (CommonJS and ES modules alike):
+ *
+ *   module.exports = defineHook(module, 'my-hook', (input, ctx) => {
+ *     return { outcome: 'fired', reason: '...', output: buildHookResult('PostToolUse', { additionalContext }) };
+ *   }, { event: 'PostToolUse' });
+ *
+ * The handler may be async. It returns the telemetry outcome and reason and,
+ * instead of writing to stdout, the hook output as an object (or plain text).
+ *
+ * Run directly (`node hooks/my-hook.cjs`), the script reads stdin, runs its
+ * handler and prints the output as before. hooks/hooks.json instead calls
+ * scripts/dispatch-hooks.cjs once per event: dispatchEvent() runs every hook
+ * registered for the event in hooks/registry.json in the same process against
+ * one HookContext, so stdin is parsed once and ecosystem and workspace
+ * detection are shared. A hook that throws only loses its own output; each
+ * hook still logs its own telemetry record.
+ *
+ * Every run is held to a time budget (lib/hook-budget.cjs). A hook that runs
+ * out of it is logged with the `timeout` outcome, and repeated timeouts back
+ * the hook off for the rest of the cooldown.
+ *
+ * Projects disable hooks, or skip them for some files, in
+ * .claude/magic-claude.json (lib/hook-settings.cjs); runHook() applies both
+ * before the handler runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { logTelemetry } = require('./hook-telemetry.cjs');
+const { debugHook, HOOK_DEBUG } = require('./hook-debug.cjs');
+const { detectMultipleEcosystems } = require('./ecosystems/index.cjs');
+const hookBudget = require('./hook-budget.cjs');
+const hookSettings = require('./hook-settings.cjs');
+
+const HOOKS_DIR = path.join(__dirname, '..', 'hooks');
+const REGISTRY_FILE = path.join(__dirname, '..', '..', 'hooks', 'registry.json');
+
+/**
+ * Input field each event's matchers are tested against
+ */
+const MATCHER_FIELDS = {
+  PreToolUse: 'tool_name',
+  PostToolUse: 'tool_name',
+  PostToolUseFailure: 'tool_name',
+  PermissionRequest: 'tool_name',
+  Notification: 'notification_type',
+  SessionStart: 'source',
+  SessionEnd: 'reason',
+  PreCompact: 'trigger',
+  ConfigChange: 'config_source'
+};
+
+/**
+ * Events whose plain-text stdout is added to Claude's context
+ */
+const TEXT_CONTEXT_EVENTS = ['UserPromptSubmit', 'SessionStart'];
+
+const PERMISSION_RANK = { allow: 1, ask: 2, deny: 3 };
+
+/**
+ * State shared by the hooks handling one event
+ */
+class HookContext {
+  /**
+   * @param {object} input - Parsed hook input
+   * @param {object} [options]
+   * @param {string} [options.event] - Event being handled (defaults to input.hook_event_name)
+   */
+  constructor(input, options = {}) {
+    this.input = input || {};
+    this.event = options.event || this.input.hook_event_name || 'unknown';
+    this.cwd = this.input.cwd || process.cwd();
+    this.startedAt = Date.now();
+    this._memo = new Map();
+  }
+
+  /**
+   * Compute a value once per context
+   * @param {string} key - Cache key
+   * @param {Function} compute - Called on the first lookup
+   * @returns {*}
+   */
+  memo(key, compute) {
+    if (!this._memo.has(key)) this._memo.set(key, compute());
+    return this._memo.get(key);
+  }
+
+  /**
+   * detectMultipleEcosystems() for a directory, shared between hooks
+   * @param {string} [dir] - Defaults to the session's cwd
+   * @returns {string[]}
+   */
+  ecosystems(dir = this.cwd) {
+    return this.memo(`ecosystems:${path.resolve(dir)}`, () => detectMultipleEcosystems(dir));
+  }
+
+  /**
+   * Budget settings of the project (.claude/hook-budgets.json)
+   * @returns {object} getBudgetConfig() result
+   */
+  budgets() {
+    return this.memo('budgets', () => hookBudget.getBudgetConfig(this.cwd));
+  }
+
+  /**
+   * Time (ms since epoch) the event's budget runs out
+   * @returns {number}
+   */
+  eventDeadline() {
+    return this.startedAt + hookBudget.eventBudgetMs(this.budgets(), this.event);
+  }
+
+  /**
+   * Back-off state of the session
+   * @returns {object} loadBackoff() result
+   */
+  backoff() {
+    return this.memo('backoff', () => hookBudget.loadBackoff(this.input.session_id));
+  }
+
+  /**
+   * Effective .claude/magic-claude.json settings of a hook
+   * @param {string} name - Hook name
+   * @returns {object} resolveHookSettings() result; hook options are in `options`
+   */
+  hookSettings(name) {
+    return this.memo(`settings:${name}`, () => hookSettings.resolveHookSettings(this.settings(), name));
+  }
+
+  /**
+   * Every level of .claude/magic-claude.json that applies to the session's cwd
+   * @returns {object} loadSettings() result; `root` is the project root
+   */
+  settings() {
+    return this.memo('settings', () => hookSettings.loadSettings(this.cwd));
+  }
+
+  /**
+   * Session and project fields of a hook's telemetry record
+   * @param {string} [filePath] - File the hook handles, which picks the workspace package
+   * @returns {{ session?: string, agent?: string, project?: string, package?: string }}
+   */
+  telemetryDimensions(filePath) {
+    const dimensions = { session: this.input.session_id, agent: this.input.agent_id };
+    try {
+      dimensions.project = this.settings().root;
+      dimensions.package = this.memo(`package:${filePath || ''}`, () => {
+        const workspace = this.workspace();
+        if (!workspace.isWorkspace()) return undefined;
+        const pkg = filePath
+          ? workspace.findPackageForFile(path.resolve(this.cwd, filePath))
+          : workspace.findPackageForDir(this.cwd);
+        return pkg ? pkg.name || path.relative(workspace.getRoot(), pkg.path) : undefined;
+      });
+    } catch {
+      // Telemetry never fails a hook
+    }
+    return dimensions;
+  }
+
+  /**
+   * WorkspaceContext for a directory, shared between hooks
+   * @param {string} [dir] - Defaults to the session's cwd
+   * @returns {import('./workspace-context.cjs').WorkspaceContext}
+   */
+  workspace(dir = this.cwd) {
+    return this.memo(`workspace:${path.resolve(dir)}`, () => {
+      const { WorkspaceContext } = require('./workspace-context.cjs');
+      return new WorkspaceContext(dir);
+    });
+  }
+}
+
+/**
+ * Whether a hook script is the process entry point
+ * @param {NodeJS.Module|ImportMeta} caller - The script's `module` or `import.meta`
+ * @private
+ */
+function isEntryPoint(caller) {
+  if (typeof caller.url === 'string') {
+    const entry = process.argv[1];
+    return Boolean(entry) && pathToFileURL(path.resolve(entry)).href === caller.url;
+  }
+  return require.main === caller;
+}
+
+/**
+ * Define a hook, and run it when its script is the process entry point
+ * @param {NodeJS.Module|ImportMeta|null} caller - The hook script's `module` (CommonJS)
+ *   or `import.meta` (ES module); null to only define
+ * @param {string} name - Hook name used in telemetry and logs
+ * @param {(input: object, ctx: HookContext) => object|void|Promise<object|void>} handler
+ *   Returns { outcome, reason, output }; output is the hook's stdout payload
+ * @param {object} [options]
+ * @param {string} [options.event] - Event reported in telemetry when the input has none
+ * @param {boolean} [options.skipSubagents] - Skip inputs from subagents (`agent_id` set),
+ *   for advisory hooks that only concern the top-level session
+ * @returns {{ name: string, event?: string, skipSubagents: boolean, handler: Function }}
+ */
+function defineHook(caller, name, handler, options = {}) {
+  const hook = { name, event: options.event, skipSubagents: Boolean(options.skipSubagents), handler };
+  if (caller && isEntryPoint(caller)) runStandalone(hook);
+  return hook;
+}
+
+const BUDGET_EXPIRED = Symbol('budget expired');
+
+/**
+ * Stop waiting for an async handler once its budget runs out. Synchronous
+ * handlers can only be held to the budget through spawnWithBudget().
+ * @private
+ */
+function withinBudget(value, budget) {
+  if (!value || typeof value.then !== 'function') return value;
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(() => resolve(BUDGET_EXPIRED), Math.max(budget.deadline - Date.now(), 0));
+  });
+  return Promise.race([value, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one hook against a context, logging its telemetry. Never throws.
+ *
+ * The hook is skipped for subagent input when it was defined with
+ * `skipSubagents`, when the project disables it or its `skip` patterns match
+ * the edited file, while it is backed off, or once the event's budget is
+ * used up. A run that outlasts its budget is reported as `timeout` and counts
+ * toward back-off.
+ * @param {{ name: string, skipSubagents?: boolean, handler: Function }} hook - defineHook() result
+ * @param {HookContext} ctx
+ * @returns {Promise<{ hook: string, outcome: string, reason: string, output: object|string|null, duration_ms: number }>}
+ */
+async function runHook(hook, ctx) {
+  const start = Date.now();
+  const { input } = ctx;
+  const file = input.tool_input && input.tool_input.file_path;
+  const tool = input.tool_name;
+  const finish = (outcome, reason, output = null) => {
+    const duration_ms = Date.now() - start;
+    logTelemetry({ hook: hook.name, event: ctx.event, outcome, reason, duration_ms, file, tool, ...ctx.telemetryDimensions(file) });
+    return { hook: hook.name, outcome, reason, output, duration_ms };
+  };
+
+  if (hook.skipSubagents && input.agent_id) {
+    return finish('skipped', 'subagent');
+  }
+  const settings = ctx.hookSettings(hook.name);
+  if (!settings.enabled) {
+    return finish('skipped', `disabled in ${hookSettings.describeSource(settings)}`);
+  }
+  const skipPattern = hookSettings.matchesSkip(settings, file);
+  if (skipPattern) {
+    return finish('skipped', `file matches skip pattern ${skipPattern}`);
+  }
+
+  const config = ctx.budgets();
+  const backedOff = hookBudget.isBackedOff(ctx.backoff(), hook.name);
+  if (backedOff) {
+    return finish('skipped', `backed off after repeated timeouts (until ${backedOff.until})`);
+  }
+  const eventDeadline = ctx.eventDeadline();
+  if (eventDeadline <= start) {
+    return finish('skipped', `${ctx.event} budget of ${hookBudget.eventBudgetMs(config, ctx.event)}ms used up`);
+  }
+
+  const budget = hookBudget.beginHookBudget(hook.name, { config, eventDeadline, now: start });
+  let result;
+  try {
+    result = (await withinBudget(hook.handler(input, ctx), budget)) || {};
+  } catch (error) {
+    debugHook(hook.name, 'error', 'Handler error', { message: error.message, stack: error.stack });
+    console.error(`[${hook.name}] Error: ${error.message}`);
+    return finish('error', error.message);
+  } finally {
+    hookBudget.endHookBudget(budget);
+  }
+
+  const timedOut = result === BUDGET_EXPIRED || budget.exceeded !== null || Date.now() - start > budget.budgetMs;
+  const disabled = hookBudget.recordHookRun(ctx.backoff(), hook.name, timedOut, config);
+  if (disabled) {
+    console.error(`[${hook.name}] Timed out ${config.backoff.timeouts} times in a row; skipped until ${disabled.disabledUntil}`);
+  }
+  if (timedOut) {
+    const killed = budget.exceeded ? `, stopped ${budget.exceeded.command}` : '';
+    debugHook(hook.name, 'error', `Exceeded ${budget.budgetMs}ms budget${killed}`);
+    const output = result === BUDGET_EXPIRED ? null : result.output;
+    return finish('timeout', `exceeded ${budget.budgetMs}ms budget${killed}`, output === undefined ? null : output);
+  }
+
+  return finish(result.outcome || 'fired', result.reason || 'completed', result.output === undefined ? null : result.output);
+}
+
+/**
+ * @private
+ */
+function joinText(a, b) {
+  return a ? `${a}\n\n${b}` : b;
+}
+
+/**
+ * @private
+ */
+function mergeSpecific(target, specific) {
+  for (const [key, value] of Object.entries(specific)) {
+    if (value === undefined || value === null) continue;
+    if (key === 'additionalContext') {
+      target.additionalContext = joinText(target.additionalContext, value);
+    } else if (key === 'permissionDecision') {
+      // PreToolUse: deny beats ask beats allow; reasons of equal decisions are kept
+      const current = PERMISSION_RANK[target.permissionDecision] || 0;
+      const rank = PERMISSION_RANK[value] || 0;
+      if (rank > current) {
+        target.permissionDecision = value;
+        target.permissionDecisionReason = specific.permissionDecisionReason;
+      } else if (rank === current && specific.permissionDecisionReason) {
+        target.permissionDecisionReason = joinText(target.permissionDecisionReason, specific.permissionDecisionReason);
+      }
+    } else if (key === 'permissionDecisionReason') {
+      // Handled with permissionDecision
+    } else if (key === 'decision' && typeof value === 'object') {
+      // PermissionRequest: a deny wins over an allow
+      if (!target.decision || (value.behavior === 'deny' && target.decision.behavior !== 'deny')) {
+        target.decision = value;
+      }
+    } else if (!(key in target)) {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Combine the outputs of the hooks that handled one event into a single
+ * stdout payload.
+ *
+ * - additionalContext, reason, stopReason and systemMessage are concatenated
+ * - `decision: "block"` and `continue: false` win over their alternatives
+ * - PreToolUse permissionDecision: deny > ask > allow
+ * - PermissionRequest decision: deny wins over allow
+ * - plain-text outputs become additionalContext on UserPromptSubmit and
+ *   SessionStart; on other events they are only kept when no hook returned JSON
+ *
+ * @param {string} event - Hook event name
+ * @param {Array<object|string|null>} outputs - Hook outputs in run order
+ * @returns {object|string|null} null when no hook produced output
+ */
+function mergeHookOutputs(event, outputs) {
+  const merged = {};
+  const texts = [];
+  let hasObject = false;
+
+  for (const output of outputs) {
+    if (output === null || output === undefined) continue;
+    if (typeof output === 'string') {
+      if (output.trim()) texts.push(output.trim());
+      continue;
+    }
+    hasObject = true;
+    for (const [key, value] of Object.entries(output)) {
+      if (value === undefined || value === null) continue;
+      if (key === 'hookSpecificOutput') {
+        merged.hookSpecificOutput = merged.hookSpecificOutput || {};
+        mergeSpecific(merged.hookSpecificOutput, value);
+      } else if (key === 'decision') {
+        if (!merged.decision || value === 'block') merged.decision = value;
+      } else if (key === 'reason' || key === 'stopReason' || key === 'systemMessage') {
+        merged[key] = joinText(merged[key], value);
+      } else if (key === 'continue') {
+        merged.continue = merged.continue === false ? false : value;
+      } else if (key === 'suppressOutput') {
+        merged.suppressOutput = Boolean(merged.suppressOutput || value);
+      } else if (!(key in merged)) {
+        merged[key] = value;
+      }
+    }
+  }
+
+  if (!hasObject) return texts.length > 0 ? texts.join('\n\n') : null;
+
+  if (texts.length > 0) {
+    if (TEXT_CONTEXT_EVENTS.includes(event)) {
+      merged.hookSpecificOutput = merged.hookSpecificOutput || {};
+      mergeSpecific(merged.hookSpecificOutput, { additionalContext: texts.join('\n\n') });
+    } else {
+      debugHook('dispatch', 'output', `Dropped plain-text output on ${event}`, texts);
+    }
+  }
+  if (merged.hookSpecificOutput) {
+    merged.hookSpecificOutput = { hookEventName: event, ...merged.hookSpecificOutput };
+  }
+  return merged;
+}
+
+/**
+ * @private
+ */
+function writeOutput(output) {
+  if (output === null || output === undefined) return;
+  // This console.log is intentional — it's the hook protocol output
+  console.log(typeof output === 'string' ? output : JSON.stringify(output));
+}
+
+/**
+ * Whether a registry matcher selects an input value. A missing value matches,
+ * since hooks.json already filtered the event by the union of all matchers.
+ * @param {string} [matcher] - Claude Code matcher ("Edit|Write", "*", regex)
+ * @param {string} [value] - Tool name, notification type, source, ...
+ * @returns {boolean}
+ */
+function matchesMatcher(matcher, value) {
+  if (!matcher || matcher === '*' || value === undefined || value === null) return true;
+  try {
+    return new RegExp(`^(?:${matcher})$`).test(String(value));
+  } catch {
+    return matcher === String(value);
+  }
+}
+
+/**
+ * Read the hook registry (hooks/registry.json)
+ * @param {string} [file] - Registry file (tests)
+ * @returns {Record<string, Array<{ hook: string, matcher?: string, description?: string }>>}
+ */
+function loadRegistry(file = REGISTRY_FILE) {
+  try {
+    const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    delete registry.$comment;
+    return registry;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Registry entries of an event whose matcher selects the input
+ * @param {object} registry - loadRegistry() result
+ * @param {string} event - Hook event name
+ * @param {object} input - Parsed hook input
+ * @returns {Array<{ hook: string, matcher?: string }>}
+ */
+function selectHooks(registry, event, input) {
+  const field = MATCHER_FIELDS[event];
+  return (registry[event] || []).filter(entry => matchesMatcher(entry.matcher, field ? input[field] : undefined));
+}
+
+/**
+ * Load a hook module: CommonJS via require(), ES modules via import()
+ * @param {string} file - Hook script path
+ * @returns {Promise<{ name: string, handler: Function }>}
+ */
+async function loadHook(file) {
+  const hook = file.endsWith('.cjs')
+    ? require(file)
+    : (await import(pathToFileURL(file).href)).default;
+  if (!hook || typeof hook.handler !== 'function') {
+    throw new Error(`${path.basename(file)} does not export a defineHook() definition`);
+  }
+  return hook;
+}
+
+/**
+ * Send stray stdout writes to stderr while hooks run, so a hook that still
+ * prints cannot corrupt the combined output.
+ * @private
+ */
+function redirectStdout() {
+  const original = process.stdout.write;
+  process.stdout.write = function(chunk, encoding, callback) {
+    debugHook('dispatch', 'output', 'Redirected stray stdout write', typeof chunk === 'string' ? chunk : chunk.toString());
+    return process.stderr.write(chunk, encoding, callback);
+  };
+  return () => { process.stdout.write = original; };
+}
+
+/**
+ * Run every hook registered for an event against one shared context
+ * @param {string} event - Hook event name
+ * @param {object} input - Parsed hook input
+ * @param {object} [options]
+ * @param {object} [options.registry] - Registry override (defaults to hooks/registry.json)
+ * @param {string} [options.hooksDir] - Directory hook files are resolved against
+ * @param {Function} [options.onHookStart] - Called with each hook name before it runs
+ * @param {Function} [options.onHookEnd] - Called with each hook result as it finishes
+ * @returns {Promise<{ results: object[], output: object|string|null }>}
+ */
+async function dispatchEvent(event, input, options = {}) {
+  const registry = options.registry || loadRegistry();
+  const hooksDir = options.hooksDir || HOOKS_DIR;
+  const ctx = new HookContext(input, { event });
+  const results = [];
+
+  const restore = redirectStdout();
+  try {
+    for (const entry of selectHooks(registry, event, ctx.input)) {
+      const name = path.basename(entry.hook, path.extname(entry.hook));
+      if (options.onHookStart) options.onHookStart(name);
+
+      let hook;
+      try {
+        hook = await loadHook(path.join(hooksDir, entry.hook));
+      } catch (error) {
+        console.error(`[${name}] Failed to load: ${error.message}`);
+        logTelemetry({ hook: name, event, outcome: 'error', reason: `load failed: ${error.message}`, tool: ctx.input.tool_name, ...ctx.telemetryDimensions() });
+        results.push({ hook: name, outcome: 'error', reason: error.message, output: null, duration_ms: 0 });
+        continue;
+      }
+      const result = await runHook(hook, ctx);
+      results.push(result);
+      if (options.onHookEnd) options.onHookEnd(result);
+    }
+  } finally {
+    restore();
+  }
+
+  debugHook('dispatch', 'process', `${event}: ran ${results.length} hook(s)`, results.map(r => `${r.hook}:${r.outcome}:${r.duration_ms}ms`));
+  return { results, output: mergeHookOutputs(event, results.map(r => r.output)) };
+}
+
+/**
+ * Read and parse the hook input from stdin
+ * @returns {Promise<object|null>} null for empty stdin; rejects on invalid JSON or read errors
+ */
+function readHookInput() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => data += chunk);
+    process.stdin.on('end', () => {
+      if (!data.trim()) {
+        resolve(null);
+        return;
+      }
+      try {
+        resolve(JSON.parse(data));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Log uncaught errors as a hook error and exit cleanly, so a crashing hook
+ * never breaks Claude Code
+ * @param {() => string} currentHook - Name of the hook that is running
+ * @param {() => string} currentEvent - Event being handled
+ * @param {Function} [beforeExit] - Last chance to print output, after the error is logged
+ * @private
+ */
+function installCrashHandlers(currentHook, currentEvent, beforeExit) {
+  const crash = (kind, label, detail) => {
+    const hook = currentHook();
+    debugHook(hook, 'error', kind, detail);
+    logTelemetry({ hook, event: currentEvent(), outcome: 'error', reason: `${label}: ${detail}` });
+    console.error(`[${hook}] ${kind}: ${detail}`);
+    if (beforeExit) beforeExit();
+    process.exit(0);
+  };
+  process.on('uncaughtException', err => crash('Uncaught exception', 'uncaught', err.message));
+  process.on('unhandledRejection', reason => crash('Unhandled rejection', 'rejection', String(reason)));
+}
+
+/**
+ * Run a single hook as a process: read stdin, run the handler, print its output
+ * @param {{ name: string, event?: string, handler: Function }} hook - defineHook() result
+ */
+function runStandalone(hook) {
+  let event = hook.event || 'unknown';
+  installCrashHandlers(() => hook.name, () => event);
+
+  // Monitor stdout to log what we're sending back
+  if (HOOK_DEBUG) {
+    const originalWrite = process.stdout.write.bind(process.stdout);
+    process.stdout.write = function(chunk, encoding, callback) {
+      debugHook(hook.name, 'output', 'stdout write', typeof chunk === 'string' ? chunk : chunk.toString());
+      return originalWrite(chunk, encoding, callback);
+    };
+  }
+
+  debugHook(hook.name, 'input', 'Hook starting', { pid: process.pid, cwd: process.cwd() });
+
+  readHookInput().then(async (input) => {
+    if (!input) {
+      debugHook(hook.name, 'input', 'Empty stdin — exiting cleanly');
+      logTelemetry({ hook: hook.name, event, outcome: 'skipped', reason: 'empty stdin', duration_ms: 0 });
+      process.exit(0);
+    }
+
+    event = input.hook_event_name || event;
+    debugHook(hook.name, 'input', 'Parsed OK', { tool_name: input.tool_name, file_path: input.tool_input && input.tool_input.file_path });
+
+    const result = await runHook(hook, new HookContext(input, { event }));
+    writeOutput(result.output);
+  }, (error) => {
+    debugHook(hook.name, 'error', 'Invalid stdin', error.message);
+    logTelemetry({ hook: hook.name, event, outcome: 'error', reason: `stdin: ${error.message}` });
+    console.error(`[${hook.name}] Error: ${error.message}`);
+    process.exit(0);
+  });
+}
+
+/**
+ * Dispatcher entry point: run every hook of an event with the stdin input.
+ * A crash in one hook ends the run, but the merged output of the hooks that
+ * already finished (a PreToolUse deny among them) is still printed.
+ * @param {string} event - Hook event name (from hooks.json)
+ * @param {object} [options] - dispatchEvent() registry and hooksDir overrides (tests)
+ */
+function runDispatcher(event, options = {}) {
+  let current = 'dispatch';
+  const finished = [];
+  const stdoutWrite = process.stdout.write;
+  installCrashHandlers(() => current, () => event, () => {
+    // The crash may have happened while dispatchEvent() redirected stdout
+    process.stdout.write = stdoutWrite;
+    writeOutput(mergeHookOutputs(event, finished));
+  });
+
+  readHookInput().then(async (input) => {
+    const { output } = await dispatchEvent(event, input || {}, {
+      ...options,
+      onHookStart: name => { current = name; },
+      onHookEnd: result => finished.push(result.output)
+    });
+    current = 'dispatch';
+    writeOutput(output);
+  }, (error) => {
+    console.error(`[dispatch] Invalid hook input for ${event}: ${error.message}`);
+    logTelemetry({ hook: 'dispatch', event, outcome: 'error', reason: `stdin: ${error.message}` });
+    process.exit(0);
+  });
+}
+
+module.exports = {
+  HookContext,
+  defineHook,
+  runHook,
+  readHookInput,
+  runStandalone,
+  runDispatcher,
+  dispatchEvent,
+  mergeHookOutputs,
+  matchesMatcher,
+  selectHooks,
+  loadRegistry,
+  MATCHER_FIELDS,
+  REGISTRY_FILE
+};
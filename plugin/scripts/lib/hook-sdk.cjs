@@ -0,0 +1,83 @@
+/**
+ * Hook SDK - The API every hook script is written against
+ *
+ * One module for CommonJS and ES module hooks: Node exposes these exports as
+ * named imports to ESM, so both formats share the same implementation.
+ *
+ *   // hooks/my-hook.cjs
+ *   const { defineHook, buildHookResult } = require('../lib/hook-sdk.cjs');
+ *   module.exports = defineHook(module, 'my-hook', (input, ctx) => { ... }, { event: 'PostToolUse' });
+ *
+ *   // hooks/my-hook.js
+ *   import { defineHook, buildHookResult } from '../lib/hook-sdk.cjs';
+ *   export default defineHook(import.meta, 'my-hook', (input, ctx) => { ... }, { event: 'PostToolUse' });
+ *
+ * defineHook() takes care of stdin parsing, subagent skipping (`skipSubagents`),
+ * project settings, time budgets, telemetry and error passthrough — a handler
+ * that throws is logged as an `error` and never breaks Claude Code. Handlers
+ * return `{ outcome, reason, output }`, with the output envelope built by
+ * buildHookResult(). See lib/hook-runtime.cjs for how hooks are run.
+ */
+
+const { defineHook, readHookInput, HookContext } = require('./hook-runtime.cjs');
+const { debugHook } = require('./hook-debug.cjs');
+const { logTelemetry } = require('./hook-telemetry.cjs');
+
+/**
+ * Build a hook's stdout payload following the Claude Code hook protocol.
+ * Event-specific fields go into `hookSpecificOutput` with the event name.
+ *
+ * @param {string} hookEventName - The hook event name (e.g., "PostToolUse")
+ * @param {object} [options] - Result fields
+ * @param {string} [options.additionalContext] - Context string injected for Claude
+ * @param {string|object} [options.decision] - "block" to flag issues to Claude, or
+ *   the PermissionRequest decision object ({ behavior: 'allow'|'deny', ... })
+ * @param {string} [options.reason] - Reason shown to Claude when decision is "block"
+ * @param {string} [options.permissionDecision] - PreToolUse: allow, ask or deny
+ * @param {string} [options.permissionDecisionReason] - Shown with permissionDecision
+ * @param {string} [options.systemMessage] - Message shown to the user
+ * @returns {object|null} null when there is nothing to report
+ */
+function buildHookResult(hookEventName, options = {}) {
+  const { additionalContext, decision, reason, permissionDecision, permissionDecisionReason, systemMessage } = options;
+  const result = {};
+  const specific = {};
+
+  if (typeof decision === 'string') {
+    result.decision = decision;
+    if (reason) result.reason = reason;
+  } else if (decision) {
+    specific.decision = decision;
+  }
+  if (permissionDecision) {
+    specific.permissionDecision = permissionDecision;
+    if (permissionDecisionReason) specific.permissionDecisionReason = permissionDecisionReason;
+  }
+  if (additionalContext) specific.additionalContext = additionalContext;
+  if (systemMessage) result.systemMessage = systemMessage;
+
+  if (Object.keys(specific).length > 0) {
+    result.hookSpecificOutput = { hookEventName, ...specific };
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Whether hook input comes from a subagent rather than the top-level session
+ * @param {object} input - Parsed hook input
+ * @returns {boolean}
+ */
+function isSubagent(input) {
+  return Boolean(input && input.agent_id);
+}
+
+// Shorthand properties only, so Node can expose them as ESM named exports
+module.exports = {
+  defineHook,
+  readHookInput,
+  buildHookResult,
+  isSubagent,
+  debugHook,
+  logTelemetry,
+  HookContext
+};
@@ -0,0 +1,145 @@
+/**
+ * Hook Settings - Per-project hook enablement and options
+ *
+ * Projects turn hooks on or off and tune them in .claude/magic-claude.json,
+ * merged through ConfigLoader like every other config (user ~/.claude, then
+ * workspace root, then package; later levels win):
+ *
+ *   {
+ *     "hooks": {
+ *       "console-log-detector": false,
+ *       "pre-commit-review": { "enabled": false },
+ *       "python-security": { "skip": ["tests/**"], "minSeverity": "error" },
+ *       "smart-formatter": { "formatter": "ruff" }
+ *     }
+ *   }
+ *
+ * A boolean is shorthand for `{ "enabled": <boolean> }`. hook-runtime.cjs
+ * skips disabled hooks and hooks whose `skip` patterns (gitignore syntax,
+ * relative to the project root) match the edited file; other options are
+ * read by the hooks themselves through HookContext.hookSettings().
+ */
+
+const path = require('path');
+const { ConfigLoader, mergeConfigs } = require('./workspace/config.cjs');
+const { findWorkspaceRoot } = require('./workspace/detection.cjs');
+const { getClaudeDir } = require('./utils.cjs');
+const { parseIgnoreFile, matchesIgnoreRules } = require('./formatter-resolution.cjs');
+
+const SETTINGS_CONFIG_NAME = 'magic-claude';
+
+/**
+ * Read every level of .claude/magic-claude.json that applies to a directory
+ * @param {string} [cwd] - Project directory
+ * @returns {{ root: string, layers: Array<{ source: 'user'|'workspace'|'package', file: string, config: object }> }}
+ *   root: workspace root, or cwd outside a workspace; layers in merge order
+ */
+function loadSettings(cwd = process.cwd()) {
+  const dir = path.resolve(cwd);
+  const root = findWorkspaceRoot(dir) || dir;
+  const loader = new ConfigLoader(root);
+
+  const layers = [
+    { source: 'user', file: path.join(getClaudeDir(), `${SETTINGS_CONFIG_NAME}.json`), config: loader.loadGlobal(SETTINGS_CONFIG_NAME) },
+    { source: 'workspace', file: path.join(root, '.claude', `${SETTINGS_CONFIG_NAME}.json`), config: loader.loadWorkspace(SETTINGS_CONFIG_NAME) }
+  ];
+  if (dir !== root) {
+    layers.push({ source: 'package', file: path.join(dir, '.claude', `${SETTINGS_CONFIG_NAME}.json`), config: loader.loadPackage(dir, SETTINGS_CONFIG_NAME) });
+  }
+  return { root, layers };
+}
+
+/**
+ * @private
+ */
+function normalizeEntry(value) {
+  if (typeof value === 'boolean') return { enabled: value };
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  return null;
+}
+
+/**
+ * Effective settings of one hook
+ * @param {object} settings - loadSettings() result
+ * @param {string} hook - Hook name
+ * @returns {{ hook: string, enabled: boolean, source: 'default'|'user'|'workspace'|'package', file: string|null, root: string, options: object }}
+ *   source/file: the level that decided `enabled`; options: every other
+ *   merged key, with `skip` always an array of patterns
+ */
+function resolveHookSettings(settings, hook) {
+  let enabled = true;
+  let source = 'default';
+  let file = null;
+  const entries = [];
+
+  for (const layer of settings.layers) {
+    const entry = normalizeEntry(layer.config.hooks && layer.config.hooks[hook]);
+    if (!entry) continue;
+    entries.push(entry);
+    if (typeof entry.enabled === 'boolean') {
+      enabled = entry.enabled;
+      source = layer.source;
+      file = layer.file;
+    }
+  }
+
+  const { enabled: _enabled, ...options } = mergeConfigs(entries);
+  options.skip = Array.isArray(options.skip) ? options.skip.filter(p => typeof p === 'string') : [];
+  return { hook, enabled, source, file, root: settings.root, options };
+}
+
+/**
+ * Effective settings of one hook for a directory
+ * @param {string} hook - Hook name
+ * @param {string} [cwd] - Project directory
+ * @returns {object} resolveHookSettings() result
+ */
+function getHookSettings(hook, cwd = process.cwd()) {
+  return resolveHookSettings(loadSettings(cwd), hook);
+}
+
+/**
+ * Whether a hook's `skip` patterns match a file
+ * @param {object} hookSettings - resolveHookSettings() result
+ * @param {string} filePath - File the hook would check
+ * @returns {string|null} The first pattern that matches
+ */
+function matchesSkip(hookSettings, filePath) {
+  if (!filePath || hookSettings.options.skip.length === 0) return null;
+  const relative = path.relative(hookSettings.root, path.resolve(hookSettings.root, filePath)).split(path.sep).join('/');
+  if (relative.startsWith('..')) return null;
+  // One pattern at a time, so the reason can name it
+  return hookSettings.options.skip.find(pattern => matchesIgnoreRules(relative, parseIgnoreFile(pattern))) || null;
+}
+
+/**
+ * Hook names configured at any level, for spotting typos
+ * @param {object} settings - loadSettings() result
+ * @returns {string[]}
+ */
+function configuredHooks(settings) {
+  const names = new Set();
+  for (const layer of settings.layers) {
+    for (const name of Object.keys(layer.config.hooks || {})) names.add(name);
+  }
+  return [...names];
+}
+
+/**
+ * Where a hook's enabled state comes from, for messages
+ * @param {object} hookSettings - resolveHookSettings() result
+ * @returns {string}
+ */
+function describeSource(hookSettings) {
+  return hookSettings.file ? `${hookSettings.source} ${hookSettings.file}` : 'default';
+}
+
+module.exports = {
+  loadSettings,
+  resolveHookSettings,
+  getHookSettings,
+  matchesSkip,
+  configuredHooks,
+  describeSource,
+  SETTINGS_CONFIG_NAME
+};
@@ -11,34 +11,90 @@
  *   "ts": "2026-03-09T16:45:00.123Z",
  *   "hook": "smart-formatter",
  *   "event": "PostToolUse",
- *   "outcome": "fired|skipped|error",
+ *   "outcome": "fired|skipped|error|timeout",
  *   "reason": "formatted 2 files (prettier)",
  *   "duration_ms": 340,
- *   "file": "src/index.ts",
- *   "tool": "Edit"
+ *   "file": "index.ts",
+ *   "tool": "Edit",
+ *   "session": "3f1c...",
+ *   "project": "web-app",
+ *   "project_id": "9b2e41c7",
+ *   "package": "@acme/api",
+ *   "plugin_version": "2.29.8"
  * }
  *
- * Analysis: node scripts/lib/hook-telemetry.cjs --report
+ * `project` is the project root's directory name and `project_id` a hash of
+ * its full path, which tells apart projects with the same name without
+ * recording the path. `agent` is added for subagent input.
+ *
+ * Past 5MB the log is rotated to hook-telemetry.<timestamp>.jsonl. Rotated
+ * files older than the retention period are pruned on rotation; the period
+ * is set in $CLAUDE_CONFIG_DIR/hook-telemetry.json:
+ *
+ *   { "retentionDays": 30 }
+ *
+ * With an `otlp` endpoint in the same file, every record is also exported as
+ * an OpenTelemetry span (see lib/telemetry-otlp.cjs).
+ *
+ * Analysis: node scripts/telemetry-report.cjs (see lib/telemetry-report.cjs)
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const { ConfigLoader } = require('./workspace/config.cjs');
+const { exportSpan } = require('./telemetry-otlp.cjs');
 
 const CLAUDE_CONFIG_DIR = process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
 const TELEMETRY_FILE = path.join(CLAUDE_CONFIG_DIR, 'hook-telemetry.jsonl');
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB — rotate after this
+const TELEMETRY_CONFIG_NAME = 'hook-telemetry';
+const DEFAULT_RETENTION_DAYS = 30;
+const ROTATED_FILE_PATTERN = /^hook-telemetry\.(\d+)\.jsonl$/;
+const PLUGIN_JSON = path.join(__dirname, '..', '..', '.claude-plugin', 'plugin.json');
+
+let pluginVersion;
+
+/**
+ * Version of the plugin writing the records, read once per process
+ * @returns {string|undefined}
+ */
+function getPluginVersion() {
+  if (pluginVersion === undefined) {
+    try {
+      pluginVersion = JSON.parse(fs.readFileSync(PLUGIN_JSON, 'utf8')).version || null;
+    } catch {
+      pluginVersion = null;
+    }
+  }
+  return pluginVersion || undefined;
+}
+
+/**
+ * Short, stable id of a project root
+ * @param {string} root - Absolute project root
+ * @returns {string}
+ */
+function projectId(root) {
+  return crypto.createHash('sha256').update(path.resolve(root)).digest('hex').slice(0, 8);
+}
 
 /**
  * Log a hook execution event.
  * @param {object} entry
  * @param {string} entry.hook - Hook script name (e.g., 'smart-formatter')
  * @param {string} entry.event - Hook event type (e.g., 'PostToolUse', 'SessionStart')
- * @param {'fired'|'skipped'|'error'} entry.outcome - What happened
+ * @param {'fired'|'skipped'|'error'|'timeout'} entry.outcome - What happened
+ *   (timeout: the run exceeded its time budget, see hook-budget.cjs)
  * @param {string} entry.reason - Human-readable description of what happened or why it was skipped
  * @param {number} [entry.duration_ms] - Execution time in milliseconds
  * @param {string} [entry.file] - File path involved (if any)
  * @param {string} [entry.tool] - Tool name that triggered the hook (if any)
+ * @param {string} [entry.session] - Claude Code session id
+ * @param {string} [entry.agent] - Subagent id, for subagent input
+ * @param {string} [entry.project] - Project root; recorded as its name and projectId()
+ * @param {string} [entry.package] - Workspace package the run concerned
  */
 function logTelemetry(entry) {
   try {
@@ -51,6 +107,11 @@ function logTelemetry(entry) {
       ...(entry.duration_ms !== undefined && { duration_ms: entry.duration_ms }),
       ...(entry.file && { file: path.basename(entry.file) }),
       ...(entry.tool && { tool: entry.tool }),
+      ...(entry.session && { session: entry.session }),
+      ...(entry.agent && { agent: entry.agent }),
+      ...(entry.project && { project: path.basename(entry.project), project_id: projectId(entry.project) }),
+      ...(entry.package && { package: entry.package }),
+      ...(getPluginVersion() && { plugin_version: getPluginVersion() }),
     };
 
     // Rotate if file too large
@@ -59,17 +120,82 @@ function logTelemetry(entry) {
       if (stats.size > MAX_FILE_SIZE) {
         const rotated = TELEMETRY_FILE.replace('.jsonl', `.${Date.now()}.jsonl`);
         fs.renameSync(TELEMETRY_FILE, rotated);
+        pruneTelemetry();
       }
     } catch {
       // File doesn't exist yet — fine
     }
 
     fs.appendFileSync(TELEMETRY_FILE, JSON.stringify(record) + '\n');
+    exportSpan(record);
   } catch {
     // Never break a hook because of telemetry
   }
 }
 
+/**
+ * Telemetry logs, oldest first: rotated files, then the current one
+ * @returns {Array<{ file: string, rotatedAt: number|null }>} rotatedAt: epoch ms
+ *   of the rotation (no record in the file is newer); null for the current log
+ */
+function listTelemetryFiles() {
+  const files = [];
+  let names = [];
+  try {
+    names = fs.readdirSync(path.dirname(TELEMETRY_FILE));
+  } catch {
+    return files;
+  }
+  for (const name of names) {
+    const match = name.match(ROTATED_FILE_PATTERN);
+    if (match) files.push({ file: path.join(path.dirname(TELEMETRY_FILE), name), rotatedAt: Number(match[1]) });
+  }
+  files.sort((a, b) => a.rotatedAt - b.rotatedAt);
+  if (fs.existsSync(TELEMETRY_FILE)) files.push({ file: TELEMETRY_FILE, rotatedAt: null });
+  return files;
+}
+
+/**
+ * Retention period of rotated logs ($CLAUDE_CONFIG_DIR/hook-telemetry.json)
+ * @returns {number} Days; 0 keeps rotated logs forever
+ */
+function getRetentionDays() {
+  try {
+    const { retentionDays } = new ConfigLoader().loadGlobal(TELEMETRY_CONFIG_NAME);
+    if (typeof retentionDays === 'number' && Number.isFinite(retentionDays) && retentionDays >= 0) {
+      return retentionDays;
+    }
+  } catch {
+    // Unreadable config — default
+  }
+  return DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Delete rotated logs rotated more than the retention period ago.
+ * The current log is never pruned.
+ * @param {object} [options]
+ * @param {number} [options.retentionDays] - Defaults to getRetentionDays()
+ * @param {number} [options.now] - Epoch ms, for tests
+ * @returns {string[]} Deleted files
+ */
+function pruneTelemetry(options = {}) {
+  const retentionDays = options.retentionDays !== undefined ? options.retentionDays : getRetentionDays();
+  if (!(retentionDays > 0)) return [];
+  const cutoff = (options.now || Date.now()) - retentionDays * 24 * 60 * 60 * 1000;
+  const pruned = [];
+  for (const { file, rotatedAt } of listTelemetryFiles()) {
+    if (rotatedAt === null || rotatedAt >= cutoff) continue;
+    try {
+      fs.unlinkSync(file);
+      pruned.push(file);
+    } catch {
+      // Already gone or not ours to delete
+    }
+  }
+  return pruned;
+}
+
 /**
  * Wrap a CJS hook handler with automatic telemetry.
  * Captures outcome, duration, and reason.
@@ -131,103 +257,50 @@ function withTelemetry(hookName, eventType, handler) {
 }
 
 /**
- * Generate a summary report from the telemetry log.
+ * Generate a summary report from the telemetry logs, rotated files included.
+ * See lib/telemetry-report.cjs for windows, comparisons and JSON/HTML export.
  * @param {number} [days=7] - Number of days to include
+ * @param {object} [filters]
+ * @param {string} [filters.project] - Only this project (name or project_id)
+ * @param {string} [filters.session] - Only this session (id or prefix)
+ * @param {string} [filters.since] - First day (YYYY-MM-DD) instead of `days`
  * @returns {string} Formatted report
  */
-function generateReport(days = 7) {
-  if (!fs.existsSync(TELEMETRY_FILE)) {
-    return 'No telemetry data found. Hooks have not run yet.';
-  }
-
-  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-  const lines = fs.readFileSync(TELEMETRY_FILE, 'utf8').trim().split('\n');
-
-  const entries = [];
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-      if (entry.ts >= cutoff) entries.push(entry);
-    } catch {
-      // Skip malformed lines
-    }
-  }
-
-  if (entries.length === 0) {
-    return `No telemetry data in the last ${days} day(s).`;
-  }
-
-  // Aggregate by hook
-  const byHook = {};
-  for (const e of entries) {
-    if (!byHook[e.hook]) {
-      byHook[e.hook] = { fired: 0, skipped: 0, error: 0, total: 0, durations: [], reasons: {} };
-    }
-    const h = byHook[e.hook];
-    h.total++;
-    h[e.outcome] = (h[e.outcome] || 0) + 1;
-    if (e.duration_ms !== undefined) h.durations.push(e.duration_ms);
-    if (e.reason) {
-      h.reasons[e.reason] = (h.reasons[e.reason] || 0) + 1;
-    }
-  }
-
-  // Format report
-  const report = [];
-  report.push(`Hook Telemetry Report (last ${days} day(s), ${entries.length} events)`);
-  report.push('='.repeat(70));
-  report.push('');
-
-  // Sort by total executions descending
-  const sorted = Object.entries(byHook).sort((a, b) => b[1].total - a[1].total);
-
-  for (const [name, stats] of sorted) {
-    const fireRate = stats.total > 0 ? ((stats.fired / stats.total) * 100).toFixed(0) : 0;
-    const avgMs = stats.durations.length > 0
-      ? (stats.durations.reduce((a, b) => a + b, 0) / stats.durations.length).toFixed(0)
-      : 'N/A';
-    const maxMs = stats.durations.length > 0 ? Math.max(...stats.durations) : 'N/A';
-
-    report.push(`${name}`);
-    report.push(`  Total: ${stats.total}  |  Fired: ${stats.fired}  |  Skipped: ${stats.skipped}  |  Errors: ${stats.error}`);
-    report.push(`  Fire rate: ${fireRate}%  |  Avg: ${avgMs}ms  |  Max: ${maxMs}ms`);
-
-    // Top reasons (skip if only one generic reason)
-    const reasonEntries = Object.entries(stats.reasons).sort((a, b) => b[1] - a[1]);
-    if (reasonEntries.length > 0) {
-      const topReasons = reasonEntries.slice(0, 3);
-      report.push(`  Top reasons: ${topReasons.map(([r, c]) => `${r} (${c})`).join(', ')}`);
-    }
-    report.push('');
-  }
-
-  // Summary
-  const totalFired = Object.values(byHook).reduce((s, h) => s + h.fired, 0);
-  const totalSkipped = Object.values(byHook).reduce((s, h) => s + h.skipped, 0);
-  const totalErrors = Object.values(byHook).reduce((s, h) => s + h.error, 0);
-  const neverFired = sorted.filter(([, s]) => s.fired === 0).map(([n]) => n);
-
-  report.push('-'.repeat(70));
-  report.push(`Summary: ${totalFired} fired, ${totalSkipped} skipped, ${totalErrors} errors`);
-
-  if (neverFired.length > 0) {
-    report.push(`Never fired: ${neverFired.join(', ')}`);
-  }
-
-  return report.join('\n');
+function generateReport(days = 7, filters = {}) {
+  // Required here: telemetry-report.cjs reads the logs through this module
+  const { buildReport, formatReport } = require('./telemetry-report.cjs');
+  return formatReport(buildReport({ days, ...filters }));
 }
 
-// CLI mode: node hook-telemetry.cjs --report [days]
+// CLI mode: node hook-telemetry.cjs --report [days] [--project NAME] [--session ID] [--since DATE]
 if (require.main === module) {
   const args = process.argv.slice(2);
+  const flag = name => {
+    const idx = args.indexOf(name);
+    return idx !== -1 && idx + 1 < args.length ? args[idx + 1] : undefined;
+  };
   if (args.includes('--report')) {
     const daysIdx = args.indexOf('--report') + 1;
     const days = daysIdx < args.length ? parseInt(args[daysIdx], 10) || 7 : 7;
-    console.log(generateReport(days));
+    try {
+      console.log(generateReport(days, { project: flag('--project'), session: flag('--session'), since: flag('--since') }));
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
   } else {
-    console.log('Usage: node hook-telemetry.cjs --report [days]');
+    console.log('Usage: node hook-telemetry.cjs --report [days] [--project NAME] [--session ID] [--since YYYY-MM-DD]');
+    console.log('       node telemetry-report.cjs --help  (windows, comparisons, JSON/HTML export, pruning)');
     console.log(`Telemetry file: ${TELEMETRY_FILE}`);
   }
 }
 
-module.exports = { logTelemetry, withTelemetry, generateReport, TELEMETRY_FILE };
+module.exports = {
+  logTelemetry,
+  withTelemetry,
+  generateReport,
+  listTelemetryFiles,
+  getRetentionDays,
+  pruneTelemetry,
+  TELEMETRY_FILE
+};
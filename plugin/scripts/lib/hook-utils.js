@@ -1,7 +1,10 @@
 /**
  * Hook Utility Functions
- * Shared utilities for Claude Code hook scripts
- * Provides stdin/stdout protocol handling and file filtering
+ * ESM helpers for Claude Code hook scripts: file filtering and safe execution.
+ * The shared checkers (diagnostics.cjs, semgrep.cjs, ...) are imported from
+ * their own modules. The hook API itself (defineHook,
+ * buildHookResult, readHookInput, debugHook, logTelemetry) lives in
+ * lib/hook-sdk.cjs and is re-exported here for older imports.
  *
  * Debug mode activation (Claude Code does NOT propagate custom env vars to hooks):
  *   touch $CLAUDE_CONFIG_DIR/hook-debug.enabled    # enable
@@ -18,42 +21,10 @@ import {
   hasValidExtension
 } from './safe-exec.js';
 import path from 'path';
-import fs from 'fs';
-import os from 'os';
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
-const { logTelemetry } = require('./hook-telemetry.cjs');
-
-const CLAUDE_CONFIG_DIR = process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
-const HOOK_DEBUG_MARKER = path.join(CLAUDE_CONFIG_DIR, 'hook-debug.enabled');
-const LOG_FILE = path.join(CLAUDE_CONFIG_DIR, 'hook-debug.log');
-
-/**
- * Check if debug mode is active.
- * Primary: marker file at $CLAUDE_CONFIG_DIR/hook-debug.enabled
- * Fallback: MAGIC_CLAUDE_HOOK_DEBUG=1 env var (works for manual testing)
- */
-function isDebugEnabled() {
-  try {
-    if (fs.existsSync(HOOK_DEBUG_MARKER)) return true;
-  } catch { /* ignore */ }
-  return process.env.MAGIC_CLAUDE_HOOK_DEBUG === '1' || process.env.MAGIC_CLAUDE_HOOK_DEBUG === 'true';
-}
-
-const HOOK_DEBUG = isDebugEnabled();
-
-/**
- * Append a log line to the debug log file (sync, fire-and-forget)
- * @param {string} line - Log line to append
- */
-function appendLog(line) {
-  try {
-    fs.appendFileSync(LOG_FILE, line + '\n');
-  } catch {
-    // If we can't write the log file, silently ignore — don't break the hook
-  }
-}
+const { defineHook, buildHookResult, readHookInput: readHookInputStrict, debugHook, logTelemetry } = require('./hook-sdk.cjs');
 
 /**
  * Derive the hook name from the calling script's filename
@@ -70,73 +41,15 @@ function getCallerHookName() {
   }
 }
 
-/**
- * Log a debug message to file + stderr (only when debug is active)
- * Logs to $CLAUDE_CONFIG_DIR/hook-debug.log — viewable via `tail -f` on that path
- * @param {string} hookName - Name/identifier of the calling hook
- * @param {string} phase - Phase: 'input', 'process', 'output', 'error'
- * @param {string} message - Debug message
- * @param {*} [data] - Optional data to log (will be JSON-stringified)
- */
-export function debugHook(hookName, phase, message, data) {
-  if (!HOOK_DEBUG) return;
-  const timestamp = new Date().toISOString();
-  const prefix = `[${timestamp}] [${hookName}] [${phase}]`;
-  let line;
-  if (data !== undefined) {
-    const dataStr = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
-    // Truncate very large data
-    const truncated = dataStr.length > 2000 ? dataStr.slice(0, 2000) + '... (truncated)' : dataStr;
-    line = `${prefix} ${message}: ${truncated}`;
-  } else {
-    line = `${prefix} ${message}`;
-  }
-  appendLog(line);
-  console.error(line);
-}
-
-// Monitor stdout writes in debug mode to catch any unexpected output
-if (HOOK_DEBUG) {
-  const _origStdoutWrite = process.stdout.write.bind(process.stdout);
-  process.stdout.write = function(chunk, encoding, callback) {
-    debugHook(getCallerHookName(), 'output', 'stdout write', typeof chunk === 'string' ? chunk : chunk.toString());
-    return _origStdoutWrite(chunk, encoding, callback);
-  };
-}
-
 /**
  * Read tool context from stdin (Claude Code hook protocol)
- * @returns {Promise<object|null>} Parsed tool context or null on error
+ * @returns {Promise<object|null>} Parsed tool context, or null when stdin is empty or invalid
  */
 export function readHookInput() {
-  const callerHook = getCallerHookName();
-  return new Promise((resolve) => {
-    let data = '';
-    process.stdin.setEncoding('utf8');
-
-    process.stdin.on('data', chunk => {
-      data += chunk;
-    });
-
-    process.stdin.on('end', () => {
-      try {
-        debugHook(callerHook, 'input', 'Raw stdin length', data.length);
-        const context = JSON.parse(data);
-        debugHook(callerHook, 'input', 'Parsed tool_name', context?.tool_name);
-        debugHook(callerHook, 'input', 'File path', context?.tool_input?.file_path);
-        resolve(context);
-      } catch (error) {
-        debugHook(callerHook, 'error', 'Failed to parse stdin', { error: error.message, rawData: data.slice(0, 500) });
-        console.error('[Hook] Failed to parse stdin:', error.message);
-        resolve(null);
-      }
-    });
-
-    process.stdin.on('error', (error) => {
-      debugHook(callerHook, 'error', 'Stdin error', error.message);
-      console.error('[Hook] Error reading stdin:', error.message);
-      resolve(null);
-    });
+  return readHookInputStrict().catch((error) => {
+    debugHook(getCallerHookName(), 'error', 'Failed to parse stdin', error.message);
+    console.error('[Hook] Failed to parse stdin:', error.message);
+    return null;
   });
 }
 
@@ -175,43 +88,33 @@ export function readHookInputSync() {
 }
 
 /**
- * Write hook result to stdout following the official Claude Code hook protocol.
- *
- * For PostToolUse hooks:
- * - No output needed (just exit 0) if nothing to report
- * - Use additionalContext to inject context Claude will see
- * - Use decision: "block" + reason to flag issues
+ * detectProjectType() memoized on the hook context, so the hooks dispatched
+ * for one event detect each directory once
+ * @param {import('./hook-runtime.cjs').HookContext} ctx - Hook context
+ * @param {string} [cwd] - Directory to check (defaults to process.cwd())
+ * @returns {string[]} Array of detected project types
+ */
+export function sharedProjectTypes(ctx, cwd = process.cwd()) {
+  return ctx.memo(`project-types:${path.resolve(cwd)}`, () => detectProjectType(cwd));
+}
+
+/**
+ * Write hook result to stdout (see buildHookResult()). Hooks defined with
+ * defineHook() return the result instead.
  *
  * @param {string} hookEventName - The hook event name (e.g., "PostToolUse")
- * @param {object} [options] - Optional result fields
- * @param {string} [options.additionalContext] - Context string injected for Claude
- * @param {string} [options.decision] - "block" to flag issues to Claude
- * @param {string} [options.reason] - Reason shown to Claude when decision is "block"
+ * @param {object} [options] - Optional result fields, as for buildHookResult()
  */
 export function writeHookResult(hookEventName, options = {}) {
   const callerHook = getCallerHookName();
-  const { additionalContext, decision, reason } = options;
+  const result = buildHookResult(hookEventName, options);
 
   // If nothing to report, don't write anything — just exit 0
-  if (!additionalContext && !decision) {
+  if (!result) {
     debugHook(callerHook, 'output', 'No result to write — clean exit');
     return;
   }
 
-  const result = {};
-
-  if (decision) {
-    result.decision = decision;
-    if (reason) result.reason = reason;
-  }
-
-  if (additionalContext) {
-    result.hookSpecificOutput = {
-      hookEventName,
-      additionalContext,
-    };
-  }
-
   try {
     const json = JSON.stringify(result);
     debugHook(callerHook, 'output', 'Writing result JSON', json);
@@ -323,11 +226,9 @@ export function logHook(message, level = 'INFO') {
 }
 
 /**
- * Log a telemetry event for hook effectiveness tracking.
- * Always active — writes to $CLAUDE_CONFIG_DIR/hook-telemetry.jsonl.
- * Re-exported from hook-telemetry.cjs for ESM convenience.
+ * The hook API from hook-sdk.cjs, re-exported for older imports.
  */
-export { logTelemetry };
+export { defineHook, buildHookResult, debugHook, logTelemetry };
 
 /**
  * Re-export detectProjectType and safe-exec functions for convenience
@@ -338,8 +239,11 @@ export { detectProjectType, commandExists, safeExecSync, safeExecAsync, isValidF
  * Default export for convenience
  */
 export default {
+  defineHook,
+  sharedProjectTypes,
   readHookInput,
   readHookInputSync,
+  buildHookResult,
   writeHookResult,
   writeHookOutput,
   shouldProcessFile,
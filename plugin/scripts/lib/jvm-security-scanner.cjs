@@ -0,0 +1,1112 @@
+/**
+ * JVM Security Scanner - Token-aware security rules for Java and Kotlin sources
+ *
+ * Used by the java-security hook, with or without SpotBugs. Sources are
+ * tokenized first (comments dropped, string literals and Kotlin string
+ * templates kept as single tokens), so findings carry exact line/column
+ * positions and rules only look at code, never at comments or unrelated
+ * text elsewhere in the file.
+ *
+ * Each rule in JVM_SECURITY_RULES has an id, severity, default confidence
+ * and a check(ctx) that returns the tokens it flags. Confidence says how
+ * likely a finding is to be real:
+ *   high   - the pattern is insecure on its own (e.g. Cipher.getInstance("DES"))
+ *   medium - insecure in the usual case (e.g. new Random() next to "token")
+ *   low    - worth a look (e.g. a file path built from a dynamic value)
+ *
+ * Findings below a minimum confidence can be hidden in `.claude/security.json`:
+ * { "jvm": { "minConfidence": "medium" } }
+ *
+ * Rule fixtures: tests/fixtures/jvm-security/ (`// ruleid:` / `// ok:` annotations)
+ */
+
+const path = require('path');
+const { createDiagnostic } = require('./diagnostics.cjs');
+const { loadConfig } = require('./workspace/config.cjs');
+
+const SOURCE = 'jvm-security-scanner';
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const SECURITY_CONFIG_NAME = 'security';
+
+const LANGUAGE_BY_EXTENSION = { '.java': 'java', '.kt': 'kotlin', '.kts': 'kotlin' };
+
+// Identifiers that are values but not variables
+const LITERAL_KEYWORDS = new Set(['new', 'true', 'false', 'null', 'this', 'super', 'return', 'throw', 'is', 'as', 'in']);
+// Calls that only wrap their arguments (listOf("sh", "-c", cmd) is as dynamic as cmd)
+const WRAPPER_CALLS = new Set(['listOf', 'arrayOf', 'mutableListOf', 'arrayListOf', 'asList', 'of', 'toTypedArray']);
+const BLOCK_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized', 'when', 'try', 'else', 'do']);
+
+const SENSITIVE_NAME = /token|secret|password|passwd|nonce|salt|otp|session|apikey|api_key|credential/i;
+
+// Sources of request input: annotated handler parameters and servlet request getters
+const REQUEST_ANNOTATIONS = new Set(['RequestParam', 'PathVariable', 'RequestHeader', 'RequestBody', 'CookieValue', 'QueryParam', 'PathParam', 'FormParam', 'HeaderParam']);
+const REQUEST_GETTERS = new Set(['getParameter', 'getParameterValues', 'getHeader', 'getQueryString', 'getPathInfo', 'getRequestURI', 'getServletPath']);
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+/**
+ * Split Java or Kotlin source into tokens. Comments and whitespace are dropped.
+ * @param {string} source - File content
+ * @param {object} [options]
+ * @param {string} [options.language='java'] - 'java' or 'kotlin'
+ * @returns {Array<{ type: 'ident'|'string'|'char'|'number'|'punct', value: string, line: number, column: number, interpolated?: boolean }>}
+ *   String tokens hold the literal's content without quotes; `interpolated`
+ *   marks Kotlin templates that embed `$name` or `${expr}`.
+ */
+function tokenize(source, options = {}) {
+  const kotlin = options.language === 'kotlin';
+  const tokens = [];
+  const length = source.length;
+  let i = 0;
+  let line = 1;
+  let column = 1;
+
+  const advanceTo = (end) => {
+    for (; i < end && i < length; i++) {
+      if (source[i] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+    }
+  };
+
+  while (i < length) {
+    const ch = source[i];
+    const next = source[i + 1];
+    const startLine = line;
+    const startColumn = column;
+    const push = (type, value, extra) => tokens.push({ type, value, line: startLine, column: startColumn, ...extra });
+
+    if (/\s/.test(ch)) {
+      advanceTo(i + 1);
+    } else if (ch === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      advanceTo(end === -1 ? length : end);
+    } else if (ch === '/' && next === '*') {
+      advanceTo(blockCommentEnd(source, i, kotlin));
+    } else if (ch === '"' && source.startsWith('"""', i)) {
+      let end = source.indexOf('"""', i + 3);
+      end = end === -1 ? length : end;
+      while (source[end + 3] === '"') end++; // Kotlin raw strings may end with extra quotes
+      const value = source.slice(i + 3, end);
+      push('string', value, kotlin && hasTemplate(value) ? { interpolated: true } : undefined);
+      advanceTo(end + 3);
+    } else if (ch === '"') {
+      const end = stringEnd(source, i, kotlin);
+      const value = source.slice(i + 1, end);
+      push('string', value, kotlin && hasTemplate(value) ? { interpolated: true } : undefined);
+      advanceTo(end + 1);
+    } else if (ch === '\'') {
+      let end = i + 1;
+      while (end < length && source[end] !== '\'' && source[end] !== '\n') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      push('char', source.slice(i + 1, end));
+      advanceTo(end + 1);
+    } else if (ch === '`' && kotlin) {
+      const end = source.indexOf('`', i + 1);
+      push('ident', source.slice(i + 1, end === -1 ? length : end));
+      advanceTo(end === -1 ? length : end + 1);
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const match = /^[\w$]+/.exec(source.slice(i, i + 256));
+      push('ident', match[0]);
+      advanceTo(i + match[0].length);
+    } else if (/[0-9]/.test(ch)) {
+      let end = i + 1;
+      while (end < length && (/[\w]/.test(source[end]) || (source[end] === '.' && /[0-9]/.test(source[end + 1] || '')))) end++;
+      push('number', source.slice(i, end));
+      advanceTo(end);
+    } else {
+      push('punct', ch);
+      advanceTo(i + 1);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * @private
+ */
+function blockCommentEnd(source, start, nested) {
+  let depth = 0;
+  for (let i = start; i < source.length - 1; i++) {
+    if (source[i] === '/' && source[i + 1] === '*') {
+      depth = nested ? depth + 1 : 1;
+      i++;
+    } else if (source[i] === '*' && source[i + 1] === '/') {
+      depth--;
+      i++;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return source.length;
+}
+
+/**
+ * Index of the closing quote of a single-line string literal
+ * @private
+ */
+function stringEnd(source, start, kotlin) {
+  let i = start + 1;
+  while (i < source.length && source[i] !== '"' && source[i] !== '\n') {
+    if (source[i] === '\\') {
+      i += 2;
+    } else if (kotlin && source[i] === '$' && source[i + 1] === '{') {
+      // Template expressions may contain quotes: "${map["key"]}"
+      let depth = 0;
+      for (i += 1; i < source.length; i++) {
+        if (source[i] === '{') depth++;
+        else if (source[i] === '}' && --depth === 0) break;
+        else if (source[i] === '"') i = stringEnd(source, i, kotlin);
+      }
+      i++;
+    } else {
+      i++;
+    }
+  }
+  return i;
+}
+
+/**
+ * @private
+ */
+function hasTemplate(value) {
+  return /(^|[^\\])\$(\{|[A-Za-z_])/.test(value);
+}
+
+// ---------------------------------------------------------------------------
+// Token helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Index of the token closing the bracket opened at `open`
+ * @private
+ */
+function matchingClose(tokens, open) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const openValue = tokens[open].value;
+  const closeValue = pairs[openValue];
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].type !== 'punct') continue;
+    if (tokens[i].value === openValue) depth++;
+    else if (tokens[i].value === closeValue && --depth === 0) return i;
+  }
+  return tokens.length - 1;
+}
+
+/**
+ * Index of the token opening the bracket closed at `close`
+ * @private
+ */
+function matchingOpen(tokens, close) {
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+  const closeValue = tokens[close].value;
+  const openValue = pairs[closeValue];
+  let depth = 0;
+  for (let i = close; i >= 0; i--) {
+    if (tokens[i].type !== 'punct') continue;
+    if (tokens[i].value === closeValue) depth++;
+    else if (tokens[i].value === openValue && --depth === 0) return i;
+  }
+  return 0;
+}
+
+/**
+ * Split the tokens between two brackets into top-level comma-separated ranges
+ * @private
+ * @returns {Array<[number, number]>} Inclusive [start, end] token index ranges
+ */
+function splitArgs(tokens, open, close) {
+  const ranges = [];
+  let start = open + 1;
+  let depth = 0;
+  for (let i = open + 1; i < close; i++) {
+    const value = tokens[i].type === 'punct' ? tokens[i].value : '';
+    if (value === '(' || value === '[' || value === '{') depth++;
+    else if (value === ')' || value === ']' || value === '}') depth--;
+    else if (value === ',' && depth === 0) {
+      if (i > start) ranges.push([start, i - 1]);
+      start = i + 1;
+    }
+  }
+  if (close > start) ranges.push([start, close - 1]);
+  return ranges;
+}
+
+/**
+ * @private
+ */
+function isPunct(token, value) {
+  return !!token && token.type === 'punct' && token.value === value;
+}
+
+/**
+ * @private
+ */
+function isIdent(token, value) {
+  return !!token && token.type === 'ident' && (value === undefined || token.value === value);
+}
+
+/**
+ * @private
+ */
+function isConstantName(name) {
+  return /^[A-Z][A-Z0-9_]*$/.test(name);
+}
+
+/**
+ * Whether the tokens in [start, end] carry a runtime value: a variable, field,
+ * method call result or interpolated string (literals and CONSTANTS do not).
+ * @private
+ */
+function hasDynamicValue(tokens, start, end) {
+  for (let i = start; i <= end; i++) {
+    const token = tokens[i];
+    if (token.type === 'string' && token.interpolated) return true;
+    if (token.type !== 'ident' || LITERAL_KEYWORDS.has(token.value)) continue;
+    if (/^[A-Z]/.test(token.value)) continue; // Types, class qualifiers, CONSTANTS
+    if (isPunct(tokens[i + 1], '(') && WRAPPER_CALLS.has(token.value)) continue;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a `+` operand starting (dir = 1) or ending (dir = -1) at index is dynamic
+ * @private
+ */
+function operandIsDynamic(tokens, index, dir) {
+  const token = tokens[index];
+  if (!token) return false;
+  if (token.type === 'string') return !!token.interpolated;
+  if (token.type === 'number' || token.type === 'char') return false;
+  if (token.type === 'ident') {
+    if (LITERAL_KEYWORDS.has(token.value) && token.value !== 'this') return false;
+    // Qualified constant: Limits.MAX_ROWS
+    let last = index;
+    if (dir === 1) {
+      while (isPunct(tokens[last + 1], '.') && isIdent(tokens[last + 2])) last += 2;
+      if (isPunct(tokens[last + 1], '(')) return true;
+    }
+    return !isConstantName(tokens[last].value);
+  }
+  // `(...)` groups and call results
+  return isPunct(token, '(') || isPunct(token, ')');
+}
+
+/**
+ * Whether the string literal at index is concatenated, interpolated or formatted with a dynamic value
+ * @private
+ */
+function isDynamicStringBuild(ctx, index) {
+  const { tokens } = ctx;
+  const token = tokens[index];
+  if (token.interpolated) return true;
+  if (isPunct(tokens[index + 1], '+') && operandIsDynamic(tokens, index + 2, 1)) return true;
+  if (isPunct(tokens[index - 1], '+') && operandIsDynamic(tokens, index - 2, -1)) return true;
+
+  // "..." + "..." + value: follow the chain to the right
+  let i = index;
+  while (isPunct(tokens[i + 1], '+') && tokens[i + 2] && tokens[i + 2].type === 'string') {
+    i += 2;
+    if (isPunct(tokens[i + 1], '+') && operandIsDynamic(tokens, i + 2, 1)) return true;
+  }
+
+  const call = innermostCall(ctx, index);
+  if (call) {
+    // String.format("... %s", value) / "...".format(value)
+    if (call.name === 'format' && call.args.some(([s, e]) => !(s <= index && index <= e) && hasDynamicValue(tokens, s, e))) return true;
+    // new StringBuilder("... WHERE id = ").append(id)
+    if (call.name === 'append') {
+      const after = call.close;
+      if (isPunct(tokens[after + 1], '.') && isIdent(tokens[after + 2], 'append') && isPunct(tokens[after + 3], '(')) {
+        const nextCall = ctx.callsByOpen.get(after + 3);
+        if (nextCall && nextCall.args.some(([s, e]) => hasDynamicValue(tokens, s, e))) return true;
+      }
+    }
+  }
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// Scan context
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the shared analysis context for a token stream
+ * @param {string} source - File content
+ * @param {string} language - 'java' or 'kotlin'
+ * @returns {object} ctx passed to every rule's check()
+ */
+function createContext(source, language) {
+  const tokens = tokenize(source, { language });
+  const ctx = { tokens, language, calls: [], callsByOpen: new Map(), functions: [], importTokens: new Set() };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    // import/package lines
+    if (isIdent(token, 'import') || isIdent(token, 'package')) {
+      let j = i;
+      while (j < tokens.length && !isPunct(tokens[j], ';') && tokens[j].line === token.line) {
+        ctx.importTokens.add(j);
+        j++;
+      }
+      continue;
+    }
+
+    if (isPunct(token, '(') && isIdent(tokens[i - 1])) {
+      const close = matchingClose(tokens, i);
+      const call = describeCall(tokens, i, close);
+      ctx.calls.push(call);
+      ctx.callsByOpen.set(i, call);
+    }
+
+    if (isPunct(token, '{')) {
+      const fn = describeFunction(tokens, i);
+      if (fn) ctx.functions.push(fn);
+    }
+  }
+
+  return ctx;
+}
+
+/**
+ * @private
+ */
+function describeCall(tokens, open, close) {
+  const nameIndex = open - 1;
+  let start = nameIndex;
+  while (isPunct(tokens[start - 1], '.') && isIdent(tokens[start - 2])) start -= 2;
+
+  let receiver;
+  if (isPunct(tokens[nameIndex - 1], '.')) {
+    const before = tokens[nameIndex - 2];
+    if (isPunct(before, ')')) {
+      const innerOpen = matchingOpen(tokens, nameIndex - 2);
+      receiver = isIdent(tokens[innerOpen - 1]) ? tokens[innerOpen - 1].value : undefined;
+    } else if (isIdent(before)) {
+      receiver = before.value;
+    }
+  }
+
+  return {
+    name: tokens[nameIndex].value,
+    nameIndex,
+    receiver,
+    isNew: isIdent(tokens[start - 1], 'new'),
+    open,
+    close,
+    args: splitArgs(tokens, open, close)
+  };
+}
+
+/**
+ * Describe the function whose body starts at a `{`, or null for other blocks
+ * (Java `void f(..) throws X {`, Kotlin `fun f(..): T {`)
+ * @private
+ */
+function describeFunction(tokens, braceIndex) {
+  let j = braceIndex - 1;
+  let steps = 0;
+  while (j >= 0 && !isPunct(tokens[j], ')') && steps < 20) {
+    const token = tokens[j];
+    const typeToken = token.type === 'ident' || ['.', ',', '?', '<', '>', ':', '[', ']'].includes(token.value);
+    if (!typeToken || BLOCK_KEYWORDS.has(token.value)) return null;
+    j--;
+    steps++;
+  }
+  if (j < 0 || !isPunct(tokens[j], ')')) return null;
+
+  const paramsOpen = matchingOpen(tokens, j);
+  const name = tokens[paramsOpen - 1];
+  if (!isIdent(name) || BLOCK_KEYWORDS.has(name.value) || isPunct(tokens[paramsOpen - 2], '@')) return null;
+
+  return {
+    name: name.value,
+    nameIndex: paramsOpen - 1,
+    paramsOpen,
+    paramsClose: j,
+    open: braceIndex,
+    close: matchingClose(tokens, braceIndex)
+  };
+}
+
+/**
+ * Innermost function containing a token
+ * @private
+ */
+function enclosingFunction(ctx, index) {
+  let best = null;
+  for (const fn of ctx.functions) {
+    if (fn.paramsOpen <= index && index <= fn.close && (!best || fn.open > best.open)) best = fn;
+  }
+  return best;
+}
+
+/**
+ * Innermost call whose argument list contains a token
+ * @private
+ */
+function innermostCall(ctx, index, predicate = () => true) {
+  let best = null;
+  for (const call of ctx.calls) {
+    if (call.open < index && index < call.close && predicate(call) && (!best || call.open > best.open)) best = call;
+  }
+  return best;
+}
+
+/**
+ * Token range of the statement containing a token. Java statements end at
+ * `;`/braces; Kotlin statements are additionally limited to the token's line.
+ * @private
+ */
+function statementRange(ctx, index) {
+  const { tokens } = ctx;
+  const boundary = (t) => isPunct(t, ';') || isPunct(t, '{') || isPunct(t, '}');
+  const line = tokens[index].line;
+  let start = index;
+  while (start > 0 && !boundary(tokens[start - 1]) && (ctx.language !== 'kotlin' || tokens[start - 1].line === line)) start--;
+  let end = index;
+  while (end < tokens.length - 1 && !boundary(tokens[end + 1]) && (ctx.language !== 'kotlin' || tokens[end + 1].line === line)) end++;
+  return [start, end];
+}
+
+/**
+ * Whether a token sits in a security-sensitive statement or function
+ * (identifiers mentioning tokens, secrets, passwords, nonces, ...)
+ * @private
+ */
+function inSensitiveContext(ctx, index) {
+  const [start, end] = statementRange(ctx, index);
+  for (let i = start; i <= end; i++) {
+    if ((ctx.tokens[i].type === 'ident' || ctx.tokens[i].type === 'string') && SENSITIVE_NAME.test(ctx.tokens[i].value)) return true;
+  }
+  const fn = enclosingFunction(ctx, index);
+  return !!fn && SENSITIVE_NAME.test(fn.name);
+}
+
+/**
+ * Whether a call constructs an object (`new Foo(..)` in Java, `Foo(..)` in Kotlin)
+ * @private
+ */
+function isConstructorCall(ctx, call) {
+  if (call.isNew) return true;
+  return ctx.language === 'kotlin' && /^[A-Z]/.test(call.name) && !isPunct(ctx.tokens[call.nameIndex - 1], '.');
+}
+
+/**
+ * Whether any token in [start, end] is one of the given identifiers or a string containing one of the fragments
+ * @private
+ */
+function rangeMentions(ctx, start, end, idents, fragments = []) {
+  for (let i = start; i <= end; i++) {
+    const token = ctx.tokens[i];
+    if (token.type === 'ident' && idents.includes(token.value)) return true;
+    if (token.type === 'string' && fragments.some(f => token.value.includes(f))) return true;
+  }
+  return false;
+}
+
+/**
+ * Token range searched for hardening calls: the enclosing function, else the whole file
+ * @private
+ */
+function scopeRange(ctx, index) {
+  const fn = enclosingFunction(ctx, index);
+  return fn ? [fn.paramsOpen, fn.close] : [0, ctx.tokens.length - 1];
+}
+
+/**
+ * Names holding request input in a function: parameters bound by web framework
+ * annotations and variables assigned from HttpServletRequest getters
+ * @private
+ */
+function requestTaintedNames(ctx, fn) {
+  const names = new Set();
+  if (!fn) return names;
+  const { tokens } = ctx;
+
+  for (const [start, end] of splitArgs(tokens, fn.paramsOpen, fn.paramsClose)) {
+    let annotated = false;
+    for (let i = start; i < end; i++) {
+      if (isPunct(tokens[i], '@') && isIdent(tokens[i + 1]) && REQUEST_ANNOTATIONS.has(tokens[i + 1].value)) annotated = true;
+    }
+    if (!annotated) continue;
+    if (ctx.language === 'kotlin') {
+      for (let i = end; i > start; i--) {
+        if (isPunct(tokens[i], ':') && isIdent(tokens[i - 1])) {
+          names.add(tokens[i - 1].value);
+          break;
+        }
+      }
+    } else {
+      for (let i = end; i >= start; i--) {
+        if (isIdent(tokens[i])) {
+          names.add(tokens[i].value);
+          break;
+        }
+      }
+    }
+  }
+
+  for (let i = fn.open; i < fn.close; i++) {
+    if (!isIdent(tokens[i]) || !REQUEST_GETTERS.has(tokens[i].value) || !isPunct(tokens[i + 1], '(')) continue;
+    const [start] = statementRange(ctx, i);
+    for (let j = start; j < i; j++) {
+      if (isPunct(tokens[j], '=') && isIdent(tokens[j - 1])) {
+        names.add(tokens[j - 1].value);
+        break;
+      }
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Whether tokens in [start, end] use request input
+ * @private
+ */
+function usesRequestInput(ctx, start, end, tainted) {
+  for (let i = start; i <= end; i++) {
+    const token = ctx.tokens[i];
+    if (token.type !== 'ident') continue;
+    if (tainted.has(token.value) && !isPunct(ctx.tokens[i + 1], '(')) return true;
+    if (REQUEST_GETTERS.has(token.value) && isPunct(ctx.tokens[i + 1], '(')) return true;
+  }
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+// Any SQL inside a query call; outside one only upper-case keywords count ("Select a file from ..." is prose)
+const SQL_TEXT = /\b(select|insert|update|delete|merge)\b[\s\S]*\b(from|into|set|where)\b|\bwhere\b|\border\s+by\b/i;
+const SQL_KEYWORDS = /\b(SELECT|INSERT INTO|UPDATE|DELETE FROM|MERGE INTO|FROM|WHERE|ORDER BY|GROUP BY)\b/;
+const SQL_SINKS = new Set([
+  'executeQuery', 'executeUpdate', 'executeLargeUpdate', 'execute', 'addBatch', 'prepareStatement', 'prepareCall',
+  'createQuery', 'createNativeQuery', 'createSQLQuery', 'query', 'queryForObject', 'queryForList', 'queryForMap',
+  'queryForRowSet', 'update', 'batchUpdate', 'rawQuery', 'execSQL'
+]);
+const SHELL_PROGRAM = /^(\/bin\/|\/usr\/bin\/)?(ba|z|k)?sh$|^cmd(\.exe)?$|^powershell(\.exe)?$|^pwsh$/;
+const SHELL_FLAG = /^(-c|\/c|-Command)$/i;
+const FILE_CONSTRUCTORS = new Set(['File', 'FileInputStream', 'FileOutputStream', 'FileReader', 'FileWriter', 'RandomAccessFile', 'FileSystemResource']);
+const XML_FACTORIES = new Set(['DocumentBuilderFactory', 'SAXParserFactory', 'XMLInputFactory', 'TransformerFactory', 'SAXTransformerFactory', 'SchemaFactory', 'XMLReaderFactory']);
+const XML_FACTORY_METHODS = new Set(['newInstance', 'newFactory', 'newDefaultInstance', 'newDefaultFactory', 'createXMLReader']);
+const XML_HARDENING_IDENTS = [
+  'FEATURE_SECURE_PROCESSING', 'ACCESS_EXTERNAL_DTD', 'ACCESS_EXTERNAL_SCHEMA', 'ACCESS_EXTERNAL_STYLESHEET',
+  'IS_SUPPORTING_EXTERNAL_ENTITIES', 'SUPPORT_DTD', 'setExpandEntityReferences'
+];
+const XML_HARDENING_STRINGS = ['disallow-doctype-decl', 'external-general-entities', 'external-parameter-entities', 'load-external-dtd'];
+const WEAK_HASHES = /^(md2|md4|md5|sha|sha-?1)$/i;
+const WEAK_CIPHERS = /^(des|desede|tripledes|3des|rc2|rc4|arcfour|blowfish)$/i;
+const CREDENTIAL_NAME = /(password|passwd|pwd|secret|apikey|accesstoken|authtoken|privatekey|credentials?|token)$/;
+const ALLOW_ALL_TLS = ['NoopHostnameVerifier', 'ALLOW_ALL_HOSTNAME_VERIFIER', 'AllowAllHostnameVerifier', 'TrustAllStrategy', 'InsecureTrustManagerFactory'];
+const HOSTNAME_VERIFIER_SETTERS = new Set(['setHostnameVerifier', 'hostnameVerifier', 'setDefaultHostnameVerifier']);
+const CORS_SETTERS = new Set(['allowedOrigins', 'allowedOriginPatterns', 'addAllowedOrigin', 'addAllowedOriginPattern', 'setAllowedOrigins', 'setAllowedOriginPatterns']);
+
+/**
+ * Rule registry. check(ctx) returns flagged positions:
+ * [{ index, confidence?, message? }] where index is a token index.
+ */
+const JVM_SECURITY_RULES = [
+  {
+    id: 'sql-injection',
+    severity: 'error',
+    confidence: 'high',
+    cwe: 'CWE-89',
+    message: 'SQL built from a dynamic value.',
+    fix: 'Use PreparedStatement / bind parameters instead of concatenation or templates.',
+    check(ctx) {
+      const findings = [];
+      ctx.tokens.forEach((token, index) => {
+        if (token.type !== 'string' || !SQL_TEXT.test(token.value) || !isDynamicStringBuild(ctx, index)) return;
+        const sink = innermostCall(ctx, index, call => SQL_SINKS.has(call.name));
+        if (sink) findings.push({ index, confidence: 'high' });
+        else if (SQL_KEYWORDS.test(token.value)) findings.push({ index, confidence: 'medium' });
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'command-injection',
+    severity: 'error',
+    confidence: 'high',
+    cwe: 'CWE-78',
+    message: 'OS command built from a dynamic value.',
+    fix: 'Pass a fixed program and separate arguments to ProcessBuilder; never run a shell with user input.',
+    check(ctx) {
+      const { tokens } = ctx;
+      const findings = [];
+      const usesRuntime = ctx.calls.some(call => call.name === 'getRuntime');
+
+      for (const call of ctx.calls) {
+        const isRuntimeExec = call.name === 'exec' && (call.receiver === 'getRuntime' || usesRuntime) && call.args.length > 0;
+        const isProcessBuilder = (call.name === 'ProcessBuilder' && isConstructorCall(ctx, call)) || (call.name === 'command' && usesProcessBuilder(ctx));
+        if (!isRuntimeExec && !isProcessBuilder) continue;
+
+        const [start, end] = [call.open + 1, call.close - 1];
+        if (start > end || !hasDynamicValue(tokens, start, end)) continue;
+
+        const shell = rangeHasShellInvocation(tokens, start, end);
+        const built = tokens.slice(start, end + 1).some((t, k) => t.type === 'string' && isDynamicStringBuild(ctx, start + k));
+        if (shell || built) {
+          findings.push({ index: call.nameIndex, confidence: 'high' });
+        } else if (isRuntimeExec) {
+          findings.push({ index: call.nameIndex, confidence: 'medium', message: 'Runtime.exec() with a dynamic command.' });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'path-traversal',
+    severity: 'error',
+    confidence: 'high',
+    cwe: 'CWE-22',
+    message: 'File path built from request input.',
+    fix: 'Resolve against a base directory, normalize() and check startsWith(base) before use.',
+    check(ctx) {
+      const { tokens } = ctx;
+      const findings = [];
+
+      for (const call of ctx.calls) {
+        const isSink = (FILE_CONSTRUCTORS.has(call.name) && isConstructorCall(ctx, call)) ||
+          (call.name === 'get' && call.receiver === 'Paths') ||
+          (call.name === 'of' && call.receiver === 'Path') ||
+          call.name === 'resolve';
+        if (!isSink || call.args.length === 0) continue;
+
+        const [start, end] = [call.open + 1, call.close - 1];
+        const fn = enclosingFunction(ctx, call.open);
+        const [scopeStart, scopeEnd] = scopeRange(ctx, call.open);
+        const sanitized = rangeMentions(ctx, scopeStart, scopeEnd, ['normalize', 'getCanonicalPath', 'toRealPath']) &&
+          rangeMentions(ctx, scopeStart, scopeEnd, ['startsWith']);
+        if (sanitized || rangeMentions(ctx, start, end, ['getName', 'getFileName'])) continue;
+
+        if (usesRequestInput(ctx, start, end, requestTaintedNames(ctx, fn))) {
+          findings.push({ index: call.nameIndex, confidence: 'high' });
+        } else if (call.name !== 'resolve' && tokens.slice(start, end + 1).some((t, k) => t.type === 'string' && isDynamicStringBuild(ctx, start + k))) {
+          findings.push({ index: call.nameIndex, confidence: 'low', message: 'File path built from a dynamic value.' });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'hardcoded-credential',
+    severity: 'error',
+    confidence: 'high',
+    cwe: 'CWE-798',
+    message: 'Hardcoded credential.',
+    fix: 'Read it from the environment, a secret manager or externalized config.',
+    check(ctx) {
+      const { tokens } = ctx;
+      const findings = [];
+
+      tokens.forEach((token, index) => {
+        if (token.type !== 'string' || token.interpolated || !looksLikeSecretValue(token.value)) return;
+
+        // name = "..." / name: String = "..."
+        if (isPunct(tokens[index - 1], '=') && !['=', '!', '<', '>'].includes(tokens[index - 2] && tokens[index - 2].value)) {
+          const name = assignedName(tokens, index - 1);
+          if (name && CREDENTIAL_NAME.test(normalizeName(name))) findings.push({ index });
+          return;
+        }
+
+        // setPassword("...") / .password("...")
+        if (isPunct(tokens[index - 1], '(') && isIdent(tokens[index - 2]) && isPunct(tokens[index + 1], ')')) {
+          const setter = tokens[index - 2].value.replace(/^set(?=[A-Z])/, '');
+          if (CREDENTIAL_NAME.test(normalizeName(setter))) {
+            findings.push({ index, confidence: 'medium' });
+          }
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'insecure-random',
+    severity: 'warning',
+    confidence: 'medium',
+    cwe: 'CWE-338',
+    message: 'Non-cryptographic random generator used for a security value.',
+    fix: 'Use java.security.SecureRandom.',
+    check(ctx) {
+      const { tokens } = ctx;
+      const findings = [];
+      const generators = new Set();
+
+      tokens.forEach((token, index) => {
+        if (token.type !== 'ident' || ctx.importTokens.has(index)) return;
+        const next = tokens[index + 1];
+        const isRandom =
+          (token.value === 'Random' && isPunct(next, '(') && isConstructorCall(ctx, ctx.callsByOpen.get(index + 1))) ||
+          (token.value === 'Random' && ctx.language === 'kotlin' && isPunct(next, '.') && /^next/.test(tokens[index + 2] && tokens[index + 2].value)) ||
+          (token.value === 'Math' && isPunct(next, '.') && isIdent(tokens[index + 2], 'random')) ||
+          (token.value === 'ThreadLocalRandom' && isPunct(next, '.') && isIdent(tokens[index + 2], 'current')) ||
+          (token.value === 'RandomStringUtils' && isPunct(next, '.') && /^random/.test(tokens[index + 2] && tokens[index + 2].value));
+        if (!isRandom) return;
+
+        if (inSensitiveContext(ctx, index)) {
+          findings.push({ index });
+          return;
+        }
+        // Remember `Random rng = new Random()` so sensitive uses of rng are found
+        const [start] = statementRange(ctx, index);
+        for (let j = index - 1; j >= start; j--) {
+          if (isPunct(tokens[j], '=') && isIdent(tokens[j - 1])) {
+            generators.add(tokens[j - 1].value);
+            break;
+          }
+        }
+      });
+
+      tokens.forEach((token, index) => {
+        if (isIdent(token) && generators.has(token.value) && isPunct(tokens[index + 1], '.') &&
+            /^next/.test(tokens[index + 2] && tokens[index + 2].value) && inSensitiveContext(ctx, index)) {
+          findings.push({ index });
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'xxe',
+    severity: 'error',
+    confidence: 'high',
+    cwe: 'CWE-611',
+    message: 'XML parser created without disabling external entities (XXE).',
+    fix: 'setFeature("http://apache.org/xml/features/disallow-doctype-decl", true) or disable external entities/DTDs on the factory.',
+    check(ctx) {
+      const findings = [];
+      const fileHardened = rangeMentions(ctx, 0, ctx.tokens.length - 1, XML_HARDENING_IDENTS, XML_HARDENING_STRINGS);
+
+      for (const call of ctx.calls) {
+        const isFactory = (XML_FACTORIES.has(call.receiver) && XML_FACTORY_METHODS.has(call.name)) ||
+          (['SAXReader', 'SAXBuilder'].includes(call.name) && isConstructorCall(ctx, call));
+        if (!isFactory) continue;
+
+        const [start, end] = scopeRange(ctx, call.open);
+        if (rangeMentions(ctx, start, end, XML_HARDENING_IDENTS, XML_HARDENING_STRINGS)) continue;
+        findings.push({ index: call.nameIndex, confidence: fileHardened ? 'medium' : 'high' });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'unsafe-deserialization',
+    severity: 'error',
+    confidence: 'high',
+    cwe: 'CWE-502',
+    message: 'Deserialization of untrusted data can execute code.',
+    fix: 'Use a data format such as JSON, or restrict classes with an ObjectInputFilter / allow-list.',
+    check(ctx) {
+      const all = [0, ctx.tokens.length - 1];
+      const findings = [];
+
+      for (const call of ctx.calls) {
+        if (call.name === 'ObjectInputStream' && isConstructorCall(ctx, call)) {
+          if (!rangeMentions(ctx, ...all, ['setObjectInputFilter', 'ObjectInputFilter', 'resolveClass'])) {
+            findings.push({ index: call.nameIndex });
+          }
+        } else if (call.name === 'XMLDecoder' && isConstructorCall(ctx, call)) {
+          findings.push({ index: call.nameIndex, message: 'XMLDecoder can instantiate arbitrary classes.' });
+        } else if (call.name === 'enableDefaultTyping') {
+          findings.push({ index: call.nameIndex, message: 'Jackson default typing allows polymorphic gadget deserialization.' });
+        } else if (call.name === 'activateDefaultTyping') {
+          const laxValidator = rangeMentions(ctx, call.open, call.close, ['LaissezFaireSubTypeValidator']);
+          findings.push({ index: call.nameIndex, confidence: laxValidator ? 'high' : 'medium', message: 'Jackson default typing allows polymorphic gadget deserialization.' });
+        } else if (call.name === 'Yaml' && isConstructorCall(ctx, call) && call.args.length === 0) {
+          findings.push({ index: call.nameIndex, confidence: 'medium', message: 'SnakeYAML without SafeConstructor can instantiate arbitrary classes.' });
+        } else if (call.name === 'fromXML' && !rangeMentions(ctx, ...all, ['allowTypes', 'allowTypesByWildcard', 'addPermission', 'setupDefaultSecurity'])) {
+          findings.push({ index: call.nameIndex, confidence: 'medium', message: 'XStream without a type allow-list can instantiate arbitrary classes.' });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'weak-hash',
+    severity: 'warning',
+    confidence: 'high',
+    cwe: 'CWE-328',
+    message: 'Weak hash algorithm (MD5/SHA-1).',
+    fix: 'Use SHA-256 or stronger; for passwords use bcrypt, scrypt, Argon2 or PBKDF2.',
+    check(ctx) {
+      const { tokens } = ctx;
+      const findings = [];
+      for (const call of ctx.calls) {
+        if (call.name === 'getInstance' && call.receiver === 'MessageDigest' && call.args.length > 0) {
+          const arg = tokens[call.args[0][0]];
+          if (arg.type === 'string' && WEAK_HASHES.test(arg.value)) findings.push({ index: call.args[0][0] });
+        } else if ((call.receiver === 'DigestUtils' && /^(md2|md5|sha1?)(Hex)?$/.test(call.name)) ||
+                   (call.receiver === 'Hashing' && /^(md5|sha1)$/.test(call.name))) {
+          findings.push({ index: call.nameIndex });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'weak-cipher',
+    severity: 'error',
+    confidence: 'high',
+    cwe: 'CWE-327',
+    message: 'Weak cipher or ECB mode.',
+    fix: 'Use AES/GCM/NoPadding (or ChaCha20-Poly1305) with a random IV.',
+    check(ctx) {
+      const { tokens } = ctx;
+      const findings = [];
+      for (const call of ctx.calls) {
+        if (call.name !== 'getInstance' || !['Cipher', 'KeyGenerator', 'SecretKeyFactory'].includes(call.receiver) || call.args.length === 0) continue;
+        const arg = tokens[call.args[0][0]];
+        if (arg.type !== 'string') continue;
+
+        const [algorithm, mode] = arg.value.split('/');
+        if (WEAK_CIPHERS.test(algorithm) || /^(PBEWith.*DES)/i.test(algorithm)) {
+          findings.push({ index: call.args[0][0], message: `Weak cipher ${algorithm}.` });
+        } else if (call.receiver === 'Cipher' && mode && mode.toUpperCase() === 'ECB' && !/^RSA$/i.test(algorithm)) {
+          findings.push({ index: call.args[0][0], message: 'ECB mode leaks plaintext patterns.' });
+        } else if (call.receiver === 'Cipher' && !mode && /^AES$/i.test(algorithm)) {
+          findings.push({ index: call.args[0][0], message: 'Cipher "AES" defaults to ECB mode.' });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'tls-verification-disabled',
+    severity: 'error',
+    confidence: 'high',
+    cwe: 'CWE-295',
+    message: 'TLS certificate or hostname verification disabled.',
+    fix: 'Use the default TrustManager and HostnameVerifier; add private CAs to a trust store instead.',
+    check(ctx) {
+      const { tokens } = ctx;
+      const findings = [];
+
+      // Empty checkServerTrusted() body, verify() that always returns true
+      for (const fn of ctx.functions) {
+        const body = tokens.slice(fn.open + 1, fn.close).map(t => t.value).join(' ');
+        if (fn.name === 'checkServerTrusted' && (body === '' || body === 'return ;')) {
+          findings.push({ index: fn.nameIndex, message: 'checkServerTrusted() accepts every certificate.' });
+        } else if (fn.name === 'verify' && body.replace(/ ;$/, '') === 'return true' &&
+                   rangeMentions(ctx, fn.paramsOpen, fn.paramsClose, ['SSLSession'])) {
+          findings.push({ index: fn.nameIndex, message: 'HostnameVerifier accepts every host.' });
+        }
+      }
+
+      tokens.forEach((token, index) => {
+        if (token.type !== 'ident' || ctx.importTokens.has(index)) return;
+
+        if (ALLOW_ALL_TLS.includes(token.value)) {
+          findings.push({ index });
+        } else if (token.value === 'TrustSelfSignedStrategy') {
+          findings.push({ index, confidence: 'medium', message: 'Self-signed certificates are trusted.' });
+        } else if (token.value === 'verify' && isPunct(tokens[index + 1], '(')) {
+          // Kotlin expression body: fun verify(host: String?, session: SSLSession?) = true
+          const close = matchingClose(tokens, index + 1);
+          let k = close + 1;
+          if (isPunct(tokens[k], ':')) k += 2;
+          if (isPunct(tokens[k], '=') && isIdent(tokens[k + 1], 'true') && rangeMentions(ctx, index + 1, close, ['SSLSession'])) {
+            findings.push({ index, message: 'HostnameVerifier accepts every host.' });
+          }
+        } else if (HOSTNAME_VERIFIER_SETTERS.has(token.value) && (isPunct(tokens[index + 1], '(') || isPunct(tokens[index + 1], '{'))) {
+          // Lambdas that accept every host: (h, s) -> true / { _, _ -> true }
+          const close = matchingClose(tokens, index + 1);
+          for (let k = index + 2; k < close - 2; k++) {
+            if (isPunct(tokens[k], '-') && isPunct(tokens[k + 1], '>') && isIdent(tokens[k + 2], 'true') &&
+                (isPunct(tokens[k + 3], ')') || isPunct(tokens[k + 3], '}'))) {
+              findings.push({ index, message: 'HostnameVerifier accepts every host.' });
+              break;
+            }
+          }
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'cors-wildcard',
+    severity: 'warning',
+    confidence: 'high',
+    cwe: 'CWE-942',
+    message: 'CORS allows any origin.',
+    fix: 'List the allowed origins explicitly.',
+    check(ctx) {
+      const { tokens } = ctx;
+      const findings = [];
+      const wildcardIn = (start, end) => tokens.slice(start, end + 1).some(t => t.type === 'string' && t.value === '*');
+
+      tokens.forEach((token, index) => {
+        if (!isPunct(token, '@') || !isIdent(tokens[index + 1], 'CrossOrigin')) return;
+        if (!isPunct(tokens[index + 2], '(')) {
+          findings.push({ index, confidence: 'medium', message: '@CrossOrigin without origins allows any origin.' });
+          return;
+        }
+        const close = matchingClose(tokens, index + 2);
+        const namesOrigins = rangeMentions(ctx, index + 3, close - 1, ['origins', 'value', 'originPatterns']);
+        const positionalOnly = tokens[index + 3] && tokens[index + 3].type === 'string';
+        if (wildcardIn(index + 3, close - 1)) {
+          findings.push({ index });
+        } else if (!namesOrigins && !positionalOnly) {
+          findings.push({ index, confidence: 'medium', message: '@CrossOrigin without origins allows any origin.' });
+        }
+      });
+
+      for (const call of ctx.calls) {
+        const isCorsSetter = CORS_SETTERS.has(call.name);
+        const isHeader = ['setHeader', 'addHeader', 'header'].includes(call.name) && call.args.length === 2 &&
+          tokens[call.args[0][0]].type === 'string' && /^access-control-allow-origin$/i.test(tokens[call.args[0][0]].value);
+        if ((isCorsSetter || isHeader) && wildcardIn(call.open + 1, call.close - 1)) {
+          findings.push({ index: call.nameIndex });
+        }
+      }
+      return findings;
+    }
+  }
+];
+
+/**
+ * @private
+ */
+function usesProcessBuilder(ctx) {
+  return ctx.calls.some(call => call.name === 'ProcessBuilder');
+}
+
+/**
+ * `sh -c <dynamic>` and friends in an argument list
+ * @private
+ */
+function rangeHasShellInvocation(tokens, start, end) {
+  let shell = false;
+  let flag = false;
+  for (let i = start; i <= end; i++) {
+    if (tokens[i].type !== 'string') continue;
+    if (SHELL_PROGRAM.test(tokens[i].value)) shell = true;
+    if (SHELL_FLAG.test(tokens[i].value)) flag = true;
+  }
+  return shell && flag;
+}
+
+/**
+ * Variable or property assigned at `=` (handles Kotlin `name: Type = ...`)
+ * @private
+ */
+function assignedName(tokens, equalsIndex) {
+  const before = tokens[equalsIndex - 1];
+  if (!before) return null;
+  if (isIdent(before) && !isPunct(tokens[equalsIndex - 2], ':') && !isPunct(tokens[equalsIndex - 2], '.')) return before.value;
+  if (isIdent(before) && isPunct(tokens[equalsIndex - 2], '.')) return before.value; // this.password = "..."
+  for (let i = equalsIndex - 1; i >= Math.max(0, equalsIndex - 6); i--) {
+    if (isPunct(tokens[i], ':') && isIdent(tokens[i - 1])) return tokens[i - 1].value;
+  }
+  return isIdent(before) ? before.value : null;
+}
+
+/**
+ * @private
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[_-]/g, '');
+}
+
+/**
+ * Literal values that are placeholders or config keys rather than secrets
+ * @private
+ */
+function looksLikeSecretValue(value) {
+  if (value.trim().length < 4) return false;
+  if (/^\$\{.*\}$|^<.*>$|^%[\w.]+%$/.test(value)) return false; // ${db.password}, <password>, %PASSWORD%
+  if (/^[a-z][\w-]*(\.[\w-]+)+$/.test(value)) return false; // spring.datasource.password
+  return !/\s/.test(value.trim()) || value.length >= 16;
+}
+
+// ---------------------------------------------------------------------------
+// Scanning
+// ---------------------------------------------------------------------------
+
+/**
+ * Language of a JVM source file, or null for other files
+ * @param {string} filePath
+ * @returns {'java'|'kotlin'|null}
+ */
+function languageOf(filePath) {
+  return LANGUAGE_BY_EXTENSION[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Scan Java or Kotlin source with the rule registry
+ * @param {string} source - File content
+ * @param {object} options
+ * @param {string} options.file - File path (for the diagnostics)
+ * @param {string} [options.language] - 'java' or 'kotlin' (defaults to the file extension)
+ * @param {string} [options.minConfidence='low'] - Drop findings below this confidence
+ * @param {object[]} [options.rules] - Rule registry (defaults to JVM_SECURITY_RULES)
+ * @returns {object[]} Diagnostics, one per rule and line, in source order
+ */
+function scanSource(source, options) {
+  const language = options.language || languageOf(options.file) || 'java';
+  const minRank = Math.max(0, CONFIDENCE_LEVELS.indexOf(options.minConfidence || 'low'));
+  const ctx = createContext(source, language);
+  const seen = new Set();
+  const diagnostics = [];
+
+  for (const rule of options.rules || JVM_SECURITY_RULES) {
+    for (const finding of rule.check(ctx)) {
+      const token = ctx.tokens[finding.index];
+      const confidence = finding.confidence || rule.confidence;
+      const key = `${rule.id}:${token.line}`;
+      if (CONFIDENCE_LEVELS.indexOf(confidence) < minRank || seen.has(key)) continue;
+      seen.add(key);
+
+      diagnostics.push(createDiagnostic({
+        file: options.file,
+        line: token.line,
+        column: token.column,
+        severity: confidence === 'low' ? 'info' : rule.severity,
+        ruleId: rule.id,
+        source: SOURCE,
+        message: `${finding.message || rule.message} (${rule.cwe})`,
+        fix: rule.fix,
+        confidence
+      }));
+    }
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Minimum confidence configured for a project (`jvm.minConfidence` in security.json)
+ * @param {string} [cwd] - Project directory
+ * @returns {'low'|'medium'|'high'}
+ */
+function getMinConfidence(cwd = process.cwd()) {
+  try {
+    const config = loadConfig(path.resolve(cwd), SECURITY_CONFIG_NAME) || {};
+    const value = config.jvm && config.jvm.minConfidence;
+    if (CONFIDENCE_LEVELS.includes(value)) return value;
+  } catch {
+    // Unreadable config — report everything
+  }
+  return 'low';
+}
+
+module.exports = {
+  SOURCE,
+  JVM_SECURITY_RULES,
+  tokenize,
+  languageOf,
+  scanSource,
+  getMinConfidence
+};
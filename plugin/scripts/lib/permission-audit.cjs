@@ -0,0 +1,436 @@
+/**
+ * Permission Audit - Record and analyse permission-filter decisions
+ *
+ * Every PermissionRequest seen by permission-filter.cjs is appended to a JSONL
+ * audit trail. Unlike hook telemetry, the full command line is kept so the
+ * history can be mined for new allow rules and replayed against a candidate
+ * policy.
+ *
+ * Log file: $CLAUDE_CONFIG_DIR/permission-audit.jsonl, rotated at 5MB to
+ * permission-audit.<epoch-ms>.jsonl. Rotated logs older than `retentionDays`
+ * (default 30; 0 keeps them) in $CLAUDE_CONFIG_DIR/permission-audit.json are
+ * deleted at the next rotation.
+ *
+ * Environment values, credential options (`-H`, `--password=...`) and
+ * token-shaped arguments are redacted before a command is written.
+ *
+ * Each line is a JSON object:
+ * {
+ *   "ts": "2026-03-09T16:45:00.123Z",
+ *   "session_id": "abc123",
+ *   "tool": "Bash",
+ *   "command": "make check && git status",
+ *   "cwd": "/home/me/project",
+ *   "decision": "allow|deny|ask|none",
+ *   "rule": "git-read",
+ *   "unmatched": "make check"
+ * }
+ *
+ * CLI: node scripts/permission-audit.cjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClaudeDir } = require('./utils.cjs');
+const { ConfigLoader } = require('./workspace/config.cjs');
+const { SECRET_RULES, isHighEntropySecret, redact } = require('./secret-scanner.cjs');
+const { parseCommandLine } = require('./shell-parser.cjs');
+const { compilePolicy, evaluateCommand } = require('./permission-policy.cjs');
+const { escapeRegExp } = require('./ecosystems/types.cjs');
+
+const AUDIT_FILE = path.join(getClaudeDir(), 'permission-audit.jsonl');
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB — rotate after this
+const AUDIT_CONFIG_NAME = 'permission-audit';
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Options whose value is a credential (`--password x`, `--api-key=x`)
+const SECRET_OPTION = /^--?[\w-]*(?:passw(?:or)?d|passwd|token|secret|api[_-]?key|apikey|auth|credentials?)$/i;
+// Options whose value is an HTTP header (`-H 'Authorization: Bearer x'`)
+const HEADER_OPTIONS = new Set(['-H', '--header']);
+// Options whose value may carry a password (`-u user:pass`)
+const USER_OPTIONS = new Set(['-u', '--user']);
+
+// Commands never proposed as allow rules, however often they were asked about
+const NEVER_SUGGEST = new Set(['rm', 'rmdir', 'mv', 'sudo', 'su', 'chmod', 'chown', 'dd', 'mkfs', 'kill', 'curl', 'wget', 'ssh', 'scp', 'eval', 'exec', 'sh', 'bash', 'zsh', 'xargs']);
+const NEVER_SUGGEST_GIT = new Set(['push', 'reset', 'clean', 'checkout', 'rebase', 'commit', 'merge', 'restore', 'stash']);
+
+// Interpreters and runners: a rule for any of these alone allows arbitrary code
+const CODE_RUNNERS = [
+  'python', 'python3', 'node', 'deno', 'bun', 'ruby', 'perl', 'php', 'lua', 'java',
+  'npx', 'pnpx', 'bunx', 'uvx', 'pipx', 'env', 'nohup', 'nice', 'time', 'timeout', 'watch',
+  'npm run', 'npm exec', 'npm x', 'pnpm run', 'pnpm exec', 'pnpm dlx', 'yarn run', 'yarn exec', 'yarn dlx',
+  'bun run', 'bun x', 'deno run', 'deno eval', 'uv run', 'uv tool run', 'poetry run', 'pipenv run',
+  'pipx run', 'cargo run', 'go run', 'dotnet run'
+].map(runner => runner.split(' '));
+
+/**
+ * Append a permission decision to the audit trail.
+ * @param {object} entry
+ * @param {string} entry.tool - Tool that requested permission
+ * @param {string} [entry.command] - Full Bash command line (Bash only)
+ * @param {string} [entry.cwd] - Working directory of the request
+ * @param {string|null} entry.decision - 'allow', 'deny', 'ask' or null (no decision)
+ * @param {string} [entry.rule] - Id of the deciding rule
+ * @param {string} [entry.unmatched] - First segment no rule matched
+ * @param {string} [entry.session_id] - Claude Code session id
+ * @param {string} [filePath] - Override audit file (tests)
+ */
+function logPermissionDecision(entry, filePath = AUDIT_FILE) {
+  try {
+    const record = {
+      ts: new Date().toISOString(),
+      ...(entry.session_id && { session_id: entry.session_id }),
+      tool: entry.tool || 'unknown',
+      ...(entry.command !== undefined && { command: redactCommand(entry.command) }),
+      ...(entry.cwd && { cwd: entry.cwd }),
+      decision: entry.decision || 'none',
+      ...(entry.rule && { rule: entry.rule }),
+      ...(entry.unmatched && { unmatched: redactCommand(entry.unmatched) })
+    };
+
+    // Rotate if file too large
+    try {
+      const stats = fs.statSync(filePath);
+      if (stats.size > MAX_FILE_SIZE) {
+        fs.renameSync(filePath, filePath.replace('.jsonl', `.${Date.now()}.jsonl`));
+        pruneAuditLog({ file: filePath });
+      }
+    } catch {
+      // File doesn't exist yet — fine
+    }
+
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+  } catch {
+    // Never break a hook because of auditing
+  }
+}
+
+/**
+ * Audit logs, oldest first: rotated files, then the current one
+ * @param {string} [file] - Current audit file (defaults to AUDIT_FILE)
+ * @returns {Array<{ file: string, rotatedAt: number|null }>} rotatedAt: epoch ms
+ *   of the rotation (no entry in the file is newer); null for the current log
+ */
+function listAuditFiles(file = AUDIT_FILE) {
+  const dir = path.dirname(file);
+  const rotated = new RegExp(`^${escapeRegExp(path.basename(file, '.jsonl'))}\\.(\\d+)\\.jsonl$`);
+  const files = [];
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return files;
+  }
+  for (const name of names) {
+    const match = name.match(rotated);
+    if (match) files.push({ file: path.join(dir, name), rotatedAt: Number(match[1]) });
+  }
+  files.sort((a, b) => a.rotatedAt - b.rotatedAt);
+  if (fs.existsSync(file)) files.push({ file, rotatedAt: null });
+  return files;
+}
+
+/**
+ * Retention period of rotated audit logs ($CLAUDE_CONFIG_DIR/permission-audit.json)
+ * @returns {number} Days; 0 keeps rotated logs forever
+ */
+function getAuditRetentionDays() {
+  try {
+    const { retentionDays } = new ConfigLoader().loadGlobal(AUDIT_CONFIG_NAME);
+    if (typeof retentionDays === 'number' && Number.isFinite(retentionDays) && retentionDays >= 0) {
+      return retentionDays;
+    }
+  } catch {
+    // Unreadable config — default
+  }
+  return DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Delete rotated audit logs rotated more than the retention period ago.
+ * The current log is never pruned.
+ * @param {object} [options]
+ * @param {number} [options.retentionDays] - Defaults to getAuditRetentionDays()
+ * @param {number} [options.now] - Epoch ms, for tests
+ * @param {string} [options.file] - Current audit file (defaults to AUDIT_FILE)
+ * @returns {string[]} Deleted files
+ */
+function pruneAuditLog(options = {}) {
+  const retentionDays = options.retentionDays !== undefined ? options.retentionDays : getAuditRetentionDays();
+  if (!(retentionDays > 0)) return [];
+  const cutoff = (options.now || Date.now()) - retentionDays * 24 * 60 * 60 * 1000;
+  const pruned = [];
+  for (const { file, rotatedAt } of listAuditFiles(options.file)) {
+    if (rotatedAt === null || rotatedAt >= cutoff) continue;
+    try {
+      fs.unlinkSync(file);
+      pruned.push(file);
+    } catch {
+      // Already gone or not ours to delete
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Read audit entries from the current and rotated logs, optionally limited to the last N days.
+ * @param {object} [options]
+ * @param {number} [options.days] - Only include entries newer than this many days
+ * @param {string} [options.file] - Audit file to read (defaults to AUDIT_FILE)
+ * @returns {object[]} Parsed entries, oldest first
+ */
+function readAuditLog(options = {}) {
+  const cutoffMs = options.days ? Date.now() - options.days * 24 * 60 * 60 * 1000 : 0;
+  const cutoff = cutoffMs ? new Date(cutoffMs).toISOString() : '';
+  const entries = [];
+
+  for (const { file, rotatedAt } of listAuditFiles(options.file)) {
+    // Every entry of a file rotated before the cutoff is older than it
+    if (rotatedAt !== null && rotatedAt < cutoffMs) continue;
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (!cutoff || entry.ts >= cutoff) entries.push(entry);
+      } catch {
+        // Skip malformed lines
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Bash commands that were left to the user (no decision or `ask`), most frequent first.
+ * @param {object[]} entries - Audit entries
+ * @returns {Array<{ command: string, count: number, lastSeen: string }>}
+ */
+function getTopAskedCommands(entries) {
+  const counts = new Map();
+
+  for (const entry of entries) {
+    if (entry.tool !== 'Bash' || !entry.command) continue;
+    if (entry.decision !== 'none' && entry.decision !== 'ask') continue;
+    const current = counts.get(entry.command) || { command: entry.command, count: 0, lastSeen: '' };
+    current.count++;
+    if (entry.ts > current.lastSeen) current.lastSeen = entry.ts;
+    counts.set(entry.command, current);
+  }
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen));
+}
+
+/**
+ * Propose allow rules for simple commands the user was repeatedly asked about.
+ * Commands are grouped by their first two words (`make check`, `just test`) and
+ * each rule covers only the longest word prefix the grouped commands share.
+ * Destructive or networked commands are never proposed; a rule that would let an
+ * interpreter or script runner run anything (`python`, `npm run`, `node -e`) is
+ * returned with `rule: null` and the `risk` it carries instead.
+ * @param {object[]} entries - Audit entries
+ * @param {object} [options]
+ * @param {number} [options.minCount=3] - Minimum number of asks before proposing a rule
+ * @returns {Array<{ id: string, count: number, examples: string[], prefix: string, risk: string|null, rule: { decision: string, pattern: string, reason: string }|null }>}
+ */
+function suggestRules(entries, options = {}) {
+  const minCount = options.minCount || 3;
+  const groups = new Map();
+
+  for (const entry of entries) {
+    if (entry.tool !== 'Bash' || !entry.command) continue;
+    if (entry.decision !== 'none') continue;
+
+    const { segments, errors } = parseCommandLine(entry.unmatched || entry.command);
+    if (errors.length > 0 || segments.length !== 1) continue;
+
+    const words = segments[0].words;
+    if (words.length === 0 || !isSuggestible(words)) continue;
+
+    const key = words.slice(0, words.length > 1 && !words[1].startsWith('-') ? 2 : 1).join(' ');
+    const group = groups.get(key) || { prefix: words, exact: true, count: 0, examples: [] };
+    const shared = commonPrefixLength(group.prefix, words);
+    group.exact = group.exact && shared === group.prefix.length && shared === words.length;
+    group.prefix = group.prefix.slice(0, shared);
+    group.count++;
+    if (group.examples.length < 3 && !group.examples.includes(segments[0].text)) {
+      group.examples.push(segments[0].text);
+    }
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .filter(group => group.count >= minCount)
+    .sort((a, b) => b.count - a.count)
+    .map((group) => {
+      const risk = group.exact ? null : arbitraryCodeRisk(group.prefix);
+      return {
+        id: group.prefix.join('-').replace(/[^A-Za-z0-9_-]+/g, '-').slice(0, 48).replace(/^-+|-+$/g, '').toLowerCase(),
+        count: group.count,
+        examples: group.examples,
+        prefix: group.prefix.join(' '),
+        risk,
+        rule: risk ? null : {
+          decision: 'allow',
+          pattern: `^${group.prefix.map(escapeRegExp).join('\\s+')}${group.exact ? '$' : '(\\s|$)'}`,
+          reason: `Suggested from audit log (asked ${group.count} times)`
+        }
+      };
+    });
+}
+
+/**
+ * Re-evaluate audited Bash commands against a candidate policy.
+ * @param {object[]} entries - Audit entries
+ * @param {{ useDefaults?: boolean, rules?: object }} candidate - Raw candidate policy
+ * @returns {{ total: number, changes: Array<{ command: string, count: number, before: string, after: string, rule: string|null }>, errors: string[] }}
+ */
+function replayAudit(entries, candidate) {
+  const compiled = compilePolicy(candidate);
+  const changes = new Map();
+  let total = 0;
+
+  for (const entry of entries) {
+    if (entry.tool !== 'Bash' || !entry.command) continue;
+    total++;
+
+    const result = evaluateCommand(entry.command, compiled);
+    const after = result.decision || 'none';
+    if (after === entry.decision) continue;
+
+    const key = `${entry.command}\0${entry.decision}\0${after}`;
+    const change = changes.get(key) || {
+      command: entry.command,
+      count: 0,
+      before: entry.decision,
+      after,
+      rule: result.rule ? result.rule.id : null
+    };
+    change.count++;
+    changes.set(key, change);
+  }
+
+  return {
+    total,
+    changes: [...changes.values()].sort((a, b) => b.count - a.count),
+    errors: compiled.errors
+  };
+}
+
+/**
+ * @private
+ */
+function isSuggestible(words) {
+  if (NEVER_SUGGEST.has(words[0])) return false;
+  if (words[0] === 'git' && NEVER_SUGGEST_GIT.has(words[1])) return false;
+  return !words[0].includes('$(');
+}
+
+/**
+ * Command line with environment values, credential option values and
+ * token-shaped arguments replaced by redacted previews
+ * @private
+ */
+function redactCommand(command) {
+  const { segments } = parseCommandLine(command);
+  let redacted = command;
+
+  // Replace `value` where it follows `context` (a regex source), optionally quoted
+  const replaceAfter = (context, value) => {
+    if (!value) return;
+    const pattern = new RegExp(`(${context})(["']?)${escapeRegExp(value)}`, 'g');
+    redacted = redacted.replace(pattern, (match, before, quote) => `${before}${quote}${redact(value)}`);
+  };
+  const replaceEverywhere = (value) => {
+    redacted = redacted.split(value).join(redact(value));
+  };
+
+  for (const segment of segments) {
+    // Quoted assignments (`TOKEN="a b" cmd`) are left among the words by the parser
+    const { words } = segment;
+    let first = 0;
+    while (first < words.length && /^[A-Za-z_]\w*\+?=/.test(words[first])) first++;
+
+    for (const assignment of [...segment.env, ...words.slice(0, first)]) {
+      const [name] = assignment.split(/\+?=/, 1);
+      replaceAfter(`(?<![\\w$])${escapeRegExp(name)}\\+?=`, assignment.slice(assignment.indexOf('=') + 1));
+    }
+
+    for (let i = first + 1; i < words.length; i++) {
+      const word = words[i];
+      const eq = word.indexOf('=');
+      const option = eq > 0 ? word.slice(0, eq) : word;
+      const inline = eq > 0 ? word.slice(eq + 1) : null;
+      const value = inline !== null ? inline : words[i + 1];
+      const context = `(?<!\\S)["']?${escapeRegExp(option)}(?:\\s+|=)`;
+
+      if (word.startsWith('-') && SECRET_OPTION.test(option) && value !== undefined) {
+        replaceAfter(context, value);
+      } else if (HEADER_OPTIONS.has(option) && value !== undefined && value.includes(':')) {
+        const header = value.slice(0, value.indexOf(':') + 1);
+        replaceAfter(`${escapeRegExp(header)}\\s*`, value.slice(header.length).trim());
+      } else if (USER_OPTIONS.has(option) && value !== undefined && value.includes(':')) {
+        const user = value.slice(0, value.indexOf(':') + 1);
+        replaceAfter(escapeRegExp(user), value.slice(user.length));
+      }
+
+      for (const rule of SECRET_RULES) {
+        rule.pattern.lastIndex = 0;
+        let match;
+        while ((match = rule.pattern.exec(word)) !== null) {
+          const secret = match[rule.group || 0];
+          if (secret) replaceEverywhere(secret);
+          if (match[0].length === 0) rule.pattern.lastIndex++;
+        }
+      }
+      for (const part of word.split(/[=:,@/\s]/)) {
+        if (isHighEntropySecret(part)) replaceEverywhere(part);
+      }
+    }
+  }
+
+  return redacted;
+}
+
+/**
+ * Number of leading words two commands share
+ * @private
+ */
+function commonPrefixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  return i;
+}
+
+/**
+ * Why an allow rule for everything starting with `prefix` could run arbitrary
+ * code, or null. Trailing flags are ignored (`node -e`, `python -m`), so the
+ * prefix is risky when what is left names only an interpreter or runner.
+ * @private
+ */
+function arbitraryCodeRisk(prefix) {
+  let end = prefix.length;
+  while (end > 1 && prefix[end - 1].startsWith('-')) end--;
+  const head = prefix.slice(0, end);
+  const runner = CODE_RUNNERS.find(r => head.length <= r.length && head.every((word, i) => word === r[i]));
+  if (!runner) return null;
+  return `${prefix.join(' ')} can run arbitrary code; allow specific ${runner.join(' ')} commands instead`;
+}
+
+module.exports = {
+  AUDIT_FILE,
+  logPermissionDecision,
+  readAuditLog,
+  listAuditFiles,
+  pruneAuditLog,
+  getAuditRetentionDays,
+  getTopAskedCommands,
+  suggestRules,
+  replayAudit
+};
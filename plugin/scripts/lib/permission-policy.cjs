@@ -0,0 +1,361 @@
+/**
+ * Permission Policy
+ * Rule engine behind the permission-filter hook.
+ *
+ * Policy files are named `permission-policy.json` and merged through the
+ * ConfigLoader hierarchy (global ~/.claude/ → workspace .claude/ → package .claude/).
+ * Rules are keyed by id so a lower level can override or disable a rule
+ * inherited from a higher one:
+ *
+ * {
+ *   "useDefaults": true,
+ *   "rules": {
+ *     "make-check":   { "decision": "allow", "pattern": "^make\\s+check$", "reason": "Project quality gate" },
+ *     "terraform":    { "decision": "deny",  "pattern": "^terraform\\s+apply", "reason": "Apply through CI only" },
+ *     "git-push":     { "decision": "ask",   "pattern": "^git\\s+push" },
+ *     "npm-run-lint": { "enabled": false }
+ *   }
+ * }
+ *
+ * Precedence when several rules match: deny > ask > allow.
+ * No matching rule means the policy has no opinion and the user decides.
+ * Compound command lines are split with shell-parser.cjs and every segment
+ * is evaluated on its own, so `git status && rm -rf build` is not approved.
+ */
+
+const path = require('path');
+const { loadConfig } = require('./workspace/config.cjs');
+const { parseCommandLine, hasWriteRedirection } = require('./shell-parser.cjs');
+const { getAllSafeCommandPatterns } = require('./ecosystems/index.cjs');
+
+const POLICY_CONFIG_NAME = 'permission-policy';
+
+const DECISIONS = ['deny', 'ask', 'allow'];
+
+// Environment prefixes that only change output or mode. Any other variable can
+// change what an otherwise safe command executes (GIT_SSH_COMMAND, PAGER,
+// npm_config_script_shell, LD_PRELOAD, ...), so it asks the user.
+const SAFE_ENV = new Set([
+  'CI',
+  'NODE_ENV',
+  'FORCE_COLOR',
+  'NO_COLOR',
+  'TERM',
+  'COLUMNS',
+  'TZ',
+  'LANG',
+  'LC_ALL',
+  'DEBUG',
+  'RUST_BACKTRACE',
+  'PYTHONUNBUFFERED',
+  'PYTHONDONTWRITEBYTECODE'
+]);
+
+/**
+ * @private
+ */
+function isUnsafeEnv(assignment) {
+  return !SAFE_ENV.has(assignment.split(/\+?=/)[0]);
+}
+
+/**
+ * Built-in rules that do not belong to any ecosystem.
+ * Test/build/lint rules come from each ecosystem's getSafeCommandPatterns()
+ * (see getBuiltinRules()). Disabled as a whole with `"useDefaults": false`,
+ * or individually by id.
+ */
+const DEFAULT_RULES = {
+  // Git read operations
+  'git-read': { decision: 'allow', pattern: '^git\\s+(status|log|diff|branch|show|blame)', reason: 'Read-only git command' },
+  'git-rev-parse': { decision: 'allow', pattern: '^git\\s+rev-parse', reason: 'Read-only git command' },
+
+  // Read-only filters commonly piped after the commands above
+  'text-filter': { decision: 'allow', pattern: '^(head|tail|wc|grep|uniq|cut|jq)(\\s|$)', reason: 'Read-only text filter' },
+  'cd': { decision: 'allow', pattern: '^cd(\\s|$)', reason: 'Change directory' },
+
+  // Safe system info
+  'which': { decision: 'allow', pattern: '^(which|whereis|type)\\s+', reason: 'Command lookup' }
+};
+
+/**
+ * Ids the built-in test/build/lint rules had before they moved to the
+ * ecosystems, mapped to the rules that replaced them. Policies that override
+ * or disable a rule by its old id keep working.
+ */
+const LEGACY_RULE_IDS = {
+  'js-test': ['nodejs-test'],
+  'npx-test-runner': ['nodejs-test-runner'],
+  'pytest': ['python-pytest'],
+  'cargo-test': ['rust-test'],
+  'mvn-test': ['jvm-maven-test'],
+  'gradle-test': ['jvm-gradle-test'],
+  'js-lint': ['nodejs-lint'],
+  'npx-check': ['nodejs-check'],
+  'js-build': ['nodejs-build'],
+  'tsc': ['nodejs-tsc'],
+  'mvn-build': ['jvm-maven-build'],
+  'gradle-build': ['jvm-gradle-build'],
+  'cargo-build': ['rust-build'],
+  'package-info': ['nodejs-package-info'],
+  'version': [
+    'nodejs-node-version', 'nodejs-npm-version', 'nodejs-yarn-version', 'nodejs-pnpm-version', 'nodejs-short-version',
+    'python-python-version', 'jvm-java-version', 'go-go-version', 'rust-cargo-version', 'rust-rustc-version'
+  ]
+};
+
+/**
+ * Built-in rules plus the safe command patterns of every discovered ecosystem
+ * (plugin, user-level and project-level). Ecosystem rule ids are prefixed with
+ * the ecosystem type, e.g. `nodejs-test` or `jvm-gradle-build`.
+ * @returns {object} Rules keyed by id
+ */
+function getBuiltinRules() {
+  const rules = { ...DEFAULT_RULES };
+
+  let patterns = [];
+  try {
+    patterns = getAllSafeCommandPatterns();
+  } catch {
+    // A broken user-level ecosystem must not disable the permission filter
+  }
+
+  for (const entry of patterns) {
+    if (!entry || !entry.id || !entry.pattern) continue;
+    rules[`${entry.ecosystem}-${entry.id}`] = {
+      decision: 'allow',
+      pattern: entry.pattern instanceof RegExp ? entry.pattern.source : String(entry.pattern),
+      reason: entry.reason || `Safe ${entry.ecosystem} command`
+    };
+  }
+
+  return rules;
+}
+
+/**
+ * Load the effective policy for a directory through the config hierarchy.
+ * @param {string} [dir] - Directory the command runs in (defaults to cwd)
+ * @returns {{ useDefaults: boolean, rules: object }} Merged raw policy
+ */
+function loadPolicy(dir = process.cwd()) {
+  let config = {};
+  try {
+    config = loadConfig(path.resolve(dir), POLICY_CONFIG_NAME) || {};
+  } catch {
+    // Unreadable policy — behave as if none was configured
+  }
+  return {
+    useDefaults: config.useDefaults !== false,
+    rules: config.rules && typeof config.rules === 'object' ? config.rules : {}
+  };
+}
+
+/**
+ * Compile a raw policy into an ordered list of executable rules.
+ * Invalid rules are collected in `errors` instead of throwing so a typo in a
+ * policy file never breaks the hook.
+ * @param {{ useDefaults?: boolean, rules?: object }} policy - Raw policy
+ * @returns {{ rules: Array<{ id: string, decision: string, regex: RegExp, reason: string, builtin: boolean }>, errors: string[] }}
+ */
+function compilePolicy(policy = {}) {
+  const merged = {};
+
+  if (policy.useDefaults !== false) {
+    for (const [id, rule] of Object.entries(getBuiltinRules())) {
+      merged[id] = { ...rule, builtin: true };
+    }
+  }
+
+  for (const [id, rule] of Object.entries(policy.rules || {})) {
+    if (!rule || typeof rule !== 'object') continue;
+    // An old builtin id applies to the ecosystem rules that replaced it
+    const aliased = !merged[id] && LEGACY_RULE_IDS[id] ? LEGACY_RULE_IDS[id].filter(target => merged[target]) : [];
+    for (const target of aliased.length > 0 ? aliased : [id]) {
+      // Partial overrides (e.g. { enabled: false } or a new reason) keep the builtin pattern
+      merged[target] = { ...(merged[target] || {}), ...rule, builtin: false };
+    }
+  }
+
+  const rules = [];
+  const errors = [];
+
+  for (const [id, rule] of Object.entries(merged)) {
+    if (rule.enabled === false) continue;
+
+    if (!DECISIONS.includes(rule.decision)) {
+      errors.push(`${id}: decision must be one of ${DECISIONS.join(', ')}`);
+      continue;
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern.length === 0) {
+      errors.push(`${id}: missing pattern`);
+      continue;
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern);
+    } catch (err) {
+      errors.push(`${id}: invalid pattern (${err.message})`);
+      continue;
+    }
+
+    rules.push({
+      id,
+      decision: rule.decision,
+      regex,
+      reason: rule.reason || '',
+      builtin: rule.builtin
+    });
+  }
+
+  return { rules, errors };
+}
+
+/**
+ * Evaluate a single simple command (one segment) against a compiled policy.
+ * @param {string} text - Segment text as produced by the shell parser
+ * @param {{ rules: Array }} compiled - Result of compilePolicy()
+ * @returns {{ decision: 'allow'|'deny'|'ask'|null, rule: object|null, matches: object[] }}
+ */
+function evaluateSegment(text, compiled) {
+  const matches = compiled.rules.filter(rule => rule.regex.test(text));
+
+  for (const decision of DECISIONS) {
+    const rule = matches.find(m => m.decision === decision);
+    if (rule) {
+      return { decision, rule, matches };
+    }
+  }
+
+  return { decision: null, rule: null, matches };
+}
+
+/**
+ * Synthetic rule for decisions made by the shell analysis rather than a policy rule.
+ * @private
+ */
+function shellRule(id, reason) {
+  return { id, decision: 'ask', regex: null, reason, builtin: true };
+}
+
+/**
+ * Evaluate a command line against a compiled policy.
+ * The line is split into simple commands (see shell-parser.cjs) and every
+ * segment — including command substitutions — must be allowed for the whole
+ * command to be allowed. Any denied segment denies the command; write
+ * redirections, environment prefixes outside a small allowlist and unparseable
+ * syntax ask the user.
+ * @param {string} command - Bash command line
+ * @param {{ rules: Array }} compiled - Result of compilePolicy()
+ * @returns {{ decision: 'allow'|'deny'|'ask'|null, rule: object|null, matches: object[], segments: Array<{ text: string, decision: string|null, rule: object|null }> }}
+ */
+function evaluateCommand(command, compiled) {
+  const parsed = parseCommandLine(command);
+  const segments = [];
+  const matches = [];
+
+  for (const segment of parsed.segments) {
+    const result = segment.words.length > 0
+      ? evaluateSegment(segment.text, compiled)
+      : { decision: 'allow', rule: null, matches: [] };
+    segments.push({ ...segment, decision: result.decision, rule: result.rule });
+    matches.push(...result.matches.filter(m => !matches.includes(m)));
+  }
+
+  const done = (decision, rule) => ({ decision, rule, matches, segments });
+
+  const denied = segments.find(s => s.decision === 'deny');
+  if (denied) return done('deny', denied.rule);
+
+  if (parsed.errors.length > 0) {
+    return done('ask', shellRule('shell-unsupported', `cannot analyse command: ${parsed.errors[0]}`));
+  }
+
+  const writer = segments.find(hasWriteRedirection);
+  if (writer) {
+    const target = writer.redirections.find(r => r.write).target;
+    return done('ask', shellRule('shell-write-redirection', `writes to ${target}`));
+  }
+
+  const unsafeEnv = segments.find(s => s.env.some(isUnsafeEnv));
+  if (unsafeEnv) {
+    return done('ask', shellRule('shell-env-prefix', `sets ${unsafeEnv.env.find(isUnsafeEnv).split(/\+?=/)[0]}`));
+  }
+
+  const asked = segments.find(s => s.decision === 'ask');
+  if (asked) return done('ask', asked.rule);
+
+  const commands = segments.filter(s => s.words.length > 0);
+  if (commands.length === 0 || commands.some(s => s.decision === null)) {
+    return done(null, null);
+  }
+
+  return done('allow', commands[0].rule);
+}
+
+/**
+ * Human-readable explanation of how a command is evaluated.
+ * @param {string} command - Bash command line
+ * @param {string} [dir] - Directory to load the policy from
+ * @returns {string}
+ */
+function explainCommand(command, dir = process.cwd()) {
+  const compiled = compilePolicy(loadPolicy(dir));
+  const result = evaluateCommand(command, compiled);
+  const lines = [];
+
+  lines.push(`Command:  ${command}`);
+  lines.push(`Decision: ${result.decision || 'none (user decides)'}`);
+
+  if (result.rule) {
+    lines.push(`Rule:     ${describeRule(result.rule)}`);
+    if (result.rule.reason) {
+      lines.push(`Reason:   ${result.rule.reason}`);
+    }
+  }
+
+  const commands = result.segments.filter(s => s.words.length > 0);
+  if (commands.length > 1 || result.segments.some(s => s.substitution)) {
+    lines.push('Segments:');
+    for (const segment of commands) {
+      const verdict = segment.decision || 'no rule';
+      const rule = segment.rule ? ` [${segment.rule.id}]` : '';
+      const prefix = segment.substitution ? '$(...) ' : '';
+      lines.push(`  - ${prefix}${segment.text} -> ${verdict}${rule}`);
+    }
+  }
+
+  const others = result.matches.filter(m => m !== result.rule);
+  if (others.length > 0) {
+    lines.push(`Also matched: ${others.map(m => `${m.id} (${m.decision})`).join(', ')}`);
+  }
+
+  if (compiled.errors.length > 0) {
+    lines.push('Policy errors:');
+    for (const err of compiled.errors) {
+      lines.push(`  - ${err}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * @private
+ */
+function describeRule(rule) {
+  if (!rule.regex) return `${rule.id} (shell analysis)`;
+  const origin = rule.builtin ? 'builtin' : POLICY_CONFIG_NAME;
+  return `${rule.id} (${origin}) /${rule.regex.source}/`;
+}
+
+module.exports = {
+  POLICY_CONFIG_NAME,
+  DEFAULT_RULES,
+  LEGACY_RULE_IDS,
+  getBuiltinRules,
+  loadPolicy,
+  compilePolicy,
+  evaluateSegment,
+  evaluateCommand,
+  explainCommand
+};
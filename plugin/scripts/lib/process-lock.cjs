@@ -0,0 +1,114 @@
+/**
+ * Process Lock - At most one background worker at a time, across processes
+ *
+ * The lock is a file created exclusively (`wx`) that holds
+ * `{ "pid": 123, "started": 1700000000000 }`. It is held while that process is
+ * alive and the lock is younger than the caller's stale limit; a dead or stale
+ * lock is taken over. The worker takes the lock itself, so two callers that
+ * start workers at the same moment still end up with one running.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// A lock file is written right after it is created; give the writer this long
+const UNWRITTEN_GRACE_MS = 10000;
+
+/**
+ * Check whether a process is running
+ * @param {number} pid - Process id
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: alive, owned by another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Check whether a live process holds a lock
+ * @param {string} file - Lock file
+ * @param {object} [options]
+ * @param {number} [options.staleMs=Infinity] - Age after which a lock no longer counts
+ * @param {number} [options.now] - Current time (tests)
+ * @returns {boolean}
+ */
+function isLockHeld(file, options = {}) {
+  const now = options.now || Date.now();
+  const staleMs = options.staleMs || Infinity;
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch {
+    return false;
+  }
+
+  try {
+    const lock = JSON.parse(text);
+    return now - lock.started < staleMs && isProcessAlive(lock.pid);
+  } catch {
+    // Created but not written yet, or torn
+    try {
+      return now - fs.statSync(file).mtimeMs < UNWRITTEN_GRACE_MS;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Take a lock for this process
+ * @param {string} file - Lock file
+ * @param {object} [options]
+ * @param {number} [options.staleMs=Infinity] - Age after which an existing lock is taken over
+ * @param {number} [options.now] - Current time (tests)
+ * @returns {boolean} false when another live process holds it
+ */
+function acquireLock(file, options = {}) {
+  const now = options.now || Date.now();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    let fd;
+    try {
+      fd = fs.openSync(file, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST' || isLockHeld(file, options)) return false;
+      // Dead or stale holder: remove its lock and try once more
+      fs.rmSync(file, { force: true });
+      continue;
+    }
+    try {
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, started: now }));
+    } finally {
+      fs.closeSync(fd);
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Release a lock this process holds (a lock taken over by another process is left alone)
+ * @param {string} file - Lock file
+ */
+function releaseLock(file) {
+  try {
+    const lock = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (lock.pid === process.pid) fs.rmSync(file, { force: true });
+  } catch {
+    // Already gone
+  }
+}
+
+module.exports = {
+  isProcessAlive,
+  isLockHeld,
+  acquireLock,
+  releaseLock
+};
@@ -5,6 +5,10 @@
 
 import { execFile, execFileSync } from 'child_process';
 import { promisify } from 'util';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { spawnWithBudget } = require('./hook-budget.cjs');
 
 const execFileAsync = promisify(execFile);
 
@@ -29,12 +33,13 @@ export function commandExists(cmd) {
 }
 
 /**
- * Safely execute a command with arguments (synchronous)
+ * Safely execute a command with arguments (synchronous). Inside a hook run
+ * the command is held to the hook's time budget (lib/hook-budget.cjs).
  * @param {string} command - Command to execute
  * @param {string[]} args - Command arguments
  * @param {object} options - Execution options
  * @returns {Buffer|string} Command output
- * @throws {Error} If command fails
+ * @throws {Error} If command fails or times out (error.stdout/stderr/status are set, as with execFileSync)
  */
 export function safeExecSync(command, args = [], options = {}) {
   // Validate command name
@@ -42,11 +47,17 @@ export function safeExecSync(command, args = [], options = {}) {
     throw new Error(`Invalid command name: ${command}`);
   }
 
-  return execFileSync(command, args, {
+  const result = spawnWithBudget(command, args, {
     encoding: 'utf8',
     stdio: 'pipe',
     ...options
   });
+  if (result.error || result.status !== 0) {
+    const error = result.error || new Error(`Command failed: ${command} ${args.join(' ')}\n${result.stderr || ''}`);
+    Object.assign(error, { status: result.status, signal: result.signal, stdout: result.stdout, stderr: result.stderr });
+    throw error;
+  }
+  return result.stdout;
 }
 
 /**
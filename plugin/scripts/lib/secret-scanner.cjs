@@ -0,0 +1,584 @@
+/**
+ * Secret Scanner - Language-agnostic detection of hardcoded secrets
+ *
+ * Used by the secret-scanner hook (every Edit/Write) and the pre-commit-secrets
+ * hook (staged content of `git commit`). Every line is scanned, comments
+ * included, since a key in a comment leaks just the same.
+ *
+ * Three kinds of rules, in order of precedence per line:
+ *   1. Token formats (AWS, GitHub, Slack, Stripe, private key blocks, JWTs,
+ *      connection strings with passwords) - SECRET_RULES
+ *   2. Credential-like names assigned a literal (`password = "…"`, `API_KEY=…`)
+ *   3. High-entropy string literals that look like random keys
+ *
+ * Findings carry a confidence; only `high` findings can deny a commit.
+ * Secrets are never echoed in full - messages show a redacted preview.
+ *
+ * Configuration in `.claude/security.json` (merged through the ConfigLoader hierarchy):
+ * {
+ *   "secrets": {
+ *     "allowPaths": ["docs/examples/**"],   // added to DEFAULT_ALLOW_PATHS
+ *     "allowValues": ["^AKIA_TEST"],        // regexes for values that are not secrets
+ *     "entropy": true,                      // high-entropy literal detection
+ *     "commit": "deny"                      // "deny" (default) | "warn" | "off"
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDiagnostic } = require('./diagnostics.cjs');
+const { findProjectRoot } = require('./baseline.cjs');
+const { loadConfig } = require('./workspace/config.cjs');
+const { globToRegex } = require('./workspace/packages.cjs');
+const { parseCommandLine } = require('./shell-parser.cjs');
+const { spawnWithBudget } = require('./hook-budget.cjs');
+
+const SOURCE = 'secret-scanner';
+const SECURITY_CONFIG_NAME = 'security';
+const COMMIT_MODES = ['deny', 'warn', 'off'];
+const CONFIDENCE_SEVERITY = { high: 'error', medium: 'warning', low: 'info' };
+const MAX_SCAN_BYTES = 1024 * 1024;
+const GIT_TIMEOUT_MS = 10000;
+
+// git options that take a separate value (`git -C dir commit`)
+const GIT_VALUE_OPTIONS = new Set(['-C', '-c', '--git-dir', '--work-tree', '--namespace']);
+
+// Empty tree object, for diffing a repository that has no commits yet
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+const COMMIT_DIFF_ARGS = ['diff', '-U0', '--no-color', '--no-ext-diff', '--diff-filter=ACMR'];
+
+// Test fixtures, generated lockfiles and vendored code are not scanned
+const DEFAULT_ALLOW_PATHS = [
+  '**/test/**',
+  '**/tests/**',
+  '**/__tests__/**',
+  '**/fixtures/**',
+  '**/testdata/**',
+  '**/*.test.*',
+  '**/*.spec.*',
+  '**/*_test.*',
+  '**/test_*.py',
+  '**/node_modules/**',
+  '**/package-lock.json',
+  '**/yarn.lock',
+  '**/pnpm-lock.yaml',
+  '**/*.lock',
+  '**/go.sum'
+];
+
+// Values that are documentation or templates rather than secrets
+const PLACEHOLDER_VALUE = /example|placeholder|changeme|change_me|dummy|redacted|sample|your[_-]|<[^>]*>|x{5,}|\*{4,}|\.{3}|^\$|\$\{|\{\{|%\(|%s/i;
+
+// Names whose literal values are credentials
+const SENSITIVE_NAME = /(?:passw(?:or)?d|passwd|pwd|secret|token|api[_-]?key|apikey|access[_-]?key|private[_-]?key|client[_-]?secret|auth|credential)s?$/i;
+
+// Values read from somewhere else rather than written inline
+const REFERENCE_VALUE = /^(?:process\.env|os\.environ|os\.getenv|System\.getenv|env\(|ENV\[|getenv|config\.|settings\.|secrets\.|vault:|arn:|ssm:)/i;
+
+// Config formats where values are unquoted (`KEY=value`, `key: value`)
+const UNQUOTED_CONFIG = /(?:^|[/\\])\.env(?:\.[\w.-]+)?$|\.(?:properties|ya?ml|toml|ini|cfg|conf)$/i;
+
+/**
+ * Token-format rules. `group` selects the secret part of the match (default: whole match).
+ * `validate` can reject a match (e.g. a JWT whose header is not JSON);
+ * `preview: false` leaves the redacted value out of the message.
+ */
+const SECRET_RULES = [
+  {
+    id: 'private-key',
+    name: 'Private key block',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g,
+    confidence: 'high',
+    preview: false
+  },
+  {
+    id: 'aws-access-key-id',
+    name: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g,
+    confidence: 'high'
+  },
+  {
+    id: 'aws-secret-access-key',
+    name: 'AWS secret access key',
+    pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+    group: 1,
+    confidence: 'high'
+  },
+  {
+    id: 'github-token',
+    name: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{60,})\b/g,
+    confidence: 'high'
+  },
+  {
+    id: 'slack-token',
+    name: 'Slack token',
+    pattern: /\bxox[abposr]-(?:\d+-)+[A-Za-z0-9-]{10,}/g,
+    confidence: 'high'
+  },
+  {
+    id: 'slack-webhook',
+    name: 'Slack webhook URL',
+    pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]{16,}/g,
+    confidence: 'high'
+  },
+  {
+    id: 'stripe-key',
+    name: 'Stripe live key',
+    pattern: /\b(?:sk|rk)_live_[A-Za-z0-9]{20,}\b/g,
+    confidence: 'high'
+  },
+  {
+    id: 'stripe-test-key',
+    name: 'Stripe test key',
+    pattern: /\b(?:sk|rk)_test_[A-Za-z0-9]{20,}\b/g,
+    confidence: 'medium'
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{16,}/g,
+    confidence: 'medium',
+    validate: value => decodesToJson(value.split('.')[0])
+  },
+  {
+    id: 'connection-string',
+    name: 'Connection string with password',
+    pattern: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|redis|rediss|amqps?|mssql|sqlserver|jdbc:[a-z]+):\/\/[^\s:@/'"`]+:([^\s@'"`]+)@[^\s'"`]+/gi,
+    group: 1,
+    confidence: 'high',
+    validate: password => !REFERENCE_VALUE.test(password) && !/^(?:pass(?:word)?|pwd|secret|user|root)$/i.test(password)
+  }
+];
+
+/**
+ * Whether a base64url segment decodes to a JSON object
+ * @private
+ */
+function decodesToJson(segment) {
+  try {
+    return typeof JSON.parse(Buffer.from(segment, 'base64url').toString('utf8')) === 'object';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} value
+ * @returns {number}
+ */
+function shannonEntropy(value) {
+  if (!value) return 0;
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Whether a literal looks like a random key: long, no spaces, mixed character
+ * classes and high entropy. Hex digests, UUIDs and integrity hashes are excluded.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHighEntropySecret(value) {
+  if (value.length < 24 || !/^[A-Za-z0-9+/=_-]+$/.test(value)) return false;
+  if (/^[0-9a-f-]+$/i.test(value)) return false;
+  if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/\d/.test(value)) return false;
+  return shannonEntropy(value) >= 4.5;
+}
+
+/**
+ * Redacted preview of a secret: enough to find it, not enough to use it
+ * @param {string} value
+ * @returns {string}
+ */
+function redact(value) {
+  if (value.length <= 8) return '*'.repeat(value.length);
+  return `${value.slice(0, 4)}…${value.slice(-2)}`;
+}
+
+/**
+ * Whether a value is a placeholder or matches a configured allowlist pattern
+ * @private
+ */
+function isAllowedValue(value, allowValues) {
+  return PLACEHOLDER_VALUE.test(value) || allowValues.some(re => re.test(value));
+}
+
+/**
+ * Secrets configuration for a project (`secrets` in security.json) with defaults
+ * @param {string} [cwd] - Project directory
+ * @returns {{ allowPaths: string[], allowValues: RegExp[], entropy: boolean, commit: 'deny'|'warn'|'off' }}
+ */
+function getSecretsConfig(cwd = process.cwd()) {
+  let secrets = {};
+  try {
+    const config = loadConfig(path.resolve(cwd), SECURITY_CONFIG_NAME) || {};
+    secrets = config.secrets || {};
+  } catch {
+    // Unreadable config — use the defaults
+  }
+
+  const allowValues = [];
+  for (const pattern of Array.isArray(secrets.allowValues) ? secrets.allowValues : []) {
+    try {
+      allowValues.push(new RegExp(pattern));
+    } catch {
+      // Skip invalid patterns
+    }
+  }
+
+  return {
+    allowPaths: [...DEFAULT_ALLOW_PATHS, ...(Array.isArray(secrets.allowPaths) ? secrets.allowPaths : [])],
+    allowValues,
+    entropy: secrets.entropy !== false,
+    commit: COMMIT_MODES.includes(secrets.commit) ? secrets.commit : 'deny'
+  };
+}
+
+/**
+ * Whether a file is allowlisted (test fixtures, lockfiles, configured paths)
+ * @param {string} filePath - File path
+ * @param {string[]} allowPaths - Glob patterns relative to the project root
+ * @param {string} [root] - Project root (defaults to the file's git root)
+ * @returns {boolean}
+ */
+function isAllowedPath(filePath, allowPaths, root) {
+  const absolute = path.resolve(filePath);
+  const relative = path.relative(root || findProjectRoot(absolute), absolute).split(path.sep).join('/');
+  return allowPaths.some(pattern => {
+    const regex = globToRegex(pattern);
+    return regex.test(relative) || regex.test(`/${relative}`);
+  });
+}
+
+/**
+ * Scan file content for secrets
+ * @param {string} content - File content
+ * @param {object} options
+ * @param {string} options.file - File path (for the diagnostics and unquoted-config detection)
+ * @param {Set<number>} [options.lines] - Only report findings on these 1-based lines
+ * @param {object} [options.config] - Result of getSecretsConfig() (defaults to the file's project)
+ * @returns {object[]} Diagnostics, at most one per line
+ */
+function scanContent(content, options) {
+  const config = options.config || getSecretsConfig(path.dirname(path.resolve(options.file)));
+  if (!content || content.length > MAX_SCAN_BYTES || content.includes('\0')) return [];
+
+  const unquoted = UNQUOTED_CONFIG.test(options.file);
+  const diagnostics = [];
+  const report = (lineNumber, index, ruleId, confidence, message) => diagnostics.push(createDiagnostic({
+    file: options.file,
+    line: lineNumber,
+    column: index + 1,
+    severity: CONFIDENCE_SEVERITY[confidence],
+    ruleId,
+    source: SOURCE,
+    message,
+    fix: 'Load it from the environment or a secret manager, and rotate it if it was ever shared.',
+    confidence
+  }));
+
+  content.split('\n').forEach((line, index) => {
+    const lineNumber = index + 1;
+    if (options.lines && !options.lines.has(lineNumber)) return;
+    if (line.length > 4096) return; // minified or generated
+
+    // 1. Token formats
+    for (const rule of SECRET_RULES) {
+      let found = false;
+      for (const match of line.matchAll(rule.pattern)) {
+        const value = match[rule.group || 0];
+        if (isAllowedValue(value, config.allowValues)) continue;
+        if (rule.validate && !rule.validate(value)) continue;
+        const column = match.index + match[0].indexOf(value);
+        const preview = rule.preview === false ? '' : ` (${redact(value)})`;
+        report(lineNumber, column, rule.id, rule.confidence, `${rule.name}${preview}.`);
+        found = true;
+        break;
+      }
+      if (found) return;
+    }
+
+    // 2. Credential-like names assigned a literal
+    const assignment = findCredentialAssignment(line, unquoted);
+    if (assignment && !isAllowedValue(assignment.value, config.allowValues)) {
+      const random = isHighEntropySecret(assignment.value);
+      report(lineNumber, assignment.index, 'hardcoded-secret', random ? 'high' : 'medium',
+        `Hardcoded value for "${assignment.name}" (${redact(assignment.value)}).`);
+      return;
+    }
+
+    // 3. High-entropy literals
+    if (!config.entropy) return;
+    for (const match of line.matchAll(/(["'`])([^"'`\s]{24,})\1/g)) {
+      const value = match[2];
+      if (!isHighEntropySecret(value) || isAllowedValue(value, config.allowValues)) continue;
+      report(lineNumber, match.index + 1, 'high-entropy-string', 'low',
+        `High-entropy string literal (${redact(value)}) may be a secret.`);
+      return;
+    }
+  });
+
+  return diagnostics;
+}
+
+/**
+ * `name = "value"` / `"name": "value"` / `NAME=value` with a credential-like name
+ * @private
+ * @param {string} line
+ * @param {boolean} unquoted - Also accept unquoted values (config files)
+ * @returns {{ name: string, value: string, index: number }|null}
+ */
+function findCredentialAssignment(line, unquoted) {
+  const quoted = /["']?([A-Za-z_][\w.-]*)["']?\s*(?::\s*[\w.<>[\]]+\s*)?(?:=|:|:=|=>|\?\?=)\s*(["'`])([^"'`\n]{8,})\2/g;
+  const bare = /^\s*(?:export\s+)?([A-Za-z_][\w.-]*)\s*[:=]\s*([^\s"'`#;,]{8,})\s*(?:#.*)?$/;
+
+  for (const match of line.matchAll(quoted)) {
+    const [, name, , value] = match;
+    if (!SENSITIVE_NAME.test(name) || REFERENCE_VALUE.test(value) || /\s/.test(value)) continue;
+    return { name, value, index: match.index + match[0].lastIndexOf(value) };
+  }
+
+  if (unquoted) {
+    const match = line.match(bare);
+    if (match && SENSITIVE_NAME.test(match[1]) && !REFERENCE_VALUE.test(match[2])) {
+      return { name: match[1], value: match[2], index: line.indexOf(match[2], line.indexOf(match[1]) + match[1].length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Join a directory and a path the way `cd`/`git -C` would
+ * @private
+ */
+function joinDir(dir, file) {
+  return path.isAbsolute(file) ? path.normalize(file) : path.join(dir, file);
+}
+
+/**
+ * Subcommand of a `git …` segment, skipping global options
+ * @private
+ * @param {string[]} words - Segment words
+ * @returns {{ subcommand: string, args: string[], dir: string }|null} dir:
+ *   the `-C` directories joined, '' without any
+ */
+function parseGitWords(words) {
+  if (words[0] !== 'git') return null;
+  let dir = '';
+  for (let i = 1; i < words.length; i++) {
+    if (GIT_VALUE_OPTIONS.has(words[i])) {
+      if (words[i] === '-C' && words[i + 1] !== undefined) dir = joinDir(dir, words[i + 1]);
+      i++;
+      continue;
+    }
+    if (!words[i].startsWith('-')) return { subcommand: words[i], args: words.slice(i + 1), dir };
+  }
+  return null;
+}
+
+/**
+ * Pathspecs of a `git add`/`git mv`, or null when it stages the whole tree
+ * @private
+ */
+function stagedPathspecs(args) {
+  const paths = [];
+  let literal = false;
+  for (const arg of args) {
+    if (!literal && arg === '--') literal = true;
+    else if (literal || !arg.startsWith('-')) paths.push(arg);
+    else if (arg.startsWith('--pathspec-from-file')) return null;
+  }
+  return paths.length > 0 ? paths : null;
+}
+
+/**
+ * How a Bash command commits, if it does. The working tree has to be scanned
+ * when the same command stages files before committing or uses `commit -a`;
+ * `git add <paths>` limits that to the index plus those paths.
+ * @param {string} command - Bash command
+ * @returns {{ worktree: boolean, paths: string[]|null, dir: string|null }|null}
+ *   null when there is no git commit. dir: where the commit runs (`cd dir &&`,
+ *   `git -C dir commit`) relative to the command's cwd, null when unchanged;
+ *   paths: what the command stages before committing, relative to dir (null:
+ *   the whole working tree)
+ */
+function analyzeCommitCommand(command) {
+  const { segments } = parseCommandLine(command);
+  let cwd = '';
+  let staging = false;
+  let paths = [];
+
+  for (const { words } of segments) {
+    if (words[0] === 'cd' && words.length === 2 && words[1] !== '-') {
+      cwd = joinDir(cwd, words[1]);
+      continue;
+    }
+    const git = parseGitWords(words);
+    if (!git) continue;
+    const dir = joinDir(cwd, git.dir);
+
+    if (git.subcommand === 'add' || git.subcommand === 'mv') {
+      staging = true;
+      const specs = stagedPathspecs(git.args);
+      paths = specs && paths ? [...paths, ...specs.map(spec => joinDir(dir, spec))] : null;
+    }
+    if (git.subcommand === 'commit') {
+      const all = git.args.some(word => word === '--all' || /^-[a-zA-Z]*a[a-zA-Z]*$/.test(word));
+      const worktree = staging || all;
+      return {
+        worktree,
+        paths: worktree && !all && paths ? paths.map(p => (path.isAbsolute(p) ? p : path.relative(dir, p) || '.')) : null,
+        dir: dir === '.' ? null : dir
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Run git and return stdout, or null when it fails
+ * @private
+ */
+function git(args, cwd) {
+  const result = spawnWithBudget('git', ['-c', 'core.quotePath=false', ...args], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: GIT_TIMEOUT_MS,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  return result.error || result.status !== 0 ? null : result.stdout;
+}
+
+/**
+ * Added line numbers per file from a `git diff -U0` patch
+ * @param {string} patch - Unified diff with zero context
+ * @returns {Map<string, Set<number>>} Repository-relative path -> added lines (new side)
+ */
+function parseAddedLines(patch) {
+  const added = new Map();
+  let current = null;
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).replace(/^"(.*)"$/, '$1');
+      current = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (current && !added.has(current)) added.set(current, new Set());
+      continue;
+    }
+    const hunk = current && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk) {
+      const start = parseInt(hunk[1], 10);
+      const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      for (let n = start; n < start + count; n++) added.get(current).add(n);
+    }
+  }
+  return added;
+}
+
+/**
+ * Scan the changes a commit would record. By default that is the index; with
+ * `worktree` (e.g. `git add -A && git commit` before the add has run, or
+ * `git commit -a`) it is every change against HEAD plus untracked files, and
+ * with `worktree` and `paths` (`git add a.js && git commit`) the index plus
+ * the changes under those paths. Only added lines are reported.
+ * @param {string} cwd - Directory inside the repository
+ * @param {object} [options]
+ * @param {boolean} [options.worktree=false] - Scan the working tree instead of the index
+ * @param {string[]|null} [options.paths] - Limit the working tree to these paths (relative to cwd)
+ * @param {object} [options.config] - Result of getSecretsConfig()
+ * @returns {{ root: string|null, files: string[], diagnostics: object[] }}
+ */
+function scanCommitChanges(cwd, options = {}) {
+  const rootOutput = git(['rev-parse', '--show-toplevel'], cwd);
+  if (!rootOutput) return { root: null, files: [], diagnostics: [] };
+
+  const root = path.resolve(rootOutput.trim());
+  const config = options.config || getSecretsConfig(cwd);
+  const paths = options.worktree && options.paths
+    ? options.paths.map(p => path.resolve(fs.realpathSync(cwd), p)).filter(p => !path.relative(root, p).startsWith('..'))
+    : null;
+
+  // Repository-relative path -> added lines (null: the whole file), and
+  // which of those files are read from the working tree
+  let changes;
+  const fromWorktree = new Set();
+  if (options.worktree && !paths) {
+    changes = worktreeChanges(root, []);
+    for (const file of changes.keys()) fromWorktree.add(file);
+  } else {
+    changes = parseAddedLines(git([...COMMIT_DIFF_ARGS, '--cached'], root) || '');
+    if (paths && paths.length > 0) {
+      for (const [file, lines] of worktreeChanges(root, ['--', ...paths])) {
+        changes.set(file, lines);
+        fromWorktree.add(file);
+      }
+    }
+  }
+
+  const files = [];
+  const diagnostics = [];
+  for (const [relative, lines] of changes) {
+    const file = path.join(root, relative);
+    if (lines && lines.size === 0) continue;
+    if (isAllowedPath(file, config.allowPaths, root)) continue;
+
+    const content = fromWorktree.has(relative) ? readWorktreeFile(file) : git(['show', `:${relative}`], root);
+    if (content === null) continue;
+
+    files.push(file);
+    diagnostics.push(...scanContent(content, { file, lines: lines || undefined, config }));
+  }
+
+  return { root, files, diagnostics };
+}
+
+/**
+ * Working tree changes against HEAD plus untracked files
+ * @private
+ * @param {string} root - Repository root
+ * @param {string[]} pathspec - `['--', ...paths]`, or [] for the whole tree
+ * @returns {Map<string, Set<number>|null>} null: an untracked file, new as a whole
+ */
+function worktreeChanges(root, pathspec) {
+  const base = git(['rev-parse', '--verify', '--quiet', 'HEAD'], root) ? 'HEAD' : EMPTY_TREE;
+  const changes = parseAddedLines(git([...COMMIT_DIFF_ARGS, base, ...pathspec], root) || '');
+  const untracked = git(['ls-files', '--others', '--exclude-standard', '-z', ...pathspec], root) || '';
+  for (const file of untracked.split('\0').filter(Boolean)) changes.set(file, null);
+  return changes;
+}
+
+/**
+ * Read a working tree file, or null when it is gone or unreadable
+ * @private
+ */
+function readWorktreeFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  SOURCE,
+  SECRET_RULES,
+  DEFAULT_ALLOW_PATHS,
+  shannonEntropy,
+  isHighEntropySecret,
+  redact,
+  getSecretsConfig,
+  isAllowedPath,
+  scanContent,
+  analyzeCommitCommand,
+  parseAddedLines,
+  scanCommitChanges
+};
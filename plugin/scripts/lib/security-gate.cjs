@@ -0,0 +1,247 @@
+/**
+ * Security Gate - Run the security rule engines on content before it is written
+ *
+ * The security hooks run on PostToolUse, after a file has changed on disk.
+ * In blocking mode the security-gate hook runs the same engines on PreToolUse,
+ * on the content an Edit or Write would produce, and denies the tool call when
+ * a finding is severe enough:
+ *   secrets   - lib/secret-scanner.cjs, every file
+ *   jvm       - lib/jvm-security-scanner.cjs, .java/.kt/.kts
+ *   patterns  - lib/typescript-security-patterns.cjs, TS/JS
+ *   semgrep   - offline rule pack and project rules (lib/semgrep.cjs), Python and TS/JS
+ *
+ * Advisory mode (the default) leaves reporting to the PostToolUse hooks.
+ * Configured per project in `.claude/security.json`:
+ * { "enforcement": { "mode": "block", "severity": "error", "engines": ["secrets", "jvm", "patterns", "semgrep"] } }
+ * Inline `magic-claude-ignore` comments in the proposed content and the project
+ * baseline are honoured, and an Edit is only denied for findings it introduces:
+ * findings the file already has on disk do not block unrelated changes.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { commandExists } = require('./utils.cjs');
+const { spawnWithBudget } = require('./hook-budget.cjs');
+const { SEVERITIES } = require('./diagnostics.cjs');
+const { applySuppressions, findProjectRoot, fingerprintDiagnostic } = require('./baseline.cjs');
+const { loadConfig } = require('./workspace/config.cjs');
+const { buildSemgrepArgs, semgrepToDiagnostics } = require('./semgrep.cjs');
+const secretScanner = require('./secret-scanner.cjs');
+const jvmScanner = require('./jvm-security-scanner.cjs');
+const tsPatterns = require('./typescript-security-patterns.cjs');
+
+const SECURITY_CONFIG_NAME = 'security';
+const ENFORCEMENT_MODES = ['advisory', 'block'];
+const ENGINES = ['secrets', 'jvm', 'patterns', 'semgrep'];
+const SEMGREP_TIMEOUT_MS = 30000;
+
+// Rule pack language per extension (Java/Kotlin are covered by the JVM scanner)
+const SEMGREP_LANGUAGES = { '.py': 'python' };
+for (const ext of tsPatterns.EXTENSIONS) SEMGREP_LANGUAGES[ext] = 'javascript';
+
+/**
+ * Enforcement settings for a project (`enforcement` in security.json)
+ * @param {string} [cwd] - Project directory
+ * @returns {{ mode: 'advisory'|'block', severity: string, engines: string[] }}
+ */
+function getEnforcementConfig(cwd = process.cwd()) {
+  let enforcement = {};
+  try {
+    const config = loadConfig(path.resolve(cwd), SECURITY_CONFIG_NAME) || {};
+    // "enforcement": "block" is shorthand for { "mode": "block" }
+    enforcement = typeof config.enforcement === 'string' ? { mode: config.enforcement } : (config.enforcement || {});
+  } catch {
+    // Unreadable config — stay advisory
+  }
+
+  const engines = Array.isArray(enforcement.engines)
+    ? enforcement.engines.filter(engine => ENGINES.includes(engine))
+    : ENGINES;
+
+  return {
+    mode: ENFORCEMENT_MODES.includes(enforcement.mode) ? enforcement.mode : 'advisory',
+    severity: SEVERITIES.includes(enforcement.severity) ? enforcement.severity : 'error',
+    engines
+  };
+}
+
+/**
+ * The file content an Edit or Write tool call would produce
+ * @param {string} toolName - 'Write' or 'Edit'
+ * @param {object} toolInput - tool_input of the call
+ * @returns {{ file: string, content: string }|null} null when the call cannot be
+ *   applied (not Edit/Write, missing file, old_string not found or ambiguous) —
+ *   the tool itself will fail in that case
+ */
+function proposedContent(toolName, toolInput = {}) {
+  const filePath = toolInput.file_path;
+  if (!filePath) return null;
+  const file = path.resolve(filePath);
+
+  if (toolName === 'Write') {
+    return typeof toolInput.content === 'string' ? { file, content: toolInput.content } : null;
+  }
+  if (toolName !== 'Edit') return null;
+
+  const { old_string: oldString, new_string: newString } = toolInput;
+  if (typeof oldString !== 'string' || typeof newString !== 'string' || oldString === '') return null;
+
+  let current;
+  try {
+    current = fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+
+  const first = current.indexOf(oldString);
+  if (first === -1) return null;
+  if (toolInput.replace_all) {
+    return { file, content: current.split(oldString).join(newString) };
+  }
+  if (current.indexOf(oldString, first + oldString.length) !== -1) return null;
+  return { file, content: current.slice(0, first) + newString + current.slice(first + oldString.length) };
+}
+
+/**
+ * Semgrep findings for content that is not on disk yet: the content is
+ * written to a temporary file with the same name and findings are mapped back
+ * @private
+ */
+function scanWithSemgrep(file, content, language, options) {
+  const exec = options.exec || ((command, args, execOptions) => spawnWithBudget(command, args, {
+    ...execOptions,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }));
+  if (!options.exec && !commandExists('semgrep')) return [];
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-gate-'));
+  try {
+    const tmpFile = path.join(tmpDir, path.basename(file));
+    fs.writeFileSync(tmpFile, content);
+    const { args, ruleIds } = buildSemgrepArgs(tmpFile, { language, cwd: options.cwd });
+    if (args.length === 0) return [];
+
+    // Semgrep exits non-zero when it finds something, so only the output counts
+    const result = exec('semgrep', args, { cwd: options.cwd, timeout: SEMGREP_TIMEOUT_MS });
+    if (result.error || !result.stdout) return [];
+    return semgrepToDiagnostics(JSON.parse(result.stdout), tmpFile, ruleIds)
+      .map(diagnostic => ({ ...diagnostic, file }));
+  } catch {
+    return [];
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run the enabled rule engines on a file's proposed content
+ * @param {string} file - Absolute file path
+ * @param {string} content - Proposed content
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Project directory (for configuration)
+ * @param {string[]} [options.engines] - Engines to run (defaults to all)
+ * @param {Function} [options.exec] - Semgrep runner override (tests): (command, args, { cwd, timeout }) => { stdout, error }
+ * @returns {object[]} Diagnostics
+ */
+function scanProposedContent(file, content, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const engines = options.engines || ENGINES;
+  const diagnostics = [];
+
+  if (engines.includes('secrets')) {
+    const config = secretScanner.getSecretsConfig(cwd);
+    if (!secretScanner.isAllowedPath(file, config.allowPaths)) {
+      diagnostics.push(...secretScanner.scanContent(content, { file, config }));
+    }
+  }
+
+  if (engines.includes('jvm') && jvmScanner.languageOf(file)) {
+    diagnostics.push(...jvmScanner.scanSource(content, { file, minConfidence: jvmScanner.getMinConfidence(cwd) }));
+  }
+
+  if (engines.includes('patterns') && tsPatterns.isTsJsFile(file)) {
+    diagnostics.push(...tsPatterns.scanSource(content, { file }));
+  }
+
+  const language = SEMGREP_LANGUAGES[path.extname(file).toLowerCase()];
+  if (engines.includes('semgrep') && language) {
+    diagnostics.push(...scanWithSemgrep(file, content, language, { cwd, exec: options.exec }));
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Findings of the proposed content that the file on disk does not already have.
+ * Diagnostics are matched by baseline fingerprint (rule and line text, not line
+ * number), counting duplicates, so moving code around is not a new finding.
+ * @private
+ */
+function introducedFindings(diagnostics, proposed, options) {
+  let current;
+  try {
+    current = fs.readFileSync(proposed.file, 'utf8');
+  } catch {
+    return diagnostics;
+  }
+
+  const root = findProjectRoot(proposed.file);
+  const currentLines = current.split('\n');
+  const existing = new Map();
+  for (const diagnostic of scanProposedContent(proposed.file, current, options)) {
+    const fingerprint = fingerprintDiagnostic(diagnostic, root, currentLines);
+    existing.set(fingerprint, (existing.get(fingerprint) || 0) + 1);
+  }
+
+  const proposedLines = proposed.content.split('\n');
+  return diagnostics.filter((diagnostic) => {
+    const fingerprint = fingerprintDiagnostic(diagnostic, root, proposedLines);
+    const left = existing.get(fingerprint) || 0;
+    if (left === 0) return true;
+    existing.set(fingerprint, left - 1);
+    return false;
+  });
+}
+
+/**
+ * Check an Edit/Write tool call against the project's enforcement settings
+ * @param {string} toolName - 'Write' or 'Edit'
+ * @param {object} toolInput - tool_input of the call
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Project directory
+ * @param {object} [options.config] - Enforcement settings (defaults to getEnforcementConfig(cwd))
+ * @param {Function} [options.exec] - Semgrep runner override (tests)
+ * @returns {{ file: string, surfaced: object[], blocking: object[] }|null}
+ *   null when the call is not checked (advisory mode or not applicable);
+ *   blocking are the surfaced findings at or above the configured severity
+ *   that the file on disk does not already have
+ */
+function evaluateToolUse(toolName, toolInput, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const config = options.config || getEnforcementConfig(cwd);
+  if (config.mode !== 'block') return null;
+
+  const proposed = proposedContent(toolName, toolInput);
+  if (!proposed) return null;
+
+  const diagnostics = scanProposedContent(proposed.file, proposed.content, { cwd, engines: config.engines, exec: options.exec });
+  const { surfaced } = applySuppressions(diagnostics, { contents: { [proposed.file]: proposed.content } });
+
+  const threshold = SEVERITIES.indexOf(config.severity);
+  const severe = surfaced.filter(d => SEVERITIES.indexOf(d.severity) <= threshold);
+  const blocking = severe.length > 0
+    ? introducedFindings(severe, proposed, { cwd, engines: config.engines, exec: options.exec })
+    : [];
+  return { file: proposed.file, surfaced, blocking };
+}
+
+module.exports = {
+  ENFORCEMENT_MODES,
+  ENGINES,
+  getEnforcementConfig,
+  proposedContent,
+  scanProposedContent,
+  evaluateToolUse
+};
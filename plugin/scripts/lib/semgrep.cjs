@@ -0,0 +1,208 @@
+/**
+ * Semgrep - Rule selection and result parsing for the security hooks
+ *
+ * By default the hooks scan with the curated rule pack shipped in
+ * plugin/security/semgrep/ (versioned in its manifest.json), so no registry
+ * access is needed. Project rules in `.claude/security-rules/*.yaml` are
+ * added on top. The rule source is chosen in `.claude/security.json`
+ * (merged through the ConfigLoader hierarchy):
+ *
+ * {
+ *   "semgrep": { "rules": "offline" }   // "offline" (default) | "registry" | "both"
+ * }
+ *
+ * MAGIC_CLAUDE_SEMGREP_RULES overrides the configured mode.
+ * "registry" uses `--config auto` (Semgrep registry, needs network access);
+ * "both" runs the pack, the project rules and the registry rules together.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./workspace/config.cjs');
+const { findWorkspaceRoot } = require('./workspace/detection.cjs');
+const { createDiagnostic } = require('./diagnostics.cjs');
+
+const RULE_PACK_DIR = path.join(__dirname, '..', '..', 'security', 'semgrep');
+const PROJECT_RULES_DIR = path.join('.claude', 'security-rules');
+const SECURITY_CONFIG_NAME = 'security';
+const RULE_MODES = ['offline', 'registry', 'both'];
+const DEFAULT_RULE_MODE = 'offline';
+
+// `  - id: sql-injection-risk` at the start of a rule entry
+const RULE_ID_LINE = /^\s*-\s*id:\s*['"]?([^'"\s#]+)/gm;
+
+/**
+ * Load the shipped rule pack manifest
+ * @param {string} [packDir] - Pack directory (defaults to the plugin's pack)
+ * @returns {{ name: string, version: string, dir: string, rulesets: object }|null}
+ *   rulesets maps a language to the absolute path of its rule file
+ */
+function loadRulePack(packDir = RULE_PACK_DIR) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(packDir, 'manifest.json'), 'utf8'));
+    const rulesets = {};
+    for (const [language, file] of Object.entries(manifest.rulesets || {})) {
+      rulesets[language] = path.join(packDir, file);
+    }
+    return { name: manifest.name, version: manifest.version, dir: packDir, rulesets };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rule source for a directory: MAGIC_CLAUDE_SEMGREP_RULES, else
+ * `semgrep.rules` from security.json, else offline. Unknown values fall back to offline.
+ * @param {string} [cwd] - Project directory
+ * @returns {'offline'|'registry'|'both'}
+ */
+function getRuleMode(cwd = process.cwd()) {
+  let mode = process.env.MAGIC_CLAUDE_SEMGREP_RULES;
+  if (!mode) {
+    try {
+      const config = loadConfig(path.resolve(cwd), SECURITY_CONFIG_NAME) || {};
+      mode = config.semgrep && config.semgrep.rules;
+    } catch {
+      // Unreadable config — use the default
+    }
+  }
+  mode = typeof mode === 'string' ? mode.trim().toLowerCase() : '';
+  return RULE_MODES.includes(mode) ? mode : DEFAULT_RULE_MODE;
+}
+
+/**
+ * Project rule files from `.claude/security-rules/` in the workspace root and in cwd
+ * @param {string} [cwd] - Project directory
+ * @returns {string[]} Absolute paths of .yaml/.yml files, sorted per directory
+ */
+function findProjectRuleFiles(cwd = process.cwd()) {
+  const dirs = [...new Set([findWorkspaceRoot(path.resolve(cwd)), path.resolve(cwd)])]
+    .filter(Boolean)
+    .map(dir => path.join(dir, PROJECT_RULES_DIR));
+
+  const files = [];
+  for (const dir of dirs) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir);
+    } catch {
+      continue;
+    }
+    for (const entry of entries.sort()) {
+      if (/\.ya?ml$/.test(entry)) files.push(path.join(dir, entry));
+    }
+  }
+  return files;
+}
+
+/**
+ * Rule ids declared in local rule files
+ * @param {string[]} files - Rule file paths
+ * @returns {Set<string>}
+ */
+function collectRuleIds(files) {
+  const ids = new Set();
+  for (const file of files) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    for (const match of content.matchAll(RULE_ID_LINE)) ids.add(match[1]);
+  }
+  return ids;
+}
+
+/**
+ * Semgrep arguments for scanning one file
+ * @param {string} filePath - File to scan
+ * @param {object} options
+ * @param {string} options.language - Rule pack language (e.g. 'javascript', 'python')
+ * @param {string} [options.cwd] - Project directory
+ * @param {string} [options.packDir] - Rule pack directory override
+ * @returns {{ mode: string, args: string[], ruleFiles: string[], ruleIds: Set<string>, pack: object|null }}
+ *   args is empty when there is nothing to scan with (offline without pack or project rules)
+ */
+function buildSemgrepArgs(filePath, options) {
+  const cwd = options.cwd || process.cwd();
+  const mode = getRuleMode(cwd);
+  const pack = loadRulePack(options.packDir);
+
+  const ruleFiles = [];
+  if (mode !== 'registry') {
+    const packFile = pack && pack.rulesets[options.language];
+    if (packFile && fs.existsSync(packFile)) ruleFiles.push(packFile);
+    ruleFiles.push(...findProjectRuleFiles(cwd));
+  }
+
+  const configArgs = ruleFiles.flatMap(file => ['--config', file]);
+  if (mode !== 'offline') configArgs.push('--config', 'auto');
+
+  if (configArgs.length === 0) {
+    return { mode, args: [], ruleFiles, ruleIds: new Set(), pack };
+  }
+
+  // Offline scans must not reach the network for metrics or version checks
+  const offlineArgs = mode === 'offline' ? ['--metrics', 'off', '--disable-version-check'] : [];
+
+  return {
+    mode,
+    args: [...configArgs, ...offlineArgs, filePath, '--json', '--quiet'],
+    ruleFiles,
+    ruleIds: collectRuleIds(ruleFiles),
+    pack
+  };
+}
+
+/**
+ * Strip the path prefix Semgrep adds to the ids of rules loaded from local files
+ * (`home.me.project.claude.security-rules.no-eval` -> `no-eval`)
+ * @param {string} checkId - Semgrep check_id
+ * @param {Set<string>} ruleIds - Ids declared in the local rule files
+ * @returns {string}
+ */
+function normalizeCheckId(checkId, ruleIds) {
+  if (!checkId || !ruleIds || ruleIds.has(checkId)) return checkId;
+  for (const id of ruleIds) {
+    if (checkId.endsWith(`.${id}`)) return id;
+  }
+  return checkId;
+}
+
+/**
+ * Convert Semgrep JSON output to diagnostics
+ * @param {object} output - Parsed `semgrep --json` output
+ * @param {string} filePath - Scanned file
+ * @param {Set<string>} [ruleIds] - Local rule ids (see normalizeCheckId)
+ * @returns {object[]}
+ */
+function semgrepToDiagnostics(output, filePath, ruleIds) {
+  const severities = { ERROR: 'error', WARNING: 'warning', INFO: 'info' };
+  return ((output && output.results) || []).map(issue => {
+    const ruleId = normalizeCheckId(issue.check_id, ruleIds);
+    return createDiagnostic({
+      file: issue.path ? path.resolve(issue.path) : filePath,
+      line: issue.start?.line,
+      column: issue.start?.col,
+      severity: severities[issue.extra?.severity] || 'warning',
+      ruleId,
+      source: 'semgrep',
+      message: issue.extra?.message || ruleId,
+      fix: issue.extra?.fix
+    });
+  });
+}
+
+module.exports = {
+  RULE_PACK_DIR,
+  PROJECT_RULES_DIR,
+  RULE_MODES,
+  loadRulePack,
+  getRuleMode,
+  findProjectRuleFiles,
+  collectRuleIds,
+  buildSemgrepArgs,
+  normalizeCheckId,
+  semgrepToDiagnostics
+};
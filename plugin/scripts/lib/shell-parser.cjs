@@ -0,0 +1,381 @@
+/**
+ * Shell Command Parser
+ * Splits a Bash command line into the simple commands it would execute.
+ *
+ * Understands the constructs that matter for permission decisions:
+ * - Control operators: `&&`, `||`, `;`, `&`, `|`, `|&`, newlines
+ * - Subshells and groups: `( ... )`, `{ ...; }`
+ * - Quoting: single quotes, double quotes, backslash escapes, line continuations
+ * - Command substitution: `$(...)`, backticks, process substitution `<(...)` / `>(...)`
+ *   (inner commands are returned as segments of their own)
+ * - Redirections: `>`, `>>`, `>|`, `&>`, `&>>`, `<>`, `N>&M`, `<`, `<<<`
+ * - Environment assignments before a command (`FOO=1 npm test`)
+ *
+ * Anything it cannot reason about (here-documents, arithmetic expansion,
+ * unterminated quotes) is reported in `errors` so callers can fall back to asking.
+ */
+
+const MAX_DEPTH = 8;
+
+const WRITE_OPERATORS = new Set(['>', '>>', '>|', '&>', '&>>', '<>']);
+const REDIRECT_OPERATORS = ['&>>', '<<<', '<<-', '&>', '>>', '>|', '>&', '<<', '<&', '<>', '>', '<'];
+const RESERVED_PREFIXES = new Set(['{', '}', '!']);
+const ASSIGNMENT = /^[A-Za-z_][A-Za-z0-9_]*\+?=/;
+const NULL_DEVICES = new Set(['/dev/null', 'NUL', 'nul']);
+
+/**
+ * Parse a command line into segments.
+ * @param {string} input - Raw command line
+ * @returns {{ segments: Array<{ text: string, words: string[], env: string[], redirections: Array<{ op: string, fd: string|null, target: string, write: boolean }>, substitution: boolean }>, errors: string[] }}
+ */
+function parseCommandLine(input) {
+  const segments = [];
+  const errors = [];
+  parseInto(String(input || ''), 0, false, segments, errors);
+  return { segments, errors };
+}
+
+/**
+ * Whether a segment writes to a file through a redirection.
+ * @param {{ redirections: Array<{ write: boolean }> }} segment
+ * @returns {boolean}
+ */
+function hasWriteRedirection(segment) {
+  return segment.redirections.some(r => r.write);
+}
+
+/**
+ * @private
+ */
+function parseInto(src, depth, substitution, segments, errors) {
+  if (depth > MAX_DEPTH) {
+    errors.push('substitutions nested too deeply');
+    return;
+  }
+
+  let i = 0;
+  let current = newSegment(substitution);
+  let word = null;
+  let quoted = false;
+  let pendingRedirect = null;
+
+  const appendWord = (text, isQuoted = false) => {
+    word = (word === null ? '' : word) + text;
+    if (isQuoted) quoted = true;
+  };
+
+  const finishWord = () => {
+    if (word === null) return;
+    if (pendingRedirect) {
+      current.redirections.push(makeRedirection(pendingRedirect.op, pendingRedirect.fd, word));
+      pendingRedirect = null;
+    } else if (current.words.length === 0 && !quoted && ASSIGNMENT.test(word)) {
+      current.env.push(word);
+    } else if (current.words.length === 0 && !quoted && RESERVED_PREFIXES.has(word)) {
+      // Group/negation keywords do not change what runs
+    } else {
+      current.words.push(word);
+    }
+    word = null;
+    quoted = false;
+  };
+
+  const finishSegment = () => {
+    finishWord();
+    if (pendingRedirect) {
+      errors.push(`missing target for redirection ${pendingRedirect.op}`);
+      pendingRedirect = null;
+    }
+    if (current.words.length > 0 || current.env.length > 0 || current.redirections.length > 0) {
+      current.text = current.words.join(' ');
+      segments.push(current);
+    }
+    current = newSegment(substitution);
+  };
+
+  const substitute = (inner) => {
+    parseInto(inner, depth + 1, true, segments, errors);
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    const next = src[i + 1];
+
+    // Line continuation
+    if (ch === '\\' && next === '\n') {
+      i += 2;
+      continue;
+    }
+
+    if (ch === ' ' || ch === '\t') {
+      finishWord();
+      i++;
+      continue;
+    }
+
+    // Comment (only at the start of a word)
+    if (ch === '#' && word === null) {
+      while (i < src.length && src[i] !== '\n') i++;
+      continue;
+    }
+
+    // Control operators
+    if (ch === '\n' || ch === ';') {
+      finishSegment();
+      i++;
+      continue;
+    }
+    if (ch === '&' && next === '&') {
+      finishSegment();
+      i += 2;
+      continue;
+    }
+    if (ch === '|') {
+      finishSegment();
+      i += (next === '|' || next === '&') ? 2 : 1;
+      continue;
+    }
+    if (ch === '&' && next !== '>') {
+      finishSegment();
+      i++;
+      continue;
+    }
+
+    // Subshells
+    if (ch === '(' && word === null) {
+      finishSegment();
+      i++;
+      continue;
+    }
+    if (ch === ')') {
+      finishSegment();
+      i++;
+      continue;
+    }
+
+    // Process substitution
+    if ((ch === '<' || ch === '>') && next === '(' && word === null) {
+      const { body, end } = readBalanced(src, i + 2, errors);
+      substitute(body);
+      appendWord(`${ch}(...)`);
+      i = end;
+      continue;
+    }
+
+    // Redirections (optionally prefixed by a file descriptor number)
+    if (ch === '<' || ch === '>' || (ch === '&' && next === '>')) {
+      const op = REDIRECT_OPERATORS.find(candidate => src.startsWith(candidate, i));
+      let fd = null;
+      if (word !== null && !quoted && /^\d+$/.test(word)) {
+        fd = word;
+        word = null;
+      } else {
+        finishWord();
+      }
+      if (op === '<<' || op === '<<-') {
+        errors.push('here-documents are not supported');
+      }
+      if (pendingRedirect) {
+        errors.push(`missing target for redirection ${pendingRedirect.op}`);
+      }
+      pendingRedirect = { op, fd };
+      i += op.length;
+      continue;
+    }
+
+    // Quoting
+    if (ch === '\'') {
+      const end = src.indexOf('\'', i + 1);
+      if (end === -1) {
+        errors.push('unterminated single quote');
+        appendWord(src.slice(i + 1), true);
+        i = src.length;
+      } else {
+        appendWord(src.slice(i + 1, end), true);
+        i = end + 1;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      i = readDoubleQuoted(src, i + 1, appendWord, substitute, errors);
+      continue;
+    }
+    if (ch === '\\') {
+      appendWord(next === undefined ? '' : next, true);
+      i += 2;
+      continue;
+    }
+
+    // Command substitution
+    if (ch === '$' && next === '(') {
+      if (src[i + 2] === '(') {
+        errors.push('arithmetic expansion is not supported');
+      }
+      const { body, end } = readBalanced(src, i + 2, errors);
+      substitute(body);
+      appendWord('$(...)');
+      i = end;
+      continue;
+    }
+    if (ch === '`') {
+      const { body, end } = readBacktick(src, i + 1, errors);
+      substitute(body);
+      appendWord('$(...)');
+      i = end;
+      continue;
+    }
+
+    appendWord(ch);
+    i++;
+  }
+
+  finishSegment();
+}
+
+/**
+ * @private
+ */
+function newSegment(substitution) {
+  return { text: '', words: [], env: [], redirections: [], substitution };
+}
+
+/**
+ * @private
+ */
+function makeRedirection(op, fd, target) {
+  let write = WRITE_OPERATORS.has(op);
+  if (op === '>&') {
+    // `2>&1` and `>&-` duplicate or close descriptors; `>&file` writes
+    write = !/^(\d+|-)$/.test(target);
+  }
+  if (NULL_DEVICES.has(target)) {
+    write = false;
+  }
+  return { op, fd, target, write };
+}
+
+/**
+ * Read a double-quoted string starting after the opening quote.
+ * @private
+ * @returns {number} Index after the closing quote
+ */
+function readDoubleQuoted(src, start, appendWord, substitute, errors) {
+  let i = start;
+  let text = '';
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '"') {
+      appendWord(text, true);
+      return i + 1;
+    }
+    if (ch === '\\' && i + 1 < src.length) {
+      const next = src[i + 1];
+      if (next === '\n') {
+        i += 2;
+        continue;
+      }
+      text += '"\\$`'.includes(next) ? next : ch + next;
+      i += 2;
+      continue;
+    }
+    if (ch === '$' && src[i + 1] === '(') {
+      if (src[i + 2] === '(') {
+        errors.push('arithmetic expansion is not supported');
+      }
+      const { body, end } = readBalanced(src, i + 2, errors);
+      substitute(body);
+      text += '$(...)';
+      i = end;
+      continue;
+    }
+    if (ch === '`') {
+      const { body, end } = readBacktick(src, i + 1, errors);
+      substitute(body);
+      text += '$(...)';
+      i = end;
+      continue;
+    }
+    text += ch;
+    i++;
+  }
+
+  errors.push('unterminated double quote');
+  appendWord(text, true);
+  return src.length;
+}
+
+/**
+ * Read up to the parenthesis matching an already-consumed `(`.
+ * Quotes inside the body are skipped so `$(echo ")")` is handled.
+ * @private
+ * @returns {{ body: string, end: number }} Body text and index after the closing paren
+ */
+function readBalanced(src, start, errors) {
+  let depth = 1;
+  let i = start;
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '\'') {
+      const end = src.indexOf('\'', i + 1);
+      i = end === -1 ? src.length : end + 1;
+      continue;
+    }
+    if (ch === '"') {
+      i++;
+      while (i < src.length && src[i] !== '"') {
+        i += src[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')') {
+      depth--;
+      if (depth === 0) {
+        return { body: src.slice(start, i), end: i + 1 };
+      }
+    }
+    i++;
+  }
+
+  errors.push('unterminated substitution');
+  return { body: src.slice(start), end: src.length };
+}
+
+/**
+ * Read a backtick substitution starting after the opening backtick.
+ * @private
+ * @returns {{ body: string, end: number }}
+ */
+function readBacktick(src, start, errors) {
+  let i = start;
+  let body = '';
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '\\' && i + 1 < src.length) {
+      body += src[i + 1];
+      i += 2;
+      continue;
+    }
+    if (ch === '`') {
+      return { body, end: i + 1 };
+    }
+    body += ch;
+    i++;
+  }
+
+  errors.push('unterminated backtick substitution');
+  return { body, end: src.length };
+}
+
+module.exports = {
+  parseCommandLine,
+  hasWriteRedirection
+};
@@ -137,20 +137,22 @@ function collectSkills(pluginRoot) {
 }
 
 /**
- * Collect hooks from hooks/hooks.json
+ * Collect hooks from hooks/registry.json (the hooks the dispatcher runs per
+ * event), falling back to the rules in hooks/hooks.json
  * @param {string} pluginRoot
  * @returns {{ totalRules: number, totalEventTypes: number, byEventType: Record<string, number> }}
  */
 function collectHooks(pluginRoot) {
-  const hooksPath = path.join(pluginRoot, 'hooks', 'hooks.json');
-  const content = readFile(hooksPath);
   const byEventType = {};
+  const registry = readFile(path.join(pluginRoot, 'hooks', 'registry.json'));
+  const content = registry || readFile(path.join(pluginRoot, 'hooks', 'hooks.json'));
 
   if (content) {
     try {
       const data = JSON.parse(content);
-      const hooks = data.hooks || {};
+      const hooks = registry ? data : (data.hooks || {});
       for (const [eventType, rules] of Object.entries(hooks)) {
+        if (eventType.startsWith('$')) continue;
         byEventType[eventType] = Array.isArray(rules) ? rules.length : 0;
       }
     } catch {
@@ -164,6 +166,38 @@ function collectHooks(pluginRoot) {
   return { totalRules, totalEventTypes, byEventType };
 }
 
+/**
+ * Collect each registered hook's effective state from .claude/magic-claude.json
+ * @param {string} pluginRoot
+ * @param {string} [cwd] - Project directory
+ * @returns {{ hooks: Array<{ hook: string, events: string[], enabled: boolean, source: string, file: string|null, options: object }>, files: string[], unknown: string[] }}
+ *   files: settings files that exist; unknown: configured names that match no hook
+ */
+function collectHookSettings(pluginRoot, cwd = process.cwd()) {
+  const { loadSettings, resolveHookSettings, configuredHooks } = require('../hook-settings.cjs');
+  const events = new Map();
+  const registry = safeParseJson(readFile(path.join(pluginRoot, 'hooks', 'registry.json'))) || {};
+  for (const [event, entries] of Object.entries(registry)) {
+    if (event.startsWith('$') || !Array.isArray(entries)) continue;
+    for (const entry of entries) {
+      const name = path.basename(entry.hook, path.extname(entry.hook));
+      if (!events.has(name)) events.set(name, []);
+      if (!events.get(name).includes(event)) events.get(name).push(event);
+    }
+  }
+
+  const settings = loadSettings(cwd);
+  const hooks = [...events.keys()].sort().map(name => {
+    const { enabled, source, file, options } = resolveHookSettings(settings, name);
+    return { hook: name, events: events.get(name), enabled, source, file, options };
+  });
+  return {
+    hooks,
+    files: settings.layers.filter(layer => fs.existsSync(layer.file)).map(layer => layer.file),
+    unknown: configuredHooks(settings).filter(name => !events.has(name))
+  };
+}
+
 /**
  * Collect rules from rules/*.md at plugin and user levels
  * @param {string} pluginRoot
@@ -459,6 +493,7 @@ module.exports = {
   collectAgents,
   collectSkills,
   collectHooks,
+  collectHookSettings,
   collectRules,
   collectCommands,
   collectEcosystem,
@@ -98,6 +98,32 @@ function formatHooksSection(data) {
   return formatSection(`Hooks (${data.totalRules} rules across ${data.totalEventTypes} event types)`, lines);
 }
 
+/**
+ * Format hook settings section: each hook's enabled state, where it comes
+ * from, and its options from .claude/magic-claude.json
+ */
+function formatHookSettingsSection(data) {
+  const lines = [];
+  const disabled = data.hooks.filter(h => !h.enabled).length;
+
+  for (const h of data.hooks) {
+    const padded = (h.hook + ':').padEnd(24);
+    const state = h.enabled ? 'enabled ' : 'disabled';
+    const source = h.file ? `${h.source} (${h.file})` : 'default';
+    const options = Object.entries(h.options)
+      .filter(([key, value]) => !(key === 'skip' && value.length === 0))
+      .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : JSON.stringify(value)}`);
+    lines.push(`  ${padded} ${state}  ${source}${options.length > 0 ? `  [${options.join(' ')}]` : ''}`);
+  }
+
+  lines.push(`  Settings files: ${data.files.length > 0 ? data.files.join(', ') : 'none (.claude/magic-claude.json)'}`);
+  if (data.unknown.length > 0) {
+    lines.push(`  Unknown hooks in settings: ${data.unknown.join(', ')}`);
+  }
+
+  return formatSection(`Hook Settings (${data.hooks.length - disabled} enabled, ${disabled} disabled)`, lines);
+}
+
 /**
  * Format rules section
  */
@@ -280,6 +306,7 @@ function formatFullReport(allData) {
   if (allData.agents) sections.push(formatAgentsSection(allData.agents));
   if (allData.skills) sections.push(formatSkillsSection(allData.skills));
   if (allData.hooks) sections.push(formatHooksSection(allData.hooks));
+  if (allData.hookSettings) sections.push(formatHookSettingsSection(allData.hookSettings));
   if (allData.rules) sections.push(formatRulesSection(allData.rules));
   if (allData.commands) sections.push(formatCommandsSection(allData.commands));
   if (allData.ecosystem) sections.push(formatEcosystemSection(allData.ecosystem));
@@ -300,6 +327,7 @@ module.exports = {
   formatAgentsSection,
   formatSkillsSection,
   formatHooksSection,
+  formatHookSettingsSection,
   formatRulesSection,
   formatCommandsSection,
   formatEcosystemSection,
@@ -0,0 +1,506 @@
+/**
+ * Telemetry OTLP - Export hook runs as OpenTelemetry spans
+ *
+ * Optional: enabled by an `otlp` endpoint in $CLAUDE_CONFIG_DIR/hook-telemetry.json
+ *
+ *   {
+ *     "otlp": {
+ *       "endpoint": "http://localhost:4318/v1/traces",
+ *       "headers": { "Authorization": "Bearer ..." },
+ *       "serviceName": "magic-claude",
+ *       "timeoutMs": 5000,
+ *       "retryMinutes": 1,
+ *       "maxBufferMB": 5
+ *     }
+ *   }
+ *
+ * logTelemetry() hands every record to exportSpan(), which only appends the
+ * span to a buffer file and starts a detached flusher process, so a hook
+ * never waits on the network. The flusher POSTs the buffered spans as OTLP/HTTP
+ * JSON in batches; while the collector is unreachable they stay on disk and are
+ * retried after `retryMinutes`. Buffer and outbox together are capped at
+ * `maxBufferMB`: past it the oldest spans are dropped (and counted in the
+ * state file), and a flusher that may not contact the collector yet only
+ * compacts. Spans of one Claude Code session share a trace id.
+ *
+ * The flusher takes the lock itself (lib/process-lock.cjs), so of two flushers
+ * started at the same moment one exits at once.
+ * Buffer, lock and state live in $CLAUDE_CONFIG_DIR/hook-telemetry-otlp/.
+ * scripts/otlp-receiver.cjs is a local stand-in collector for checking the
+ * export offline.
+ *
+ * CLI: node scripts/lib/telemetry-otlp.cjs --flush | --compact | --status
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { getClaudeDir } = require('./utils.cjs');
+const { isLockHeld, acquireLock, releaseLock } = require('./process-lock.cjs');
+const { ConfigLoader } = require('./workspace/config.cjs');
+
+const TELEMETRY_CONFIG_NAME = 'hook-telemetry';
+const OTLP_DIR = path.join(getClaudeDir(), 'hook-telemetry-otlp');
+const BUFFER_FILE = path.join(OTLP_DIR, 'buffer.jsonl');
+const OUTBOX_FILE = path.join(OTLP_DIR, 'outbox.jsonl');
+const LOCK_FILE = path.join(OTLP_DIR, 'flush.lock');
+const STATE_FILE = path.join(OTLP_DIR, 'state.json');
+const BATCH_SIZE = 200;
+const MAX_FLUSH_ROUNDS = 5;
+const FLUSH_STALE_MS = 5 * 60 * 1000;
+const SCOPE_NAME = 'magic-claude.hook-telemetry';
+
+const DEFAULTS = { serviceName: 'magic-claude', timeoutMs: 5000, retryMinutes: 1, maxBufferMB: 5 };
+// Past this multiple of the cap new spans are refused, in case no flusher can run
+const HARD_LIMIT_FACTOR = 2;
+
+/** Status codes of OTLP spans */
+const STATUS_UNSET = 0;
+const STATUS_ERROR = 2;
+const SPAN_KIND_INTERNAL = 1;
+
+let cachedConfig;
+
+/**
+ * OTLP export settings, read once per process
+ * @param {object} [options]
+ * @param {boolean} [options.reload] - Read hook-telemetry.json again
+ * @returns {{ endpoint: string, headers: object, serviceName: string, timeoutMs: number, retryMs: number, maxBufferBytes: number }|null}
+ *   null when the export is not configured
+ */
+function getOtlpConfig(options = {}) {
+  if (cachedConfig !== undefined && !options.reload) return cachedConfig;
+  cachedConfig = null;
+  try {
+    const { otlp } = new ConfigLoader().loadGlobal(TELEMETRY_CONFIG_NAME);
+    if (otlp && typeof otlp.endpoint === 'string' && /^https?:\/\//.test(otlp.endpoint) && otlp.enabled !== false) {
+      const number = (value, fallback) => (typeof value === 'number' && value > 0 ? value : fallback);
+      cachedConfig = {
+        endpoint: otlp.endpoint,
+        headers: otlp.headers && typeof otlp.headers === 'object' ? otlp.headers : {},
+        serviceName: typeof otlp.serviceName === 'string' ? otlp.serviceName : DEFAULTS.serviceName,
+        timeoutMs: number(otlp.timeoutMs, DEFAULTS.timeoutMs),
+        retryMs: number(otlp.retryMinutes, DEFAULTS.retryMinutes) * 60 * 1000,
+        maxBufferBytes: Math.round(number(otlp.maxBufferMB, DEFAULTS.maxBufferMB) * 1024 * 1024)
+      };
+    }
+  } catch {
+    // Unreadable config — export stays off
+  }
+  return cachedConfig;
+}
+
+/**
+ * @private
+ */
+function attribute(key, value) {
+  return Number.isInteger(value)
+    ? { key, value: { intValue: String(value) } }
+    : { key, value: { stringValue: String(value) } };
+}
+
+/**
+ * Span attribute names of the telemetry record fields
+ */
+const ATTRIBUTES = {
+  hook: 'hook.name',
+  event: 'hook.event',
+  outcome: 'hook.outcome',
+  reason: 'hook.reason',
+  duration_ms: 'hook.duration_ms',
+  tool: 'hook.tool',
+  file: 'hook.file',
+  session: 'session.id',
+  agent: 'agent.id',
+  project: 'project.name',
+  project_id: 'project.id',
+  package: 'workspace.package'
+};
+
+/**
+ * Convert a telemetry record into an OTLP JSON span
+ * @param {object} record - logTelemetry() record
+ * @returns {object} Span; ends at `ts` and lasts `duration_ms`
+ */
+function toSpan(record) {
+  const end = BigInt(Date.parse(record.ts)) * 1000000n;
+  const start = end - BigInt(Math.max(0, Math.round(record.duration_ms || 0))) * 1000000n;
+  const traceId = record.session
+    ? crypto.createHash('sha256').update(`session:${record.session}`).digest('hex').slice(0, 32)
+    : crypto.randomBytes(16).toString('hex');
+  const failed = record.outcome === 'error' || record.outcome === 'timeout';
+
+  return {
+    traceId,
+    spanId: crypto.randomBytes(8).toString('hex'),
+    name: record.hook,
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: String(start),
+    endTimeUnixNano: String(end),
+    attributes: Object.entries(ATTRIBUTES)
+      .filter(([field]) => record[field] !== undefined && record[field] !== '')
+      .map(([field, key]) => attribute(key, record[field])),
+    status: failed ? { code: STATUS_ERROR, message: record.reason || record.outcome } : { code: STATUS_UNSET }
+  };
+}
+
+/**
+ * Flatten an OTLP span back into a record-like object, for receivers and tests
+ * @param {object} span - OTLP JSON span
+ * @returns {object} `name`, times in ms and the attributes by key
+ */
+function fromSpan(span) {
+  const result = {
+    name: span.name,
+    traceId: span.traceId,
+    startMs: Number(BigInt(span.startTimeUnixNano) / 1000000n),
+    endMs: Number(BigInt(span.endTimeUnixNano) / 1000000n),
+    status: span.status ? span.status.code : STATUS_UNSET
+  };
+  for (const { key, value } of span.attributes || []) {
+    result[key] = value.intValue !== undefined ? Number(value.intValue) : value.stringValue;
+  }
+  return result;
+}
+
+/**
+ * OTLP/HTTP JSON export request for buffered spans
+ * @param {Array<{ version?: string, span: object }>} items - Buffer lines
+ * @param {string} serviceName
+ * @returns {object}
+ */
+function buildExportRequest(items, serviceName) {
+  const byVersion = new Map();
+  for (const { version, span } of items) {
+    const key = version || '';
+    if (!byVersion.has(key)) byVersion.set(key, []);
+    byVersion.get(key).push(span);
+  }
+  return {
+    resourceSpans: [...byVersion].map(([version, spans]) => ({
+      resource: {
+        attributes: [attribute('service.name', serviceName), ...(version ? [attribute('service.version', version)] : [])]
+      },
+      scopeSpans: [{ scope: { name: SCOPE_NAME, ...(version && { version }) }, spans }]
+    }))
+  };
+}
+
+/**
+ * @private
+ */
+function readState() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @private
+ */
+function writeState(state) {
+  try {
+    fs.writeFileSync(STATE_FILE, JSON.stringify({ ...readState(), ...state }));
+  } catch {
+    // State only throttles retries
+  }
+}
+
+/**
+ * Start a detached flusher unless one is running or the last attempt failed
+ * less than `retryMs` ago. Over the size cap a flusher that only compacts
+ * (`--compact`) is started during the retry interval instead.
+ * @private
+ */
+function scheduleFlush(config, overCap) {
+  const state = readState();
+  const waiting = state.lastFailure && Date.now() - state.lastFailure < config.retryMs;
+  if ((waiting && !overCap) || isLockHeld(LOCK_FILE, { staleMs: FLUSH_STALE_MS })) return;
+
+  try {
+    const child = spawn(process.execPath, [__filename, waiting ? '--compact' : '--flush'], { detached: true, stdio: 'ignore', windowsHide: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch {
+    // Export is best effort
+  }
+}
+
+/**
+ * Buffer a telemetry record as a span and start a background flush.
+ * Does nothing when the export is not configured; never throws.
+ * @param {object} record - logTelemetry() record
+ */
+function exportSpan(record) {
+  try {
+    const config = getOtlpConfig();
+    if (!config) return;
+    fs.mkdirSync(OTLP_DIR, { recursive: true });
+    const size = fileSize(BUFFER_FILE) + fileSize(OUTBOX_FILE);
+    if (size > config.maxBufferBytes * HARD_LIMIT_FACTOR) {
+      countDropped(1);
+      return;
+    }
+    fs.appendFileSync(BUFFER_FILE, JSON.stringify({ version: record.plugin_version, span: toSpan(record) }) + '\n');
+    scheduleFlush(config, size > config.maxBufferBytes);
+  } catch {
+    // Never break a hook because of telemetry
+  }
+}
+
+/**
+ * @private
+ */
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Add spans lost to the size cap to the state's running count
+ * @private
+ */
+function countDropped(count) {
+  writeState({ dropped: (readState().dropped || 0) + count, lastDropped: Date.now() });
+}
+
+/**
+ * Move buffered spans to the outbox, leaving the buffer free for new records.
+ * A claimed buffer that could not be moved stays on disk as buffer.jsonl.<pid>
+ * and is picked up by the next flusher.
+ * @private
+ * @returns {boolean} Whether anything was moved
+ */
+function claimBuffer() {
+  try {
+    fs.renameSync(BUFFER_FILE, `${BUFFER_FILE}.${process.pid}`);
+  } catch {
+    // Nothing new buffered
+  }
+
+  let claims = [];
+  try {
+    const prefix = `${path.basename(BUFFER_FILE)}.`;
+    claims = fs.readdirSync(OTLP_DIR).filter(name => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length)));
+  } catch {
+    return false;
+  }
+
+  let moved = false;
+  for (const name of claims) {
+    const claimed = path.join(OTLP_DIR, name);
+    try {
+      fs.appendFileSync(OUTBOX_FILE, fs.readFileSync(claimed));
+      fs.unlinkSync(claimed);
+      moved = true;
+    } catch {
+      // Left for the next flusher
+    }
+  }
+  return moved;
+}
+
+/**
+ * @private
+ */
+function readOutbox() {
+  let content = '';
+  try {
+    content = fs.readFileSync(OUTBOX_FILE, 'utf8');
+  } catch {
+    return [];
+  }
+  const items = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      items.push(JSON.parse(line));
+    } catch {
+      // Skip malformed lines
+    }
+  }
+  return items;
+}
+
+/**
+ * @private
+ */
+function writeOutbox(items) {
+  if (items.length === 0) {
+    fs.rmSync(OUTBOX_FILE, { force: true });
+  } else {
+    fs.writeFileSync(OUTBOX_FILE, items.map(item => JSON.stringify(item)).join('\n') + '\n');
+  }
+}
+
+/**
+ * Drop the oldest spans of the outbox until it fits the size cap.
+ * Only the flusher (holder of the lock) writes the outbox.
+ * @private
+ * @returns {number} Spans dropped
+ */
+function enforceCap(config) {
+  let size = fileSize(OUTBOX_FILE);
+  if (size <= config.maxBufferBytes) return 0;
+  const lines = fs.readFileSync(OUTBOX_FILE, 'utf8').split('\n').filter(line => line.trim());
+  let drop = 0;
+  while (drop < lines.length && size > config.maxBufferBytes) {
+    size -= Buffer.byteLength(lines[drop]) + 1;
+    drop++;
+  }
+  writeOutbox(lines.slice(drop).map(line => JSON.parse(line)));
+  countDropped(drop);
+  return drop;
+}
+
+/**
+ * Move new spans to the outbox and enforce the size cap without contacting
+ * the collector (flusher started during the retry interval)
+ * @param {object} [config] - Defaults to getOtlpConfig()
+ * @returns {{ dropped: number, pending: number }}
+ */
+function compactSpans(config = getOtlpConfig()) {
+  if (!config) return { dropped: 0, pending: 0 };
+  claimBuffer();
+  const dropped = enforceCap(config);
+  return { dropped, pending: readOutbox().length };
+}
+
+/**
+ * POST one export request
+ * @private
+ * @returns {Promise<{ ok: boolean, retry: boolean, error?: string }>}
+ */
+async function post(config, body) {
+  try {
+    const response = await fetch(config.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...config.headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+    if (response.ok) return { ok: true, retry: false };
+    // A request the collector rejects would be rejected again
+    const retry = response.status === 429 || response.status >= 500;
+    return { ok: false, retry, error: `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, retry: true, error: error.message };
+  }
+}
+
+/**
+ * Send buffered spans to the collector. Spans that could not be sent stay in
+ * the outbox for the next flush, within the size cap.
+ * @param {object} [config] - Defaults to getOtlpConfig()
+ * @returns {Promise<{ sent: number, dropped: number, pending: number, error?: string }>}
+ *   dropped: spans rejected by the collector or lost to the size cap
+ */
+async function flushSpans(config = getOtlpConfig()) {
+  const result = { sent: 0, dropped: 0, pending: 0 };
+  if (!config) return result;
+
+  for (let round = 0; round < MAX_FLUSH_ROUNDS; round++) {
+    const claimed = claimBuffer();
+    result.dropped += enforceCap(config);
+    let items = readOutbox();
+    if (!claimed && items.length === 0) break;
+
+    while (items.length > 0) {
+      const batch = items.slice(0, BATCH_SIZE);
+      const response = await post(config, buildExportRequest(batch, config.serviceName));
+      if (!response.ok && response.retry) {
+        result.pending = items.length;
+        result.error = response.error;
+        writeState({ lastFailure: Date.now(), error: response.error });
+        return result;
+      }
+      if (response.ok) result.sent += batch.length;
+      else {
+        result.dropped += batch.length;
+        writeState({ lastDropped: Date.now(), error: response.error });
+      }
+      items = items.slice(batch.length);
+      writeOutbox(items);
+    }
+  }
+
+  result.pending = readOutbox().length;
+  writeState({ lastFailure: 0, lastSuccess: Date.now() });
+  return result;
+}
+
+/**
+ * Export state for status output
+ * @returns {{ enabled: boolean, endpoint: string|null, pending: number, dropped: number, lastSuccess: number|null, lastFailure: number|null, error: string|null }}
+ *   dropped: spans lost to the size cap so far
+ */
+function getOtlpStatus() {
+  const config = getOtlpConfig();
+  const state = readState();
+  let buffered = 0;
+  try {
+    buffered = fs.readFileSync(BUFFER_FILE, 'utf8').split('\n').filter(Boolean).length;
+  } catch {
+    // Nothing buffered
+  }
+  return {
+    enabled: Boolean(config),
+    endpoint: config ? config.endpoint : null,
+    pending: buffered + readOutbox().length,
+    dropped: state.dropped || 0,
+    lastSuccess: state.lastSuccess || null,
+    lastFailure: state.lastFailure || null,
+    error: state.lastFailure ? state.error || null : null
+  };
+}
+
+/**
+ * Take the flusher lock for this process until it exits
+ * @private
+ * @returns {boolean} false when another flusher is running
+ */
+function takeFlushLock() {
+  if (!acquireLock(LOCK_FILE, { staleMs: FLUSH_STALE_MS })) return false;
+  process.on('exit', () => releaseLock(LOCK_FILE));
+  return true;
+}
+
+// CLI mode: node telemetry-otlp.cjs --flush | --compact | --status
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if ((args.includes('--compact') || args.includes('--flush')) && !takeFlushLock()) {
+    console.log(JSON.stringify({ skipped: 'another flusher is running' }));
+  } else if (args.includes('--compact')) {
+    console.log(JSON.stringify(compactSpans()));
+  } else if (args.includes('--flush')) {
+    flushSpans().then((result) => {
+      console.log(JSON.stringify(result));
+    }, (error) => {
+      console.error(`[telemetry-otlp] Flush failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+  } else if (args.includes('--status')) {
+    console.log(JSON.stringify(getOtlpStatus(), null, 2));
+  } else {
+    console.log('Usage: node telemetry-otlp.cjs --flush | --compact | --status');
+    console.log(`Config: ${path.join(getClaudeDir(), `${TELEMETRY_CONFIG_NAME}.json`)} ("otlp": { "endpoint": ... })`);
+  }
+}
+
+module.exports = {
+  getOtlpConfig,
+  toSpan,
+  fromSpan,
+  buildExportRequest,
+  exportSpan,
+  flushSpans,
+  compactSpans,
+  getOtlpStatus,
+  OTLP_DIR
+};
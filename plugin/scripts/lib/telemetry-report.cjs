@@ -0,0 +1,570 @@
+/**
+ * Telemetry Report - Aggregates hook telemetry into reports
+ *
+ * Reads the current and rotated telemetry logs (see hook-telemetry.cjs) for a
+ * date window and computes, per hook, event and tool: outcome counts and
+ * p50/p95/p99 latency, plus a per-day trend. A second window can be attached
+ * for comparison, and records can be narrowed to one project or session.
+ * buildReport() returns plain JSON; formatReport() and toHtml() render it as
+ * text and as a self-contained HTML page.
+ *
+ * Days are UTC calendar days, matching the `ts` field of the records.
+ *
+ * CLI: node scripts/telemetry-report.cjs --help
+ */
+
+const fs = require('fs');
+const { listTelemetryFiles } = require('./hook-telemetry.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OUTCOMES = ['fired', 'skipped', 'error', 'timeout'];
+const MAX_TREND_DAYS = 366;
+
+/**
+ * Parse a YYYY-MM-DD date (or any Date-parsable string) as UTC
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * The date window a report covers
+ * @param {object} [options]
+ * @param {number} [options.days=7] - Rolling window ending now, used without `since`
+ * @param {string} [options.since] - First day (YYYY-MM-DD), inclusive
+ * @param {string} [options.until] - Last day (YYYY-MM-DD), inclusive; defaults to now
+ * @param {number} [options.now] - Epoch ms, for tests
+ * @returns {{ since: string, until: string|null, label: string, days: number|null }}
+ *   ISO bounds; until is exclusive and null for an open-ended window
+ */
+function resolveWindow(options = {}) {
+  const now = options.now || Date.now();
+  if (options.since || options.until) {
+    const since = parseDate(options.since);
+    const until = parseDate(options.until);
+    if ((options.since && !since) || (options.until && !until)) {
+      throw new Error(`Invalid date: ${options.since || ''}..${options.until || ''}`);
+    }
+    // A bare date as `until` covers that whole day
+    const end = until && /^\d{4}-\d{2}-\d{2}$/.test(options.until) ? new Date(until.getTime() + DAY_MS) : until;
+    const start = since || new Date((end ? end.getTime() : now) - 7 * DAY_MS);
+    return {
+      since: start.toISOString(),
+      until: end ? end.toISOString() : null,
+      label: `${options.since || start.toISOString().slice(0, 10)} to ${options.until || 'now'}`,
+      days: null
+    };
+  }
+  const days = options.days > 0 ? options.days : 7;
+  return {
+    since: new Date(now - days * DAY_MS).toISOString(),
+    until: null,
+    label: `last ${days} day(s)`,
+    days
+  };
+}
+
+/**
+ * The window of the same length right before another one
+ * @param {object} window - resolveWindow() result
+ * @param {number} [now] - Epoch ms, end of an open-ended window
+ * @returns {object} Window in the resolveWindow() shape
+ */
+function previousWindow(window, now = Date.now()) {
+  const end = Date.parse(window.since);
+  const length = (window.until ? Date.parse(window.until) : now) - end;
+  const since = new Date(end - length).toISOString();
+  return { since, until: window.since, label: `${since.slice(0, 10)} to ${window.since.slice(0, 10)}`, days: window.days };
+}
+
+/**
+ * Whether a record passes the report filters
+ * @param {object} entry - Telemetry record
+ * @param {{ project?: string, session?: string }} filters - project: name or
+ *   project_id; session: session id or a prefix of it
+ * @returns {boolean}
+ */
+function matchesFilters(entry, filters = {}) {
+  if (filters.project && entry.project !== filters.project && entry.project_id !== filters.project) return false;
+  if (filters.session && !(typeof entry.session === 'string' && entry.session.startsWith(filters.session))) return false;
+  return true;
+}
+
+/**
+ * Read telemetry records inside a window, from the current and rotated logs
+ * @param {object} window - resolveWindow() result
+ * @param {object} [filters] - See matchesFilters()
+ * @returns {{ entries: object[], files: number }} files: logs that exist
+ */
+function readTelemetry(window, filters = {}) {
+  const files = listTelemetryFiles();
+  const entries = [];
+  for (const { file, rotatedAt } of files) {
+    // Every record of a rotated log predates its rotation
+    if (rotatedAt !== null && rotatedAt < Date.parse(window.since)) continue;
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (typeof entry.ts !== 'string' || entry.ts < window.since) continue;
+        if (window.until && entry.ts >= window.until) continue;
+        if (matchesFilters(entry, filters)) entries.push(entry);
+      } catch {
+        // Skip malformed lines
+      }
+    }
+  }
+  entries.sort((a, b) => (a.ts < b.ts ? -1 : a.ts > b.ts ? 1 : 0));
+  return { entries, files: files.length };
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * @private
+ */
+function newBucket(name) {
+  return { name, total: 0, fired: 0, skipped: 0, error: 0, timeout: 0, durations: [], reasons: {} };
+}
+
+/**
+ * @private
+ */
+function addToBucket(bucket, entry) {
+  bucket.total++;
+  if (OUTCOMES.includes(entry.outcome)) bucket[entry.outcome]++;
+  if (typeof entry.duration_ms === 'number') bucket.durations.push(entry.duration_ms);
+  if (entry.reason) bucket.reasons[entry.reason] = (bucket.reasons[entry.reason] || 0) + 1;
+}
+
+/**
+ * Turn a bucket into its report row: counts, rates, latency and top reasons
+ * @private
+ */
+function finishBucket(bucket) {
+  const sorted = bucket.durations.slice().sort((a, b) => a - b);
+  const sum = sorted.reduce((a, b) => a + b, 0);
+  return {
+    name: bucket.name,
+    total: bucket.total,
+    fired: bucket.fired,
+    skipped: bucket.skipped,
+    error: bucket.error,
+    timeout: bucket.timeout,
+    fireRate: bucket.total > 0 ? bucket.fired / bucket.total : 0,
+    errorRate: bucket.total > 0 ? (bucket.error + bucket.timeout) / bucket.total : 0,
+    latency: {
+      count: sorted.length,
+      avg: sorted.length > 0 ? Math.round(sum / sorted.length) : null,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+    },
+    topReasons: Object.entries(bucket.reasons)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([reason, count]) => ({ reason, count }))
+  };
+}
+
+/**
+ * @private
+ */
+function groupBy(entries, key) {
+  const buckets = new Map();
+  for (const entry of entries) {
+    const name = key(entry);
+    if (!name) continue;
+    if (!buckets.has(name)) buckets.set(name, newBucket(name));
+    addToBucket(buckets.get(name), entry);
+  }
+  return [...buckets.values()].map(finishBucket).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+}
+
+/**
+ * One row per UTC day of the window, days without records included
+ * @private
+ */
+function dailyTrend(entries, window, now) {
+  const buckets = new Map();
+  const first = window.since.slice(0, 10);
+  const last = new Date(window.until ? Date.parse(window.until) - 1 : now).toISOString().slice(0, 10);
+  let day = Date.parse(`${first}T00:00:00.000Z`);
+  for (let i = 0; i < MAX_TREND_DAYS && new Date(day).toISOString().slice(0, 10) <= last; i++, day += DAY_MS) {
+    const name = new Date(day).toISOString().slice(0, 10);
+    buckets.set(name, newBucket(name));
+  }
+  for (const entry of entries) {
+    const name = entry.ts.slice(0, 10);
+    if (!buckets.has(name)) buckets.set(name, newBucket(name));
+    addToBucket(buckets.get(name), entry);
+  }
+  return [...buckets.values()].sort((a, b) => a.name.localeCompare(b.name)).map(finishBucket);
+}
+
+/**
+ * Aggregate records of one window
+ * @param {object[]} entries - Telemetry records
+ * @param {object} window - resolveWindow() result
+ * @param {number} [now] - Epoch ms
+ * @returns {object} totals, hooks, events, tools and daily rows
+ */
+function summarize(entries, window, now = Date.now()) {
+  const all = newBucket('all');
+  for (const entry of entries) addToBucket(all, entry);
+  const hooks = groupBy(entries, e => e.hook);
+  return {
+    window,
+    events: entries.length,
+    totals: finishBucket(all),
+    hooks,
+    byEvent: groupBy(entries, e => e.event),
+    byTool: groupBy(entries, e => e.tool),
+    byProject: groupBy(entries, e => e.project && (e.project_id ? `${e.project} [${e.project_id}]` : e.project)),
+    daily: dailyTrend(entries, window, now),
+    neverFired: hooks.filter(h => h.fired === 0).map(h => h.name)
+  };
+}
+
+/**
+ * Per-hook differences between two summaries
+ * @param {object} current - summarize() result
+ * @param {object} baseline - summarize() result of the earlier window
+ * @returns {{ window: object, events: number, totals: object, hooks: object[] }}
+ */
+function compareSummaries(current, baseline) {
+  const before = new Map(baseline.hooks.map(h => [h.name, h]));
+  const names = new Set([...current.hooks.map(h => h.name), ...before.keys()]);
+  const pick = h => h
+    ? { total: h.total, fired: h.fired, error: h.error, timeout: h.timeout, errorRate: h.errorRate, p95: h.latency.p95 }
+    : { total: 0, fired: 0, error: 0, timeout: 0, errorRate: 0, p95: null };
+  const hooks = [...names].map(name => {
+    const a = pick(before.get(name));
+    const b = pick(current.hooks.find(h => h.name === name));
+    return {
+      name,
+      baseline: a,
+      current: b,
+      p95Change: a.p95 && b.p95 !== null ? (b.p95 - a.p95) / a.p95 : null
+    };
+  }).sort((x, y) => y.current.total - x.current.total || x.name.localeCompare(y.name));
+
+  return {
+    window: baseline.window,
+    events: baseline.events,
+    totals: baseline.totals,
+    hooks
+  };
+}
+
+/**
+ * Build a telemetry report
+ * @param {object} [options] - resolveWindow() options, plus:
+ * @param {string} [options.project] - Only this project (name or project_id)
+ * @param {string} [options.session] - Only this session (id or prefix)
+ * @param {boolean|{ since: string, until: string }} [options.compare] - Also
+ *   summarize an earlier window: true for the one right before, or explicit dates
+ * @returns {object} JSON-serializable report
+ */
+function buildReport(options = {}) {
+  const now = options.now || Date.now();
+  const window = resolveWindow({ ...options, now });
+  const filters = {};
+  if (options.project) filters.project = options.project;
+  if (options.session) filters.session = options.session;
+  const { entries, files } = readTelemetry(window, filters);
+  const report = {
+    generatedAt: new Date(now).toISOString(),
+    files,
+    filters,
+    ...summarize(entries, window, now)
+  };
+
+  if (options.compare) {
+    const baselineWindow = options.compare === true
+      ? previousWindow(window, now)
+      : resolveWindow({ ...options.compare, now });
+    const baseline = summarize(readTelemetry(baselineWindow, filters).entries, baselineWindow, now);
+    report.comparison = compareSummaries(report, baseline);
+  }
+  return report;
+}
+
+/**
+ * @private
+ */
+function ms(value) {
+  return value === null || value === undefined ? 'N/A' : `${value}ms`;
+}
+
+/**
+ * @private
+ */
+function pct(rate) {
+  return `${(rate * 100).toFixed(0)}%`;
+}
+
+/**
+ * @private
+ */
+function signedPct(change) {
+  if (change === null) return '';
+  const value = Math.round(change * 100);
+  return ` (${value >= 0 ? '+' : ''}${value}%)`;
+}
+
+/**
+ * Left-aligned first column, right-aligned numbers
+ * @private
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line = cells => '  ' + cells.map((c, i) => (i === 0 ? String(c).padEnd(widths[i]) : String(c).padStart(widths[i]))).join('  ');
+  return [line(headers), ...rows.map(line)];
+}
+
+/**
+ * @private
+ */
+function breakdownRows(buckets) {
+  return buckets.map(b => [b.name, b.total, b.fired, b.skipped, b.error, b.timeout, ms(b.latency.p50), ms(b.latency.p95), ms(b.latency.p99)]);
+}
+
+/**
+ * @private
+ */
+function describeFilters(filters) {
+  return Object.entries(filters).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+const BREAKDOWN_HEADERS = ['', 'Runs', 'Fired', 'Skipped', 'Errors', 'Timeouts', 'p50', 'p95', 'p99'];
+
+/**
+ * Render a report as plain text
+ * @param {object} report - buildReport() result
+ * @returns {string}
+ */
+function formatReport(report) {
+  if (report.files === 0) {
+    return 'No telemetry data found. Hooks have not run yet.';
+  }
+  const filters = describeFilters(report.filters);
+  if (report.events === 0) {
+    const matching = filters ? ` matching ${filters}` : '';
+    return report.window.days !== null
+      ? `No telemetry data in the last ${report.window.days} day(s)${matching}.`
+      : `No telemetry data from ${report.window.label}${matching}.`;
+  }
+
+  const out = [];
+  out.push(`Hook Telemetry Report (${report.window.label}, ${report.events} events)`);
+  if (filters) out.push(`Filters: ${filters}`);
+  out.push('='.repeat(70));
+  out.push('');
+
+  for (const hook of report.hooks) {
+    const { latency } = hook;
+    out.push(hook.name);
+    out.push(`  Total: ${hook.total}  |  Fired: ${hook.fired}  |  Skipped: ${hook.skipped}  |  Errors: ${hook.error}  |  Timeouts: ${hook.timeout}`);
+    out.push(`  Fire rate: ${pct(hook.fireRate)}  |  Avg: ${ms(latency.avg)}  |  Max: ${ms(latency.max)}`);
+    out.push(`  Latency: p50 ${ms(latency.p50)}  |  p95 ${ms(latency.p95)}  |  p99 ${ms(latency.p99)}`);
+    if (hook.topReasons.length > 0) {
+      out.push(`  Top reasons: ${hook.topReasons.map(r => `${r.reason} (${r.count})`).join(', ')}`);
+    }
+    out.push('');
+  }
+
+  out.push('By event:');
+  out.push(...formatTable(BREAKDOWN_HEADERS, breakdownRows(report.byEvent)));
+  out.push('');
+
+  if (report.byTool.length > 0) {
+    out.push('By tool:');
+    out.push(...formatTable(BREAKDOWN_HEADERS, breakdownRows(report.byTool)));
+    out.push('');
+  }
+
+  if (report.byProject.length > 0) {
+    out.push('By project:');
+    out.push(...formatTable(BREAKDOWN_HEADERS, breakdownRows(report.byProject)));
+    out.push('');
+  }
+
+  out.push('Daily trend (UTC):');
+  out.push(...formatTable(
+    ['', 'Runs', 'Fired', 'Skipped', 'Errors', 'Timeouts', 'p95'],
+    report.daily.map(d => [d.name, d.total, d.fired, d.skipped, d.error, d.timeout, ms(d.latency.p95)])
+  ));
+  out.push('');
+
+  if (report.comparison) {
+    const { comparison } = report;
+    out.push(`Compared with ${comparison.window.label} (${comparison.events} events):`);
+    out.push(...formatTable(
+      ['', 'Runs', 'Errors', 'Timeouts', 'p95'],
+      comparison.hooks.map(h => [
+        h.name,
+        `${h.baseline.total} -> ${h.current.total}`,
+        `${h.baseline.error} -> ${h.current.error}`,
+        `${h.baseline.timeout} -> ${h.current.timeout}`,
+        `${ms(h.baseline.p95)} -> ${ms(h.current.p95)}${signedPct(h.p95Change)}`
+      ])
+    ));
+    out.push('');
+  }
+
+  const { totals } = report;
+  out.push('-'.repeat(70));
+  out.push(`Summary: ${totals.fired} fired, ${totals.skipped} skipped, ${totals.error} errors, ${totals.timeout} timeouts`);
+  out.push(`Latency: p50 ${ms(totals.latency.p50)}  |  p95 ${ms(totals.latency.p95)}  |  p99 ${ms(totals.latency.p99)}`);
+  if (report.neverFired.length > 0) {
+    out.push(`Never fired: ${report.neverFired.join(', ')}`);
+  }
+  return out.join('\n');
+}
+
+/**
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @private
+ */
+function htmlTable(headers, rows) {
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  // Cells are escaped by the callers, so rows can carry markup (trend bars)
+  const body = rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * @private
+ */
+function htmlBreakdown(buckets) {
+  return htmlTable(
+    ['', 'Runs', 'Fired', 'Skipped', 'Errors', 'Timeouts', 'Fire rate', 'p50', 'p95', 'p99', 'Max'],
+    buckets.map(b => [
+      escapeHtml(b.name), b.total, b.fired, b.skipped, b.error, b.timeout, pct(b.fireRate),
+      ms(b.latency.p50), ms(b.latency.p95), ms(b.latency.p99), ms(b.latency.max)
+    ])
+  );
+}
+
+const HTML_STYLE = `
+body { font: 14px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+h1 { font-size: 1.4em; } h2 { font-size: 1.1em; margin-top: 2em; }
+table { border-collapse: collapse; margin: .5em 0; }
+th, td { padding: .25em .75em; border-bottom: 1px solid #ddd; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+.muted { color: #777; }
+.bar { display: inline-block; height: .8em; background: #4a7fd0; vertical-align: middle; }
+.bar.errors { background: #d0504a; }`;
+
+/**
+ * Render a report as a self-contained HTML page (inline styles, no scripts)
+ * @param {object} report - buildReport() result
+ * @returns {string}
+ */
+function toHtml(report) {
+  const sections = [];
+  const { totals } = report;
+  sections.push(`<h1>Hook Telemetry Report</h1>`);
+  const filters = describeFilters(report.filters);
+  sections.push(`<p class="muted">${escapeHtml(report.window.label)}${filters ? ` &middot; ${escapeHtml(filters)}` : ''} &middot; ${report.events} events &middot; generated ${escapeHtml(report.generatedAt)}</p>`);
+
+  if (report.events === 0) {
+    sections.push('<p>No telemetry data in this window.</p>');
+  } else {
+    sections.push(`<p>${totals.fired} fired, ${totals.skipped} skipped, ${totals.error} errors, ${totals.timeout} timeouts &middot; latency p50 ${ms(totals.latency.p50)}, p95 ${ms(totals.latency.p95)}, p99 ${ms(totals.latency.p99)}</p>`);
+    sections.push('<h2>Hooks</h2>', htmlBreakdown(report.hooks));
+    sections.push('<h2>By event</h2>', htmlBreakdown(report.byEvent));
+    if (report.byTool.length > 0) sections.push('<h2>By tool</h2>', htmlBreakdown(report.byTool));
+    if (report.byProject.length > 0) sections.push('<h2>By project</h2>', htmlBreakdown(report.byProject));
+
+    const busiest = Math.max(1, ...report.daily.map(d => d.total));
+    sections.push('<h2>Daily trend (UTC)</h2>', htmlTable(
+      ['Day', 'Runs', 'Errors', 'Timeouts', 'p95', ''],
+      report.daily.map(d => [
+        d.name, d.total, d.error, d.timeout, ms(d.latency.p95),
+        `<span class="bar" style="width:${Math.round((d.fired / busiest) * 200)}px"></span>` +
+        `<span class="bar errors" style="width:${Math.round(((d.error + d.timeout) / busiest) * 200)}px"></span>`
+      ])
+    ));
+
+    if (report.neverFired.length > 0) {
+      sections.push(`<p>Never fired: ${report.neverFired.map(escapeHtml).join(', ')}</p>`);
+    }
+  }
+
+  if (report.comparison) {
+    const { comparison } = report;
+    sections.push(`<h2>Compared with ${escapeHtml(comparison.window.label)} (${comparison.events} events)</h2>`, htmlTable(
+      ['', 'Runs', 'Errors', 'Timeouts', 'Error rate', 'p95'],
+      comparison.hooks.map(h => [
+        escapeHtml(h.name),
+        `${h.baseline.total} &rarr; ${h.current.total}`,
+        `${h.baseline.error} &rarr; ${h.current.error}`,
+        `${h.baseline.timeout} &rarr; ${h.current.timeout}`,
+        `${pct(h.baseline.errorRate)} &rarr; ${pct(h.current.errorRate)}`,
+        `${ms(h.baseline.p95)} &rarr; ${ms(h.current.p95)}${signedPct(h.p95Change)}`
+      ])
+    ));
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>Hook Telemetry Report (${escapeHtml(report.window.label)})</title>`,
+    `<style>${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    ...sections,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  parseDate,
+  resolveWindow,
+  previousWindow,
+  matchesFilters,
+  readTelemetry,
+  percentile,
+  summarize,
+  compareSummaries,
+  buildReport,
+  formatReport,
+  toHtml
+};
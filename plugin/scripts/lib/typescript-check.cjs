@@ -0,0 +1,522 @@
+/**
+ * TypeScript Check - Incremental, file-scoped type checking for hooks
+ *
+ * Instead of a cold `tsc --noEmit` over the whole project on every edit:
+ * - the tsconfig project that owns the edited file is resolved, following
+ *   solution-style `references` down to the referenced project
+ * - tsc runs with `--incremental` and a build-info file kept per tsconfig in
+ *   $CLAUDE_CONFIG_DIR/cache/tsbuildinfo/, so only changed files are re-checked
+ * - only diagnostics for the edited file and the files that import it directly
+ *   are reported
+ * - tsc runs through spawnWithBudget(), so it is held to the hook's budget
+ *   (.claude/hook-budgets.json); when that runs out a detached run warms the
+ *   build-info cache so the next edit is fast
+ * - a project whose referenced projects are not built yet (TS6305) is skipped:
+ *   `tsc -p` reads their declaration output, and `tsc -b` would write into
+ *   the project
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { getClaudeDir, commandExists } = require('./utils.cjs');
+const { spawnWithBudget } = require('./hook-budget.cjs');
+
+const CACHE_DIR = path.join(getClaudeDir(), 'cache', 'tsbuildinfo');
+const WARMUP_STALE_MS = 10 * 60 * 1000;
+
+const TS_SOURCE = /\.(ts|tsx|mts|cts)$/;
+const SCANNED_SOURCE = /\.(ts|tsx|mts|cts|js|jsx|mjs|cjs)$/;
+const SKIP_DIRS = new Set(['node_modules', 'dist', 'build', 'out', 'coverage']);
+const MAX_SCANNED_FILES = 5000;
+const MAX_REFERENCE_DEPTH = 5;
+
+// `import x from './a'`, `export * from './a'`, `import('./a')`, `require('./a')`, `import './a'`
+const IMPORT_SPECIFIER = /(?:\bfrom\s*|\bimport\s*\(\s*|\brequire\s*\(\s*|^\s*import\s+)['"]([^'"]+)['"]/gm;
+
+// `src/a.ts(3,5): error TS2322: Type 'string' is not assignable to type 'number'.`
+const DIAGNOSTIC_LINE = /^(.+?)\((\d+),(\d+)\):\s+(error|warning)\s+(TS\d+):\s*(.*)$/;
+
+// Output file '…/dist/a.d.ts' has not been built from source file '…/a.ts'
+const UNBUILT_REFERENCE = 'TS6305';
+
+/**
+ * Read a tsconfig file (JSON with comments and trailing commas)
+ * @param {string} tsconfigPath - Path to tsconfig
+ * @returns {object|null} Parsed config or null if unreadable
+ */
+function readTsconfig(tsconfigPath) {
+  try {
+    return JSON.parse(stripJsonComments(fs.readFileSync(tsconfigPath, 'utf8')));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the file-selection settings of a tsconfig, following relative `extends`.
+ * @param {string} tsconfigPath - Path to tsconfig
+ * @param {number} [depth=0] - Recursion guard
+ * @returns {{ dir: string, files?: string[], include?: string[], exclude?: string[], references: string[], outDir?: string }|null}
+ */
+function resolveProjectConfig(tsconfigPath, depth = 0) {
+  const config = readTsconfig(tsconfigPath);
+  if (!config) return null;
+
+  const dir = path.dirname(tsconfigPath);
+  let base = { dir };
+
+  // Only relative `extends` can change file selection in a way we can follow
+  const parents = [].concat(config.extends || []).filter(e => typeof e === 'string' && e.startsWith('.'));
+  for (const parent of parents) {
+    if (depth >= MAX_REFERENCE_DEPTH) break;
+    const parentPath = path.resolve(dir, parent.endsWith('.json') ? parent : `${parent}.json`);
+    const resolved = resolveProjectConfig(parentPath, depth + 1);
+    if (resolved) {
+      // Paths in an extended config are relative to that config
+      base = { ...base, ...pickFileSelection(resolved, resolved.dir) };
+    }
+  }
+
+  const own = pickFileSelection({
+    files: config.files,
+    include: config.include,
+    exclude: config.exclude,
+    outDir: config.compilerOptions && config.compilerOptions.outDir
+  }, dir);
+
+  return {
+    ...base,
+    ...own,
+    dir,
+    references: (config.references || [])
+      .filter(ref => ref && typeof ref.path === 'string')
+      .map(ref => {
+        const refPath = path.resolve(dir, ref.path);
+        return refPath.endsWith('.json') ? refPath : path.join(refPath, 'tsconfig.json');
+      })
+  };
+}
+
+/**
+ * Check whether a tsconfig project includes a file
+ * Follows TypeScript defaults: no `files`/`include` means `**\/*`; node_modules
+ * and outDir are excluded unless `exclude` is set.
+ * @param {object} project - Result of resolveProjectConfig()
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean}
+ */
+function projectIncludesFile(project, filePath) {
+  const relative = toPosix(path.relative(project.dir, filePath));
+  if (relative.startsWith('../') || path.isAbsolute(relative)) return false;
+
+  const listed = (project.files || []).some(f => path.resolve(f) === path.resolve(filePath));
+  if (listed) return true;
+
+  // `"files": []` without include is a solution-style config that owns nothing
+  if (project.files && !project.include) return false;
+
+  const include = project.include || ['**/*'];
+  const exclude = project.exclude || ['node_modules', 'bower_components', 'jspm_packages', ...(project.outDir ? [project.outDir] : [])];
+
+  // Patterns may come from an extended config in another directory, so compare absolute paths
+  const target = toPosix(path.resolve(filePath));
+  const matches = (patterns) => patterns.some(pattern => tsGlobToRegex(toPosix(path.resolve(project.dir, pattern))).test(target));
+
+  return matches(include) && !matches(exclude);
+}
+
+/**
+ * Find the tsconfig project that owns a file.
+ * Walks up to the nearest tsconfig.json (also trying sibling tsconfig.*.json
+ * files), and descends into `references` when the nearest config is a
+ * solution-style root or a referenced project owns the file.
+ * @param {string} filePath - Absolute path of the edited file
+ * @returns {{ tsconfig: string, project: object }|null}
+ */
+function findOwningTsconfig(filePath) {
+  let dir = path.dirname(path.resolve(filePath));
+
+  while (true) {
+    for (const candidate of listTsconfigs(dir)) {
+      const owner = findOwnerInProject(candidate, filePath, 0, new Set());
+      if (owner) return owner;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Find files in a project that import the given file directly (relative imports only)
+ * @param {string} filePath - Absolute path of the edited file
+ * @param {string} projectDir - Directory to scan (the owning tsconfig's directory)
+ * @returns {string[]} Absolute paths of direct dependents
+ */
+function findDirectDependents(filePath, projectDir) {
+  const target = path.resolve(filePath);
+  const dependents = [];
+
+  for (const file of listSourceFiles(projectDir)) {
+    if (file === target) continue;
+
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+
+    IMPORT_SPECIFIER.lastIndex = 0;
+    let match;
+    while ((match = IMPORT_SPECIFIER.exec(content)) !== null) {
+      const specifier = match[1];
+      if (!specifier.startsWith('.')) continue;
+      if (resolveImportCandidates(path.dirname(file), specifier).includes(target)) {
+        dependents.push(file);
+        break;
+      }
+    }
+  }
+
+  return dependents;
+}
+
+/**
+ * Parse `tsc --pretty false` output into diagnostics
+ * @param {string} output - Combined tsc stdout/stderr
+ * @param {string} cwd - Directory tsc ran in (paths are relative to it)
+ * @returns {Array<{ file: string, line: number, column: number, severity: string, code: string, message: string, text: string }>}
+ */
+function parseTscOutput(output, cwd) {
+  const diagnostics = [];
+  for (const line of output.split(/\r?\n/)) {
+    const match = line.match(DIAGNOSTIC_LINE);
+    if (!match) continue;
+    diagnostics.push({
+      file: path.resolve(cwd, match[1]),
+      line: parseInt(match[2], 10),
+      column: parseInt(match[3], 10),
+      severity: match[4],
+      code: match[5],
+      message: match[6],
+      text: line
+    });
+  }
+  return diagnostics;
+}
+
+/**
+ * Locate a tsc entry point for a project: local typescript first, then a global tsc.
+ * @param {string} projectDir - Directory of the owning tsconfig
+ * @returns {{ command: string, args: string[] }|null}
+ */
+function resolveTsc(projectDir) {
+  let dir = projectDir;
+  while (true) {
+    const tscJs = path.join(dir, 'node_modules', 'typescript', 'lib', 'tsc.js');
+    if (fs.existsSync(tscJs)) {
+      return { command: process.execPath, args: [tscJs] };
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  return commandExists('tsc') ? { command: 'tsc', args: [] } : null;
+}
+
+/**
+ * Build-info file used for a tsconfig (kept outside the project so builds are not affected)
+ * @param {string} tsconfigPath - Absolute tsconfig path
+ * @returns {string}
+ */
+function getBuildInfoFile(tsconfigPath) {
+  const hash = crypto.createHash('sha1').update(path.resolve(tsconfigPath)).digest('hex').slice(0, 16);
+  return path.join(CACHE_DIR, `${hash}.tsbuildinfo`);
+}
+
+/**
+ * Type check the project owning a file and report diagnostics for that file
+ * and its direct dependents.
+ * @param {string} filePath - Absolute path of the edited file
+ * @param {object} [options]
+ * @param {number} [options.budgetMs] - Time budget on top of the active hook budget
+ * @param {boolean} [options.warmOnTimeout=true] - Start a detached cache warm-up when the budget is exceeded
+ * @returns {{ status: 'ok'|'errors'|'timeout'|'skipped', reason?: string, tsconfig?: string, dependents?: string[], diagnostics: object[], durationMs: number }}
+ */
+function checkFile(filePath, options = {}) {
+  const start = Date.now();
+  const done = (result) => ({ diagnostics: [], ...result, durationMs: Date.now() - start });
+
+  const owner = findOwningTsconfig(filePath);
+  if (!owner) {
+    return done({ status: 'skipped', reason: 'no tsconfig owns this file' });
+  }
+
+  const tsc = resolveTsc(owner.project.dir);
+  if (!tsc) {
+    return done({ status: 'skipped', reason: 'typescript not installed', tsconfig: owner.tsconfig });
+  }
+
+  const buildInfo = getBuildInfoFile(owner.tsconfig);
+  fs.mkdirSync(path.dirname(buildInfo), { recursive: true });
+
+  const args = [
+    ...tsc.args,
+    '-p', owner.tsconfig,
+    '--noEmit',
+    '--incremental',
+    '--tsBuildInfoFile', buildInfo,
+    '--pretty', 'false'
+  ];
+
+  const dependents = findDirectDependents(filePath, owner.project.dir);
+  const result = spawnWithBudget(tsc.command, args, {
+    cwd: owner.project.dir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    ...(options.budgetMs && { timeout: Math.max(options.budgetMs - (Date.now() - start), 1000) })
+  });
+
+  if (result.timedOut) {
+    if (options.warmOnTimeout !== false) {
+      startWarmup(tsc.command, args, owner.project.dir, buildInfo);
+    }
+    const budget = options.budgetMs ? `${options.budgetMs}ms budget` : 'hook budget';
+    return done({ status: 'timeout', reason: `exceeded ${budget}`, tsconfig: owner.tsconfig, dependents });
+  }
+
+  if (result.error) {
+    return done({ status: 'skipped', reason: `tsc failed to run: ${result.error.message}`, tsconfig: owner.tsconfig });
+  }
+
+  const reported = parseTscOutput(`${result.stdout || ''}\n${result.stderr || ''}`, owner.project.dir);
+  if (reported.some(d => d.code === UNBUILT_REFERENCE)) {
+    return done({ status: 'skipped', reason: 'referenced projects are not built (run tsc -b)', tsconfig: owner.tsconfig });
+  }
+
+  const relevant = new Set([path.resolve(filePath), ...dependents]);
+  const diagnostics = reported.filter(d => relevant.has(d.file));
+
+  return done({
+    status: diagnostics.length > 0 ? 'errors' : 'ok',
+    tsconfig: owner.tsconfig,
+    dependents,
+    diagnostics
+  });
+}
+
+/**
+ * @private
+ */
+function findOwnerInProject(tsconfigPath, filePath, depth, seen) {
+  if (depth > MAX_REFERENCE_DEPTH || seen.has(tsconfigPath) || !fs.existsSync(tsconfigPath)) return null;
+  seen.add(tsconfigPath);
+
+  const project = resolveProjectConfig(tsconfigPath);
+  if (!project) return null;
+
+  // Prefer the most specific referenced project
+  for (const ref of project.references) {
+    const owner = findOwnerInProject(ref, filePath, depth + 1, seen);
+    if (owner) return owner;
+  }
+
+  return projectIncludesFile(project, filePath) ? { tsconfig: tsconfigPath, project } : null;
+}
+
+/**
+ * tsconfig.json first, then sibling tsconfig.*.json files (e.g. tsconfig.test.json)
+ * @private
+ */
+function listTsconfigs(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+
+  const siblings = entries.filter(f => /^tsconfig\..+\.json$/.test(f)).sort();
+  return [...(entries.includes('tsconfig.json') ? ['tsconfig.json'] : []), ...siblings].map(f => path.join(dir, f));
+}
+
+/**
+ * @private
+ */
+function listSourceFiles(rootDir) {
+  const files = [];
+
+  function walk(dir) {
+    if (files.length >= MAX_SCANNED_FILES) return;
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || SKIP_DIRS.has(entry.name)) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (SCANNED_SOURCE.test(entry.name) && files.length < MAX_SCANNED_FILES) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  walk(rootDir);
+  return files;
+}
+
+/**
+ * Files a relative import specifier may resolve to (TS module resolution, simplified)
+ * @private
+ */
+function resolveImportCandidates(fromDir, specifier) {
+  const base = path.resolve(fromDir, specifier);
+  const candidates = [base];
+  for (const ext of ['.ts', '.tsx', '.d.ts', '.mts', '.cts', '.js', '.jsx']) {
+    candidates.push(base + ext, path.join(base, `index${ext}`));
+  }
+  // ESM-style `./a.js` imports refer to `./a.ts`
+  const jsExt = base.match(/\.(m|c)?jsx?$/);
+  if (jsExt) {
+    const stem = base.slice(0, -jsExt[0].length);
+    candidates.push(`${stem}.ts`, `${stem}.tsx`, `${stem}.mts`, `${stem}.cts`);
+  }
+  return candidates;
+}
+
+/**
+ * Run tsc detached to fill the build-info cache, at most one run per tsconfig
+ * @private
+ */
+function startWarmup(command, args, cwd, buildInfo) {
+  const lockFile = `${buildInfo}.lock`;
+  try {
+    const lock = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    if (Date.now() - lock.started < WARMUP_STALE_MS && isProcessAlive(lock.pid)) return;
+  } catch {
+    // No lock or unreadable lock — start a new warm-up
+  }
+
+  try {
+    const child = spawn(command, args, { cwd, detached: true, stdio: 'ignore' });
+    child.unref();
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: child.pid, started: Date.now() }));
+  } catch {
+    // Warm-up is best effort
+  }
+}
+
+/**
+ * @private
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @private
+ */
+function pickFileSelection(source, dir) {
+  const picked = {};
+  for (const key of ['files', 'include', 'exclude']) {
+    if (Array.isArray(source[key])) {
+      picked[key] = source[key].map(p => path.resolve(dir, p));
+    }
+  }
+  if (source.outDir) picked.outDir = path.resolve(dir, source.outDir);
+  return picked;
+}
+
+/**
+ * tsconfig include/exclude pattern to RegExp (`**`, `*`, `?`; bare directories match their contents)
+ * @private
+ */
+function tsGlobToRegex(pattern) {
+  const hasWildcard = /[*?]/.test(pattern);
+  const lastSegment = pattern.split('/').pop();
+  // A pattern without wildcards or extension names a directory (or a file)
+  const expanded = !hasWildcard && !/\.[^/]+$/.test(lastSegment) ? `${pattern}/**/*` : pattern;
+
+  let regex = '';
+  for (let i = 0; i < expanded.length; i++) {
+    const ch = expanded[i];
+    if (ch === '*' && expanded[i + 1] === '*') {
+      regex += expanded[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += expanded[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') {
+      regex += '[^/]*';
+    } else if (ch === '?') {
+      regex += '[^/]';
+    } else {
+      regex += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * @private
+ */
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+/**
+ * Remove // and /* *\/ comments and trailing commas outside of strings
+ * @private
+ */
+function stripJsonComments(text) {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (ch === '\\') {
+        out += text[++i] || '';
+      } else if (ch === '"') {
+        inString = false;
+      }
+    } else if (ch === '"') {
+      inString = true;
+      out += ch;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      out += ch;
+    }
+  }
+  return out.replace(/,(\s*[}\]])/g, '$1');
+}
+
+module.exports = {
+  TS_SOURCE,
+  readTsconfig,
+  resolveProjectConfig,
+  projectIncludesFile,
+  findOwningTsconfig,
+  findDirectDependents,
+  parseTscOutput,
+  resolveTsc,
+  getBuildInfoFile,
+  checkFile
+};
@@ -0,0 +1,117 @@
+/**
+ * TypeScript/JavaScript Security Patterns - Regex checks for common vulnerabilities
+ *
+ * Used by the typescript-security hook after edits and by the security gate
+ * on proposed content before it is written. Each pattern reports its first
+ * match in the file.
+ */
+
+const path = require('path');
+const { createDiagnostic, lineOfIndex } = require('./diagnostics.cjs');
+
+const SOURCE = 'pattern-check';
+const EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs'];
+
+// Single-pattern checks: the first match in the file is reported
+const SECURITY_PATTERNS = [
+  {
+    ruleId: 'eval',
+    pattern: /\beval\s*\(/,
+    severity: 'error',
+    message: 'eval() detected.',
+    fix: 'Avoid eval() - use safer alternatives (JSON.parse, Function constructor with caution).'
+  },
+  {
+    ruleId: 'html-injection',
+    pattern: /\.innerHTML\s*=|dangerouslySetInnerHTML/,
+    severity: 'warning',
+    message: 'Direct HTML injection detected (innerHTML/dangerouslySetInnerHTML).',
+    fix: 'Sanitize input to prevent XSS.'
+  },
+  {
+    ruleId: 'sql-concatenation',
+    pattern: /(?:SELECT|INSERT|UPDATE|DELETE|FROM|WHERE).*[`'"]\s*\+\s*\w+/i,
+    severity: 'error',
+    message: 'Potential SQL injection (string concatenation in query).',
+    fix: 'Use parameterized queries.'
+  },
+  {
+    ruleId: 'hardcoded-credential',
+    pattern: /(?:password|passwd|pwd)\s*[:=]\s*['"][^'"]{3,}['"]|(?:api[_-]?key|apikey)\s*[:=]\s*['"][^'"]{3,}['"]|(?:secret|token)\s*[:=]\s*['"][^'"]{8,}['"]/i,
+    severity: 'error',
+    message: 'Possible hardcoded credential detected.',
+    fix: 'Use environment variables or secure config.'
+  },
+  {
+    ruleId: 'command-injection',
+    pattern: /exec\(\s*[`'"]\s*\$\{|exec\([^)]*\+/,
+    severity: 'error',
+    message: 'Potential command injection in child_process.exec().',
+    fix: 'Use execFile() with array arguments instead.'
+  },
+  {
+    ruleId: 'open-redirect',
+    pattern: /(?:window\.location|location\.href|res\.redirect)\s*[=(]\s*(?:req\.|params\.|query\.)/,
+    severity: 'warning',
+    message: 'Potential open redirect.',
+    fix: 'Validate redirect URLs against an allowlist.'
+  }
+];
+
+/**
+ * Whether a file is TypeScript or JavaScript
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isTsJsFile(filePath) {
+  return EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Run the pattern checks on TypeScript/JavaScript source
+ * @param {string} content - File content
+ * @param {object} options
+ * @param {string} options.file - File path (for the diagnostics)
+ * @returns {object[]} Diagnostics
+ */
+function scanSource(content, options) {
+  const diagnostics = [];
+
+  const report = (check, index) => diagnostics.push(createDiagnostic({
+    file: options.file,
+    line: lineOfIndex(content, index),
+    severity: check.severity,
+    ruleId: check.ruleId,
+    source: SOURCE,
+    message: check.message,
+    fix: check.fix
+  }));
+
+  for (const check of SECURITY_PATTERNS) {
+    const match = check.pattern.exec(content);
+    if (match) report(check, match.index);
+  }
+
+  // Prototype pollution: only flag custom deep merge/extend utilities
+  if (/\[.*\]\s*=/.test(content) && /merge|extend|assign|defaults/.test(content)) {
+    const match = /function\s+(?:merge|deepMerge|extend|deepExtend)/.exec(content);
+    if (match) {
+      report({
+        ruleId: 'prototype-pollution',
+        severity: 'warning',
+        message: 'Custom merge/extend function may be vulnerable to prototype pollution.',
+        fix: 'Validate property names.'
+      }, match.index);
+    }
+  }
+
+  return diagnostics;
+}
+
+module.exports = {
+  SOURCE,
+  EXTENSIONS,
+  SECURITY_PATTERNS,
+  isTsJsFile,
+  scanSource
+};
@@ -174,30 +174,13 @@ function findFiles(dir, pattern, options = {}) {
 
 /**
  * Read JSON from stdin (for hook input)
+ * @deprecated Use readHookInput() from hook-sdk.cjs; this resolves {} for empty stdin
+ * @returns {Promise<object>}
  */
 function readStdinJson() {
-  return new Promise((resolve, reject) => {
-    let data = '';
-
-    process.stdin.setEncoding('utf8');
-    process.stdin.on('data', chunk => {
-      data += chunk;
-    });
-
-    process.stdin.on('end', () => {
-      try {
-        if (data.trim()) {
-          resolve(JSON.parse(data));
-        } else {
-          resolve({});
-        }
-      } catch (err) {
-        reject(err);
-      }
-    });
-
-    process.stdin.on('error', reject);
-  });
+  // Lazy: hook-sdk.cjs depends on this module
+  const { readHookInput } = require('./hook-sdk.cjs');
+  return readHookInput().then(input => input || {});
 }
 
 /**
@@ -219,7 +219,7 @@ class WorkspaceContext {
   /**
    * Get ecosystem for workspace or package
    * @param {string} packageName - Optional package name
-   * @returns {string} - 'nodejs', 'jvm', 'python', 'rust', 'unknown'
+   * @returns {string} - 'nodejs', 'jvm', 'python', 'rust', 'go', 'dotnet', 'unknown'
    */
   getEcosystem(packageName) {
     // If packageName provided and in workspace, find that package
@@ -1,13 +1,19 @@
 /**
  * Workspace Detection
- * Detects and parses workspace configurations (pnpm, nx, lerna, yarn, npm, turborepo)
+ * Detects and parses workspace configurations (pnpm, nx, lerna, yarn, npm, turborepo, go, dotnet, cargo)
  */
 
 const fs = require('fs');
 const path = require('path');
 const { WORKSPACE_TYPES, WORKSPACE_INDICATORS } = require('./types.cjs');
-const { parseWorkspaceConfig } = require('./parsers.cjs');
-const { discoverPackages, discoverNxPackages } = require('./packages.cjs');
+const { parseWorkspaceConfig, findSolutionFile } = require('./parsers.cjs');
+const {
+  discoverPackages,
+  discoverNxPackages,
+  discoverGoModules,
+  discoverSolutionProjects,
+  discoverCargoMembers
+} = require('./packages.cjs');
 
 /**
  * WorkspaceDetector class
@@ -49,6 +55,12 @@ class WorkspaceDetector {
     let packages = [];
     if (config.type === WORKSPACE_TYPES.NX) {
       packages = discoverNxPackages(root, config);
+    } else if (config.type === WORKSPACE_TYPES.GO) {
+      packages = discoverGoModules(root, config.modules);
+    } else if (config.type === WORKSPACE_TYPES.DOTNET) {
+      packages = discoverSolutionProjects(root, config.projects);
+    } else if (config.type === WORKSPACE_TYPES.CARGO) {
+      packages = discoverCargoMembers(root, config.packages, config.exclude);
     } else if (config.packages) {
       packages = discoverPackages(root, config.packages);
     }
@@ -161,7 +173,29 @@ function findWorkspaceRoot(startDir, maxDepth = 10) {
       return currentDir;
     }
 
-    // 5. Check package.json with workspaces field
+    // 5. Check go.work
+    if (fs.existsSync(path.join(currentDir, 'go.work'))) {
+      return currentDir;
+    }
+
+    // 6. Check for a .NET solution file
+    if (findSolutionFile(currentDir)) {
+      return currentDir;
+    }
+
+    // 7. Check Cargo.toml with a [workspace] table
+    const cargoTomlPath = path.join(currentDir, 'Cargo.toml');
+    if (fs.existsSync(cargoTomlPath)) {
+      try {
+        if (/^\s*\[workspace\]\s*$/m.test(fs.readFileSync(cargoTomlPath, 'utf8'))) {
+          return currentDir;
+        }
+      } catch (error) {
+        // Unreadable Cargo.toml, continue
+      }
+    }
+
+    // 8. Check package.json with workspaces field
     const packageJsonPath = path.join(currentDir, 'package.json');
     if (fs.existsSync(packageJsonPath)) {
       try {
@@ -10,7 +10,7 @@ const { detectWorkspace } = require('./detection.cjs');
 /**
  * Detect ecosystem for a single package
  * @param {string} packagePath - Package directory path
- * @returns {string} Ecosystem type (nodejs, jvm, python, rust, unknown)
+ * @returns {string} Ecosystem type (nodejs, jvm, python, rust, go, dotnet, unknown)
  */
 function detectPackageEcosystem(packagePath) {
   return detectEcosystem(packagePath);
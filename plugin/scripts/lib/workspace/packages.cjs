@@ -28,9 +28,10 @@ function globToRegex(pattern) {
  * @param {string} workspaceRoot - Workspace root directory
  * @param {string[]} patterns - Glob patterns
  * @param {number} maxDepth - Maximum depth to search (default: 5)
+ * @param {string} manifest - File a directory must contain to match (default: package.json)
  * @returns {string[]} Array of matching directory paths
  */
-function findMatchingDirectories(workspaceRoot, patterns, maxDepth = 5) {
+function findMatchingDirectories(workspaceRoot, patterns, maxDepth = 5, manifest = 'package.json') {
   const results = [];
   const regexPatterns = patterns.map(p => globToRegex(p));
 
@@ -43,8 +44,8 @@ function findMatchingDirectories(workspaceRoot, patterns, maxDepth = 5) {
       for (const entry of entries) {
         if (!entry.isDirectory()) continue;
 
-        // Skip node_modules and hidden directories
-        if (entry.name === 'node_modules' || entry.name.startsWith('.')) {
+        // Skip node_modules, Cargo build output and hidden directories
+        if (entry.name === 'node_modules' || entry.name === 'target' || entry.name.startsWith('.')) {
           continue;
         }
 
@@ -54,8 +55,8 @@ function findMatchingDirectories(workspaceRoot, patterns, maxDepth = 5) {
         // Check if path matches any pattern
         for (const regex of regexPatterns) {
           if (regex.test(relativePath)) {
-            // Check if it has package.json
-            if (fs.existsSync(path.join(fullPath, 'package.json'))) {
+            // Check if it has the manifest file
+            if (fs.existsSync(path.join(fullPath, manifest))) {
               results.push(fullPath);
             }
             break;
@@ -175,6 +176,118 @@ function discoverNxPackages(workspaceRoot, nxConfig) {
   return packages;
 }
 
+/**
+ * Discover Go modules listed in go.work
+ * Go modules have no package.json — the module path from go.mod is used as the name
+ * @param {string} workspaceRoot - Workspace root directory
+ * @param {string[]} modules - Module directories relative to the workspace root
+ * @returns {Array} Array of package objects
+ */
+function discoverGoModules(workspaceRoot, modules) {
+  const packages = [];
+
+  for (const modulePath of modules || []) {
+    const moduleDir = path.resolve(workspaceRoot, modulePath);
+    const goModPath = path.join(moduleDir, 'go.mod');
+
+    if (!fs.existsSync(goModPath)) {
+      continue;
+    }
+
+    let name = path.basename(moduleDir);
+    try {
+      const match = fs.readFileSync(goModPath, 'utf8').match(/^module\s+(\S+)/m);
+      if (match) {
+        name = match[1];
+      }
+    } catch {}
+
+    if (!packages.some(p => p.path === moduleDir)) {
+      packages.push({
+        name,
+        path: moduleDir,
+        relativePath: path.relative(workspaceRoot, moduleDir),
+        packageJson: { name }
+      });
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Discover projects listed in a .NET solution
+ * Each project's directory becomes a package; the project file is kept for dotnet commands
+ * @param {string} workspaceRoot - Workspace root directory
+ * @param {Array<{ name: string, path: string }>} projects - Projects from the solution file
+ * @returns {Array} Array of package objects
+ */
+function discoverSolutionProjects(workspaceRoot, projects) {
+  const packages = [];
+
+  for (const project of projects || []) {
+    const projectFile = path.resolve(workspaceRoot, project.path);
+
+    if (!fs.existsSync(projectFile)) {
+      continue;
+    }
+
+    const projectDir = path.dirname(projectFile);
+    packages.push({
+      name: project.name,
+      path: projectDir,
+      relativePath: path.relative(workspaceRoot, projectDir),
+      projectFile,
+      packageJson: { name: project.name }
+    });
+  }
+
+  return packages;
+}
+
+/**
+ * Discover Cargo workspace members
+ * Members are matched like package globs but must contain Cargo.toml; the
+ * crate name comes from its [package] table
+ * @param {string} workspaceRoot - Workspace root directory
+ * @param {string[]} members - Member paths or globs from [workspace] members
+ * @param {string[]} exclude - Paths from [workspace] exclude
+ * @returns {Array} Array of package objects
+ */
+function discoverCargoMembers(workspaceRoot, members, exclude = []) {
+  if (!members || members.length === 0) {
+    return [];
+  }
+
+  const excludeRegexes = exclude.map(p => globToRegex(p.replace(/\/$/, '')));
+  const packages = [];
+
+  for (const memberDir of findMatchingDirectories(workspaceRoot, members, 5, 'Cargo.toml')) {
+    const relativePath = path.relative(workspaceRoot, memberDir);
+    if (excludeRegexes.some(regex => regex.test(relativePath.split(path.sep).join('/')))) {
+      continue;
+    }
+
+    let name = path.basename(memberDir);
+    try {
+      const content = fs.readFileSync(path.join(memberDir, 'Cargo.toml'), 'utf8');
+      const match = content.match(/^\[package\][\s\S]*?^\s*name\s*=\s*["']([^"']+)["']/m);
+      if (match) {
+        name = match[1];
+      }
+    } catch {}
+
+    packages.push({
+      name,
+      path: memberDir,
+      relativePath,
+      packageJson: { name }
+    });
+  }
+
+  return packages;
+}
+
 /**
  * Find project.json files in workspace
  * @param {string} workspaceRoot - Workspace root directory
@@ -215,6 +328,9 @@ function findProjectJsonFiles(workspaceRoot, maxDepth = 5) {
 module.exports = {
   discoverPackages,
   discoverNxPackages,
+  discoverGoModules,
+  discoverSolutionProjects,
+  discoverCargoMembers,
   findMatchingDirectories,
   globToRegex
 };
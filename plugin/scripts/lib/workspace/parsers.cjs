@@ -1,12 +1,15 @@
 /**
  * Workspace Configuration Parsers
- * Parsers for different workspace types: pnpm, nx, lerna, yarn, npm, turborepo
+ * Parsers for different workspace types: pnpm, nx, lerna, yarn, npm, turborepo, go, dotnet, cargo
  */
 
 const fs = require('fs');
 const path = require('path');
 const { WORKSPACE_TYPES } = require('./types.cjs');
 
+// Visual Studio "Solution Folder" project type — a virtual folder, not a buildable project
+const SOLUTION_FOLDER_TYPE = '2150E333-8FDC-42A3-9474-1A3956D46DE8';
+
 /**
  * Parse pnpm-workspace.yaml
  * @param {string} workspaceRoot - Workspace root directory
@@ -136,6 +139,212 @@ function parseTurborepoWorkspace(workspaceRoot) {
   }
 }
 
+/**
+ * Parse go.work
+ * Supports single-line `use ./dir` directives and `use ( ... )` blocks
+ * @param {string} workspaceRoot - Workspace root directory
+ * @returns {object|null} Parsed workspace config
+ */
+function parseGoWorkspace(workspaceRoot) {
+  const goWorkPath = path.join(workspaceRoot, 'go.work');
+
+  if (!fs.existsSync(goWorkPath)) {
+    return null;
+  }
+
+  try {
+    const content = fs.readFileSync(goWorkPath, 'utf8');
+    const modules = [];
+    let goVersion;
+    let inUseBlock = false;
+
+    for (const rawLine of content.split('\n')) {
+      const line = rawLine.replace(/\/\/.*$/, '').trim();
+      if (!line) continue;
+
+      if (inUseBlock) {
+        if (line === ')') {
+          inUseBlock = false;
+        } else {
+          modules.push(unquoteGoPath(line));
+        }
+        continue;
+      }
+
+      const goMatch = line.match(/^go\s+(\S+)/);
+      if (goMatch) {
+        goVersion = goMatch[1];
+        continue;
+      }
+
+      if (/^use\s*\($/.test(line)) {
+        inUseBlock = true;
+        continue;
+      }
+
+      const useMatch = line.match(/^use\s+(\S+)/);
+      if (useMatch) {
+        modules.push(unquoteGoPath(useMatch[1]));
+      }
+    }
+
+    return {
+      type: WORKSPACE_TYPES.GO,
+      modules,
+      goVersion
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Strip quotes and a leading ./ from a go.work module path
+ * @param {string} modulePath - Path as written in go.work
+ * @returns {string} Relative module directory
+ */
+function unquoteGoPath(modulePath) {
+  return modulePath.replace(/^["`]|["`]$/g, '').replace(/^\.\//, '') || '.';
+}
+
+/**
+ * Find the solution file in a directory
+ * When several exist, the one named after the directory wins, then the first alphabetically
+ * @param {string} workspaceRoot - Workspace root directory
+ * @returns {string|null} Solution file name or null
+ */
+function findSolutionFile(workspaceRoot) {
+  let solutions;
+  try {
+    solutions = fs.readdirSync(workspaceRoot).filter(file => file.endsWith('.sln')).sort();
+  } catch (error) {
+    return null;
+  }
+
+  if (solutions.length === 0) {
+    return null;
+  }
+
+  const named = `${path.basename(workspaceRoot)}.sln`;
+  return solutions.includes(named) ? named : solutions[0];
+}
+
+/**
+ * Parse a Visual Studio solution (.sln)
+ * Reads `Project("{type}") = "Name", "path\to\Name.csproj", "{guid}"` entries,
+ * skipping solution folders
+ * @param {string} workspaceRoot - Workspace root directory
+ * @returns {object|null} Parsed workspace config
+ */
+function parseDotnetSolution(workspaceRoot) {
+  const solution = findSolutionFile(workspaceRoot);
+
+  if (!solution) {
+    return null;
+  }
+
+  try {
+    const content = fs.readFileSync(path.join(workspaceRoot, solution), 'utf8');
+    const projectRegex = /^Project\("\{([0-9A-Fa-f-]+)\}"\)\s*=\s*"([^"]+)",\s*"([^"]+)"/gm;
+    const projects = [];
+    let match;
+
+    while ((match = projectRegex.exec(content)) !== null) {
+      const [, typeGuid, name, projectPath] = match;
+      if (typeGuid.toUpperCase() === SOLUTION_FOLDER_TYPE) continue;
+
+      projects.push({
+        name,
+        path: projectPath.replace(/\\/g, '/')
+      });
+    }
+
+    return {
+      type: WORKSPACE_TYPES.DOTNET,
+      solution,
+      projects
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse the [workspace] table of Cargo.toml
+ * Reads the `members` and `exclude` arrays (single- or multi-line); members may be globs
+ * @param {string} workspaceRoot - Workspace root directory
+ * @returns {object|null} Parsed workspace config
+ */
+function parseCargoWorkspace(workspaceRoot) {
+  const cargoPath = path.join(workspaceRoot, 'Cargo.toml');
+
+  if (!fs.existsSync(cargoPath)) {
+    return null;
+  }
+
+  try {
+    const content = fs.readFileSync(cargoPath, 'utf8');
+    const table = getTomlTable(content, 'workspace');
+
+    if (table === null) {
+      return null;
+    }
+
+    return {
+      type: WORKSPACE_TYPES.CARGO,
+      packages: getTomlStringArray(table, 'members'),
+      exclude: getTomlStringArray(table, 'exclude')
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract the body of a top-level TOML table (e.g. `[workspace]`)
+ * @param {string} content - TOML file content
+ * @param {string} name - Table name
+ * @returns {string|null} Table body or null if the table is absent
+ */
+function getTomlTable(content, name) {
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex(line => line.trim() === `[${name}]`);
+
+  if (start === -1) {
+    return null;
+  }
+
+  const body = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*\[/.test(line)) break;
+    body.push(line);
+  }
+  return body.join('\n');
+}
+
+/**
+ * Read a string array value (`key = ["a", "b"]`) from a TOML table body
+ * @param {string} table - Table body from getTomlTable()
+ * @param {string} key - Key to read
+ * @returns {string[]} Array values, or [] when the key is absent
+ */
+function getTomlStringArray(table, key) {
+  const match = table.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, 'm'));
+
+  if (!match) {
+    return [];
+  }
+
+  const values = [];
+  const stringRegex = /"([^"]*)"|'([^']*)'/g;
+  const withoutComments = match[1].replace(/#.*$/gm, '');
+  let value;
+  while ((value = stringRegex.exec(withoutComments)) !== null) {
+    values.push(value[1] !== undefined ? value[1] : value[2]);
+  }
+  return values;
+}
+
 /**
  * Parse package.json workspaces field (Yarn/NPM)
  * @param {string} workspaceRoot - Workspace root directory
@@ -203,7 +412,19 @@ function parseWorkspaceConfig(workspaceRoot) {
   const turboConfig = parseTurborepoWorkspace(workspaceRoot);
   if (turboConfig) return turboConfig;
 
-  // 5. Try Yarn/NPM workspaces (least specific)
+  // 5. Try Go workspaces
+  const goConfig = parseGoWorkspace(workspaceRoot);
+  if (goConfig) return goConfig;
+
+  // 6. Try .NET solutions
+  const dotnetConfig = parseDotnetSolution(workspaceRoot);
+  if (dotnetConfig) return dotnetConfig;
+
+  // 7. Try Cargo workspaces
+  const cargoConfig = parseCargoWorkspace(workspaceRoot);
+  if (cargoConfig) return cargoConfig;
+
+  // 8. Try Yarn/NPM workspaces (least specific)
   const packageJsonConfig = parsePackageJsonWorkspaces(workspaceRoot);
   if (packageJsonConfig) return packageJsonConfig;
 
@@ -215,6 +436,10 @@ module.exports = {
   parseNxWorkspace,
   parseLernaWorkspace,
   parseTurborepoWorkspace,
+  parseGoWorkspace,
+  parseDotnetSolution,
+  parseCargoWorkspace,
+  findSolutionFile,
   parsePackageJsonWorkspaces,
   parseWorkspaceConfig
 };
@@ -12,6 +12,9 @@ const WORKSPACE_TYPES = {
   YARN: 'yarn-workspace',
   NPM: 'npm-workspace',
   TURBOREPO: 'turborepo',
+  GO: 'go-workspace',
+  DOTNET: 'dotnet-solution',
+  CARGO: 'cargo-workspace',
   NONE: null
 };
 
@@ -24,6 +27,9 @@ const WORKSPACE_INDICATORS = {
   [WORKSPACE_TYPES.NX]: ['nx.json'],
   [WORKSPACE_TYPES.LERNA]: ['lerna.json'],
   [WORKSPACE_TYPES.TURBOREPO]: ['turbo.json'],
+  [WORKSPACE_TYPES.GO]: ['go.work'],
+  [WORKSPACE_TYPES.DOTNET]: ['*.sln'],
+  // Cargo workspaces detected via the [workspace] table in Cargo.toml
   // Yarn and NPM workspaces detected via package.json
 };
 
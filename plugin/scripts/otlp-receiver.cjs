@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * OTLP Receiver - Local stand-in collector
+ *
+ * Accepts OTLP/HTTP JSON trace exports on /v1/traces and prints one line per
+ * span, so the hook telemetry export (lib/telemetry-otlp.cjs) can be checked
+ * without a real OpenTelemetry collector.
+ *
+ * Usage:
+ *   node scripts/otlp-receiver.cjs [--port 4318] [--host 127.0.0.1] [--out FILE] [--status CODE]
+ *
+ * Point the export at it in $CLAUDE_CONFIG_DIR/hook-telemetry.json:
+ *   { "otlp": { "endpoint": "http://127.0.0.1:4318/v1/traces" } }
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { fromSpan } = require('./lib/telemetry-otlp.cjs');
+
+const TRACES_PATH = '/v1/traces';
+const MAX_BODY_SIZE = 16 * 1024 * 1024;
+
+const USAGE = `Usage:
+  node otlp-receiver.cjs [options]
+
+Options:
+  --port N       Port to listen on (default: 4318; 0 picks a free one)
+  --host HOST    Interface to listen on (default: 127.0.0.1)
+  --out FILE     Also append every span, flattened, to FILE as JSON lines
+  --status CODE  Answer every export with this HTTP status, e.g. 503 to test buffering`;
+
+/**
+ * Read a --flag value
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function flagValue(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1 || idx + 1 >= args.length) return undefined;
+  return args[idx + 1];
+}
+
+/**
+ * Spans of an export request, flattened with their service
+ * @param {object} request - ExportTraceServiceRequest (JSON)
+ * @returns {object[]}
+ */
+function collectSpans(request) {
+  const spans = [];
+  for (const resourceSpans of request.resourceSpans || []) {
+    const service = (resourceSpans.resource && resourceSpans.resource.attributes || [])
+      .find(a => a.key === 'service.name');
+    for (const scopeSpans of resourceSpans.scopeSpans || []) {
+      for (const span of scopeSpans.spans || []) {
+        spans.push({ service: service ? service.value.stringValue : undefined, ...fromSpan(span) });
+      }
+    }
+  }
+  return spans;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const port = Number(flagValue(args, '--port') || 4318);
+  const host = flagValue(args, '--host') || '127.0.0.1';
+  const outFile = flagValue(args, '--out');
+  const forcedStatus = Number(flagValue(args, '--status')) || 0;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url.split('?')[0] !== TRACES_PATH) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!String(req.headers['content-type'] || '').includes('application/json')) {
+      // Protobuf exports are not supported by this stand-in
+      res.writeHead(415).end();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (forcedStatus) {
+        console.log(`Answered ${forcedStatus} to an export of ${size} bytes`);
+        res.writeHead(forcedStatus).end();
+        return;
+      }
+      let spans;
+      try {
+        if (size > MAX_BODY_SIZE) throw new Error('request too large');
+        spans = collectSpans(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ message: error.message }));
+        return;
+      }
+
+      for (const span of spans) {
+        const duration = span['hook.duration_ms'] !== undefined ? ` ${span['hook.duration_ms']}ms` : '';
+        const tool = span['hook.tool'] ? ` ${span['hook.tool']}` : '';
+        console.log(`${span['hook.event'] || '-'} ${span.name} ${span['hook.outcome'] || '-'}${duration}${tool}`);
+      }
+      if (outFile && spans.length > 0) {
+        fs.appendFileSync(outFile, spans.map(span => JSON.stringify(span)).join('\n') + '\n');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{}');
+    });
+  });
+
+  server.listen(port, host, () => {
+    const address = server.address();
+    console.log(`Listening on http://${host}:${address.port}${TRACES_PATH}`);
+  });
+}
+
+main();
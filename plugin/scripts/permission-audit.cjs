@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Permission Audit - CLI
+ *
+ * Analyses the permission-filter audit trail ($CLAUDE_CONFIG_DIR/permission-audit.jsonl).
+ *
+ * Usage:
+ *   node scripts/permission-audit.cjs top [--days N] [--limit N]
+ *   node scripts/permission-audit.cjs suggest [--days N] [--min N]
+ *   node scripts/permission-audit.cjs replay <candidate-policy.json> [--days N]
+ */
+
+const fs = require('fs');
+const {
+  AUDIT_FILE,
+  readAuditLog,
+  getTopAskedCommands,
+  suggestRules,
+  replayAudit
+} = require('./lib/permission-audit.cjs');
+
+const USAGE = `Usage:
+  node permission-audit.cjs top [--days N] [--limit N]       Commands asked about most often
+  node permission-audit.cjs suggest [--days N] [--min N]     Propose allow rules for permission-policy.json
+  node permission-audit.cjs replay <policy.json> [--days N]  Show decisions a candidate policy would change
+
+Audit file: ${AUDIT_FILE}`;
+
+/**
+ * Read a numeric --flag value
+ * @param {string[]} args
+ * @param {string} flag
+ * @param {number} fallback
+ * @returns {number}
+ */
+function numberFlag(args, flag, fallback) {
+  const idx = args.indexOf(flag);
+  if (idx === -1 || idx + 1 >= args.length) return fallback;
+  const value = parseInt(args[idx + 1], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function printTop(entries, limit) {
+  const top = getTopAskedCommands(entries).slice(0, limit);
+  if (top.length === 0) {
+    console.log('No commands were left to the user.');
+    return;
+  }
+  console.log('Commands asked about most often');
+  console.log('='.repeat(70));
+  for (const { command, count } of top) {
+    console.log(`${String(count).padStart(5)}  ${command}`);
+  }
+}
+
+function printSuggestions(entries, minCount) {
+  const all = suggestRules(entries, { minCount });
+  if (all.length === 0) {
+    console.log(`No command was asked about at least ${minCount} times.`);
+    return;
+  }
+  const suggestions = all.filter(s => s.rule);
+  const flagged = all.filter(s => !s.rule);
+
+  if (suggestions.length > 0) {
+    console.log('Suggested rules (review before adding to .claude/permission-policy.json)');
+    console.log('='.repeat(70));
+    for (const s of suggestions) {
+      console.log(`${s.id}: asked ${s.count} times, e.g. ${s.examples.join(' | ')}`);
+    }
+    console.log('');
+  }
+  if (flagged.length > 0) {
+    console.log('Not suggested (a rule would allow arbitrary code)');
+    console.log('='.repeat(70));
+    for (const s of flagged) {
+      console.log(`${s.prefix}: asked ${s.count} times, e.g. ${s.examples.join(' | ')}`);
+      console.log(`  ${s.risk}`);
+    }
+    console.log('');
+  }
+  if (suggestions.length === 0) return;
+
+  const rules = {};
+  for (const s of suggestions) rules[s.id] = s.rule;
+  console.log(JSON.stringify({ rules }, null, 2));
+}
+
+function printReplay(entries, policyPath) {
+  let candidate;
+  try {
+    candidate = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+  } catch (err) {
+    console.error(`Cannot read candidate policy ${policyPath}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const { total, changes, errors } = replayAudit(entries, candidate);
+  for (const err of errors) {
+    console.log(`Policy error: ${err}`);
+  }
+
+  const changed = changes.reduce((sum, c) => sum + c.count, 0);
+  console.log(`Replayed ${total} Bash request(s): ${changed} decision(s) would change`);
+  console.log('='.repeat(70));
+  for (const c of changes) {
+    const rule = c.rule ? ` [${c.rule}]` : '';
+    console.log(`${String(c.count).padStart(5)}  ${c.before} -> ${c.after}${rule}  ${c.command}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const subcommand = args[0];
+  const days = numberFlag(args, '--days', 0);
+  const entries = readAuditLog({ days });
+
+  switch (subcommand) {
+    case 'top':
+      printTop(entries, numberFlag(args, '--limit', 20));
+      break;
+    case 'suggest':
+      printSuggestions(entries, numberFlag(args, '--min', 3));
+      break;
+    case 'replay':
+      if (!args[1] || args[1].startsWith('--')) {
+        console.log(USAGE);
+        process.exit(1);
+      }
+      printReplay(entries, args[1]);
+      break;
+    default:
+      console.log(USAGE);
+      process.exit(subcommand ? 1 : 0);
+  }
+}
+
+main();
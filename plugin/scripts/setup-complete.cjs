@@ -31,7 +31,7 @@ const {
   detectLanguages
 } = require('./lib/serena.cjs');
 const { isClaudeMemInstalled, isFrontendDesignInstalled, isClaudeCodeDocsInstalled } = require('./lib/status/collectors.cjs');
-const { getAllProjectSubTypes } = require('./lib/ecosystems/index.cjs');
+const { getAllProjectSubTypes, hasIndicator } = require('./lib/ecosystems/index.cjs');
 
 // Project type indicators — built dynamically from the ecosystem registry
 const PROJECT_INDICATORS = getAllProjectSubTypes();
@@ -44,7 +44,7 @@ function detectProjectTypes(cwd) {
 
   for (const [type, indicators] of Object.entries(PROJECT_INDICATORS)) {
     for (const indicator of indicators) {
-      if (fs.existsSync(path.join(cwd, indicator))) {
+      if (hasIndicator(cwd, indicator)) {
         if (!types.includes(type)) {
           types.push(type);
         }
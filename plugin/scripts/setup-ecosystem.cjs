@@ -229,7 +229,7 @@ Usage:
 
 Options:
   --detect           Detect current ecosystem and check tools
-  --check <eco>      Check tools for specific ecosystem (nodejs, python, jvm, rust)
+  --check <eco>      Check tools for specific ecosystem (nodejs, python, jvm, rust, go)
   --help <tool>      Show installation help for specific tool
   --interactive      Interactive setup wizard
   --all              Show all ecosystems (for monorepos)
@@ -14,6 +14,7 @@ const {
   collectAgents,
   collectSkills,
   collectHooks,
+  collectHookSettings,
   collectRules,
   collectCommands,
   collectEcosystem,
@@ -37,6 +38,7 @@ function main() {
     ['agents', () => collectAgents(pluginRoot)],
     ['skills', () => collectSkills(pluginRoot)],
     ['hooks', () => collectHooks(pluginRoot)],
+    ['hookSettings', () => collectHookSettings(pluginRoot)],
     ['rules', () => collectRules(pluginRoot)],
     ['commands', () => collectCommands(pluginRoot)],
     ['ecosystem', () => collectEcosystem()],
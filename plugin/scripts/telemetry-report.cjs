@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Telemetry Report - CLI
+ *
+ * Reports hook telemetry ($CLAUDE_CONFIG_DIR/hook-telemetry.jsonl and its
+ * rotated files) as text, JSON or a self-contained HTML page, and prunes
+ * rotated files past the retention period.
+ *
+ * Usage:
+ *   node scripts/telemetry-report.cjs [--days N | --since DATE [--until DATE]] [--compare [FROM..TO]]
+ *                                      [--project NAME] [--session ID] [--format text|json|html] [--out FILE]
+ *   node scripts/telemetry-report.cjs --prune [DAYS]
+ */
+
+const fs = require('fs');
+const { TELEMETRY_FILE, getRetentionDays, pruneTelemetry } = require('./lib/hook-telemetry.cjs');
+const { buildReport, formatReport, toHtml } = require('./lib/telemetry-report.cjs');
+
+const FORMATS = ['text', 'json', 'html'];
+
+const USAGE = `Usage:
+  node telemetry-report.cjs [options]
+  node telemetry-report.cjs --prune [DAYS]
+
+Options:
+  --days N               Report the last N days (default: 7)
+  --since DATE           Report from DATE (YYYY-MM-DD, UTC) instead
+  --until DATE           ... through DATE (default: now)
+  --compare [FROM..TO]   Compare with another window (default: the one right before)
+  --project NAME         Only runs in this project (directory name or project_id)
+  --session ID           Only runs in this session (id or a prefix of it)
+  --format text|json|html  Output format (default: text)
+  --out FILE             Write to FILE instead of stdout
+  --prune [DAYS]         Delete rotated logs older than DAYS (default: retentionDays
+                         in hook-telemetry.json, currently ${getRetentionDays()})
+
+Telemetry log: ${TELEMETRY_FILE}`;
+
+/**
+ * Read a --flag value
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function flagValue(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1 || idx + 1 >= args.length || args[idx + 1].startsWith('--')) return undefined;
+  return args[idx + 1];
+}
+
+/**
+ * --compare value: true for the previous window, or explicit dates
+ * @param {string[]} args
+ * @returns {boolean|{ since: string, until: string }}
+ */
+function compareOption(args) {
+  if (!args.includes('--compare')) return false;
+  const range = flagValue(args, '--compare');
+  if (!range) return true;
+  const [since, until] = range.split('..');
+  return { since, until: until || undefined };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (args.includes('--prune')) {
+    const value = flagValue(args, '--prune');
+    const pruned = pruneTelemetry(value !== undefined ? { retentionDays: Number(value) } : {});
+    console.log(`Pruned ${pruned.length} rotated telemetry file(s)`);
+    for (const file of pruned) console.log(`  ${file}`);
+    return;
+  }
+
+  const format = flagValue(args, '--format') || 'text';
+  if (!FORMATS.includes(format)) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = buildReport({
+      days: parseInt(flagValue(args, '--days'), 10) || 7,
+      since: flagValue(args, '--since'),
+      until: flagValue(args, '--until'),
+      project: flagValue(args, '--project'),
+      session: flagValue(args, '--session'),
+      compare: compareOption(args)
+    });
+  } catch (err) {
+    console.error(err.message);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  const output = format === 'json'
+    ? JSON.stringify(report, null, 2)
+    : format === 'html' ? toHtml(report) : formatReport(report);
+
+  const outFile = flagValue(args, '--out');
+  if (outFile) {
+    fs.writeFileSync(outFile, output.endsWith('\n') ? output : output + '\n');
+    console.error(`Wrote ${format} report (${report.events} events) to ${outFile}`);
+  } else {
+    console.log(output);
+  }
+}
+
+main();
@@ -0,0 +1,71 @@
+package com.example.fixtures;
+
+import java.security.MessageDigest;
+import java.security.SecureRandom;
+import java.util.Random;
+import javax.crypto.Cipher;
+
+public class Crypto {
+    private static final Random RANDOM = new Random();
+    // ok: hardcoded-credential
+    private static final String PASSWORD_PROPERTY = "spring.datasource.password";
+    // ruleid: hardcoded-credential
+    private static final String DB_PASSWORD = "Sup3rS3cret!";
+    // ok: hardcoded-credential
+    private String password = "";
+
+    public byte[] md5(byte[] data) throws Exception {
+        // ruleid: weak-hash
+        return MessageDigest.getInstance("MD5").digest(data);
+    }
+
+    public byte[] sha256(byte[] data) throws Exception {
+        // ok: weak-hash
+        return MessageDigest.getInstance("SHA-256").digest(data);
+    }
+
+    public Cipher ciphers() throws Exception {
+        // ruleid: weak-cipher
+        Cipher des = Cipher.getInstance("DES/CBC/PKCS5Padding");
+        // ruleid: weak-cipher
+        Cipher ecb = Cipher.getInstance("AES/ECB/PKCS5Padding");
+        // ruleid: weak-cipher
+        Cipher defaults = Cipher.getInstance("AES");
+        // ok: weak-cipher
+        return Cipher.getInstance("AES/GCM/NoPadding");
+    }
+
+    public String generateToken() {
+        // ruleid: insecure-random
+        return Long.toHexString(RANDOM.nextLong());
+    }
+
+    public String resetCode() {
+        // ruleid: insecure-random
+        String sessionId = Integer.toString(new Random().nextInt());
+        return sessionId;
+    }
+
+    public int rollDice() {
+        // ok: insecure-random
+        return new Random().nextInt(6) + 1;
+    }
+
+    public byte[] secureNonce() {
+        byte[] nonce = new byte[16];
+        // ok: insecure-random
+        new SecureRandom().nextBytes(nonce);
+        return nonce;
+    }
+
+    public void connect(DataSourceBuilder builder) {
+        // ruleid: hardcoded-credential
+        builder.setPassword("hunter2hunter2");
+        // ok: hardcoded-credential
+        builder.setPassword(System.getenv("DB_PASSWORD"));
+    }
+
+    interface DataSourceBuilder {
+        void setPassword(String password);
+    }
+}
@@ -0,0 +1,89 @@
+package com.example.fixtures;
+
+import java.io.File;
+import java.io.FileInputStream;
+import java.nio.file.Path;
+import java.nio.file.Paths;
+import java.sql.Connection;
+import java.sql.PreparedStatement;
+import java.sql.ResultSet;
+import java.sql.Statement;
+import javax.servlet.http.HttpServletRequest;
+import org.springframework.web.bind.annotation.GetMapping;
+import org.springframework.web.bind.annotation.RequestParam;
+
+// Fixture for lib/jvm-security-scanner.cjs: `ruleid:` marks the next code line
+// as a finding of that rule, `ok:` marks it as clean.
+public class Injection {
+    private static final String TABLE = "users";
+    private static final File BASE_DIR = new File("/srv/files");
+
+    public ResultSet findUser(Connection conn, String id) throws Exception {
+        Statement stmt = conn.createStatement();
+        // ruleid: sql-injection
+        return stmt.executeQuery("SELECT * FROM users WHERE id = '" + id + "'");
+    }
+
+    public ResultSet findByName(Connection conn, String name) throws Exception {
+        // ruleid: sql-injection
+        String sql = "SELECT * FROM users WHERE name = '" + name + "'";
+        return conn.createStatement().executeQuery(sql);
+    }
+
+    public ResultSet findSafely(Connection conn, String id) throws Exception {
+        // ok: sql-injection
+        PreparedStatement ps = conn.prepareStatement("SELECT * FROM " + TABLE + " WHERE id = ?");
+        ps.setString(1, id);
+        return ps.executeQuery();
+    }
+
+    public String message(String file) {
+        // ok: sql-injection
+        return "Please select a file from " + file;
+    }
+
+    public void ping(String host) throws Exception {
+        // ruleid: command-injection
+        Runtime.getRuntime().exec("ping -c 1 " + host);
+    }
+
+    public void shell(String userCommand) throws Exception {
+        // ruleid: command-injection
+        new ProcessBuilder("sh", "-c", userCommand).start();
+    }
+
+    public void list(String dir) throws Exception {
+        // ok: command-injection
+        new ProcessBuilder("ls", "-la", dir).start();
+        // ok: command-injection
+        Runtime.getRuntime().exec("git status");
+    }
+
+    @GetMapping("/download")
+    public byte[] download(@RequestParam("name") String name) throws Exception {
+        // ruleid: path-traversal
+        try (FileInputStream in = new FileInputStream(new File(BASE_DIR, name))) {
+            return in.readAllBytes();
+        }
+    }
+
+    public Path legacy(HttpServletRequest request) {
+        // ruleid: path-traversal
+        return Paths.get("/srv/files", request.getParameter("file"));
+    }
+
+    public File sanitized(@RequestParam String name) {
+        Path base = BASE_DIR.toPath();
+        Path target = base.resolve(name).normalize();
+        if (!target.startsWith(base)) {
+            throw new IllegalArgumentException("Invalid path");
+        }
+        // ok: path-traversal
+        return new File(base.toFile(), name);
+    }
+
+    public File internal() {
+        // ok: path-traversal
+        return new File(BASE_DIR, "index.html");
+    }
+}
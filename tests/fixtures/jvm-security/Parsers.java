@@ -0,0 +1,48 @@
+package com.example.fixtures;
+
+import java.beans.XMLDecoder;
+import java.io.InputStream;
+import java.io.ObjectInputStream;
+import javax.xml.XMLConstants;
+import javax.xml.parsers.DocumentBuilder;
+import javax.xml.parsers.DocumentBuilderFactory;
+import javax.xml.parsers.SAXParserFactory;
+
+public class Parsers {
+    public DocumentBuilder unsafeBuilder() throws Exception {
+        // ruleid: xxe
+        DocumentBuilderFactory factory = DocumentBuilderFactory.newInstance();
+        return factory.newDocumentBuilder();
+    }
+
+    public DocumentBuilder safeBuilder() throws Exception {
+        // ok: xxe
+        DocumentBuilderFactory factory = DocumentBuilderFactory.newInstance();
+        factory.setFeature("http://apache.org/xml/features/disallow-doctype-decl", true);
+        factory.setFeature(XMLConstants.FEATURE_SECURE_PROCESSING, true);
+        return factory.newDocumentBuilder();
+    }
+
+    public Object readObject(InputStream in) throws Exception {
+        // ruleid: unsafe-deserialization
+        try (ObjectInputStream ois = new ObjectInputStream(in)) {
+            return ois.readObject();
+        }
+    }
+
+    public Object readBean(InputStream in) {
+        // ruleid: unsafe-deserialization
+        XMLDecoder decoder = new XMLDecoder(in);
+        return decoder.readObject();
+    }
+
+    public Object parseJson(String json, com.fasterxml.jackson.databind.ObjectMapper mapper) throws Exception {
+        // ok: unsafe-deserialization
+        return mapper.readValue(json, Object.class);
+    }
+
+    public SAXParserFactory sax() {
+        // ruleid: xxe
+        return SAXParserFactory.newInstance();
+    }
+}
@@ -0,0 +1,77 @@
+package com.example.fixtures
+
+import java.io.File
+import java.security.MessageDigest
+import javax.crypto.Cipher
+import javax.xml.parsers.DocumentBuilderFactory
+import kotlin.random.Random
+import org.springframework.jdbc.core.JdbcTemplate
+import org.springframework.web.bind.annotation.CrossOrigin
+import org.springframework.web.bind.annotation.RequestParam
+
+// ruleid: hardcoded-credential
+const val API_KEY = "sk_live_51HxYzAbCdEf"
+
+// ok: hardcoded-credential
+const val API_KEY_HEADER = "X-Api-Key"
+
+class Service(private val jdbc: JdbcTemplate) {
+
+    fun findUser(id: String): List<Map<String, Any>> {
+        // ruleid: sql-injection
+        return jdbc.queryForList("SELECT * FROM users WHERE id = '$id'")
+    }
+
+    fun findUserSafely(id: String): List<Map<String, Any>> {
+        // ok: sql-injection
+        return jdbc.queryForList("SELECT * FROM users WHERE id = ?", id)
+    }
+
+    fun archive(dir: String) {
+        // ruleid: command-injection
+        Runtime.getRuntime().exec("tar czf backup.tgz $dir")
+        // ok: command-injection
+        ProcessBuilder("tar", "czf", "backup.tgz", dir).start()
+    }
+
+    fun read(@RequestParam name: String): String {
+        // ruleid: path-traversal
+        return File("/srv/files/", name).readText()
+    }
+
+    fun newToken(): String {
+        // ruleid: insecure-random
+        val token = Random.nextLong().toString(16)
+        return token
+    }
+
+    fun shuffleSeed(): Int {
+        // ok: insecure-random
+        return Random.nextInt(100)
+    }
+
+    fun digest(data: ByteArray): ByteArray {
+        // ruleid: weak-hash
+        return MessageDigest.getInstance("SHA-1").digest(data)
+    }
+
+    fun cipher(): Cipher {
+        // ruleid: weak-cipher
+        return Cipher.getInstance("DESede/CBC/PKCS5Padding")
+    }
+
+    fun parser() {
+        // ruleid: xxe
+        val factory = DocumentBuilderFactory.newInstance()
+        factory.newDocumentBuilder()
+    }
+
+    // ruleid: cors-wildcard
+    @CrossOrigin
+    fun openEndpoint(): String = "open"
+
+    fun greeting(name: String): String {
+        // ok: sql-injection
+        return "Hello $name, select where to go from here"
+    }
+}
@@ -0,0 +1,45 @@
+package com.example.fixtures
+
+import java.io.ObjectInputStream
+import java.security.cert.X509Certificate
+import javax.net.ssl.HostnameVerifier
+import javax.net.ssl.SSLSession
+import javax.net.ssl.X509TrustManager
+import okhttp3.OkHttpClient
+
+class TrustEverything : X509TrustManager {
+    override fun checkClientTrusted(chain: Array<X509Certificate>?, authType: String?) {}
+
+    // ruleid: tls-verification-disabled
+    override fun checkServerTrusted(chain: Array<X509Certificate>?, authType: String?) {}
+
+    override fun getAcceptedIssuers(): Array<X509Certificate> = arrayOf()
+}
+
+class AcceptAllHosts : HostnameVerifier {
+    // ruleid: tls-verification-disabled
+    override fun verify(hostname: String?, session: SSLSession?): Boolean = true
+}
+
+fun client(): OkHttpClient {
+    return OkHttpClient.Builder()
+        // ruleid: tls-verification-disabled
+        .hostnameVerifier { _, _ -> true }
+        .build()
+}
+
+fun pinnedClient(verifier: HostnameVerifier): OkHttpClient {
+    return OkHttpClient.Builder()
+        // ok: tls-verification-disabled
+        .hostnameVerifier(verifier)
+        .build()
+}
+
+fun load(bytes: ByteArray): Any? {
+    // ruleid: unsafe-deserialization
+    return ObjectInputStream(bytes.inputStream()).readObject()
+}
+
+/* A comment mentioning Runtime.getRuntime().exec("rm -rf " + dir) is not code */
+// ok: command-injection
+val banner = "Runtime.getRuntime().exec(cmd + arg)"
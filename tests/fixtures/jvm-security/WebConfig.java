@@ -0,0 +1,62 @@
+package com.example.fixtures;
+
+import javax.net.ssl.HostnameVerifier;
+import javax.net.ssl.HttpsURLConnection;
+import javax.net.ssl.SSLSession;
+import javax.net.ssl.X509TrustManager;
+import java.security.cert.X509Certificate;
+import org.apache.http.conn.ssl.NoopHostnameVerifier;
+import org.springframework.web.bind.annotation.CrossOrigin;
+import org.springframework.web.bind.annotation.RestController;
+import org.springframework.web.servlet.config.annotation.CorsRegistry;
+
+@RestController
+public class WebConfig {
+
+    // ruleid: cors-wildcard
+    @CrossOrigin("*")
+    public String open() {
+        return "open";
+    }
+
+    // ruleid: cors-wildcard
+    @CrossOrigin(origins = "*", maxAge = 3600)
+    public String alsoOpen() {
+        return "open";
+    }
+
+    // ok: cors-wildcard
+    @CrossOrigin(origins = "https://app.example.com")
+    public String restricted() {
+        return "restricted";
+    }
+
+    public void addCorsMappings(CorsRegistry registry) {
+        // ruleid: cors-wildcard
+        registry.addMapping("/**").allowedOrigins("*");
+        // ok: cors-wildcard
+        registry.addMapping("/api/**").allowedOrigins("https://app.example.com");
+    }
+
+    static class TrustAll implements X509TrustManager {
+        public void checkClientTrusted(X509Certificate[] chain, String authType) {
+        }
+
+        // ruleid: tls-verification-disabled
+        public void checkServerTrusted(X509Certificate[] chain, String authType) {
+        }
+
+        public X509Certificate[] getAcceptedIssuers() {
+            return new X509Certificate[0];
+        }
+    }
+
+    public void disableHostnameCheck() {
+        // ruleid: tls-verification-disabled
+        HttpsURLConnection.setDefaultHostnameVerifier((hostname, session) -> true);
+        // ruleid: tls-verification-disabled
+        HostnameVerifier noop = NoopHostnameVerifier.INSTANCE;
+        // ok: tls-verification-disabled
+        HttpsURLConnection.setDefaultHostnameVerifier((hostname, session) -> hostname.endsWith(".example.com"));
+    }
+}
@@ -0,0 +1,90 @@
+// Fixture for plugin/security/semgrep/javascript.yaml
+// Run: semgrep --test --config plugin/security/semgrep/javascript.yaml tests/fixtures/security-rules/javascript.js
+const fs = require('fs');
+const path = require('path');
+const cp = require('child_process');
+const { exec, execFile } = require('child_process');
+
+function sqlInjection(db, id, name) {
+  // ruleid: sql-injection-risk
+  db.query("SELECT * FROM users WHERE id = " + id);
+  // ruleid: sql-injection-risk
+  db.execute(`DELETE FROM users WHERE name = '${name}'`);
+  // ok: sql-injection-risk
+  db.query('SELECT * FROM users WHERE id = ?', [id]);
+}
+
+function commandInjection(dir) {
+  // ruleid: command-injection
+  exec('ls ' + dir);
+  // ruleid: command-injection
+  cp.execSync(`tar czf backup.tgz ${dir}`);
+  // ok: command-injection
+  execFile('ls', [dir]);
+  // ok: command-injection
+  cp.execSync('git status');
+  // ok: command-injection
+  /a+/.exec(dir);
+}
+
+function pathTraversal(req, res) {
+  // ruleid: path-traversal
+  fs.readFile(req.params.name, 'utf8', () => {});
+  // ruleid: path-traversal
+  res.sendFile(path.join(__dirname, req.query.file));
+  // ok: path-traversal
+  fs.readFile(path.join(__dirname, 'static', 'index.html'), 'utf8', () => {});
+}
+
+function hardcodedPassword() {
+  // ruleid: hardcoded-password
+  const password = 'hunter2';
+  // ruleid: hardcoded-password
+  const config = { host: 'db', apiKey: 'sk-live-1234567890' };
+  // ok: hardcoded-password
+  const secret = process.env.APP_SECRET;
+  // ok: hardcoded-password
+  const username = 'admin';
+  return [password, config, secret, username];
+}
+
+function insecureRandom() {
+  // ruleid: insecure-random
+  const resetToken = Math.random().toString(36).slice(2);
+  // ok: insecure-random
+  const jitter = Math.random() * 100;
+  return [resetToken, jitter];
+}
+
+function xss(el, html) {
+  // ruleid: xss-dom-injection
+  el.innerHTML = html;
+  // ruleid: xss-dom-injection
+  document.write(html);
+  // ok: xss-dom-injection
+  el.innerHTML = '<p>Loading…</p>';
+  // ok: xss-dom-injection
+  el.textContent = html;
+}
+
+function codeInjection(userCode) {
+  // ruleid: code-injection-eval
+  eval(userCode);
+  // ruleid: code-injection-eval
+  const fn = new Function('a', userCode);
+  // ok: code-injection-eval
+  const data = JSON.parse(userCode);
+  return [fn, data];
+}
+
+function regexDos(input) {
+  // ruleid: regex-dos
+  const fromInput = new RegExp(input);
+  // ruleid: regex-dos
+  const nested = new RegExp('^(a+)+$');
+  // ok: regex-dos
+  const simple = new RegExp('^[a-z]+$', 'i');
+  return [fromInput, nested, simple];
+}
+
+module.exports = { sqlInjection, commandInjection, pathTraversal, hardcodedPassword, insecureRandom, xss, codeInjection, regexDos };
@@ -0,0 +1,101 @@
+# Fixture for plugin/security/semgrep/python.yaml
+# Run: semgrep --test --config plugin/security/semgrep/python.yaml tests/fixtures/security-rules/python.py
+import os
+import pickle
+import random
+import secrets
+import subprocess
+
+import yaml
+from flask import Flask, request, send_file
+from flask_login import login_required
+
+app = Flask(__name__)
+
+
+def sql_injection(cursor, user_id, name):
+    # ruleid: sql-injection-risk
+    cursor.execute("SELECT * FROM users WHERE id = %s" % user_id)
+    # ruleid: sql-injection-risk
+    cursor.execute(f"DELETE FROM users WHERE name = '{name}'")
+    # ok: sql-injection-risk
+    cursor.execute("SELECT * FROM users WHERE id = %s", (user_id,))
+
+
+def command_injection(directory):
+    # ruleid: command-injection
+    os.system("ls " + directory)
+    # ruleid: command-injection
+    subprocess.run(f"tar czf backup.tgz {directory}", shell=True)
+    # ok: command-injection
+    subprocess.run(["ls", directory])
+    # ok: command-injection
+    os.system("git status")
+
+
+def hardcoded_password(connect):
+    # ruleid: hardcoded-password
+    password = "hunter2"
+    # ruleid: hardcoded-password
+    conn = connect(host="db", password="s3cr3t-value")
+    # ok: hardcoded-password
+    secret_key = os.environ["SECRET_KEY"]
+    # ok: hardcoded-password
+    username = "admin"
+    return password, conn, secret_key, username
+
+
+def insecure_random():
+    # ruleid: insecure-random
+    reset_token = str(random.getrandbits(64))
+    # ok: insecure-random
+    jitter = random.random() * 100
+    # ok: insecure-random
+    session_token = secrets.token_urlsafe(32)
+    return reset_token, jitter, session_token
+
+
+def insecure_deserialization(data, stream):
+    # ruleid: insecure-deserialization
+    obj = pickle.loads(data)
+    # ruleid: insecure-deserialization
+    config = yaml.load(stream)
+    # ok: insecure-deserialization
+    safe = yaml.safe_load(stream)
+    return obj, config, safe
+
+
+def code_injection(expression):
+    # ruleid: code-injection-eval
+    result = eval(expression)
+    # ok: code-injection-eval
+    constant = eval("1 + 1")
+    return result, constant
+
+
+@app.route("/download")
+@login_required
+def download():
+    # ruleid: path-traversal
+    return send_file(request.args.get("name"))
+
+
+@app.route("/report")
+@login_required
+def report():
+    # ok: path-traversal
+    with open(os.path.join("reports", "latest.txt")) as handle:
+        return handle.read()
+
+
+# ruleid: missing-authentication
+@app.route("/admin")
+def admin():
+    return "admin"
+
+
+# ok: missing-authentication
+@app.route("/account")
+@login_required
+def account():
+    return "account"
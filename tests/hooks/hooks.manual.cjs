@@ -287,7 +287,7 @@ async function runTests() {
     const checkHooks = (hookArray) => {
       for (const entry of hookArray) {
         for (const hook of entry.hooks) {
-          if (hook.type === 'command' && hook.command.includes('scripts/hooks/')) {
+          if (hook.type === 'command' && hook.command.includes('scripts/')) {
             // Check for the literal string "${CLAUDE_PLUGIN_ROOT}" in the command
             const hasPluginRoot = hook.command.includes('${CLAUDE_PLUGIN_ROOT}');
             assert.ok(
@@ -1,5 +1,5 @@
 /**
- * Tests for hooks/hooks.json validation
+ * Tests for hooks/hooks.json and hooks/registry.json validation
  *
  * Run with: node tests/hooks/hooks.test.cjs
  */
@@ -404,7 +404,55 @@ function runTests() {
     }
   })) passed++; else failed++;
 
-  // -- 10. Git Hook Templates --
+  // -- 10. Hook Registry --
+  console.log('\nHook Registry:');
+
+  const REGISTRY_PATH = path.join(REPO_ROOT, 'plugin', 'hooks', 'registry.json');
+  const registry = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+  const registryEvents = Object.keys(registry).filter(k => !k.startsWith('$'));
+
+  if (test('every registry event has one dispatcher rule in hooks.json', () => {
+    for (const eventType of registryEvents) {
+      assert.ok(hooks[eventType], `${eventType} is in registry.json but not in hooks.json`);
+      assert.strictEqual(hooks[eventType].length, 1, `${eventType} should have a single rule`);
+      const [handler] = hooks[eventType][0].hooks;
+      assert.ok(
+        handler.command.endsWith(`scripts/dispatch-hooks.cjs" ${eventType}`),
+        `${eventType} should run the dispatcher for its own event: ${handler.command}`
+      );
+    }
+    assert.deepStrictEqual(Object.keys(hooks).sort(), [...registryEvents].sort());
+  })) passed++; else failed++;
+
+  if (test('every registry entry names an existing hook script with a description', () => {
+    for (const eventType of registryEvents) {
+      for (const entry of registry[eventType]) {
+        const hookPath = path.join(REPO_ROOT, 'plugin', 'scripts', 'hooks', entry.hook);
+        assert.ok(fs.existsSync(hookPath), `${eventType}: missing ${entry.hook}`);
+        assert.ok(typeof entry.description === 'string' && entry.description.trim(), `${eventType}: ${entry.hook} has no description`);
+      }
+    }
+  })) passed++; else failed++;
+
+  if (test('dispatcher rule matchers cover every registry matcher', () => {
+    for (const eventType of registryEvents) {
+      const ruleMatcher = hooks[eventType][0].matcher;
+      if (NO_MATCHER_EVENTS.includes(eventType)) {
+        assert.ok(registry[eventType].every(e => !e.matcher), `${eventType} registry entries should not have matchers`);
+        continue;
+      }
+      if (ruleMatcher === '*') continue;
+      assert.ok(registry[eventType].every(e => e.matcher), `${eventType} needs matcher "*" for registry entries without a matcher`);
+      const covered = ruleMatcher.split('|');
+      for (const entry of registry[eventType]) {
+        for (const part of entry.matcher.split('|')) {
+          assert.ok(covered.includes(part), `${eventType} matcher "${ruleMatcher}" does not cover ${entry.hook} (${part})`);
+        }
+      }
+    }
+  })) passed++; else failed++;
+
+  // -- 11. Git Hook Templates --
   console.log('\nGit Hook Templates:');
 
   const gitHookTemplatesDir = path.join(REPO_ROOT, 'plugin', 'templates', 'serena', 'git-hooks');
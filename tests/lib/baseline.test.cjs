@@ -0,0 +1,274 @@
+/**
+ * Tests for scripts/lib/baseline.cjs and scripts/baseline.cjs
+ *
+ * Run with: node tests/lib/baseline.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+// Override CLAUDE_CONFIG_DIR before loading the modules
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-test-'));
+process.env.CLAUDE_CONFIG_DIR = path.join(tmpDir, 'claude');
+
+const {
+  BASELINE_FILE,
+  findProjectRoot,
+  parseIgnoreComment,
+  isSuppressedInline,
+  fingerprintDiagnostic,
+  loadBaseline,
+  saveBaseline,
+  applySuppressions,
+  toBaselineFindings,
+  rebuildBaseline
+} = require('../../plugin/scripts/lib/baseline.cjs');
+const { createDiagnostic, emitDiagnostics } = require('../../plugin/scripts/lib/diagnostics.cjs');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const CLI_PATH = path.join(REPO_ROOT, 'plugin', 'scripts', 'baseline.cjs');
+const DETECTOR_PATH = path.join(REPO_ROOT, 'plugin', 'scripts', 'hooks', 'console-log-detector.cjs');
+
+const project = path.join(tmpDir, 'project');
+fs.mkdirSync(path.join(project, '.git'), { recursive: true });
+
+function write(relativePath, content) {
+  const fullPath = path.join(project, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+  return fullPath;
+}
+
+function debugDiagnostic(file, line) {
+  return createDiagnostic({ file, line, severity: 'warning', ruleId: 'debug-statement', source: 'debug-statements', message: 'print() debug statement' });
+}
+
+function runCli(args, cwd = project) {
+  return spawnSync('node', [CLI_PATH, ...args], {
+    cwd,
+    encoding: 'utf8',
+    env: { ...process.env, CLAUDE_CONFIG_DIR: path.join(tmpDir, 'claude') }
+  });
+}
+
+function runDetector(file) {
+  return spawnSync('node', [DETECTOR_PATH], {
+    cwd: project,
+    input: JSON.stringify({ tool_name: 'Edit', tool_input: { file_path: file } }),
+    encoding: 'utf8',
+    env: { ...process.env, CLAUDE_CONFIG_DIR: path.join(tmpDir, 'claude') }
+  });
+}
+
+function runTests() {
+  console.log('\n=== Testing baseline.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Inline suppression ---
+  console.log('Inline suppression:');
+
+  if (test('parseIgnoreComment reads rule lists in any comment style', () => {
+    assert.deepStrictEqual(parseIgnoreComment('print(x)  # magic-claude-ignore: debug-statement'), ['debug-statement']);
+    assert.deepStrictEqual(parseIgnoreComment('// magic-claude-ignore: eval, hardcoded-credential'), ['eval', 'hardcoded-credential']);
+    assert.deepStrictEqual(parseIgnoreComment('/* magic-claude-ignore: semgrep */'), ['semgrep']);
+    assert.strictEqual(parseIgnoreComment('print(x)'), null);
+    assert.strictEqual(parseIgnoreComment('# magic-claude-ignore:'), null);
+  })) passed++; else failed++;
+
+  if (test('suppresses on the same line or a comment-only line above', () => {
+    const lines = [
+      'print(a)  # magic-claude-ignore: debug-statement',
+      '# magic-claude-ignore: debug-statements',
+      'print(b)',
+      'x = 1  # magic-claude-ignore: debug-statement',
+      'print(c)',
+      'print(d)  # magic-claude-ignore: eval'
+    ];
+    assert.ok(isSuppressedInline(debugDiagnostic('/f.py', 1), lines), 'same line, by rule id');
+    assert.ok(isSuppressedInline(debugDiagnostic('/f.py', 3), lines), 'comment line above, by source');
+    assert.ok(!isSuppressedInline(debugDiagnostic('/f.py', 5), lines), 'trailing comment on a code line only covers that line');
+    assert.ok(!isSuppressedInline(debugDiagnostic('/f.py', 6), lines), 'other rule');
+    assert.ok(isSuppressedInline(debugDiagnostic('/f.py', 1), ['print(a)  // magic-claude-ignore: *']), 'wildcard');
+  })) passed++; else failed++;
+
+  // --- Fingerprints ---
+  console.log('\nFingerprints:');
+
+  if (test('fingerprint survives the line moving but not the line changing', () => {
+    const before = ['import sys', 'print(x)'];
+    const after = ['import sys', '', '', 'print(x)'];
+    const changed = ['import sys', 'print(y)'];
+    const file = path.join(project, 'cli.py');
+    const fp = fingerprintDiagnostic(debugDiagnostic(file, 2), project, before);
+    assert.strictEqual(fp, fingerprintDiagnostic(debugDiagnostic(file, 4), project, after));
+    assert.notStrictEqual(fp, fingerprintDiagnostic(debugDiagnostic(file, 2), project, changed));
+  })) passed++; else failed++;
+
+  if (test('fingerprint is relative to the project root', () => {
+    const lines = ['print(x)'];
+    const a = fingerprintDiagnostic(debugDiagnostic('/one/src/cli.py', 1), '/one', lines);
+    const b = fingerprintDiagnostic(debugDiagnostic('/two/src/cli.py', 1), '/two', lines);
+    assert.strictEqual(a, b);
+  })) passed++; else failed++;
+
+  if (test('findProjectRoot prefers a baseline directory, then the git root', () => {
+    const file = write('pkg/src/mod.py', 'print(1)\n');
+    assert.strictEqual(findProjectRoot(file), project);
+    fs.mkdirSync(path.join(project, 'pkg', '.claude'), { recursive: true });
+    fs.writeFileSync(path.join(project, 'pkg', BASELINE_FILE), '{"version":1,"findings":[]}');
+    assert.strictEqual(findProjectRoot(file), path.join(project, 'pkg'));
+    assert.strictEqual(findProjectRoot(path.join(project, 'pkg', 'src')), path.join(project, 'pkg'), 'starting from a directory');
+    fs.rmSync(path.join(project, 'pkg'), { recursive: true, force: true });
+  })) passed++; else failed++;
+
+  // --- Baseline filtering ---
+  console.log('\nBaseline filtering:');
+
+  if (test('applySuppressions separates new, baselined and suppressed findings', () => {
+    const file = write('tool.py', 'print(1)\nprint(2)  # magic-claude-ignore: debug-statement\nprint(3)\n');
+    const diagnostics = [debugDiagnostic(file, 1), debugDiagnostic(file, 2), debugDiagnostic(file, 3)];
+
+    let result = applySuppressions(diagnostics);
+    assert.strictEqual(result.suppressed.length, 1);
+    assert.strictEqual(result.surfaced.length, 2);
+    assert.ok(result.surfaced.every(d => d.fingerprint));
+
+    saveBaseline(project, { findings: toBaselineFindings([result.surfaced[0]], project) });
+    result = applySuppressions(diagnostics);
+    assert.deepStrictEqual(result.baselined.map(d => d.line), [1]);
+    assert.deepStrictEqual(result.surfaced.map(d => d.line), [3]);
+  })) passed++; else failed++;
+
+  if (test('identical findings are accepted up to the recorded count', () => {
+    const file = write('dup.py', 'print(x)\nprint(x)\n');
+    const [first] = applySuppressions([debugDiagnostic(file, 1)]).surfaced;
+    const baseline = loadBaseline(project);
+    saveBaseline(project, { findings: [...baseline.findings, ...toBaselineFindings([first], project)] });
+
+    const result = applySuppressions([debugDiagnostic(file, 1), debugDiagnostic(file, 2)]);
+    assert.strictEqual(result.baselined.length, 1);
+    assert.strictEqual(result.surfaced.length, 1, 'a second copy is a new finding');
+  })) passed++; else failed++;
+
+  if (test('emitDiagnostics only reports new findings', () => {
+    const file = path.join(project, 'tool.py');
+    const originalError = console.error;
+    const originalLog = console.log;
+    const output = [];
+    console.error = () => {};
+    console.log = (line) => output.push(line);
+    let result;
+    try {
+      result = emitDiagnostics('console-log-detector', [debugDiagnostic(file, 1), debugDiagnostic(file, 2)], { title: 'Debug Statements', files: [file] });
+    } finally {
+      console.error = originalError;
+      console.log = originalLog;
+    }
+    assert.strictEqual(result.rendered, '');
+    assert.strictEqual(result.baselined.length, 1);
+    assert.strictEqual(result.suppressed.length, 1);
+    assert.strictEqual(output.length, 0, 'no hook output when nothing is new');
+  })) passed++; else failed++;
+
+  // --- Rebuild ---
+  console.log('\nRebuild:');
+
+  if (test('rebuildBaseline adds new findings and drops fixed ones', () => {
+    const kept = { fingerprint: 'kept', file: 'other.py', ruleId: 'r', source: 's', message: 'm', count: 1 };
+    const fixed = { fingerprint: 'fixed', file: 'tool.py', ruleId: 'r', source: 's', message: 'm', count: 1 };
+    const gone = { fingerprint: 'gone', file: 'deleted.py', ruleId: 'r', source: 's', message: 'm', count: 1 };
+    write('other.py', 'x = 1\n');
+    const [current] = applySuppressions([debugDiagnostic(path.join(project, 'tool.py'), 3)]).surfaced;
+    const checked = new Set([path.join(project, 'tool.py')]);
+
+    const updated = rebuildBaseline({ findings: [kept, fixed, gone] }, [current], checked, project);
+    assert.deepStrictEqual(updated.findings.map(f => f.fingerprint).sort(), ['kept', current.fingerprint].sort());
+    assert.deepStrictEqual([updated.added, updated.removed], [1, 2]);
+
+    const pruned = rebuildBaseline({ findings: [kept, fixed, gone] }, [current], checked, project, { addNew: false });
+    assert.deepStrictEqual(pruned.findings.map(f => f.fingerprint), ['kept']);
+    assert.strictEqual(pruned.added, 0);
+  })) passed++; else failed++;
+
+  // --- CLI ---
+  console.log('\nCLI:');
+
+  if (test('update accepts findings reported by a hook', () => {
+    fs.rmSync(path.join(project, BASELINE_FILE), { force: true });
+    const cliFile = write('cli.py', 'def main():\n    print("usage")\n');
+
+    const first = runDetector(cliFile);
+    assert.ok(first.stdout.includes('debug-statement'), 'reported before baselining');
+
+    const result = runCli(['update']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const baseline = JSON.parse(fs.readFileSync(path.join(project, BASELINE_FILE), 'utf8'));
+    // tool.py was recorded by the emitDiagnostics test above
+    assert.deepStrictEqual(baseline.findings.map(f => [f.file, f.ruleId]), [['cli.py', 'debug-statement'], ['tool.py', 'debug-statement']]);
+
+    const second = runDetector(cliFile);
+    assert.strictEqual(second.stdout.trim(), '', 'baselined finding is not reported again');
+  })) passed++; else failed++;
+
+  if (test('status shows accepted and new findings', () => {
+    const cliFile = write('cli.py', 'def main():\n    print("usage")\n    print("debug")\n');
+    runDetector(cliFile);
+    const result = runCli(['status']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(result.stdout.includes('3 (2 accepted, 1 new)'), result.stdout);
+    assert.ok(result.stdout.includes('new: cli.py:3'), result.stdout);
+  })) passed++; else failed++;
+
+  if (test('prune drops fixed findings without accepting new ones', () => {
+    const cliFile = write('cli.py', 'def main():\n    print("debug")\n');
+    runDetector(cliFile);
+    const result = runCli(['prune']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(result.stdout.includes('0 added, 1 removed'), result.stdout);
+    assert.deepStrictEqual(loadBaseline(project).findings.map(f => f.file), ['tool.py']);
+  })) passed++; else failed++;
+
+  if (test('run from a subdirectory, the CLI uses the project root', () => {
+    const result = runCli(['status'], path.dirname(write('sub/dir/keep.txt', '')));
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(result.stdout.includes(`Baseline: ${path.join(project, BASELINE_FILE)}`), result.stdout);
+    assert.ok(result.stdout.includes('Accepted entries:  1'), result.stdout);
+  })) passed++; else failed++;
+
+  if (test('unknown subcommand prints usage and fails', () => {
+    const result = runCli(['bogus']);
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stdout.includes('Usage'));
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
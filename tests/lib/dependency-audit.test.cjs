@@ -0,0 +1,436 @@
+/**
+ * Tests for scripts/lib/dependency-audit.cjs
+ *
+ * Audit tools are never spawned: auditDirectory() gets a fake process runner.
+ *
+ * Run with: node tests/lib/dependency-audit.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+// Override CLAUDE_CONFIG_DIR before loading the modules
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-audit-test-'));
+process.env.CLAUDE_CONFIG_DIR = path.join(tmpDir, 'claude');
+
+const {
+  ERROR_RETRY_MS,
+  AUDITORS,
+  normalizeSeverity,
+  parseNpmAudit,
+  parseYarnAudit,
+  parsePipAudit,
+  parseCargoAudit,
+  parseDependencyCheck,
+  lockedPythonRequirements,
+  findAuditTargets,
+  auditDirectory,
+  findDueTargets,
+  startBackgroundAudit,
+  runAuditWorker,
+  takeUnreportedAudits,
+  getCachedAudits,
+  auditToDiagnostics,
+  worstSeverity
+} = require('../../plugin/scripts/lib/dependency-audit.cjs');
+const { commandExists } = require('../../plugin/scripts/lib/utils.cjs');
+const { acquireLock, releaseLock } = require('../../plugin/scripts/lib/process-lock.cjs');
+
+const NPM_V7 = {
+  auditReportVersion: 2,
+  vulnerabilities: {
+    lodash: {
+      name: 'lodash',
+      severity: 'high',
+      range: '<4.17.21',
+      via: [{ source: 1065, title: 'Command Injection in lodash', url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm', severity: 'high' }],
+      fixAvailable: { name: 'lodash', version: '4.17.21' }
+    },
+    'some-wrapper': { name: 'some-wrapper', severity: 'high', range: '1.x', via: ['lodash'], fixAvailable: true }
+  }
+};
+
+function makeProject(name, files) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+function fakeExec(output) {
+  const calls = [];
+  const exec = (command, args, options) => {
+    calls.push({ command, args, cwd: options.cwd });
+    return { stdout: JSON.stringify(output) };
+  };
+  return { exec, calls };
+}
+
+function runTests() {
+  console.log('\n=== Testing dependency-audit.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Parsers ---
+  console.log('Parsers:');
+
+  if (test('normalizeSeverity maps tool labels', () => {
+    assert.strictEqual(normalizeSeverity('CRITICAL'), 'critical');
+    assert.strictEqual(normalizeSeverity('medium'), 'moderate');
+    assert.strictEqual(normalizeSeverity('info'), 'unknown');
+    assert.strictEqual(normalizeSeverity(undefined), 'unknown');
+  })) passed++; else failed++;
+
+  if (test('parseNpmAudit reads npm 7+ vulnerabilities and skips transitive-only entries', () => {
+    const vulns = parseNpmAudit(NPM_V7);
+    assert.strictEqual(vulns.length, 1);
+    assert.deepStrictEqual(vulns[0], {
+      package: 'lodash',
+      version: '<4.17.21',
+      id: 'GHSA-35jh-r3h4-6jhm',
+      aliases: [],
+      severity: 'high',
+      title: 'Command Injection in lodash',
+      url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm',
+      fixVersions: ['lodash@4.17.21']
+    });
+  })) passed++; else failed++;
+
+  if (test('parseNpmAudit reads npm 6 / pnpm advisories', () => {
+    const vulns = parseNpmAudit({
+      advisories: {
+        1179: {
+          id: 1179, module_name: 'minimist', severity: 'moderate', title: 'Prototype Pollution',
+          url: 'https://npmjs.com/advisories/1179', cves: ['CVE-2020-7598'], patched_versions: '>=1.2.3',
+          findings: [{ version: '1.2.0' }, { version: '1.2.0' }]
+        }
+      }
+    });
+    assert.strictEqual(vulns.length, 1);
+    assert.strictEqual(vulns[0].version, '1.2.0');
+    assert.strictEqual(vulns[0].id, '1179');
+    assert.deepStrictEqual(vulns[0].aliases, ['CVE-2020-7598']);
+    assert.deepStrictEqual(vulns[0].fixVersions, ['>=1.2.3']);
+  })) passed++; else failed++;
+
+  if (test('parseYarnAudit reads Yarn 1 and Yarn 2+ records', () => {
+    const advisory = { id: 7, module_name: 'axios', severity: 'high', title: 'SSRF', url: 'u', findings: [{ version: '0.21.0' }] };
+    const classic = [
+      JSON.stringify({ type: 'auditAdvisory', data: { advisory } }),
+      JSON.stringify({ type: 'auditAdvisory', data: { advisory } }),
+      JSON.stringify({ type: 'auditSummary', data: {} }),
+      'not json'
+    ].join('\n');
+    assert.strictEqual(parseYarnAudit(classic).length, 1, 'duplicate advisories collapse');
+
+    const berry = JSON.stringify({ value: 'axios', children: { ID: 1096, Issue: 'SSRF', URL: 'u', Severity: 'high', 'Tree Versions': ['0.21.0'] } });
+    const [vuln] = parseYarnAudit(berry);
+    assert.strictEqual(vuln.package, 'axios');
+    assert.strictEqual(vuln.version, '0.21.0');
+    assert.strictEqual(vuln.id, '1096');
+  })) passed++; else failed++;
+
+  if (test('parsePipAudit reads dependencies with vulns', () => {
+    const vulns = parsePipAudit({
+      dependencies: [
+        { name: 'flask', version: '0.5', vulns: [{ id: 'PYSEC-2019-179', aliases: ['CVE-2019-1010083'], fix_versions: ['1.0'], description: 'DoS\nmore' }] },
+        { name: 'requests', version: '2.31.0', vulns: [] }
+      ]
+    });
+    assert.strictEqual(vulns.length, 1);
+    assert.strictEqual(vulns[0].title, 'DoS');
+    assert.strictEqual(vulns[0].severity, 'unknown');
+    assert.strictEqual(vulns[0].url, 'https://osv.dev/vulnerability/PYSEC-2019-179');
+    assert.deepStrictEqual(vulns[0].fixVersions, ['1.0']);
+  })) passed++; else failed++;
+
+  if (test('parseCargoAudit derives severity from the CVSS vector', () => {
+    const item = (id, cvss) => ({
+      advisory: { id, title: 't', cvss, aliases: [] },
+      package: { name: 'smallvec', version: '1.6.0' },
+      versions: { patched: ['>=1.6.1'] }
+    });
+    const vulns = parseCargoAudit({
+      vulnerabilities: {
+        list: [
+          item('RUSTSEC-2021-0003', 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'),
+          item('RUSTSEC-2021-0004', 'CVSS:3.1/AV:L/AC:H/PR:L/UI:N/S:U/C:N/I:N/A:H'),
+          item('RUSTSEC-2021-0005', 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:L/I:N/A:N'),
+          item('RUSTSEC-2021-0006', null)
+        ]
+      }
+    });
+    assert.deepStrictEqual(vulns.map(v => v.severity), ['critical', 'high', 'moderate', 'unknown']);
+    assert.strictEqual(vulns[0].url, 'https://rustsec.org/advisories/RUSTSEC-2021-0003');
+  })) passed++; else failed++;
+
+  if (test('parseDependencyCheck reads Maven coordinates from the package URL', () => {
+    const vulns = parseDependencyCheck({
+      dependencies: [
+        {
+          fileName: 'log4j-core-2.14.1.jar',
+          packages: [{ id: 'pkg:maven/org.apache.logging.log4j/log4j-core@2.14.1' }],
+          vulnerabilities: [{ name: 'CVE-2021-44228', severity: 'CRITICAL', description: 'Log4Shell' }]
+        },
+        { fileName: 'clean.jar', vulnerabilities: [] }
+      ]
+    });
+    assert.strictEqual(vulns.length, 1);
+    assert.strictEqual(vulns[0].package, 'org.apache.logging.log4j:log4j-core');
+    assert.strictEqual(vulns[0].version, '2.14.1');
+    assert.strictEqual(vulns[0].severity, 'critical');
+    assert.strictEqual(vulns[0].url, 'https://nvd.nist.gov/vuln/detail/CVE-2021-44228');
+  })) passed++; else failed++;
+
+  // --- Targets and cache ---
+  console.log('\nTargets and cache:');
+
+  if (test('findAuditTargets picks auditors from the lockfiles present', () => {
+    const dir = makeProject('targets', { 'package-lock.json': '{}', 'Cargo.lock': '', 'pom.xml': '<project/>' });
+    const ids = findAuditTargets(dir).map(t => t.auditor.id);
+    assert.deepStrictEqual(ids, ['npm', 'cargo-audit', 'dependency-check']);
+    assert.deepStrictEqual(findAuditTargets(dir, { ecosystems: ['rust'] }).map(t => t.auditor.id), ['cargo-audit']);
+    assert.deepStrictEqual(findAuditTargets(makeProject('none', { 'index.js': '' })), []);
+  })) passed++; else failed++;
+
+  if (test('Maven runs dependency-check only when the pom declares the plugin', () => {
+    const dependencyCheck = AUDITORS.find(a => a.id === 'dependency-check');
+    const wrapper = process.platform === 'win32' ? 'mvnw.cmd' : 'mvnw';
+    const declared = makeProject('maven-plugin', {
+      'pom.xml': '<project><build><plugins><plugin><artifactId>dependency-check-maven</artifactId></plugin></plugins></build></project>',
+      [wrapper]: ''
+    });
+    const invocation = dependencyCheck.command(declared);
+    assert.strictEqual(invocation.command, path.join(declared, wrapper));
+    assert.ok(invocation.args.includes('org.owasp:dependency-check-maven:check'));
+
+    const plain = makeProject('maven-plain', { 'pom.xml': '<project/>', [wrapper]: '' });
+    const fallback = dependencyCheck.command(plain);
+    assert.ok(!fallback || fallback.command === 'dependency-check', 'left to the dependency-check CLI');
+    if (fallback) fs.rmSync(fallback.cleanup, { recursive: true, force: true });
+  })) passed++; else failed++;
+
+  if (test('lockedPythonRequirements pins the PyPI packages of Pipfile.lock, poetry.lock and uv.lock', () => {
+    const pipenv = makeProject('pipenv', {
+      'Pipfile.lock': JSON.stringify({ _meta: {}, default: { requests: { version: '==2.31.0' }, local: { path: '.' } }, develop: { pytest: { version: '==8.0.0' } } })
+    });
+    assert.deepStrictEqual(lockedPythonRequirements(pipenv), { lockfile: 'Pipfile.lock', requirements: ['requests==2.31.0', 'pytest==8.0.0'] });
+
+    const poetry = makeProject('poetry', {
+      'poetry.lock': [
+        '[[package]]', 'name = "django"', 'version = "4.2.1"', '', '[package.dependencies]', 'asgiref = ">=3.6"', '',
+        '[[package]]', 'name = "internal"', 'version = "1.0.0"', '', '[package.source]', 'type = "git"', 'url = "https://example.com/internal.git"', '',
+        '[metadata]', 'lock-version = "2.0"', ''
+      ].join('\n')
+    });
+    assert.deepStrictEqual(lockedPythonRequirements(poetry), { lockfile: 'poetry.lock', requirements: ['django==4.2.1'] });
+
+    const uv = makeProject('uv', {
+      'uv.lock': [
+        'version = 1', '',
+        '[[package]]', 'name = "app"', 'version = "0.1.0"', 'source = { editable = "." }', 'dependencies = [', '    { name = "flask" },', ']', '',
+        '[[package]]', 'name = "flask"', 'version = "3.0.0"', 'source = { registry = "https://pypi.org/simple" }', ''
+      ].join('\n')
+    });
+    assert.deepStrictEqual(lockedPythonRequirements(uv), { lockfile: 'uv.lock', requirements: ['flask==3.0.0'] });
+    assert.strictEqual(lockedPythonRequirements(makeProject('pyproject-only', { 'pyproject.toml': '' })), null);
+  })) passed++; else failed++;
+
+  if (commandExists('pip-audit') && test('pip-audit audits the lockfile pins, not the current environment', () => {
+    const pipAudit = AUDITORS.find(a => a.id === 'pip-audit');
+    const invocation = pipAudit.command(path.join(tmpDir, 'uv'));
+    const requirements = invocation.args[invocation.args.indexOf('-r') + 1];
+    assert.strictEqual(fs.readFileSync(requirements, 'utf8'), 'flask==3.0.0\n');
+    fs.rmSync(invocation.cleanup, { recursive: true, force: true });
+    assert.deepStrictEqual(pipAudit.command(path.join(tmpDir, 'pyproject-only')).args, ['--format', 'json', '.']);
+  })) passed++; else if (commandExists('pip-audit')) failed++;
+
+  const npmInstalled = commandExists('npm');
+
+  if (npmInstalled && test('auditDirectory re-runs only when the lockfile changes', () => {
+    const dir = makeProject('cached', { 'package.json': '{}', 'package-lock.json': '{"v":1}' });
+    const cacheFile = path.join(tmpDir, 'cache.json');
+    const { exec, calls } = fakeExec(NPM_V7);
+
+    const first = auditDirectory(dir, { cacheFile, exec });
+    assert.strictEqual(calls.length, 1);
+    assert.deepStrictEqual(calls[0], { command: 'npm', args: ['audit', '--json'], cwd: dir });
+    assert.strictEqual(first.length, 1);
+    assert.strictEqual(first[0].fresh, true);
+    assert.strictEqual(first[0].vulnerabilities.length, 1);
+
+    const second = auditDirectory(dir, { cacheFile, exec });
+    assert.strictEqual(calls.length, 1, 'unchanged lockfile is a cache hit');
+    assert.strictEqual(second[0].fresh, false);
+    assert.strictEqual(second[0].vulnerabilities.length, 1);
+
+    fs.writeFileSync(path.join(dir, 'package.json'), '{"name":"x"}');
+    auditDirectory(dir, { cacheFile, exec });
+    assert.strictEqual(calls.length, 1, 'non-lockfile edits do not re-audit');
+
+    fs.writeFileSync(path.join(dir, 'package-lock.json'), '{"v":2}');
+    assert.strictEqual(getCachedAudits(dir, { cacheFile })[0].stale, true);
+    assert.strictEqual(auditDirectory(dir, { cacheFile, exec })[0].fresh, true);
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(getCachedAudits(dir, { cacheFile })[0].stale, false);
+
+    auditDirectory(dir, { cacheFile, exec, force: true });
+    assert.strictEqual(calls.length, 3, 'force re-runs');
+  })) passed++; else if (npmInstalled) failed++;
+
+  if (npmInstalled && test('auditDirectory retries tool failures and unreadable output after a while', () => {
+    const dir = makeProject('failing', { 'package-lock.json': '{}' });
+    const cacheFile = path.join(tmpDir, 'failing-cache.json');
+    const [entry] = auditDirectory(dir, { cacheFile, exec: () => ({ stdout: 'npm ERR! not json' }) });
+    assert.strictEqual(entry.status, 'error');
+    assert.ok(entry.error.includes('unreadable npm output'));
+
+    const start = Date.now();
+    const [timedOut] = auditDirectory(dir, { cacheFile, force: true, now: start, exec: () => ({ error: new Error('spawnSync npm ETIMEDOUT') }) });
+    assert.strictEqual(timedOut.status, 'error');
+    const noRun = () => { throw new Error('should not run'); };
+    assert.strictEqual(auditDirectory(dir, { cacheFile, now: start + 1000, exec: noRun })[0].fresh, false, 'not retried at once');
+
+    const { exec, calls } = fakeExec(NPM_V7);
+    const [retried] = auditDirectory(dir, { cacheFile, now: start + ERROR_RETRY_MS, exec });
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(retried.fresh, true);
+    assert.strictEqual(retried.status, 'ok');
+    assert.strictEqual(auditDirectory(dir, { cacheFile, now: start + 10 * ERROR_RETRY_MS, exec: noRun })[0].fresh, false, 'a successful audit stays cached');
+  })) passed++; else if (npmInstalled) failed++;
+
+  if (npmInstalled && test('startBackgroundAudit spawns one worker only while audits are due', () => {
+    const dir = makeProject('background', { 'package-lock.json': '{}' });
+    const cacheFile = path.join(tmpDir, 'background-cache.json');
+    const spawned = [];
+    const spawn = (command, args, options) => {
+      spawned.push({ command, args, options });
+      return { on() {}, unref() {} };
+    };
+
+    assert.strictEqual(findDueTargets(dir, { cacheFile }).length, 1);
+    assert.strictEqual(startBackgroundAudit([dir], { cacheFile, spawn }), true);
+    assert.strictEqual(spawned.length, 1);
+    assert.strictEqual(spawned[0].command, process.execPath);
+    assert.deepStrictEqual(spawned[0].args.slice(1), ['worker', dir]);
+    assert.strictEqual(spawned[0].options.detached, true);
+
+    const lock = path.join(tmpDir, 'background-cache.lock');
+    assert.strictEqual(acquireLock(lock), true);
+    assert.strictEqual(startBackgroundAudit([dir], { cacheFile, spawn }), false, 'a worker is running');
+    assert.strictEqual(runAuditWorker([dir], { cacheFile, exec: fakeExec(NPM_V7).exec }), null, 'second worker backs off');
+    releaseLock(lock);
+
+    const entries = runAuditWorker([dir], { cacheFile, exec: fakeExec(NPM_V7).exec });
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(fs.existsSync(lock), false, 'worker releases its lock');
+    assert.strictEqual(findDueTargets(dir, { cacheFile }).length, 0);
+    assert.strictEqual(startBackgroundAudit([dir], { cacheFile, spawn }), false, 'nothing due');
+    assert.strictEqual(spawned.length, 1);
+  })) passed++; else if (npmInstalled) failed++;
+
+  if (npmInstalled && test('takeUnreportedAudits reports each finished audit once', () => {
+    const dir = makeProject('reported', { 'package-lock.json': '{"v":1}' });
+    const cacheFile = path.join(tmpDir, 'reported-cache.json');
+    assert.deepStrictEqual(takeUnreportedAudits([dir], { cacheFile }), []);
+
+    auditDirectory(dir, { cacheFile, exec: fakeExec(NPM_V7).exec });
+    const [entry] = takeUnreportedAudits([dir], { cacheFile });
+    assert.strictEqual(entry.auditor, 'npm');
+    assert.strictEqual(entry.vulnerabilities.length, 1);
+    assert.deepStrictEqual(takeUnreportedAudits([dir], { cacheFile }), [], 'already reported');
+
+    auditDirectory(dir, { cacheFile, force: true, now: Date.now() + 1000, exec: fakeExec(NPM_V7).exec });
+    assert.strictEqual(takeUnreportedAudits([dir], { cacheFile }).length, 1, 'a new run is reported');
+
+    fs.writeFileSync(path.join(dir, 'package-lock.json'), '{"v":2}');
+    auditDirectory(dir, { cacheFile, exec: () => ({ stdout: '' }), now: Date.now() + 2000 });
+    fs.writeFileSync(path.join(dir, 'package-lock.json'), '{"v":3}');
+    assert.deepStrictEqual(takeUnreportedAudits([dir], { cacheFile }), [], 'stale audits are not reported');
+  })) passed++; else if (npmInstalled) failed++;
+
+  if (test('auditors without their tool are cached as unavailable and never reported', () => {
+    const dir = makeProject('no-tool', { 'Cargo.lock': '' });
+    const cacheFile = path.join(tmpDir, 'no-tool-cache.json');
+    const target = findAuditTargets(dir)[0];
+    const original = target.auditor.command;
+    target.auditor.command = () => null;
+    try {
+      const [entry] = auditDirectory(dir, { cacheFile, exec: () => { throw new Error('should not run'); } });
+      assert.strictEqual(entry.status, 'unavailable');
+      assert.strictEqual(findDueTargets(dir, { cacheFile }).length, 0, 'not retried at once');
+      assert.strictEqual(findDueTargets(dir, { cacheFile, now: Date.now() + ERROR_RETRY_MS }).length, 1);
+      assert.deepStrictEqual(takeUnreportedAudits([dir], { cacheFile }), []);
+    } finally {
+      target.auditor.command = original;
+    }
+  })) passed++; else failed++;
+
+  if (test('getCachedAudits returns nothing without a cache', () => {
+    const dir = makeProject('uncached', { 'package-lock.json': '{}' });
+    assert.deepStrictEqual(getCachedAudits(dir, { cacheFile: path.join(tmpDir, 'missing.json') }), []);
+  })) passed++; else failed++;
+
+  // --- Diagnostics ---
+  console.log('\nDiagnostics:');
+
+  if (test('auditToDiagnostics reports one finding per package against the lockfile', () => {
+    const dir = path.join(tmpDir, 'diag');
+    const vuln = (id, severity, fixVersions = []) => ({ package: 'lodash', version: '4.17.20', id, aliases: [], severity, title: '', url: '', fixVersions });
+    const diagnostics = auditToDiagnostics([
+      {
+        dir, auditor: 'npm', source: 'npm-audit', lockfiles: ['package-lock.json'],
+        vulnerabilities: [vuln('GHSA-a', 'moderate', ['4.17.21']), vuln('GHSA-b', 'high', ['4.17.21'])]
+      },
+      {
+        dir, auditor: 'pip-audit', source: 'pip-audit', lockfiles: ['requirements.txt'],
+        vulnerabilities: [{ ...vuln('PYSEC-1', 'unknown'), package: 'flask', version: '0.5' }]
+      }
+    ]);
+    assert.strictEqual(diagnostics.length, 2);
+    assert.strictEqual(diagnostics[0].file, path.join(dir, 'package-lock.json'));
+    assert.strictEqual(diagnostics[0].severity, 'error');
+    assert.strictEqual(diagnostics[0].source, 'npm-audit');
+    assert.strictEqual(diagnostics[0].ruleId, 'GHSA-a,GHSA-b');
+    assert.ok(diagnostics[0].message.includes('(high)'));
+    assert.strictEqual(diagnostics[0].fix, 'Upgrade lodash to 4.17.21.');
+    assert.strictEqual(diagnostics[1].severity, 'warning');
+    assert.strictEqual(diagnostics[1].file, path.join(dir, 'requirements.txt'));
+  })) passed++; else failed++;
+
+  if (test('worstSeverity picks the most severe level', () => {
+    assert.strictEqual(worstSeverity([{ severity: 'low' }, { severity: 'critical' }]), 'critical');
+    assert.strictEqual(worstSeverity([]), 'unknown');
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -0,0 +1,255 @@
+/**
+ * Tests for scripts/lib/diagnostics.cjs and scripts/diagnostics-export.cjs
+ *
+ * Run with: node tests/lib/diagnostics.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+// Override CLAUDE_CONFIG_DIR before loading the module
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-test-'));
+process.env.CLAUDE_CONFIG_DIR = tmpDir;
+
+const {
+  DIAGNOSTICS_FILE,
+  createDiagnostic,
+  lineOfIndex,
+  formatDiagnostic,
+  renderDiagnostics,
+  recordDiagnostics,
+  listDiagnosticsLogs,
+  pruneDiagnosticsLogs,
+  readDiagnosticsLog,
+  getLatestDiagnostics,
+  toSarif,
+  toJson
+} = require('../../plugin/scripts/lib/diagnostics.cjs');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const CLI_PATH = path.join(REPO_ROOT, 'plugin', 'scripts', 'diagnostics-export.cjs');
+const DETECTOR_PATH = path.join(REPO_ROOT, 'plugin', 'scripts', 'hooks', 'console-log-detector.cjs');
+
+const project = path.join(tmpDir, 'project');
+const fileA = path.join(project, 'src', 'a.ts');
+const fileB = path.join(project, 'src', 'b.ts');
+
+function runCli(args) {
+  return spawnSync('node', [CLI_PATH, ...args], {
+    cwd: project,
+    encoding: 'utf8',
+    env: { ...process.env, CLAUDE_CONFIG_DIR: tmpDir }
+  });
+}
+
+function runTests() {
+  console.log('\n=== Testing diagnostics.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Model ---
+  console.log('Model:');
+
+  if (test('createDiagnostic normalizes fields', () => {
+    const d = createDiagnostic({ file: 'x.ts', line: '3', severity: 'fatal', ruleId: 'R1', source: 'tool', message: ' msg ' });
+    assert.strictEqual(d.file, path.resolve('x.ts'));
+    assert.strictEqual(d.line, 3);
+    assert.strictEqual(d.column, 0);
+    assert.strictEqual(d.severity, 'warning', 'unknown severities fall back to warning');
+    assert.strictEqual(d.message, 'msg');
+    assert.ok(!('fix' in d));
+  })) passed++; else failed++;
+
+  if (test('lineOfIndex converts offsets to 1-based lines', () => {
+    const content = 'a\nbb\nccc';
+    assert.strictEqual(lineOfIndex(content, 0), 1);
+    assert.strictEqual(lineOfIndex(content, content.indexOf('ccc')), 3);
+  })) passed++; else failed++;
+
+  // --- Rendering ---
+  console.log('\nRendering:');
+
+  const typeError = createDiagnostic({ file: fileA, line: 1, column: 14, severity: 'error', ruleId: 'TS2322', source: 'tsc', message: 'Type mismatch.' });
+  const debugWarning = createDiagnostic({ file: fileA, line: 4, column: 3, severity: 'warning', ruleId: 'console.log', source: 'debug-statements', message: 'console.log debug statement', fix: 'Remove it.' });
+
+  if (test('formatDiagnostic shows relative path, position, rule and fix', () => {
+    assert.strictEqual(formatDiagnostic(typeError, { cwd: project }), `${path.join('src', 'a.ts')}:1:14 error TS2322: Type mismatch.`);
+    assert.ok(formatDiagnostic(debugWarning, { cwd: project }).endsWith('\n    fix: Remove it.'));
+  })) passed++; else failed++;
+
+  if (test('formatDiagnostic omits missing positions', () => {
+    const d = createDiagnostic({ file: path.join(project, 'package-lock.json'), ruleId: 'vulnerable-dependencies', source: 'npm-audit', message: 'Vulnerable.' });
+    assert.strictEqual(formatDiagnostic(d, { cwd: project }), 'package-lock.json warning vulnerable-dependencies: Vulnerable.');
+  })) passed++; else failed++;
+
+  if (test('renderDiagnostics prints a summary header, most severe first', () => {
+    const text = renderDiagnostics([debugWarning, typeError], { title: 'Checks', cwd: project });
+    const lines = text.split('\n');
+    assert.strictEqual(lines[0], '[Checks] 1 error, 1 warning in a.ts:');
+    assert.ok(lines[1].includes('TS2322'));
+  })) passed++; else failed++;
+
+  if (test('renderDiagnostics truncates to the limit', () => {
+    const many = Array.from({ length: 4 }, (_, i) => ({ ...typeError, line: i + 1 }));
+    const text = renderDiagnostics(many, { title: 'T', cwd: project, limit: 2 });
+    assert.ok(text.endsWith('... and 2 more'));
+    assert.strictEqual(renderDiagnostics([], { title: 'T' }), '');
+  })) passed++; else failed++;
+
+  // --- Log ---
+  console.log('\nLog:');
+
+  if (test('DIAGNOSTICS_FILE uses CLAUDE_CONFIG_DIR', () => {
+    assert.ok(DIAGNOSTICS_FILE.startsWith(tmpDir));
+  })) passed++; else failed++;
+
+  if (test('latest check per hook and file wins', () => {
+    recordDiagnostics('typescript-checker', [fileA], [typeError]);
+    recordDiagnostics('console-log-detector', [fileA], [debugWarning]);
+    recordDiagnostics('typescript-checker', [fileB], [{ ...typeError, file: fileB }]);
+    assert.strictEqual(getLatestDiagnostics(readDiagnosticsLog()).length, 3);
+
+    // A clean re-check of a.ts clears only the type checker's finding
+    recordDiagnostics('typescript-checker', [fileA], []);
+    const latest = getLatestDiagnostics(readDiagnosticsLog());
+    assert.deepStrictEqual(latest.map(d => [path.basename(d.file), d.ruleId]).sort(), [['a.ts', 'console.log'], ['b.ts', 'TS2322']]);
+  })) passed++; else failed++;
+
+  if (test('getLatestDiagnostics filters by root', () => {
+    recordDiagnostics('pyright-checker', ['/elsewhere/x.py'], [createDiagnostic({ file: '/elsewhere/x.py', line: 1, ruleId: 'r', source: 'pyright', message: 'm' })]);
+    const latest = getLatestDiagnostics(readDiagnosticsLog(), { root: project });
+    assert.ok(latest.every(d => d.file.startsWith(project)));
+  })) passed++; else failed++;
+
+  if (test('rotated logs are read with the current one and pruned after 30 days', () => {
+    const logDir = path.join(tmpDir, 'rotation');
+    fs.mkdirSync(logDir);
+    const file = path.join(logDir, 'diagnostics.jsonl');
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const line = (hook, ts) => JSON.stringify({ ts: new Date(ts).toISOString(), hook, files: [fileA], diagnostics: [] }) + '\n';
+    fs.writeFileSync(path.join(logDir, `diagnostics.${now - 40 * day}.jsonl`), line('expired', now - 41 * day));
+    fs.writeFileSync(path.join(logDir, `diagnostics.${now - 2 * day}.jsonl`), line('rotated', now - 3 * day));
+    fs.writeFileSync(file, line('current', now));
+
+    assert.deepStrictEqual(listDiagnosticsLogs(file).map(log => log.rotatedAt === null), [false, false, true]);
+    assert.deepStrictEqual(readDiagnosticsLog({ file }).map(r => r.hook), ['expired', 'rotated', 'current']);
+    assert.deepStrictEqual(readDiagnosticsLog({ file, days: 7 }).map(r => r.hook), ['rotated', 'current']);
+
+    assert.strictEqual(pruneDiagnosticsLogs({ file, now }).length, 1);
+    assert.deepStrictEqual(readDiagnosticsLog({ file }).map(r => r.hook), ['rotated', 'current']);
+  })) passed++; else failed++;
+
+  // --- Export ---
+  console.log('\nExport:');
+
+  if (test('toSarif groups runs by tool with relative URIs and levels', () => {
+    const info = createDiagnostic({ file: fileB, severity: 'info', ruleId: 'R', source: 'tsc', message: 'note' });
+    const sarif = toSarif([typeError, debugWarning, info], { root: project });
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.deepStrictEqual(sarif.runs.map(r => r.tool.driver.name).sort(), ['debug-statements', 'tsc']);
+
+    const tscRun = sarif.runs.find(r => r.tool.driver.name === 'tsc');
+    assert.deepStrictEqual(tscRun.tool.driver.rules.map(r => r.id), ['R', 'TS2322']);
+    const [first, second] = tscRun.results;
+    assert.strictEqual(first.level, 'error');
+    assert.deepStrictEqual(first.locations[0].physicalLocation.artifactLocation, { uri: 'src/a.ts', uriBaseId: '%SRCROOT%' });
+    assert.deepStrictEqual(first.locations[0].physicalLocation.region, { startLine: 1, startColumn: 14 });
+    assert.strictEqual(second.level, 'note');
+    assert.ok(!second.locations[0].physicalLocation.region, 'no region without a line');
+
+    const debugResult = sarif.runs.find(r => r.tool.driver.name === 'debug-statements').results[0];
+    assert.strictEqual(debugResult.properties.fix, 'Remove it.');
+  })) passed++; else failed++;
+
+  if (test('toSarif uses absolute file URIs outside the root', () => {
+    const sarif = toSarif([typeError], { root: path.join(tmpDir, 'other') });
+    const location = sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation;
+    assert.ok(location.uri.startsWith('file://'));
+    assert.ok(!location.uriBaseId);
+  })) passed++; else failed++;
+
+  if (test('toJson summarizes by severity', () => {
+    const json = toJson([typeError, debugWarning]);
+    assert.deepStrictEqual(json.summary, { total: 2, error: 1, warning: 1, info: 0 });
+    assert.strictEqual(json.diagnostics.length, 2);
+  })) passed++; else failed++;
+
+  // --- CLI ---
+  console.log('\nCLI:');
+
+  if (test('exports SARIF for the current directory by default', () => {
+    fs.mkdirSync(project, { recursive: true });
+    const result = runCli([]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const sarif = JSON.parse(result.stdout);
+    const uris = sarif.runs.flatMap(r => r.results.map(res => res.locations[0].physicalLocation.artifactLocation.uri));
+    assert.deepStrictEqual(uris.sort(), ['src/a.ts', 'src/b.ts']);
+  })) passed++; else failed++;
+
+  if (test('--format json --out writes a file', () => {
+    const out = path.join(tmpDir, 'out.json');
+    const result = runCli(['--format', 'json', '--out', out]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(JSON.parse(fs.readFileSync(out, 'utf8')).summary.total, 2);
+  })) passed++; else failed++;
+
+  if (test('unknown format prints usage and fails', () => {
+    const result = runCli(['--format', 'xml']);
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stdout.includes('Usage'));
+  })) passed++; else failed++;
+
+  // --- Hook integration ---
+  console.log('\nHook integration:');
+
+  if (test('console-log-detector emits structured diagnostics', () => {
+    const file = path.join(project, 'src', 'debug.js');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, 'const a = 1;\n  console.log(a);\n');
+    const result = spawnSync('node', [DETECTOR_PATH], {
+      cwd: project,
+      input: JSON.stringify({ tool_name: 'Edit', tool_input: { file_path: file } }),
+      encoding: 'utf8',
+      env: { ...process.env, CLAUDE_CONFIG_DIR: tmpDir }
+    });
+    const output = JSON.parse(result.stdout);
+    const context = output.hookSpecificOutput.additionalContext;
+    assert.ok(context.startsWith('[Debug Statements] 1 warning in debug.js:'), context);
+    assert.ok(context.includes(`${path.join('src', 'debug.js')}:2:3 warning debug-statement: console.log debug statement`), context);
+
+    const recorded = getLatestDiagnostics(readDiagnosticsLog()).filter(d => d.file === file);
+    assert.strictEqual(recorded.length, 1);
+    assert.strictEqual(recorded[0].source, 'debug-statements');
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -1,6 +1,6 @@
 /**
  * Tests for scripts/lib/ecosystems/ modules
- * Ecosystem registry, auto-discovery, and ecosystem-specific modules (Node.js, JVM, Python, Rust)
+ * Ecosystem registry, auto-discovery, and ecosystem-specific modules (Node.js, JVM, Python, Rust, Go, .NET)
  *
  * Run with: node tests/lib/ecosystems.test.cjs
  */
@@ -26,7 +26,7 @@ let Ecosystem, getEcosystem, detectEcosystem, ECOSYSTEMS;
 let getRegistry, getEcosystemDirs, getEcosystemsByPriority;
 let getAllDebugPatterns, getAllProjectSubTypes, getAllSetupToolCategories;
 let getAllEcosystemTools, getAllVersionCommands, getAllInstallationHelp;
-let getAllFileFormatters;
+let getAllFileFormatters, getAllSafeCommandPatterns;
 let moduleLoaded = false;
 
 try {
@@ -45,6 +45,7 @@ try {
   getAllVersionCommands = ecosystemModule.getAllVersionCommands;
   getAllInstallationHelp = ecosystemModule.getAllInstallationHelp;
   getAllFileFormatters = ecosystemModule.getAllFileFormatters;
+  getAllSafeCommandPatterns = ecosystemModule.getAllSafeCommandPatterns;
   moduleLoaded = true;
 } catch (error) {
   console.log('\n⚠️  Module not found (expected in TDD RED phase)');
@@ -56,6 +57,8 @@ try {
     JVM: 'jvm',
     PYTHON: 'python',
     RUST: 'rust',
+    GO: 'go',
+    DOTNET: 'dotnet',
     UNKNOWN: 'unknown'
   };
 
@@ -76,6 +79,7 @@ try {
     getInstallationHelp() { return {}; }
     getSetupToolCategories() { return {}; }
     getDebugPatterns() { return []; }
+    getSafeCommandPatterns() { return []; }
     getProjectSubTypes() { return {}; }
     getBuildCommand() { return null; }
     getTestCommand() { return null; }
@@ -97,6 +101,7 @@ try {
   getAllVersionCommands = () => ({});
   getAllInstallationHelp = () => ({});
   getAllFileFormatters = () => [];
+  getAllSafeCommandPatterns = () => [];
 }
 
 // Test suite
@@ -116,6 +121,8 @@ function runTests() {
     assert.ok(ECOSYSTEMS.JVM);
     assert.ok(ECOSYSTEMS.PYTHON);
     assert.ok(ECOSYSTEMS.RUST);
+    assert.ok(ECOSYSTEMS.GO);
+    assert.ok(ECOSYSTEMS.DOTNET);
     assert.ok(ECOSYSTEMS.UNKNOWN);
   }) ? 'passed' : 'failed']++;
 
@@ -124,6 +131,8 @@ function runTests() {
     assert.strictEqual(ECOSYSTEMS.JVM, 'jvm');
     assert.strictEqual(ECOSYSTEMS.PYTHON, 'python');
     assert.strictEqual(ECOSYSTEMS.RUST, 'rust');
+    assert.strictEqual(ECOSYSTEMS.GO, 'go');
+    assert.strictEqual(ECOSYSTEMS.DOTNET, 'dotnet');
     assert.strictEqual(ECOSYSTEMS.UNKNOWN, 'unknown');
   }) ? 'passed' : 'failed']++;
 
@@ -137,12 +146,14 @@ function runTests() {
   // Auto-Discovery Registry
   console.log('Auto-Discovery Registry:');
 
-  results[test('registry should contain all four ecosystems plus unknown', () => {
+  results[test('registry should contain all six ecosystems plus unknown', () => {
     const registry = getRegistry();
     assert.ok(registry['nodejs'], 'nodejs should be in registry');
     assert.ok(registry['jvm'], 'jvm should be in registry');
     assert.ok(registry['python'], 'python should be in registry');
     assert.ok(registry['rust'], 'rust should be in registry');
+    assert.ok(registry['go'], 'go should be in registry');
+    assert.ok(registry['dotnet'], 'dotnet should be in registry');
     assert.ok(registry['unknown'], 'unknown should be in registry');
   }) ? 'passed' : 'failed']++;
 
@@ -399,6 +410,35 @@ function runTests() {
     }
   }) ? 'passed' : 'failed']++;
 
+  results[test('getAllSafeCommandPatterns should aggregate patterns from all ecosystems', () => {
+    const patterns = getAllSafeCommandPatterns();
+    const ecosystems = new Set(patterns.map(p => p.ecosystem));
+    for (const type of ['nodejs', 'jvm', 'python', 'rust', 'go', 'dotnet']) {
+      assert.ok(ecosystems.has(type), `should have patterns for ${type}`);
+    }
+    for (const entry of patterns) {
+      assert.strictEqual(typeof entry.id, 'string', 'id should be a string');
+      assert.ok(entry.pattern instanceof RegExp, 'pattern should be a RegExp');
+      assert.ok(entry.pattern.source.startsWith('^'), `${entry.ecosystem}-${entry.id} should be anchored`);
+    }
+  }) ? 'passed' : 'failed']++;
+
+  results[test('base getSafeCommandPatterns should allow exact version commands', () => {
+    const eco = getEcosystem(ECOSYSTEMS.JVM);
+    const versionRule = eco.getSafeCommandPatterns().find(p => p.id === 'java-version');
+    assert.ok(versionRule, 'should derive java-version from getVersionCommands()');
+    assert.ok(versionRule.pattern.test('java -version'));
+    assert.ok(!versionRule.pattern.test('java -version; rm -rf /'));
+  }) ? 'passed' : 'failed']++;
+
+  results[test('safe command patterns match the ecosystem test commands', () => {
+    for (const type of ['nodejs', 'jvm', 'python', 'rust', 'go', 'dotnet']) {
+      const eco = getEcosystem(type);
+      const cmd = eco.getTestCommand();
+      assert.ok(eco.getSafeCommandPatterns().some(p => p.pattern.test(cmd)), `${type}: ${cmd} should be safe`);
+    }
+  }) ? 'passed' : 'failed']++;
+
   console.log('');
 
   // File Formatter Methods
@@ -606,11 +646,124 @@ function runTests() {
     assert.ok(commands.cargo || commands.build);
   }) ? 'passed' : 'failed']++;
 
-  results[test('rust should have no debug patterns', () => {
+  results[test('rust debug pattern should flag println!, eprintln! and dbg!', () => {
+    const [pattern] = getEcosystem(ECOSYSTEMS.RUST).getDebugPatterns();
+    assert.ok(pattern.extensions.test('src/main.rs'));
+    assert.ok(pattern.pattern.test('    println!("x = {}", x);'));
+    assert.ok(pattern.pattern.test('eprintln!("oops");'));
+    assert.ok(pattern.pattern.test('let y = dbg!(x * 2);'));
+    assert.ok(!pattern.pattern.test('writeln!(f, "{}", self.0)?;'));
+    assert.ok(!pattern.pattern.test('log::info!("started");'));
+    assert.ok(pattern.skipPattern.test('// println!("old");'));
+  }) ? 'passed' : 'failed']++;
+
+  results[test('rust should declare clippy as a lint tool', () => {
     const eco = getEcosystem(ECOSYSTEMS.RUST);
-    const patterns = eco.getDebugPatterns();
-    assert.ok(Array.isArray(patterns));
-    assert.strictEqual(patterns.length, 0);
+    assert.ok(eco.getTools().buildTools.includes('cargo-clippy'));
+    assert.strictEqual(eco.getLintCommand(), 'cargo clippy');
+    const clippy = eco.getSafeCommandPatterns().find(p => p.id === 'clippy');
+    assert.ok(clippy.pattern.test('cargo clippy --workspace'));
+    assert.ok(!clippy.pattern.test('cargo clippy --fix'), 'clippy --fix rewrites files');
+  }) ? 'passed' : 'failed']++;
+
+  results[test('rust project sub-type should require Cargo.toml', () => {
+    assert.deepStrictEqual(getEcosystem(ECOSYSTEMS.RUST).getProjectSubTypes(), { rust: ['Cargo.toml'] });
+  }) ? 'passed' : 'failed']++;
+
+  console.log('');
+
+  // Go Ecosystem Specifics
+  console.log('Go Ecosystem:');
+
+  results[test('go should have go.mod and go.work indicators', () => {
+    const eco = getEcosystem(ECOSYSTEMS.GO);
+    const indicators = eco.getIndicators();
+    assert.ok(indicators.includes('go.mod'));
+    assert.ok(indicators.includes('go.work'));
+  }) ? 'passed' : 'failed']++;
+
+  results[test('go should be detected from go.mod', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-go-'));
+    try {
+      fs.writeFileSync(path.join(tempDir, 'go.mod'), 'module example.com/app\n\ngo 1.22\n');
+      assert.strictEqual(detectEcosystem(tempDir), ECOSYSTEMS.GO);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }) ? 'passed' : 'failed']++;
+
+  results[test('go should prefer goimports and fall back to gofmt', () => {
+    const formatters = getEcosystem(ECOSYSTEMS.GO).getFileFormatters();
+    assert.deepStrictEqual(formatters.map(f => f.tool), ['goimports', 'gofmt']);
+    assert.deepStrictEqual(formatters[1].args('main.go'), ['-w', 'main.go']);
+  }) ? 'passed' : 'failed']++;
+
+  results[test('go debug pattern should flag fmt.Println but not comments or log', () => {
+    const [pattern] = getEcosystem(ECOSYSTEMS.GO).getDebugPatterns();
+    assert.ok(pattern.extensions.test('main.go'));
+    assert.ok(pattern.pattern.test('\tfmt.Println("here")'));
+    assert.ok(pattern.pattern.test('fmt.Printf("%v", x)'));
+    assert.ok(!pattern.pattern.test('fmt.Sprintf("%v", x)'));
+    assert.ok(!pattern.pattern.test('log.Println("ok")'));
+    assert.ok(pattern.skipPattern.test('// fmt.Println("old")'));
+  }) ? 'passed' : 'failed']++;
+
+  results[test('go lint command should use go vet or staticcheck', () => {
+    const eco = getEcosystem(ECOSYSTEMS.GO);
+    assert.strictEqual(eco.getLintCommand(), 'go vet ./...');
+    assert.strictEqual(eco.getLintCommand({ linter: 'staticcheck' }), 'staticcheck ./...');
+    assert.ok(eco.getSafeCommandPatterns().some(p => p.pattern.test('staticcheck ./...')));
+  }) ? 'passed' : 'failed']++;
+
+  results[test('go should provide installation help for go and staticcheck', () => {
+    const help = getEcosystem(ECOSYSTEMS.GO).getInstallationHelp();
+    for (const tool of ['go', 'goimports', 'staticcheck']) {
+      assert.ok(help[tool].linux && help[tool].darwin && help[tool].win32, tool);
+    }
+  }) ? 'passed' : 'failed']++;
+
+  console.log('');
+
+  // .NET Ecosystem Specifics
+  console.log('.NET Ecosystem:');
+
+  results[test('dotnet should be detected from *.csproj and *.sln indicators', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-dotnet-'));
+    try {
+      assert.strictEqual(detectEcosystem(tempDir), ECOSYSTEMS.UNKNOWN);
+      fs.writeFileSync(path.join(tempDir, 'Api.csproj'), '<Project Sdk="Microsoft.NET.Sdk.Web" />');
+      assert.strictEqual(detectEcosystem(tempDir), ECOSYSTEMS.DOTNET);
+      assert.ok(getEcosystem(ECOSYSTEMS.DOTNET).getIndicators().includes('*.sln'));
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }) ? 'passed' : 'failed']++;
+
+  results[test('dotnet should format with dotnet format', () => {
+    const [formatter] = getEcosystem(ECOSYSTEMS.DOTNET).getFileFormatters();
+    assert.strictEqual(formatter.tool, 'dotnet');
+    assert.ok(formatter.extensions.includes('.cs'));
+    assert.deepStrictEqual(formatter.args('Program.cs'), ['format', '--include', 'Program.cs']);
+  }) ? 'passed' : 'failed']++;
+
+  results[test('dotnet debug pattern should flag Console.WriteLine', () => {
+    const [pattern] = getEcosystem(ECOSYSTEMS.DOTNET).getDebugPatterns();
+    assert.ok(pattern.extensions.test('Program.cs'));
+    assert.ok(pattern.pattern.test('Console.WriteLine($"x = {x}");'));
+    assert.ok(pattern.pattern.test('Console.Write("x")'));
+    assert.ok(!pattern.pattern.test('logger.LogInformation("ok");'));
+    assert.ok(pattern.skipPattern.test('// Console.WriteLine("old");'));
+  }) ? 'passed' : 'failed']++;
+
+  results[test('dotnet commands can be scoped to a solution', () => {
+    const { generateCommand } = require('../../plugin/scripts/lib/workspace/commands.cjs');
+    assert.strictEqual(generateCommand('dotnet', 'test'), 'dotnet test');
+    assert.strictEqual(generateCommand('dotnet', 'build', { solution: 'App.sln' }), 'dotnet build App.sln');
+    assert.strictEqual(generateCommand('dotnet', 'lint'), 'dotnet format --verify-no-changes');
   }) ? 'passed' : 'failed']++;
 
   console.log('');
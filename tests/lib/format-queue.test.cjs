@@ -0,0 +1,251 @@
+/**
+ * Tests for scripts/lib/format-queue.cjs and the format-queue Stop hook
+ *
+ * Run with: node tests/lib/format-queue.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+// Override CLAUDE_CONFIG_DIR before loading the module
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'format-queue-test-'));
+process.env.CLAUDE_CONFIG_DIR = path.join(tmpDir, 'claude');
+
+const {
+  getFormattingConfig,
+  queuePath,
+  enqueueFile,
+  readQueue,
+  claimQueue,
+  releaseQueue,
+  pruneQueues,
+  batchArgs,
+  formatBatch
+} = require('../../plugin/scripts/lib/format-queue.cjs');
+
+const HOOKS_DIR = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'hooks');
+const queueDir = path.join(tmpDir, 'queue');
+
+function makeProject(name, files = {}) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(path.join(dir, '.claude'), { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    const full = path.join(dir, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content);
+  }
+  return dir;
+}
+
+/**
+ * Fake resolveFormatters(): prettier for .js, a single-file tool for .java
+ */
+function fakeResolve(file) {
+  if (file.endsWith('.js')) {
+    return { formatters: [{ tool: 'prettier', command: 'prettier', args: ['--write', file], cwd: path.dirname(file) }], configured: true };
+  }
+  if (file.endsWith('.java')) {
+    return { formatters: [{ tool: 'gradle', command: 'gradlew', args: ['spotlessApply', `-PspotlessIdeHook=${file}`], cwd: path.dirname(file) }], configured: true };
+  }
+  if (file.endsWith('.min.js.txt')) return { formatters: [], configured: true, ignoredBy: '/p/.prettierignore' };
+  return { formatters: [], configured: false };
+}
+
+function runHook(script, input) {
+  return spawnSync('node', [path.join(HOOKS_DIR, script)], {
+    input: JSON.stringify(input),
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, CLAUDE_CONFIG_DIR: path.join(tmpDir, 'claude') }
+  });
+}
+
+function runTests() {
+  console.log('\n=== Testing format-queue.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Configuration ---
+  console.log('Configuration:');
+
+  if (test('getFormattingConfig defaults to immediate and reads deferred mode', () => {
+    assert.deepStrictEqual(getFormattingConfig(makeProject('defaults')), { mode: 'immediate', rangeFormatting: false, formatOnTouchOnly: [] });
+    assert.strictEqual(getFormattingConfig(makeProject('deferred', { '.claude/formatting.json': '{"mode":"deferred"}' })).mode, 'deferred');
+    assert.strictEqual(getFormattingConfig(makeProject('bogus', { '.claude/formatting.json': '{"mode":"later"}' })).mode, 'immediate');
+  })) passed++; else failed++;
+
+  // --- Queue persistence ---
+  console.log('\nQueue persistence:');
+
+  if (test('enqueueFile appends entries and readQueue keeps one per file', () => {
+    assert.ok(enqueueFile('s1', '/p/a.js', { cwd: '/p', queueDir }));
+    assert.ok(enqueueFile('s1', '/p/b.js', { cwd: '/p', queueDir }));
+    assert.ok(enqueueFile('s1', '/p/a.js', { cwd: '/p', queueDir }));
+    assert.deepStrictEqual(readQueue('s1', { queueDir }).map(e => e.file).sort(), [path.resolve('/p/a.js'), path.resolve('/p/b.js')]);
+    assert.strictEqual(fs.readFileSync(queuePath('s1', queueDir), 'utf8').trim().split('\n').length, 3);
+  })) passed++; else failed++;
+
+  if (test('queuePath keeps session ids inside the queue directory', () => {
+    assert.strictEqual(path.dirname(queuePath('../../etc/passwd', queueDir)), queueDir);
+    assert.strictEqual(path.basename(queuePath(undefined, queueDir)), 'default.jsonl');
+  })) passed++; else failed++;
+
+  if (test('claimQueue moves the queue aside so new edits start a fresh one', () => {
+    const claim = claimQueue('s1', { queueDir });
+    assert.strictEqual(claim.entries.length, 2);
+    assert.ok(!fs.existsSync(queuePath('s1', queueDir)));
+
+    enqueueFile('s1', '/p/c.js', { queueDir });
+    assert.ok(fs.existsSync(queuePath('s1', queueDir)), 'edits after the claim are queued separately');
+    releaseQueue(claim);
+    assert.deepStrictEqual(readQueue('s1', { queueDir }).map(e => path.basename(e.file)), ['c.js']);
+    releaseQueue(claimQueue('s1', { queueDir }));
+    assert.strictEqual(claimQueue('s1', { queueDir }), null);
+  })) passed++; else failed++;
+
+  if (test('an unreleased claim survives and is merged into the next claim', () => {
+    enqueueFile('crash', '/p/a.js', { queueDir });
+    claimQueue('crash', { queueDir }); // process dies before releaseQueue()
+    enqueueFile('crash', '/p/b.js', { queueDir });
+    fs.appendFileSync(queuePath('crash', queueDir), '{"file": "/p/torn');
+
+    const claim = claimQueue('crash', { queueDir });
+    assert.deepStrictEqual(claim.entries.map(e => path.basename(e.file)).sort(), ['a.js', 'b.js']);
+    releaseQueue(claim);
+  })) passed++; else failed++;
+
+  if (test('pruneQueues removes abandoned queues only', () => {
+    enqueueFile('old', '/p/a.js', { queueDir });
+    enqueueFile('new', '/p/a.js', { queueDir });
+    const weekAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(queuePath('old', queueDir), weekAgo, weekAgo);
+    assert.strictEqual(pruneQueues({ queueDir }), 1);
+    assert.ok(fs.existsSync(queuePath('new', queueDir)));
+  })) passed++; else failed++;
+
+  // --- Batching ---
+  console.log('\nBatching:');
+
+  const project = makeProject('batch', { 'a.js': '', 'b.js': '', 'c.js': '', 'A.java': '', 'B.java': '', 'x.min.js.txt': '', 'notes.md': '' });
+  const entry = name => ({ file: path.join(project, name) });
+
+  if (test('batchArgs substitutes the file list, or refuses embedded paths', () => {
+    const file = path.join(project, 'a.js');
+    assert.deepStrictEqual(batchArgs({ args: ['--write', file, '--log-level=warn'] }, file, ['x', 'y']), ['--write', 'x', 'y', '--log-level=warn']);
+    assert.strictEqual(batchArgs({ args: [`-PspotlessIdeHook=${file}`] }, file, ['x', 'y']), null);
+  })) passed++; else failed++;
+
+  if (test('formatBatch runs each formatter once for many files', () => {
+    const runs = [];
+    const result = formatBatch(['a.js', 'b.js', 'c.js', 'A.java', 'B.java', 'x.min.js.txt', 'notes.md', 'gone.js'].map(entry), {
+      resolve: fakeResolve,
+      run: fmt => { runs.push(fmt); return { ok: true }; }
+    });
+    const prettierRuns = runs.filter(r => r.tool === 'prettier');
+    assert.strictEqual(prettierRuns.length, 1);
+    assert.deepStrictEqual(prettierRuns[0].args, ['--write', ...['a.js', 'b.js', 'c.js'].map(f => path.join(project, f))]);
+    assert.strictEqual(runs.filter(r => r.tool === 'gradle').length, 2, 'single-file formatters run per file');
+    assert.strictEqual(result.formatted.length, 5);
+    assert.strictEqual(result.runs, 3);
+    assert.deepStrictEqual(result.skipped.map(s => s.reason).sort(), ['deleted', 'ignored by .prettierignore', 'no formatter']);
+  })) passed++; else failed++;
+
+  if (test('a failed batch falls back to one run per file', () => {
+    const bad = path.join(project, 'b.js');
+    const result = formatBatch(['a.js', 'b.js'].map(entry), {
+      resolve: fakeResolve,
+      run: fmt => (fmt.args.includes(bad) ? { ok: false, error: 'SyntaxError' } : { ok: true })
+    });
+    assert.deepStrictEqual(result.formatted.map(f => path.basename(f.file)), ['a.js']);
+    assert.deepStrictEqual(result.failed, [{ file: bad, error: 'SyntaxError' }]);
+    assert.strictEqual(result.runs, 3);
+  })) passed++; else failed++;
+
+  if (test('range-limited files run one at a time; format-on-touch only files need a range formatter', () => {
+    const runs = [];
+    const rangeResolve = (file, cwd, ranges) => ({
+      formatters: [{ tool: 'prettier', command: 'prettier', args: ['--write', `--range-start=${ranges[0].start}`, file], cwd: project, range: true }],
+      configured: true
+    });
+    const result = formatBatch(['a.js', 'b.js'].map(entry), {
+      resolve: rangeResolve,
+      plan: () => ({ scope: 'ranges', ranges: [{ start: 1, end: 1 }], touchOnly: false }),
+      run: fmt => { runs.push(fmt); return { ok: true }; }
+    });
+    assert.strictEqual(runs.length, 2);
+    assert.strictEqual(result.formatted.length, 2);
+
+    const touchOnly = formatBatch(['A.java', 'c.js'].map(entry), {
+      resolve: fakeResolve,
+      plan: e => (e.file.endsWith('.js')
+        ? { scope: 'skip', touchOnly: true, reason: 'format-on-touch only: changed lines unknown' }
+        : { scope: 'ranges', ranges: [{ start: 1, end: 1 }], touchOnly: true }),
+      run: () => ({ ok: true })
+    });
+    assert.deepStrictEqual(touchOnly.formatted, []);
+    assert.deepStrictEqual(touchOnly.skipped.map(s => s.reason).sort(), [
+      'format-on-touch only: changed lines unknown',
+      'format-on-touch only: no range-capable formatter'
+    ]);
+  })) passed++; else failed++;
+
+  // --- Hooks ---
+  console.log('\nHooks:');
+
+  if (process.platform !== 'win32' && test('smart-formatter queues in deferred mode and the Stop hook formats the batch', () => {
+    const root = makeProject('hooks', {
+      '.claude/formatting.json': '{"mode":"deferred"}',
+      '.prettierrc': '{}',
+      'a.js': 'a',
+      'b.js': 'b'
+    });
+    fs.mkdirSync(path.join(root, '.git'));
+    // Stub prettier that records its arguments
+    const bin = path.join(root, 'node_modules', '.bin', 'prettier');
+    fs.mkdirSync(path.dirname(bin), { recursive: true });
+    fs.writeFileSync(bin, `#!/bin/sh\necho "$@" >> "${path.join(root, 'calls.txt')}"\n`);
+    fs.chmodSync(bin, 0o755);
+
+    for (const name of ['a.js', 'b.js']) {
+      const res = runHook('smart-formatter.js', { session_id: 'hook-session', cwd: root, tool_name: 'Edit', tool_input: { file_path: path.join(root, name) } });
+      assert.strictEqual(res.status, 0, res.stderr);
+    }
+    assert.ok(!fs.existsSync(path.join(root, 'calls.txt')), 'nothing formatted on edit');
+
+    const stop = runHook('format-queue.cjs', { session_id: 'hook-session', cwd: root, hook_event_name: 'Stop' });
+    assert.strictEqual(stop.status, 0, stop.stderr);
+    const calls = fs.readFileSync(path.join(root, 'calls.txt'), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(calls, [`--write ${path.join(root, 'a.js')} ${path.join(root, 'b.js')}`]);
+    assert.deepStrictEqual(readQueue('hook-session'), [], 'queue released');
+  })) passed++; else if (process.platform !== 'win32') failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -0,0 +1,247 @@
+/**
+ * Tests for scripts/lib/format-ranges.cjs and range-limited formatter resolution
+ *
+ * Run with: node tests/lib/format-ranges.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const {
+  mergeRanges,
+  rangesFromEdit,
+  parseDiffRanges,
+  rangesFromGitDiff,
+  isFormatOnTouchOnly,
+  planFormatting
+} = require('../../plugin/scripts/lib/format-ranges.cjs');
+const { resolveFormatters, runFormatter } = require('../../plugin/scripts/lib/formatter-resolution.cjs');
+const { getBudgetConfig, beginHookBudget, endHookBudget } = require('../../plugin/scripts/lib/hook-budget.cjs');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'format-ranges-test-'));
+const hasGit = spawnSync('git', ['--version']).status === 0;
+const ALL_GLOBAL = () => true;
+const RANGES = { rangeFormatting: true, formatOnTouchOnly: [] };
+
+function git(cwd, ...args) {
+  const result = spawnSync('git', ['-c', 'user.email=t@example.com', '-c', 'user.name=t', ...args], { cwd, encoding: 'utf8' });
+  if (result.status !== 0) throw new Error(result.stderr);
+}
+
+/**
+ * Git repository with one committed file
+ */
+function makeRepo(name, file, content) {
+  const root = path.join(tmpDir, name);
+  fs.mkdirSync(root, { recursive: true });
+  git(root, 'init', '-q');
+  fs.writeFileSync(path.join(root, file), content);
+  git(root, 'add', '.');
+  git(root, 'commit', '-q', '-m', 'init');
+  return root;
+}
+
+function runTests() {
+  console.log('\n=== Testing format-ranges.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Changed lines ---
+  console.log('Changed lines:');
+
+  if (test('mergeRanges sorts and joins overlapping or adjacent ranges', () => {
+    assert.deepStrictEqual(mergeRanges([{ start: 9, end: 9 }, { start: 1, end: 3 }, { start: 4, end: 5 }, { start: 2, end: 2 }]), [
+      { start: 1, end: 5 },
+      { start: 9, end: 9 }
+    ]);
+  })) passed++; else failed++;
+
+  if (test('rangesFromEdit locates new_string in the edited file', () => {
+    const content = 'a\nb\nfoo(1,\n  2)\nc\nfoo(1,\n  2)\n';
+    assert.deepStrictEqual(rangesFromEdit('Edit', { new_string: 'b\n' }, content), [{ start: 2, end: 2 }]);
+    assert.deepStrictEqual(rangesFromEdit('MultiEdit', { edits: [{ new_string: 'a' }, { new_string: 'c' }] }, content), [{ start: 1, end: 1 }, { start: 5, end: 5 }]);
+  })) passed++; else failed++;
+
+  if (test('rangesFromEdit returns null when the edit cannot be located', () => {
+    assert.strictEqual(rangesFromEdit('Edit', { new_string: '' }, 'a\n'), null, 'deletion');
+    assert.strictEqual(rangesFromEdit('Edit', { new_string: 'zzz' }, 'a\n'), null, 'changed since');
+    assert.strictEqual(rangesFromEdit('Write', { content: 'a\n' }, 'a\n'), null);
+  })) passed++; else failed++;
+
+  if (test('rangesFromEdit returns null when new_string occurs more than once', () => {
+    const content = 'a\nfoo(1,\n  2)\nc\nfoo(1,\n  2)\n';
+    assert.strictEqual(rangesFromEdit('Edit', { new_string: 'foo(1,\n  2)' }, content), null);
+    assert.strictEqual(rangesFromEdit('MultiEdit', { edits: [{ new_string: 'a' }, { new_string: 'foo(1,' }] }, content), null);
+    assert.strictEqual(rangesFromEdit('Edit', { new_string: 'aa' }, 'aaa\n'), null, 'overlapping occurrences');
+  })) passed++; else failed++;
+
+  if (test('parseDiffRanges reads new-side hunks from git diff -U0', () => {
+    const diff = [
+      'diff --git a/A.java b/A.java',
+      '@@ -3 +3 @@ class A {',
+      '@@ -10,0 +11,2 @@',
+      '@@ -20,3 +22,0 @@'
+    ].join('\n');
+    assert.deepStrictEqual(parseDiffRanges(diff), [{ start: 3, end: 3 }, { start: 11, end: 12 }, { start: 22, end: 22 }]);
+  })) passed++; else failed++;
+
+  if (hasGit && test('rangesFromGitDiff diffs against HEAD; untracked files are new as a whole', () => {
+    const root = makeRepo('diff', 'a.py', 'x = 1\ny = 2\nz = 3\n');
+    fs.writeFileSync(path.join(root, 'a.py'), 'x = 1\ny  =  20\nz = 3\n');
+    assert.deepStrictEqual(rangesFromGitDiff(path.join(root, 'a.py')), [{ start: 2, end: 2 }]);
+
+    fs.writeFileSync(path.join(root, 'new.py'), 'a = 1\nb = 2\n');
+    assert.deepStrictEqual(rangesFromGitDiff(path.join(root, 'new.py')), [{ start: 1, end: 2 }]);
+
+    git(root, 'checkout', '--', 'a.py');
+    assert.deepStrictEqual(rangesFromGitDiff(path.join(root, 'a.py')), []);
+    assert.strictEqual(rangesFromGitDiff(path.join(root, 'a.py'), { exec: () => ({ status: 128, stdout: '' }) }), null, 'not a repository');
+  })) passed++; else if (hasGit) failed++;
+
+  if (hasGit && test('rangesFromGitDiff runs git within the active hook budget', () => {
+    const root = makeRepo('budget', 'a.py', 'x = 1\n');
+    fs.writeFileSync(path.join(root, 'a.py'), 'x = 2\n');
+    const budget = beginHookBudget('format-queue', { config: getBudgetConfig(root), eventDeadline: Date.now() - 1 });
+    const ranges = rangesFromGitDiff(path.join(root, 'a.py'));
+    endHookBudget(budget);
+    assert.strictEqual(ranges, null);
+    assert.deepStrictEqual(budget.exceeded, { command: 'git' });
+  })) passed++; else if (hasGit) failed++;
+
+  // --- Planning ---
+  console.log('\nPlanning:');
+
+  if (test('isFormatOnTouchOnly matches gitignore-style patterns from the project root', () => {
+    const root = path.join(tmpDir, 'project');
+    const patterns = ['src/legacy/', '*.Generated.java', '!src/legacy/Modern.java'];
+    assert.strictEqual(isFormatOnTouchOnly(path.join(root, 'src', 'legacy', 'Old.java'), patterns, root), true);
+    assert.strictEqual(isFormatOnTouchOnly(path.join(root, 'src', 'Api.Generated.java'), patterns, root), true);
+    assert.strictEqual(isFormatOnTouchOnly(path.join(root, 'src', 'legacy', 'Modern.java'), patterns, root), false);
+    assert.strictEqual(isFormatOnTouchOnly(path.join(root, 'src', 'App.java'), patterns, root), false);
+    assert.strictEqual(isFormatOnTouchOnly(path.join(root, 'src', 'legacy', 'Old.java'), [], root), false);
+  })) passed++; else failed++;
+
+  if (test('planFormatting formats whole files unless ranges are configured', () => {
+    const file = path.join(tmpDir, 'plain.py');
+    fs.writeFileSync(file, 'x = 1\n');
+    assert.deepStrictEqual(planFormatting(file, { config: { rangeFormatting: false, formatOnTouchOnly: [] } }), { scope: 'file', touchOnly: false });
+
+    const plan = planFormatting(file, { config: RANGES, toolName: 'Edit', toolInput: { new_string: 'x = 1' } });
+    assert.deepStrictEqual(plan, { scope: 'ranges', ranges: [{ start: 1, end: 1 }], touchOnly: false });
+  })) passed++; else failed++;
+
+  if (test('planFormatting skips format-on-touch only files when the change is unknown', () => {
+    const root = path.join(tmpDir, 'touch');
+    fs.mkdirSync(path.join(root, 'legacy'), { recursive: true });
+    const file = path.join(root, 'legacy', 'old.py');
+    fs.writeFileSync(file, 'x = 1\n');
+    const config = { rangeFormatting: false, formatOnTouchOnly: ['legacy/'] };
+    const noGit = () => ({ status: 128, stdout: '' });
+
+    const skipped = planFormatting(file, { config, cwd: root, toolName: 'Write', toolInput: {}, exec: noGit });
+    assert.strictEqual(skipped.scope, 'skip');
+    assert.strictEqual(skipped.touchOnly, true);
+
+    const ranged = planFormatting(file, { config, cwd: root, toolName: 'Edit', toolInput: { new_string: 'x = 1' }, exec: noGit });
+    assert.deepStrictEqual(ranged, { scope: 'ranges', ranges: [{ start: 1, end: 1 }], touchOnly: true });
+
+    assert.strictEqual(planFormatting(file, { config: RANGES, cwd: root, toolName: 'Write', exec: noGit }).scope, 'file', 'plain range mode falls back to the whole file');
+  })) passed++; else failed++;
+
+  if (test('planFormatting diffs against HEAD when the edit text is not unique', () => {
+    const file = path.join(tmpDir, 'repeated.py');
+    fs.writeFileSync(file, 'x = 1\ny = 2\nx = 1\n');
+    const diff = () => ({ status: 0, stdout: '@@ -3 +3 @@\n' });
+    const plan = planFormatting(file, { config: RANGES, toolName: 'Edit', toolInput: { new_string: 'x = 1' }, exec: diff });
+    assert.deepStrictEqual(plan, { scope: 'ranges', ranges: [{ start: 3, end: 3 }], touchOnly: false });
+  })) passed++; else failed++;
+
+  // --- Range-capable formatters ---
+  console.log('\nRange-capable formatters:');
+
+  const root = path.join(tmpDir, 'formatters');
+  fs.mkdirSync(path.join(root, '.git'), { recursive: true });
+  const ranges = [{ start: 2, end: 3 }, { start: 7, end: 7 }];
+
+  if (test('google-java-format gets one --lines option per range', () => {
+    const file = path.join(root, 'A.java');
+    const [fmt] = resolveFormatters(file, { commandExists: ALL_GLOBAL, ecosystems: ['jvm'], ranges }).formatters;
+    assert.strictEqual(fmt.range, true);
+    assert.deepStrictEqual(fmt.args, ['-i', '--lines', '2:3', '--lines', '7:7', file]);
+  })) passed++; else failed++;
+
+  if (test('black takes every range; ruff runs once per range, last range first', () => {
+    const project = path.join(root, 'py');
+    fs.mkdirSync(project, { recursive: true });
+    fs.writeFileSync(path.join(project, 'pyproject.toml'), '[tool.black]\n\n[tool.ruff]\n');
+    const file = path.join(project, 'a.py');
+    const [black, ruff] = resolveFormatters(file, { commandExists: ALL_GLOBAL, ranges }).formatters;
+    assert.deepStrictEqual(black.args, ['--quiet', '--line-ranges=2-3', '--line-ranges=7-7', file]);
+    assert.deepStrictEqual(ruff.argsPerRange, [
+      ['format', '--force-exclude', '--range=7-7', file],
+      ['format', '--force-exclude', '--range=2-3', file]
+    ]);
+    assert.deepStrictEqual(ruff.args, ruff.argsPerRange[0]);
+    assert.strictEqual(black.argsPerRange, undefined);
+
+    const [, single] = resolveFormatters(file, { commandExists: ALL_GLOBAL, ranges: [{ start: 4, end: 5 }] }).formatters;
+    assert.deepStrictEqual(single.args, ['format', '--force-exclude', '--range=4-5', file]);
+    assert.strictEqual(single.argsPerRange, undefined);
+  })) passed++; else failed++;
+
+  if (test('prettier gets character offsets; formatters without ranges are marked', () => {
+    const project = path.join(root, 'js');
+    fs.mkdirSync(project, { recursive: true });
+    fs.writeFileSync(path.join(project, '.prettierrc'), '{}');
+    const file = path.join(project, 'a.js');
+    fs.writeFileSync(file, 'aa\nbb\ncc\n');
+    const [prettier] = resolveFormatters(file, { commandExists: ALL_GLOBAL, ranges: [{ start: 2, end: 2 }] }).formatters;
+    assert.deepStrictEqual(prettier.args, ['--write', '--range-start=3', '--range-end=5', file]);
+    const [split] = resolveFormatters(file, { commandExists: ALL_GLOBAL, ranges: [{ start: 1, end: 1 }, { start: 3, end: 3 }] }).formatters;
+    assert.deepStrictEqual(split.argsPerRange.map(args => args.slice(1, 3)), [['--range-start=6', '--range-end=8'], ['--range-start=0', '--range-end=2']]);
+
+    const [ktfmt] = resolveFormatters(path.join(root, 'A.kt'), { commandExists: ALL_GLOBAL, ecosystems: ['jvm'], ranges }).formatters;
+    assert.strictEqual(ktfmt.range, false);
+    assert.deepStrictEqual(ktfmt.args, [path.join(root, 'A.kt')]);
+  })) passed++; else failed++;
+
+  if (process.platform !== 'win32' && test('runFormatter runs a single-range formatter once per range', () => {
+    const log = path.join(tmpDir, 'runs.log');
+    const fake = path.join(tmpDir, 'fake-formatter');
+    fs.writeFileSync(fake, `#!/usr/bin/env node\nrequire('fs').appendFileSync(${JSON.stringify(log)}, process.argv.slice(2).join(' ') + '\\n');\n`);
+    fs.chmodSync(fake, 0o755);
+    const result = runFormatter({ tool: 'fake', command: fake, args: ['--range=7-7'], argsPerRange: [['--range=7-7'], ['--range=2-3']], cwd: tmpDir });
+    assert.deepStrictEqual(result, { ok: true });
+    assert.deepStrictEqual(fs.readFileSync(log, 'utf8').trim().split('\n'), ['--range=7-7', '--range=2-3']);
+  })) passed++; else if (process.platform !== 'win32') failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -0,0 +1,235 @@
+/**
+ * Tests for scripts/lib/formatter-resolution.cjs and Ecosystem#getProjectFormatters
+ *
+ * Run with: node tests/lib/formatter-resolution.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const {
+  findLocalBin,
+  parseIgnoreFile,
+  isIgnoredBy,
+  resolveFormatters,
+  runFormatter
+} = require('../../plugin/scripts/lib/formatter-resolution.cjs');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'formatter-resolution-test-'));
+
+// Every tool is "installed globally" unless a test says otherwise
+const ALL_GLOBAL = () => true;
+const NO_GLOBAL = () => false;
+
+/**
+ * Create a git-rooted project with the given files (content or null for an executable stub)
+ */
+function makeProject(name, files) {
+  const root = path.join(tmpDir, name);
+  fs.mkdirSync(path.join(root, '.git'), { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    const full = path.join(root, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content === null ? '#!/bin/sh\nexit 0\n' : content);
+    if (content === null) fs.chmodSync(full, 0o755);
+  }
+  return root;
+}
+
+function runTests() {
+  console.log('\n=== Testing formatter-resolution.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Ignore files ---
+  console.log('Ignore files:');
+
+  if (test('parseIgnoreFile follows gitignore rules', () => {
+    const match = (text, file) => {
+      let ignored = false;
+      for (const rule of parseIgnoreFile(text)) {
+        if (rule.regex.test(file)) ignored = !rule.negate;
+      }
+      return ignored;
+    };
+    assert.ok(match('dist', 'dist/app.js'), 'bare name matches a directory');
+    assert.ok(match('dist', 'packages/a/dist/app.js'), 'bare name matches at any depth');
+    assert.ok(!match('/dist', 'packages/a/dist/app.js'), 'leading slash anchors');
+    assert.ok(match('*.min.js', 'src/vendor/jquery.min.js'));
+    assert.ok(match('src/generated/**', 'src/generated/deep/api.ts'));
+    assert.ok(match('**/fixtures/', 'test/fixtures/a.js'));
+    assert.ok(!match('build/', 'build.js'), 'directory pattern does not match a file of that name');
+    assert.ok(!match('*.js\n!keep.js', 'keep.js'), 'negation re-includes');
+    assert.ok(!match('# comment\n\n', 'a.js'));
+  })) passed++; else failed++;
+
+  if (test('isIgnoredBy resolves paths relative to the ignore file', () => {
+    const root = makeProject('ignore', { '.prettierignore': 'generated/\n' });
+    const ignoreFile = path.join(root, '.prettierignore');
+    assert.strictEqual(isIgnoredBy(path.join(root, 'generated', 'api.ts'), ignoreFile), true);
+    assert.strictEqual(isIgnoredBy(path.join(root, 'src', 'api.ts'), ignoreFile), false);
+    assert.strictEqual(isIgnoredBy(path.join(tmpDir, 'generated', 'x.ts'), ignoreFile), false, 'outside the ignore file directory');
+    assert.strictEqual(isIgnoredBy(path.join(root, 'a.ts'), path.join(root, 'missing')), false);
+  })) passed++; else failed++;
+
+  // --- Node.js formatters ---
+  console.log('\nNode.js formatters:');
+
+  if (test('prefers node_modules/.bin/prettier over a global prettier', () => {
+    const root = makeProject('prettier-local', { '.prettierrc': '{}', 'node_modules/.bin/prettier': null });
+    const result = resolveFormatters(path.join(root, 'src', 'a.ts'), { commandExists: ALL_GLOBAL });
+    assert.strictEqual(result.configured, true);
+    assert.strictEqual(result.formatters.length, 1);
+    const [fmt] = result.formatters;
+    assert.strictEqual(fmt.tool, 'prettier');
+    assert.strictEqual(fmt.command, path.join(root, 'node_modules', '.bin', 'prettier'));
+    assert.deepStrictEqual(fmt.args, ['--write', path.join(root, 'src', 'a.ts')]);
+    assert.strictEqual(fmt.cwd, root);
+    assert.strictEqual(fmt.source, 'project');
+  })) passed++; else failed++;
+
+  if (test('prettier pinned in package.json counts as configured', () => {
+    const root = makeProject('prettier-dep', { 'package.json': JSON.stringify({ devDependencies: { prettier: '3.3.3' } }) });
+    const result = resolveFormatters(path.join(root, 'a.js'), { commandExists: ALL_GLOBAL });
+    assert.strictEqual(result.formatters[0].tool, 'prettier');
+    assert.strictEqual(result.formatters[0].command, 'prettier', 'global binary when not installed locally');
+    assert.strictEqual(result.formatters[0].configFile, path.join(root, 'package.json'));
+  })) passed++; else failed++;
+
+  if (test('honours .prettierignore', () => {
+    const root = makeProject('prettier-ignore', { '.prettierrc': '{}', '.prettierignore': 'vendor/\n' });
+    const result = resolveFormatters(path.join(root, 'vendor', 'lib.js'), { commandExists: ALL_GLOBAL });
+    assert.deepStrictEqual(result.formatters, []);
+    assert.strictEqual(result.ignoredBy, path.join(root, '.prettierignore'));
+  })) passed++; else failed++;
+
+  if (test('the nearest configured directory wins; local bins are found further up', () => {
+    const root = makeProject('monorepo', {
+      'biome.json': '{}',
+      'node_modules/.bin/prettier': null,
+      'packages/web/.prettierrc': '{}'
+    });
+    const web = resolveFormatters(path.join(root, 'packages', 'web', 'src', 'a.tsx'), { commandExists: NO_GLOBAL });
+    assert.strictEqual(web.formatters[0].tool, 'prettier');
+    assert.strictEqual(web.formatters[0].command, path.join(root, 'node_modules', '.bin', 'prettier'));
+    assert.strictEqual(web.formatters[0].cwd, path.join(root, 'packages', 'web'));
+
+    const api = resolveFormatters(path.join(root, 'packages', 'api', 'a.ts'), { commandExists: ALL_GLOBAL });
+    assert.strictEqual(api.formatters[0].tool, 'biome');
+    assert.ok(api.formatters[0].args.includes('--no-errors-on-unmatched'));
+  })) passed++; else failed++;
+
+  if (test('a configured formatter that is not installed does not fall back to global tools', () => {
+    const root = makeProject('biome-missing', { 'biome.json': '{}' });
+    const result = resolveFormatters(path.join(root, 'a.ts'), { commandExists: NO_GLOBAL, ecosystems: ['nodejs'] });
+    assert.strictEqual(result.configured, true);
+    assert.deepStrictEqual(result.formatters, []);
+    assert.deepStrictEqual(result.missing, ['biome']);
+  })) passed++; else failed++;
+
+  if (test('dprint applies to any file type', () => {
+    const root = makeProject('dprint', { 'dprint.json': '{}', 'node_modules/.bin/dprint': null });
+    const result = resolveFormatters(path.join(root, 'README.md'), { commandExists: NO_GLOBAL });
+    assert.strictEqual(result.formatters[0].tool, 'dprint');
+    assert.deepStrictEqual(result.formatters[0].args, ['fmt', path.join(root, 'README.md')]);
+  })) passed++; else failed++;
+
+  // --- Python and JVM formatters ---
+  console.log('\nPython and JVM formatters:');
+
+  if (test('[tool.black] selects black from the virtualenv before ruff', () => {
+    const root = makeProject('black', {
+      'pyproject.toml': '[tool.black]\nline-length = 100\n\n[tool.ruff.lint]\nselect = ["E"]\n',
+      '.venv/bin/black': null
+    });
+    const result = resolveFormatters(path.join(root, 'app', 'main.py'), { commandExists: ALL_GLOBAL });
+    assert.deepStrictEqual(result.formatters.map(f => f.tool), ['black', 'ruff']);
+    assert.strictEqual(result.formatters[0].command, path.join(root, '.venv', 'bin', 'black'));
+    assert.deepStrictEqual(result.formatters[1].args, ['format', '--force-exclude', path.join(root, 'app', 'main.py')]);
+  })) passed++; else failed++;
+
+  if (test('Spotless in Gradle formats one file through gradlew', () => {
+    const root = makeProject('spotless', {
+      'build.gradle.kts': 'plugins {\n  id("com.diffplug.spotless") version "6.25.0"\n}\n',
+      'gradlew': null
+    });
+    const file = path.join(root, 'src', 'main', 'java', 'App.java');
+    const [fmt] = resolveFormatters(file, { commandExists: ALL_GLOBAL }).formatters;
+    assert.strictEqual(fmt.command, path.join(root, 'gradlew'));
+    assert.deepStrictEqual(fmt.args, ['spotlessApply', `-PspotlessIdeHook=${file}`, '-q']);
+    assert.strictEqual(fmt.timeoutMs, 120000);
+  })) passed++; else failed++;
+
+  if (test('Spotless in Maven passes the file as an escaped pattern', () => {
+    const root = makeProject('spotless-maven', { 'pom.xml': '<plugin><artifactId>spotless-maven-plugin</artifactId></plugin>' });
+    const [fmt] = resolveFormatters(path.join(root, 'App.java'), { commandExists: ALL_GLOBAL }).formatters;
+    assert.strictEqual(fmt.command, 'mvn');
+    assert.ok(fmt.args[2].startsWith('-DspotlessFiles='));
+    assert.ok(fmt.args[2].endsWith('App\\.java'));
+  })) passed++; else failed++;
+
+  // --- Fallback and execution ---
+  console.log('\nFallback and execution:');
+
+  if (test('without project configuration the ecosystem defaults apply', () => {
+    const root = makeProject('plain', { 'setup.py': '' });
+    const result = resolveFormatters(path.join(root, 'a.py'), { commandExists: ALL_GLOBAL, ecosystems: ['python'] });
+    assert.strictEqual(result.configured, false);
+    assert.strictEqual(result.formatters[0].tool, 'ruff');
+    assert.strictEqual(result.formatters[0].source, 'global');
+    const inSession = resolveFormatters(path.join(root, 'a.py'), { commandExists: ALL_GLOBAL, ecosystems: ['python'], cwd: root });
+    assert.strictEqual(inSession.formatters[0].cwd, root, 'runs in the session cwd');
+
+    assert.deepStrictEqual(resolveFormatters(path.join(root, 'a.py'), { commandExists: NO_GLOBAL, ecosystems: ['python'] }).formatters, []);
+  })) passed++; else failed++;
+
+  if (test('findLocalBin returns the nearest binary', () => {
+    const root = makeProject('bins', { 'node_modules/.bin/biome': null, 'pkg/node_modules/.bin/biome': null });
+    const bin = path.join('node_modules', '.bin', 'biome');
+    assert.strictEqual(findLocalBin([bin], [path.join(root, 'pkg'), root]), path.join(root, 'pkg', bin));
+    assert.strictEqual(findLocalBin([bin], [path.join(root, 'other')]), null);
+  })) passed++; else failed++;
+
+  if (process.platform !== 'win32' && test('runFormatter runs a project binary in the config directory', () => {
+    const root = makeProject('run', {});
+    const script = path.join(root, 'fmt.sh');
+    fs.writeFileSync(script, '#!/bin/sh\npwd > "$1"\n');
+    fs.chmodSync(script, 0o755);
+    const out = path.join(root, 'out.txt');
+    assert.deepStrictEqual(runFormatter({ command: script, args: [out], cwd: root }), { ok: true });
+    assert.strictEqual(fs.realpathSync(fs.readFileSync(out, 'utf8').trim()), fs.realpathSync(root));
+
+    fs.writeFileSync(script, '#!/bin/sh\necho "bad syntax" >&2\nexit 2\n');
+    assert.deepStrictEqual(runFormatter({ command: script, args: [], cwd: root }), { ok: false, error: 'bad syntax' });
+    assert.strictEqual(runFormatter({ command: 'rm -rf', args: [], cwd: root }).ok, false);
+  })) passed++; else if (process.platform !== 'win32') failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -0,0 +1,284 @@
+/**
+ * Tests for scripts/lib/hook-budget.cjs and budget enforcement in hook-runtime.cjs
+ *
+ * Run with: node tests/lib/hook-budget.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-budget-test-'));
+const configDir = path.join(tmpDir, 'config');
+fs.mkdirSync(configDir);
+// Back-off state and telemetry resolve their directory when first required
+process.env.CLAUDE_CONFIG_DIR = configDir;
+
+const {
+  getBudgetConfig,
+  eventBudgetMs,
+  beginHookBudget,
+  endHookBudget,
+  remainingMs,
+  spawnWithBudget,
+  loadBackoff,
+  isBackedOff,
+  recordHookRun
+} = require('../../plugin/scripts/lib/hook-budget.cjs');
+const { HookContext, runHook } = require('../../plugin/scripts/lib/hook-runtime.cjs');
+
+// Test helpers
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+const isPosix = process.platform !== 'win32';
+
+/**
+ * Whether a process is still running (zombies count as gone)
+ */
+function isAlive(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return !/^\d+ \(.*\) Z/.test(stat);
+  } catch {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+function sleepMs(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Project with a .claude/hook-budgets.json
+ */
+function makeProject(name, budgets) {
+  const root = path.join(tmpDir, name);
+  fs.mkdirSync(path.join(root, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(root, '.claude', 'hook-budgets.json'), JSON.stringify(budgets));
+  return root;
+}
+
+function readTelemetry() {
+  try {
+    return fs.readFileSync(path.join(configDir, 'hook-telemetry.jsonl'), 'utf8')
+      .trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+async function runTests() {
+  console.log('\n=== Testing hook-budget.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Configuration ---
+  console.log('Configuration:');
+
+  if (test('getBudgetConfig falls back to the defaults', () => {
+    const config = getBudgetConfig(path.join(tmpDir, 'no-config'));
+    assert.strictEqual(config.defaultHookMs, 60000);
+    assert.strictEqual(config.hooks['format-queue'], 240000);
+    assert.strictEqual(eventBudgetMs(config, 'PostToolUse'), 170000);
+    assert.strictEqual(eventBudgetMs(config, 'PreToolUse'), 55000);
+    assert.deepStrictEqual(config.backoff, { timeouts: 3, cooldownMs: 30 * 60 * 1000 });
+  })) passed++; else failed++;
+
+  if (test('getBudgetConfig reads .claude/hook-budgets.json and ignores invalid values', () => {
+    const root = makeProject('configured', {
+      defaultHookMs: 5000,
+      hooks: { 'java-security': 120000, 'python-security': 'slow' },
+      events: { PreToolUse: 20000, Stop: -1 },
+      backoff: { timeouts: 2, cooldownMinutes: 5 }
+    });
+    const config = getBudgetConfig(root);
+    assert.strictEqual(config.defaultHookMs, 5000);
+    assert.strictEqual(config.hooks['java-security'], 120000);
+    assert.strictEqual(config.hooks['python-security'], undefined);
+    assert.strictEqual(eventBudgetMs(config, 'PreToolUse'), 20000);
+    assert.strictEqual(eventBudgetMs(config, 'Stop'), 290000);
+    assert.deepStrictEqual(config.backoff, { timeouts: 2, cooldownMs: 5 * 60 * 1000 });
+  })) passed++; else failed++;
+
+  // --- Budgets ---
+  console.log('\nBudgets:');
+
+  if (test('a hook budget ends at its own budget or the event deadline, whichever is first', () => {
+    const config = getBudgetConfig(path.join(tmpDir, 'no-config'));
+    assert.strictEqual(remainingMs(), Infinity);
+
+    const own = beginHookBudget('python-security', { config, now: 1000 });
+    assert.strictEqual(own.deadline, 61000);
+    endHookBudget(own);
+
+    const capped = beginHookBudget('format-queue', { config, eventDeadline: 11000, now: 1000 });
+    assert.strictEqual(capped.budgetMs, 10000);
+    endHookBudget(capped);
+    assert.strictEqual(remainingMs(), Infinity);
+  })) passed++; else failed++;
+
+  if (test('spawnWithBudget runs commands normally outside a hook', () => {
+    const result = spawnWithBudget(process.execPath, ['-e', 'process.stdout.write("ok")'], { encoding: 'utf8' });
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout, 'ok');
+    assert.strictEqual(result.timedOut, undefined);
+  })) passed++; else failed++;
+
+  if (isPosix && test('spawnWithBudget stops the whole process tree when the budget runs out', () => {
+    const pidFile = path.join(tmpDir, 'grandchild.pid');
+    const config = getBudgetConfig(makeProject('short', { defaultHookMs: 300 }));
+    const budget = beginHookBudget('slow-hook', { config });
+    const start = Date.now();
+    const result = spawnWithBudget('sh', ['-c', `sleep 30 & echo $! > "${pidFile}"; wait`], { encoding: 'utf8' });
+    endHookBudget(budget);
+
+    assert.ok(Date.now() - start < 5000, 'returned at the budget');
+    assert.strictEqual(result.timedOut, true);
+    assert.strictEqual(result.error.code, 'ETIMEDOUT');
+    assert.deepStrictEqual(budget.exceeded, { command: 'sh' });
+
+    const grandchild = Number(fs.readFileSync(pidFile, 'utf8'));
+    for (let i = 0; i < 20 && isAlive(grandchild); i++) sleepMs(50);
+    assert.strictEqual(isAlive(grandchild), false, 'background child stopped too');
+  })) passed++; else if (isPosix) failed++;
+
+  if (test('spawnWithBudget leaves the budget alone when the caller\'s own timeout fires', () => {
+    const config = getBudgetConfig(path.join(tmpDir, 'no-config'));
+    const budget = beginHookBudget('checker', { config });
+    const result = spawnWithBudget(process.execPath, ['-e', 'setTimeout(() => {}, 30000)'], { timeout: 200 });
+    endHookBudget(budget);
+    assert.strictEqual(result.timedOut, true);
+    assert.strictEqual(budget.exceeded, null);
+  })) passed++; else failed++;
+
+  if (test('spawnWithBudget does not start commands once the budget is used up', () => {
+    const config = getBudgetConfig(path.join(tmpDir, 'no-config'));
+    const budget = beginHookBudget('late', { config, eventDeadline: Date.now() - 1 });
+    const result = spawnWithBudget(process.execPath, ['-e', ''], { encoding: 'utf8' });
+    endHookBudget(budget);
+    assert.strictEqual(result.pid, 0);
+    assert.strictEqual(result.stdout, '');
+    assert.strictEqual(result.error.code, 'ETIMEDOUT');
+    assert.deepStrictEqual(budget.exceeded, { command: path.basename(process.execPath) });
+  })) passed++; else failed++;
+
+  // --- Back-off ---
+  console.log('\nBack-off:');
+
+  if (test('recordHookRun backs a hook off after consecutive timeouts', () => {
+    const dir = path.join(tmpDir, 'backoff');
+    const config = { backoff: { timeouts: 2, cooldownMs: 60000 } };
+    const state = loadBackoff('session-1', { dir });
+
+    assert.strictEqual(recordHookRun(state, 'semgrep-hook', true, config, 0), null);
+    assert.strictEqual(recordHookRun(state, 'semgrep-hook', false, config, 0), null, 'a run in time resets the count');
+    assert.strictEqual(recordHookRun(state, 'semgrep-hook', true, config, 0), null);
+    assert.deepStrictEqual(recordHookRun(state, 'semgrep-hook', true, config, 0), { disabledUntil: new Date(60000).toISOString() });
+
+    const reloaded = loadBackoff('session-1', { dir });
+    assert.deepStrictEqual(isBackedOff(reloaded, 'semgrep-hook', 1000), { until: new Date(60000).toISOString() });
+    assert.strictEqual(isBackedOff(reloaded, 'semgrep-hook', 60001), null, 'cooldown over');
+    assert.strictEqual(isBackedOff(reloaded, 'other-hook', 1000), null);
+    assert.strictEqual(isBackedOff(loadBackoff('session-2', { dir }), 'semgrep-hook', 1000), null, 'per session');
+  })) passed++; else failed++;
+
+  // --- Hook runs ---
+  console.log('\nHook runs:');
+
+  const slowProject = makeProject('slow-project', { defaultHookMs: 300, backoff: { timeouts: 2 } });
+  const slowHook = {
+    name: 'slow-hook',
+    handler: () => {
+      const result = spawnWithBudget(process.execPath, ['-e', 'setTimeout(() => {}, 30000)']);
+      return { outcome: 'fired', reason: result.timedOut ? 'tool timed out' : 'done' };
+    }
+  };
+
+  if (await asyncTest('runHook reports a run over budget as a timeout', async () => {
+    const ctx = new HookContext({ hook_event_name: 'PostToolUse', cwd: slowProject, session_id: 'runs' });
+    const result = await runHook(slowHook, ctx);
+    assert.strictEqual(result.outcome, 'timeout');
+    assert.strictEqual(result.reason, `exceeded 300ms budget, stopped ${path.basename(process.execPath)}`);
+
+    const record = readTelemetry().pop();
+    assert.strictEqual(record.hook, 'slow-hook');
+    assert.strictEqual(record.outcome, 'timeout');
+  })) passed++; else failed++;
+
+  if (await asyncTest('runHook skips a hook backed off after repeated timeouts', async () => {
+    const second = await runHook(slowHook, new HookContext({ hook_event_name: 'PostToolUse', cwd: slowProject, session_id: 'runs' }));
+    assert.strictEqual(second.outcome, 'timeout');
+
+    const third = await runHook(slowHook, new HookContext({ hook_event_name: 'PostToolUse', cwd: slowProject, session_id: 'runs' }));
+    assert.strictEqual(third.outcome, 'skipped');
+    assert.ok(third.reason.startsWith('backed off after repeated timeouts'), third.reason);
+
+    const other = await runHook(slowHook, new HookContext({ hook_event_name: 'PostToolUse', cwd: slowProject, session_id: 'other' }));
+    assert.strictEqual(other.outcome, 'timeout', 'other sessions still run it');
+  })) passed++; else failed++;
+
+  if (await asyncTest('runHook stops waiting for an async handler at its budget', async () => {
+    const ctx = new HookContext({ hook_event_name: 'PostToolUse', cwd: slowProject, session_id: 'async' });
+    const hook = {
+      name: 'async-hook',
+      handler: () => new Promise(resolve => setTimeout(() => resolve({ output: 'late' }), 2000).unref())
+    };
+    const start = Date.now();
+    const result = await runHook(hook, ctx);
+    assert.ok(Date.now() - start < 1500);
+    assert.strictEqual(result.outcome, 'timeout');
+    assert.strictEqual(result.output, null);
+  })) passed++; else failed++;
+
+  if (await asyncTest('runHook skips hooks once the event budget is used up', async () => {
+    const ctx = new HookContext({ hook_event_name: 'PreToolUse', cwd: path.join(tmpDir, 'no-config'), session_id: 'event' });
+    ctx.startedAt -= 60000;
+    let ran = false;
+    const result = await runHook({ name: 'late-hook', handler: () => { ran = true; } }, ctx);
+    assert.strictEqual(ran, false);
+    assert.strictEqual(result.outcome, 'skipped');
+    assert.strictEqual(result.reason, 'PreToolUse budget of 55000ms used up');
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
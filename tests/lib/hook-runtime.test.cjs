@@ -0,0 +1,342 @@
+/**
+ * Tests for scripts/lib/hook-runtime.cjs and scripts/dispatch-hooks.cjs
+ *
+ * Run with: node tests/lib/hook-runtime.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-runtime-test-'));
+const configDir = path.join(tmpDir, 'config');
+fs.mkdirSync(configDir);
+// Telemetry resolves its file when first required
+process.env.CLAUDE_CONFIG_DIR = configDir;
+
+const RUNTIME_PATH = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'lib', 'hook-runtime.cjs');
+const DISPATCH_PATH = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'dispatch-hooks.cjs');
+const {
+  HookContext,
+  dispatchEvent,
+  mergeHookOutputs,
+  matchesMatcher,
+  selectHooks
+} = require(RUNTIME_PATH);
+
+// Test helpers
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+function readTelemetry() {
+  try {
+    return fs.readFileSync(path.join(configDir, 'hook-telemetry.jsonl'), 'utf8')
+      .trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+function clearTelemetry() {
+  fs.rmSync(path.join(configDir, 'hook-telemetry.jsonl'), { force: true });
+}
+
+/**
+ * Directory of hook files for dispatchEvent()
+ */
+function writeHooks(name, files) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+async function runTests() {
+  console.log('\n=== Testing hook-runtime.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Output merging ---
+  console.log('Output merging:');
+
+  if (test('mergeHookOutputs joins additionalContext and names the event', () => {
+    const merged = mergeHookOutputs('PostToolUse', [
+      { hookSpecificOutput: { hookEventName: 'PostToolUse', additionalContext: 'formatted' } },
+      null,
+      { hookSpecificOutput: { hookEventName: 'PostToolUse', additionalContext: 'no secrets' } }
+    ]);
+    assert.deepStrictEqual(merged, {
+      hookSpecificOutput: { hookEventName: 'PostToolUse', additionalContext: 'formatted\n\nno secrets' }
+    });
+  })) passed++; else failed++;
+
+  if (test('mergeHookOutputs lets a block decision win and keeps every reason', () => {
+    const merged = mergeHookOutputs('Stop', [
+      { decision: 'approve', reason: 'looks fine' },
+      { decision: 'block', reason: 'tests fail' },
+      { continue: false, stopReason: 'halt' },
+      { continue: true, suppressOutput: true }
+    ]);
+    assert.strictEqual(merged.decision, 'block');
+    assert.strictEqual(merged.reason, 'looks fine\n\ntests fail');
+    assert.strictEqual(merged.continue, false);
+    assert.strictEqual(merged.stopReason, 'halt');
+    assert.strictEqual(merged.suppressOutput, true);
+  })) passed++; else failed++;
+
+  if (test('mergeHookOutputs ranks PreToolUse permission decisions deny > ask > allow', () => {
+    const specific = (permissionDecision, permissionDecisionReason) => ({ hookSpecificOutput: { permissionDecision, permissionDecisionReason } });
+    const merged = mergeHookOutputs('PreToolUse', [specific('allow', 'safe'), specific('deny', 'secret'), specific('ask', 'review')]);
+    assert.strictEqual(merged.hookSpecificOutput.permissionDecision, 'deny');
+    assert.strictEqual(merged.hookSpecificOutput.permissionDecisionReason, 'secret');
+
+    const asks = mergeHookOutputs('PreToolUse', [specific('ask', 'one'), specific('ask', 'two')]);
+    assert.strictEqual(asks.hookSpecificOutput.permissionDecisionReason, 'one\n\ntwo');
+  })) passed++; else failed++;
+
+  if (test('mergeHookOutputs lets a PermissionRequest deny win over an allow', () => {
+    const merged = mergeHookOutputs('PermissionRequest', [
+      { hookSpecificOutput: { decision: { behavior: 'allow' } } },
+      { hookSpecificOutput: { decision: { behavior: 'deny', message: 'blocked' } } }
+    ]);
+    assert.deepStrictEqual(merged.hookSpecificOutput.decision, { behavior: 'deny', message: 'blocked' });
+  })) passed++; else failed++;
+
+  if (test('mergeHookOutputs turns plain text into context only where Claude reads it', () => {
+    const prompt = mergeHookOutputs('UserPromptSubmit', ['branch: main', { hookSpecificOutput: { additionalContext: 'tasks: 2' } }]);
+    assert.strictEqual(prompt.hookSpecificOutput.additionalContext, 'tasks: 2\n\nbranch: main');
+
+    const post = mergeHookOutputs('PostToolUse', ['stray', { systemMessage: 'done' }]);
+    assert.deepStrictEqual(post, { systemMessage: 'done' });
+
+    assert.strictEqual(mergeHookOutputs('SessionStart', ['a', ' ', 'b']), 'a\n\nb', 'text only');
+    assert.strictEqual(mergeHookOutputs('Stop', [null, undefined]), null);
+  })) passed++; else failed++;
+
+  // --- Hook selection ---
+  console.log('\nHook selection:');
+
+  if (test('matchesMatcher tests the whole value against the matcher', () => {
+    assert.strictEqual(matchesMatcher('Edit|Write', 'Write'), true);
+    assert.strictEqual(matchesMatcher('Edit|Write', 'MultiEdit'), false, 'anchored');
+    assert.strictEqual(matchesMatcher('mcp__.*', 'mcp__serena__find'), true);
+    assert.strictEqual(matchesMatcher('*', 'Bash'), true);
+    assert.strictEqual(matchesMatcher(undefined, 'Bash'), true);
+    assert.strictEqual(matchesMatcher('Bash', undefined), true, 'missing value');
+    assert.strictEqual(matchesMatcher('(', '('), true, 'invalid regex compares exactly');
+  })) passed++; else failed++;
+
+  if (test('selectHooks filters registry entries by the event\'s matcher field', () => {
+    const registry = {
+      PostToolUse: [
+        { hook: 'a.cjs', matcher: 'Edit|Write' },
+        { hook: 'b.cjs', matcher: 'Bash' },
+        { hook: 'c.cjs' }
+      ],
+      Notification: [{ hook: 'n.cjs', matcher: 'idle_prompt' }]
+    };
+    assert.deepStrictEqual(selectHooks(registry, 'PostToolUse', { tool_name: 'Edit' }).map(e => e.hook), ['a.cjs', 'c.cjs']);
+    assert.deepStrictEqual(selectHooks(registry, 'Notification', { notification_type: 'permission_prompt' }), []);
+    assert.deepStrictEqual(selectHooks(registry, 'Stop', {}), []);
+  })) passed++; else failed++;
+
+  // --- Shared context ---
+  console.log('\nShared context:');
+
+  if (test('HookContext computes memoized values once', () => {
+    const ctx = new HookContext({ hook_event_name: 'PostToolUse', cwd: tmpDir });
+    let calls = 0;
+    assert.strictEqual(ctx.memo('k', () => ++calls), 1);
+    assert.strictEqual(ctx.memo('k', () => ++calls), 1);
+    assert.strictEqual(ctx.event, 'PostToolUse');
+    assert.strictEqual(ctx.cwd, tmpDir);
+    assert.strictEqual(new HookContext({}, { event: 'Stop' }).event, 'Stop');
+  })) passed++; else failed++;
+
+  if (test('HookContext shares ecosystem detection per directory', () => {
+    const project = path.join(tmpDir, 'node-project');
+    fs.mkdirSync(project, { recursive: true });
+    fs.writeFileSync(path.join(project, 'package.json'), '{}');
+    const ctx = new HookContext({ cwd: project });
+    const first = ctx.ecosystems();
+    assert.ok(first.includes('nodejs'), `detected ${first.join(', ')}`);
+    assert.strictEqual(ctx.ecosystems(project), first, 'same array for the same directory');
+  })) passed++; else failed++;
+
+  // --- Dispatching ---
+  console.log('\nDispatching:');
+
+  const hooksDir = writeHooks('hooks', {
+    'package.json': '{ "type": "module" }',
+    'first.cjs': [
+      `const { defineHook } = require(${JSON.stringify(RUNTIME_PATH)});`,
+      'module.exports = defineHook(module, "first", (input, ctx) => {',
+      '  ctx.memo("shared", () => ({ count: 0 })).count++;',
+      '  console.log("stray output");',
+      '  return { outcome: "fired", reason: "ran first", output: { hookSpecificOutput: { additionalContext: "from first" } } };',
+      '}, { event: "PostToolUse" });'
+    ].join('\n'),
+    'broken.cjs': [
+      `const { defineHook } = require(${JSON.stringify(RUNTIME_PATH)});`,
+      'module.exports = defineHook(module, "broken", () => { throw new Error("boom"); });'
+    ].join('\n'),
+    'plain.cjs': 'module.exports = {};',
+    'last.js': [
+      'export default {',
+      '  name: "last",',
+      '  handler: async (input, ctx) => {',
+      '    const shared = ctx.memo("shared", () => ({ count: 0 }));',
+      '    return { outcome: "skipped", reason: `shared count ${shared.count}`, output: { hookSpecificOutput: { additionalContext: "from last" } } };',
+      '  }',
+      '};'
+    ].join('\n')
+  });
+  const registry = {
+    PostToolUse: [
+      { hook: 'first.cjs', matcher: 'Edit' },
+      { hook: 'broken.cjs' },
+      { hook: 'missing.cjs' },
+      { hook: 'plain.cjs' },
+      { hook: 'skipped.cjs', matcher: 'Bash' },
+      { hook: 'last.js', matcher: 'Edit|Write' }
+    ]
+  };
+
+  if (await asyncTest('dispatchEvent runs CJS and ESM hooks in order against one context', async () => {
+    clearTelemetry();
+    const started = [];
+    const input = { hook_event_name: 'PostToolUse', tool_name: 'Edit', tool_input: { file_path: path.join(tmpDir, 'a.ts') } };
+    const { results, output } = await dispatchEvent('PostToolUse', input, { registry, hooksDir, onHookStart: name => started.push(name) });
+
+    assert.deepStrictEqual(started, ['first', 'broken', 'missing', 'plain', 'last']);
+    assert.deepStrictEqual(results.map(r => `${r.hook}:${r.outcome}`), ['first:fired', 'broken:error', 'missing:error', 'plain:error', 'last:skipped']);
+    assert.strictEqual(results[4].reason, 'shared count 1', 'context shared between hooks');
+    assert.ok(results[3].reason.includes('does not export a defineHook() definition'));
+    assert.deepStrictEqual(output, {
+      hookSpecificOutput: { hookEventName: 'PostToolUse', additionalContext: 'from first\n\nfrom last' }
+    });
+  })) passed++; else failed++;
+
+  if (test('dispatchEvent logs one telemetry record per hook', () => {
+    const records = readTelemetry();
+    assert.deepStrictEqual(records.map(r => r.hook), ['first', 'broken', 'missing', 'plain', 'last']);
+    assert.ok(records.every(r => r.event === 'PostToolUse' && r.tool === 'Edit'));
+    assert.strictEqual(records[0].file, 'a.ts');
+    assert.strictEqual(records[1].reason, 'boom');
+    assert.ok(records[2].reason.startsWith('load failed: '));
+  })) passed++; else failed++;
+
+  if (test('a hook defined with defineHook still runs as its own process', () => {
+    const input = JSON.stringify({ hook_event_name: 'PostToolUse', tool_name: 'Edit' });
+    const result = spawnSync('node', [path.join(hooksDir, 'first.cjs')], { input, encoding: 'utf8', env: { ...process.env, CLAUDE_CONFIG_DIR: configDir } });
+    assert.strictEqual(result.status, 0, result.stderr);
+    const lines = result.stdout.trim().split('\n');
+    assert.strictEqual(lines[0], 'stray output');
+    assert.deepStrictEqual(JSON.parse(lines[1]), { hookSpecificOutput: { additionalContext: 'from first' } });
+
+    const empty = spawnSync('node', [path.join(hooksDir, 'first.cjs')], { input: '', encoding: 'utf8', env: { ...process.env, CLAUDE_CONFIG_DIR: configDir } });
+    assert.strictEqual(empty.stdout, '');
+    assert.strictEqual(readTelemetry().pop().reason, 'empty stdin');
+  })) passed++; else failed++;
+
+  // --- Dispatcher script ---
+  console.log('\nDispatcher script:');
+
+  if (test('dispatch-hooks.cjs runs the registered hooks and keeps stdout clean', () => {
+    clearTelemetry();
+    const input = JSON.stringify({ hook_event_name: 'PostToolUse', tool_name: 'Bash', tool_input: { command: 'ls' }, cwd: tmpDir });
+    const result = spawnSync('node', [DISPATCH_PATH, 'PostToolUse'], {
+      input,
+      cwd: tmpDir,
+      encoding: 'utf8',
+      timeout: 60000,
+      env: { ...process.env, CLAUDE_CONFIG_DIR: configDir }
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout.trim(), '');
+    const hooks = readTelemetry().map(r => r.hook);
+    assert.ok(hooks.includes('pr-url-logger'), `ran ${hooks.join(', ')}`);
+    assert.ok(!hooks.includes('smart-formatter'), 'Edit|Write hooks are not selected for Bash');
+  })) passed++; else failed++;
+
+  if (test('a crash in one hook still prints the output of the hooks before it', () => {
+    const crashDir = writeHooks('crash-hooks', {
+      'deny.cjs': [
+        `const { defineHook } = require(${JSON.stringify(RUNTIME_PATH)});`,
+        'module.exports = defineHook(module, "deny", () => ({',
+        '  outcome: "fired", reason: "secret",',
+        '  output: { hookSpecificOutput: { permissionDecision: "deny", permissionDecisionReason: "secret" } }',
+        '}));'
+      ].join('\n'),
+      'crasher.cjs': [
+        `const { defineHook } = require(${JSON.stringify(RUNTIME_PATH)});`,
+        'module.exports = defineHook(module, "crasher", () => new Promise(() => {',
+        '  setTimeout(() => { throw new Error("late boom"); }, 10);',
+        '}));'
+      ].join('\n')
+    });
+    const crashRegistry = { PreToolUse: [{ hook: 'deny.cjs' }, { hook: 'crasher.cjs' }] };
+    const script = `require(${JSON.stringify(RUNTIME_PATH)}).runDispatcher('PreToolUse', { registry: ${JSON.stringify(crashRegistry)}, hooksDir: ${JSON.stringify(crashDir)} });`;
+
+    clearTelemetry();
+    const result = spawnSync('node', ['-e', script], {
+      input: JSON.stringify({ hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: 'ls' } }),
+      encoding: 'utf8',
+      timeout: 60000,
+      env: { ...process.env, CLAUDE_CONFIG_DIR: configDir }
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(result.stderr.includes('[crasher] Uncaught exception: late boom'));
+    assert.deepStrictEqual(JSON.parse(result.stdout), {
+      hookSpecificOutput: { hookEventName: 'PreToolUse', permissionDecision: 'deny', permissionDecisionReason: 'secret' }
+    });
+    const crash = readTelemetry().pop();
+    assert.strictEqual(crash.hook, 'crasher');
+    assert.strictEqual(crash.reason, 'uncaught: late boom');
+  })) passed++; else failed++;
+
+  if (test('dispatch-hooks.cjs requires an event name', () => {
+    const result = spawnSync('node', [DISPATCH_PATH], { input: '{}', encoding: 'utf8' });
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.includes('Usage:'));
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -0,0 +1,187 @@
+/**
+ * Tests for scripts/lib/hook-sdk.cjs
+ *
+ * Run with: node tests/lib/hook-sdk.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-sdk-test-'));
+const configDir = path.join(tmpDir, 'config');
+fs.mkdirSync(configDir);
+// Telemetry resolves its file when first required
+process.env.CLAUDE_CONFIG_DIR = configDir;
+
+const SDK_PATH = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'lib', 'hook-sdk.cjs');
+const HOOKS_DIR = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'hooks');
+const { defineHook, buildHookResult, isSubagent, HookContext } = require(SDK_PATH);
+const { runHook, dispatchEvent } = require('../../plugin/scripts/lib/hook-runtime.cjs');
+
+// Test helpers
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+function readTelemetry() {
+  try {
+    return fs.readFileSync(path.join(configDir, 'hook-telemetry.jsonl'), 'utf8')
+      .trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+function runScript(file, input) {
+  return spawnSync('node', [file], { input, encoding: 'utf8', timeout: 30000, env: { ...process.env, CLAUDE_CONFIG_DIR: configDir } });
+}
+
+async function runTests() {
+  console.log('\n=== Testing hook-sdk.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Output envelope ---
+  console.log('Output envelope:');
+
+  if (test('buildHookResult returns null when there is nothing to report', () => {
+    assert.strictEqual(buildHookResult('PostToolUse'), null);
+    assert.strictEqual(buildHookResult('SessionStart', { additionalContext: '' }), null);
+  })) passed++; else failed++;
+
+  if (test('buildHookResult puts event fields in hookSpecificOutput', () => {
+    assert.deepStrictEqual(buildHookResult('PostToolUse', { additionalContext: 'note' }), {
+      hookSpecificOutput: { hookEventName: 'PostToolUse', additionalContext: 'note' }
+    });
+    assert.deepStrictEqual(buildHookResult('PreToolUse', { permissionDecision: 'deny', permissionDecisionReason: 'secret' }), {
+      hookSpecificOutput: { hookEventName: 'PreToolUse', permissionDecision: 'deny', permissionDecisionReason: 'secret' }
+    });
+    assert.deepStrictEqual(buildHookResult('PermissionRequest', { decision: { behavior: 'allow' }, additionalContext: 'policy' }), {
+      hookSpecificOutput: { hookEventName: 'PermissionRequest', decision: { behavior: 'allow' }, additionalContext: 'policy' }
+    });
+  })) passed++; else failed++;
+
+  if (test('buildHookResult keeps block decisions and system messages top-level', () => {
+    assert.deepStrictEqual(buildHookResult('Stop', { decision: 'block', reason: 'tests fail', systemMessage: 'blocked' }), {
+      decision: 'block', reason: 'tests fail', systemMessage: 'blocked'
+    });
+  })) passed++; else failed++;
+
+  // --- Subagents ---
+  console.log('\nSubagents:');
+
+  if (test('isSubagent checks agent_id', () => {
+    assert.strictEqual(isSubagent({ agent_id: 'a1' }), true);
+    assert.strictEqual(isSubagent({ session_id: 's' }), false);
+    assert.strictEqual(isSubagent(null), false);
+  })) passed++; else failed++;
+
+  if (await asyncTest('hooks defined with skipSubagents do not run for subagent input', async () => {
+    let runs = 0;
+    const hook = defineHook(null, 'advisory', () => { runs++; return { outcome: 'fired', reason: 'advised' }; }, { event: 'Stop', skipSubagents: true });
+    const cwd = path.join(tmpDir, 'project');
+    const sub = await runHook(hook, new HookContext({ hook_event_name: 'Stop', agent_id: 'a1', cwd }));
+    assert.deepStrictEqual([sub.outcome, sub.reason], ['skipped', 'subagent']);
+    const top = await runHook(hook, new HookContext({ hook_event_name: 'Stop', cwd }));
+    assert.strictEqual(top.outcome, 'fired');
+    assert.strictEqual(runs, 1);
+
+    const always = defineHook(null, 'checker', () => ({ outcome: 'fired', reason: 'checked' }));
+    assert.strictEqual((await runHook(always, new HookContext({ hook_event_name: 'Stop', agent_id: 'a1', cwd }))).outcome, 'fired');
+  })) passed++; else failed++;
+
+  // --- Module formats ---
+  console.log('\nModule formats:');
+
+  const esmHook = path.join(tmpDir, 'hooks', 'esm-hook.js');
+  fs.mkdirSync(path.dirname(esmHook), { recursive: true });
+  fs.writeFileSync(path.join(tmpDir, 'hooks', 'package.json'), '{ "type": "module" }');
+  fs.writeFileSync(esmHook, [
+    `import { defineHook, buildHookResult } from ${JSON.stringify(SDK_PATH)};`,
+    'export default defineHook(import.meta, "esm-hook", (input) => ({',
+    '  outcome: "fired",',
+    '  reason: input.tool_name,',
+    '  output: buildHookResult("PostToolUse", { additionalContext: `saw ${input.tool_name}` })',
+    '}), { event: "PostToolUse" });'
+  ].join('\n'));
+
+  if (test('an ES module hook imports the SDK and runs as its own process', () => {
+    const result = runScript(esmHook, JSON.stringify({ hook_event_name: 'PostToolUse', tool_name: 'Edit' }));
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(result.stdout), {
+      hookSpecificOutput: { hookEventName: 'PostToolUse', additionalContext: 'saw Edit' }
+    });
+    assert.strictEqual(readTelemetry().pop().hook, 'esm-hook');
+  })) passed++; else failed++;
+
+  if (await asyncTest('the dispatcher loads the same ES module hook without running it twice', async () => {
+    const input = { hook_event_name: 'PostToolUse', tool_name: 'Write', cwd: tmpDir };
+    const { results, output } = await dispatchEvent('PostToolUse', input, {
+      registry: { PostToolUse: [{ hook: 'esm-hook.js' }] },
+      hooksDir: path.dirname(esmHook)
+    });
+    assert.deepStrictEqual(results.map(r => `${r.hook}:${r.outcome}`), ['esm-hook:fired']);
+    assert.strictEqual(output.hookSpecificOutput.additionalContext, 'saw Write');
+  })) passed++; else failed++;
+
+  if (test('invalid stdin is logged as an error and exits cleanly', () => {
+    const result = runScript(esmHook, '{ not json');
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout, '');
+    const record = readTelemetry().pop();
+    assert.strictEqual(record.outcome, 'error');
+    assert.ok(record.reason.startsWith('stdin: '), record.reason);
+  })) passed++; else failed++;
+
+  // --- Plugin hooks ---
+  console.log('\nPlugin hooks:');
+
+  const hookFiles = fs.readdirSync(HOOKS_DIR).filter(f => /\.(c?js)$/.test(f));
+
+  if (test('every plugin hook is defined through the SDK', () => {
+    const offenders = hookFiles.filter(f => !fs.readFileSync(path.join(HOOKS_DIR, f), 'utf8').includes("'../lib/hook-sdk.cjs'"));
+    assert.deepStrictEqual(offenders, []);
+  })) passed++; else failed++;
+
+  if (test('no plugin hook reads stdin or checks agent_id itself', () => {
+    const offenders = hookFiles.filter(f => /process\.stdin|agent_id/.test(fs.readFileSync(path.join(HOOKS_DIR, f), 'utf8')));
+    assert.deepStrictEqual(offenders, []);
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -0,0 +1,235 @@
+/**
+ * Tests for scripts/lib/hook-settings.cjs and how hooks honour it
+ *
+ * Run with: node tests/lib/hook-settings.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-settings-test-'));
+const configDir = path.join(tmpDir, 'config');
+fs.mkdirSync(configDir);
+// User-level settings, telemetry and the diagnostics log resolve their directory when first required
+process.env.CLAUDE_CONFIG_DIR = configDir;
+
+const {
+  loadSettings,
+  resolveHookSettings,
+  getHookSettings,
+  matchesSkip,
+  configuredHooks
+} = require('../../plugin/scripts/lib/hook-settings.cjs');
+const { HookContext, runHook } = require('../../plugin/scripts/lib/hook-runtime.cjs');
+const { createDiagnostic, emitDiagnostics } = require('../../plugin/scripts/lib/diagnostics.cjs');
+const { resolveFormatters } = require('../../plugin/scripts/lib/formatter-resolution.cjs');
+
+// Test helpers
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+/**
+ * Project with a .claude/magic-claude.json
+ */
+function makeProject(name, settings) {
+  const root = path.join(tmpDir, name);
+  writeJson(path.join(root, '.claude', 'magic-claude.json'), settings);
+  return root;
+}
+
+function withUserSettings(settings, fn) {
+  const file = path.join(configDir, 'magic-claude.json');
+  writeJson(file, settings);
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+function quietly(fn) {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    console.error = originalError;
+  }
+}
+
+async function runTests() {
+  console.log('\n=== Testing hook-settings.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Resolution ---
+  console.log('Resolution:');
+
+  if (test('hooks are enabled by default', () => {
+    const settings = getHookSettings('secret-scanner', path.join(tmpDir, 'no-config'));
+    assert.strictEqual(settings.enabled, true);
+    assert.strictEqual(settings.source, 'default');
+    assert.strictEqual(settings.file, null);
+    assert.deepStrictEqual(settings.options, { skip: [] });
+  })) passed++; else failed++;
+
+  if (test('a boolean entry is shorthand for enabled', () => {
+    const root = makeProject('shorthand', { hooks: { 'console-log-detector': false, 'pre-commit-review': { enabled: false } } });
+    const detector = getHookSettings('console-log-detector', root);
+    assert.strictEqual(detector.enabled, false);
+    assert.strictEqual(detector.source, 'workspace');
+    assert.strictEqual(detector.file, path.join(root, '.claude', 'magic-claude.json'));
+    assert.strictEqual(getHookSettings('pre-commit-review', root).enabled, false);
+  })) passed++; else failed++;
+
+  if (test('project settings override user settings and options merge', () => {
+    const root = makeProject('layered', { hooks: { 'python-security': { enabled: true, minSeverity: 'error' } } });
+    withUserSettings({ hooks: { 'python-security': { enabled: false, skip: ['tests/**'] }, notify: false } }, () => {
+      const settings = getHookSettings('python-security', root);
+      assert.strictEqual(settings.enabled, true);
+      assert.strictEqual(settings.source, 'workspace');
+      assert.deepStrictEqual(settings.options, { skip: ['tests/**'], minSeverity: 'error' });
+
+      const notify = getHookSettings('notify', root);
+      assert.strictEqual(notify.enabled, false);
+      assert.strictEqual(notify.source, 'user');
+    });
+  })) passed++; else failed++;
+
+  if (test('package settings override the workspace root', () => {
+    const root = makeProject('monorepo', { hooks: { 'typescript-checker': false } });
+    fs.writeFileSync(path.join(root, 'pnpm-workspace.yaml'), 'packages:\n  - packages/*\n');
+    const pkg = path.join(root, 'packages', 'web');
+    writeJson(path.join(pkg, '.claude', 'magic-claude.json'), { hooks: { 'typescript-checker': true } });
+    writeJson(path.join(pkg, 'package.json'), { name: 'web' });
+
+    const settings = loadSettings(pkg);
+    assert.strictEqual(settings.root, root);
+    assert.deepStrictEqual(settings.layers.map(l => l.source), ['user', 'workspace', 'package']);
+    const resolved = resolveHookSettings(settings, 'typescript-checker');
+    assert.strictEqual(resolved.enabled, true);
+    assert.strictEqual(resolved.source, 'package');
+    assert.strictEqual(getHookSettings('typescript-checker', root).enabled, false);
+  })) passed++; else failed++;
+
+  if (test('invalid entries and skip values are ignored', () => {
+    const root = makeProject('invalid', { hooks: { notify: 'off', 'secret-scanner': { skip: ['fixtures/', 3] } } });
+    assert.strictEqual(getHookSettings('notify', root).enabled, true);
+    assert.deepStrictEqual(getHookSettings('secret-scanner', root).options.skip, ['fixtures/']);
+    assert.deepStrictEqual(configuredHooks(loadSettings(root)).sort(), ['notify', 'secret-scanner']);
+  })) passed++; else failed++;
+
+  if (test('matchesSkip uses gitignore patterns relative to the project root', () => {
+    const root = makeProject('skip', { hooks: { 'python-security': { skip: ['tests/**', '*_pb2.py'] } } });
+    const settings = getHookSettings('python-security', root);
+    assert.strictEqual(matchesSkip(settings, path.join(root, 'tests', 'unit', 'test_a.py')), 'tests/**');
+    assert.strictEqual(matchesSkip(settings, path.join(root, 'src', 'api_pb2.py')), '*_pb2.py');
+    assert.strictEqual(matchesSkip(settings, path.join(root, 'src', 'app.py')), null);
+    assert.strictEqual(matchesSkip(settings, path.join(tmpDir, 'elsewhere', 'tests', 'a.py')), null);
+    assert.strictEqual(matchesSkip(settings, undefined), null);
+  })) passed++; else failed++;
+
+  // --- Runtime ---
+  console.log('\nRuntime:');
+
+  if (await asyncTest('runHook skips disabled hooks and names the settings file', async () => {
+    const root = makeProject('runtime-disabled', { hooks: { 'console-log-detector': false } });
+    const ctx = new HookContext({ hook_event_name: 'PostToolUse', cwd: root, session_id: 'settings' });
+    let ran = false;
+    const result = await runHook({ name: 'console-log-detector', handler: () => { ran = true; } }, ctx);
+    assert.strictEqual(ran, false);
+    assert.strictEqual(result.outcome, 'skipped');
+    assert.strictEqual(result.reason, `disabled in workspace ${path.join(root, '.claude', 'magic-claude.json')}`);
+  })) passed++; else failed++;
+
+  if (await asyncTest('runHook skips files matching the hook\'s skip patterns', async () => {
+    const root = makeProject('runtime-skip', { hooks: { 'secret-scanner': { skip: ['fixtures/'] } } });
+    const hook = { name: 'secret-scanner', handler: () => ({ outcome: 'fired', reason: 'scanned' }) };
+    const input = file => ({ hook_event_name: 'PostToolUse', cwd: root, session_id: 'settings', tool_input: { file_path: path.join(root, file) } });
+
+    const skipped = await runHook(hook, new HookContext(input('fixtures/keys.txt')));
+    assert.strictEqual(skipped.outcome, 'skipped');
+    assert.strictEqual(skipped.reason, 'file matches skip pattern fixtures/');
+    assert.strictEqual((await runHook(hook, new HookContext(input('src/app.js')))).outcome, 'fired');
+  })) passed++; else failed++;
+
+  if (await asyncTest('handlers read their options through ctx.hookSettings()', async () => {
+    const root = makeProject('runtime-options', { hooks: { 'smart-formatter': { formatter: 'ruff' } } });
+    const ctx = new HookContext({ hook_event_name: 'PostToolUse', cwd: root, session_id: 'settings' });
+    const result = await runHook({
+      name: 'smart-formatter',
+      handler: (input, hookCtx) => ({ outcome: 'fired', reason: hookCtx.hookSettings('smart-formatter').options.formatter })
+    }, ctx);
+    assert.strictEqual(result.reason, 'ruff');
+    assert.strictEqual(ctx.hookSettings('smart-formatter'), ctx.hookSettings('smart-formatter'), 'memoized per context');
+  })) passed++; else failed++;
+
+  // --- Hook options ---
+  console.log('\nHook options:');
+
+  if (test('emitDiagnostics hides findings below minSeverity', () => {
+    const file = path.join(tmpDir, 'severity', 'app.py');
+    const finding = (line, severity) => createDiagnostic({ file, line, severity, ruleId: `rule-${severity}`, source: 'test', message: `${severity} finding` });
+    const diagnostics = [finding(1, 'error'), finding(2, 'warning'), finding(3, 'info')];
+
+    const result = quietly(() => emitDiagnostics('python-security', diagnostics, { title: 'Python Security', files: [file], minSeverity: 'warning', writeOutput: false }));
+    assert.deepStrictEqual(result.surfaced.map(d => d.severity), ['error', 'warning']);
+    assert.deepStrictEqual(result.belowThreshold.map(d => d.severity), ['info']);
+    assert.ok(!result.rendered.includes('info finding'));
+
+    const all = quietly(() => emitDiagnostics('python-security', diagnostics, { title: 'Python Security', files: [file], writeOutput: false }));
+    assert.strictEqual(all.surfaced.length, 3);
+  })) passed++; else failed++;
+
+  if (test('resolveFormatters tries the preferred formatter first', () => {
+    const root = path.join(tmpDir, 'formatter');
+    fs.mkdirSync(path.join(root, '.git'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'pyproject.toml'), '[tool.black]\nline-length = 100\n\n[tool.ruff]\nline-length = 100\n');
+    const tools = prefer => resolveFormatters(path.join(root, 'app.py'), { commandExists: () => true, prefer }).formatters.map(f => f.tool);
+    assert.deepStrictEqual(tools(), ['black', 'ruff']);
+    assert.deepStrictEqual(tools('ruff'), ['ruff', 'black']);
+    assert.deepStrictEqual(tools('yapf'), ['black', 'ruff'], 'unavailable preference keeps the order');
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
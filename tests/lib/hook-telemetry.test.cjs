@@ -114,6 +114,29 @@ function runTests() {
     assert.strictEqual(record.tool, 'Edit');
   })) passed++; else failed++;
 
+  if (test('records session, agent, project and package dimensions', () => {
+    const root = path.join(tmpDir, 'repos', 'web-app');
+    logTelemetry({ hook: 'test-hook', event: 'PostToolUse', outcome: 'fired', reason: 'ok', session: 's-1', agent: 'a-1', project: root, package: '@acme/api' });
+    const lines = fs.readFileSync(testTelemetryFile, 'utf8').trim().split('\n');
+    const record = JSON.parse(lines[lines.length - 1]);
+    assert.strictEqual(record.session, 's-1');
+    assert.strictEqual(record.agent, 'a-1');
+    assert.strictEqual(record.project, 'web-app');
+    assert.match(record.project_id, /^[0-9a-f]{8}$/);
+    assert.ok(!lines[lines.length - 1].includes(tmpDir), 'full project path is not recorded');
+    assert.strictEqual(record.package, '@acme/api');
+    const pluginJson = path.join(__dirname, '..', '..', 'plugin', '.claude-plugin', 'plugin.json');
+    assert.strictEqual(record.plugin_version, JSON.parse(fs.readFileSync(pluginJson, 'utf8')).version);
+  })) passed++; else failed++;
+
+  if (test('projects with the same name get different ids', () => {
+    logTelemetry({ hook: 'test-hook', event: 'Stop', outcome: 'fired', reason: 'a', project: path.join(tmpDir, 'one', 'api') });
+    logTelemetry({ hook: 'test-hook', event: 'Stop', outcome: 'fired', reason: 'b', project: path.join(tmpDir, 'two', 'api') });
+    const [a, b] = fs.readFileSync(testTelemetryFile, 'utf8').trim().split('\n').slice(-2).map(line => JSON.parse(line));
+    assert.strictEqual(a.project, b.project);
+    assert.notStrictEqual(a.project_id, b.project_id);
+  })) passed++; else failed++;
+
   if (test('defaults event to "unknown" when missing', () => {
     logTelemetry({ hook: 'test-hook', outcome: 'skipped', reason: 'no event' });
     const lines = fs.readFileSync(testTelemetryFile, 'utf8').trim().split('\n');
@@ -275,26 +298,27 @@ function runTests() {
   const hooksDir = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'hooks');
   const hookFiles = fs.readdirSync(hooksDir).filter(f => f.endsWith('.cjs') || f.endsWith('.js'));
 
-  if (test('all hook scripts use telemetry (direct import or via wrapHookMain)', () => {
+  if (test('all hook scripts use telemetry (direct import, wrapHookMain or defineHook)', () => {
     const missing = [];
     for (const file of hookFiles) {
       const content = fs.readFileSync(path.join(hooksDir, file), 'utf8');
       const hasDirectImport = content.includes('logTelemetry');
       const usesWrapHookMain = content.includes('wrapHookMain');
-      if (!hasDirectImport && !usesWrapHookMain) {
+      const usesDefineHook = content.includes('defineHook');
+      if (!hasDirectImport && !usesWrapHookMain && !usesDefineHook) {
         missing.push(file);
       }
     }
     assert.strictEqual(missing.length, 0, `Hooks missing telemetry: ${missing.join(', ')}`);
   })) passed++; else failed++;
 
-  if (test('CJS hooks using wrapHookMain do not need direct logTelemetry calls', () => {
-    // wrapHookMain in hook-debug.cjs already calls logTelemetry
-    const debugContent = fs.readFileSync(
-      path.join(__dirname, '..', '..', 'plugin', 'scripts', 'lib', 'hook-debug.cjs'), 'utf8'
+  if (test('hooks using defineHook or wrapHookMain do not need direct logTelemetry calls', () => {
+    // Both run the handler through hook-runtime.cjs, which calls logTelemetry
+    const runtimeContent = fs.readFileSync(
+      path.join(__dirname, '..', '..', 'plugin', 'scripts', 'lib', 'hook-runtime.cjs'), 'utf8'
     );
-    assert.ok(debugContent.includes('logTelemetry'), 'hook-debug.cjs should import logTelemetry');
-    assert.ok(debugContent.includes("require('./hook-telemetry.cjs')"), 'hook-debug.cjs should require hook-telemetry');
+    assert.ok(runtimeContent.includes('logTelemetry('), 'hook-runtime.cjs should call logTelemetry');
+    assert.ok(runtimeContent.includes("require('./hook-telemetry.cjs')"), 'hook-runtime.cjs should require hook-telemetry');
   })) passed++; else failed++;
 
   if (test('ESM hook-utils.js re-exports logTelemetry', () => {
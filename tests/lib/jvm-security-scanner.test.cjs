@@ -0,0 +1,212 @@
+/**
+ * Tests for scripts/lib/jvm-security-scanner.cjs
+ *
+ * Rule behaviour is driven by the fixtures in tests/fixtures/jvm-security/:
+ * `// ruleid: <id>` expects a finding of that rule on the next code line,
+ * `// ok: <id>` expects none. Any other finding fails the test.
+ *
+ * Run with: node tests/lib/jvm-security-scanner.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+// Override CLAUDE_CONFIG_DIR before loading the modules
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jvm-scanner-test-'));
+process.env.CLAUDE_CONFIG_DIR = path.join(tmpDir, 'claude');
+
+const {
+  SOURCE,
+  JVM_SECURITY_RULES,
+  tokenize,
+  languageOf,
+  scanSource,
+  getMinConfidence
+} = require('../../plugin/scripts/lib/jvm-security-scanner.cjs');
+const { formatDiagnostic, toSarif } = require('../../plugin/scripts/lib/diagnostics.cjs');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'jvm-security');
+const ANNOTATION = /^\s*\/\/\s*(ruleid|ok):\s*([\w-]+(?:\s*,\s*[\w-]+)*)\s*$/;
+
+/**
+ * Expected findings of a fixture: { ruleid: Set<'rule:line'>, ok: Set<'rule:line'> }
+ */
+function readAnnotations(content) {
+  const lines = content.split('\n');
+  const expected = { ruleid: new Set(), ok: new Set() };
+  lines.forEach((line, index) => {
+    const match = line.match(ANNOTATION);
+    if (!match) return;
+    let target = index + 1;
+    while (target < lines.length && (lines[target].trim() === '' || ANNOTATION.test(lines[target]))) target++;
+    for (const id of match[2].split(',').map(s => s.trim())) {
+      expected[match[1]].add(`${id}:${target + 1}`);
+    }
+  });
+  return expected;
+}
+
+function runTests() {
+  console.log('\n=== Testing jvm-security-scanner.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Tokenizer ---
+
+  if (test('tokenize drops comments and keeps strings as single tokens with positions', () => {
+    const tokens = tokenize('int a = 1; // exec("x")\n/* new Random() */ String s = "a // b";\n');
+    const values = tokens.map(t => t.value);
+    assert.ok(!values.includes('exec') && !values.includes('Random'), 'comment content is not tokenized');
+    const str = tokens.find(t => t.type === 'string');
+    assert.deepStrictEqual([str.value, str.line, str.column], ['a // b', 2, 31]);
+  })) passed++; else failed++;
+
+  if (test('tokenize handles Java text blocks and char literals', () => {
+    const tokens = tokenize('String q = """\n  SELECT 1\n  """; char c = \'"\'; char d = \'\\\'\';');
+    assert.strictEqual(tokens.filter(t => t.type === 'string').length, 1);
+    assert.ok(tokens[3].value.includes('SELECT 1'));
+    assert.deepStrictEqual(tokens.filter(t => t.type === 'char').map(t => t.value), ['"', '\\\'']);
+  })) passed++; else failed++;
+
+  if (test('tokenize marks Kotlin string templates as interpolated', () => {
+    const tokens = tokenize('val a = "id=$id"\nval b = "${map["k"]} x"\nval c = "cost \\$5"\n/* a /* nested */ comment */ val d = 1', { language: 'kotlin' });
+    const strings = tokens.filter(t => t.type === 'string');
+    assert.deepStrictEqual(strings.map(t => !!t.interpolated), [true, true, false]);
+    assert.strictEqual(strings[1].value, '${map["k"]} x');
+    assert.ok(!tokens.some(t => t.value === 'comment'), 'nested Kotlin comments are skipped');
+    assert.ok(tokens.some(t => t.value === 'd'));
+  })) passed++; else failed++;
+
+  if (test('languageOf maps JVM extensions', () => {
+    assert.strictEqual(languageOf('/a/B.java'), 'java');
+    assert.strictEqual(languageOf('/a/B.kt'), 'kotlin');
+    assert.strictEqual(languageOf('/a/build.gradle.kts'), 'kotlin');
+    assert.strictEqual(languageOf('/a/b.py'), null);
+  })) passed++; else failed++;
+
+  // --- Rule registry ---
+
+  if (test('every rule declares id, severity, confidence, CWE, message and fix', () => {
+    const ids = JVM_SECURITY_RULES.map(rule => rule.id);
+    assert.strictEqual(new Set(ids).size, ids.length, 'duplicate rule id');
+    for (const rule of JVM_SECURITY_RULES) {
+      assert.ok(['error', 'warning', 'info'].includes(rule.severity), `${rule.id} severity`);
+      assert.ok(['high', 'medium', 'low'].includes(rule.confidence), `${rule.id} confidence`);
+      assert.ok(/^CWE-\d+$/.test(rule.cwe), `${rule.id} cwe`);
+      assert.ok(rule.message && rule.fix, `${rule.id} message/fix`);
+      assert.strictEqual(typeof rule.check, 'function');
+    }
+  })) passed++; else failed++;
+
+  // --- Fixture corpus ---
+
+  const fixtures = fs.readdirSync(FIXTURES_DIR).filter(f => languageOf(f)).sort();
+  const covered = { ruleid: new Set(), ok: new Set() };
+
+  for (const fixture of fixtures) {
+    const filePath = path.join(FIXTURES_DIR, fixture);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const expected = readAnnotations(content);
+
+    if (test(`fixture ${fixture} produces exactly the annotated findings`, () => {
+      const actual = new Set(scanSource(content, { file: filePath }).map(d => `${d.ruleId}:${d.line}`));
+      const missing = [...expected.ruleid].filter(key => !actual.has(key));
+      const unexpected = [...actual].filter(key => !expected.ruleid.has(key));
+      const okViolations = [...expected.ok].filter(key => actual.has(key));
+      assert.deepStrictEqual({ missing, unexpected, okViolations }, { missing: [], unexpected: [], okViolations: [] });
+    })) passed++; else failed++;
+
+    for (const key of expected.ruleid) covered.ruleid.add(key.split(':')[0]);
+    for (const key of expected.ok) covered.ok.add(key.split(':')[0]);
+  }
+
+  if (test('fixtures cover every rule with ruleid and ok cases', () => {
+    for (const rule of JVM_SECURITY_RULES) {
+      assert.ok(covered.ruleid.has(rule.id), `${rule.id} has no ruleid: case`);
+      assert.ok(covered.ok.has(rule.id), `${rule.id} has no ok: case`);
+    }
+  })) passed++; else failed++;
+
+  // --- Findings ---
+
+  if (test('findings carry line, column, confidence and source', () => {
+    const source = 'class A {\n  void f(String id) {\n    stmt.executeQuery("SELECT * FROM t WHERE id = " + id);\n  }\n}\n';
+    const [finding] = scanSource(source, { file: path.join(tmpDir, 'A.java') });
+    assert.strictEqual(finding.ruleId, 'sql-injection');
+    assert.strictEqual(finding.source, SOURCE);
+    assert.strictEqual(finding.line, 3);
+    assert.strictEqual(finding.column, 23);
+    assert.strictEqual(finding.confidence, 'high');
+    assert.strictEqual(finding.severity, 'error');
+    assert.ok(finding.message.includes('CWE-89'));
+  })) passed++; else failed++;
+
+  if (test('new Random() is only flagged in a security-sensitive statement or method', () => {
+    const source = [
+      'class A {',
+      '  String label = "token";',
+      '  int roll() { return new Random().nextInt(6); }',
+      '  String token() { return "" + new Random().nextInt(); }',
+      '}'
+    ].join('\n');
+    const findings = scanSource(source, { file: path.join(tmpDir, 'A.java') });
+    assert.deepStrictEqual(findings.map(d => `${d.ruleId}:${d.line}`), ['insecure-random:4']);
+  })) passed++; else failed++;
+
+  if (test('low-confidence findings are reported as info and can be filtered', () => {
+    const source = 'class A {\n  File f(String dir, String name) {\n    return new File(dir + "/" + name);\n  }\n}\n';
+    const file = path.join(tmpDir, 'A.java');
+    const [finding] = scanSource(source, { file });
+    assert.strictEqual(finding.ruleId, 'path-traversal');
+    assert.strictEqual(finding.confidence, 'low');
+    assert.strictEqual(finding.severity, 'info');
+    assert.deepStrictEqual(scanSource(source, { file, minConfidence: 'medium' }), []);
+  })) passed++; else failed++;
+
+  if (test('confidence is shown when not high and exported in SARIF properties', () => {
+    const source = 'class A {\n  @CrossOrigin\n  String f() { return ""; }\n}\n';
+    const file = path.join(tmpDir, 'A.java');
+    const [finding] = scanSource(source, { file });
+    assert.ok(formatDiagnostic(finding, { cwd: tmpDir }).includes('(medium confidence)'));
+    const result = toSarif([finding], { root: tmpDir }).runs[0].results[0];
+    assert.strictEqual(result.properties.confidence, 'medium');
+    assert.ok(result.properties.fix);
+  })) passed++; else failed++;
+
+  if (test('getMinConfidence reads jvm.minConfidence from .claude/security.json', () => {
+    const project = path.join(tmpDir, 'project');
+    fs.mkdirSync(path.join(project, '.claude'), { recursive: true });
+    assert.strictEqual(getMinConfidence(project), 'low');
+    fs.writeFileSync(path.join(project, '.claude', 'security.json'), JSON.stringify({ jvm: { minConfidence: 'high' } }));
+    assert.strictEqual(getMinConfidence(project), 'high');
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
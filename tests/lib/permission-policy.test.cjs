@@ -0,0 +1,316 @@
+/**
+ * Tests for scripts/lib/permission-policy.cjs
+ *
+ * Run with: node tests/lib/permission-policy.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+// Isolate global config so ~/.claude/permission-policy.json cannot leak in
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'permission-policy-cfg-'));
+process.env.CLAUDE_CONFIG_DIR = configDir;
+
+const {
+  LEGACY_RULE_IDS,
+  getBuiltinRules,
+  loadPolicy,
+  compilePolicy,
+  evaluateCommand,
+  explainCommand
+} = require('../../plugin/scripts/lib/permission-policy.cjs');
+
+const FILTER_PATH = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'hooks', 'permission-filter.cjs');
+
+function writePolicy(dir, policy) {
+  fs.mkdirSync(path.join(dir, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(dir, '.claude', 'permission-policy.json'), JSON.stringify(policy));
+}
+
+function runFilter(input) {
+  const result = spawnSync('node', [FILTER_PATH], {
+    input: JSON.stringify(input),
+    encoding: 'utf8',
+    env: { ...process.env, CLAUDE_CONFIG_DIR: configDir }
+  });
+  // No decision: the hook prints nothing and the normal permission prompt shows
+  return result.stdout.trim() ? JSON.parse(result.stdout) : {};
+}
+
+function runTests() {
+  console.log('\n=== Testing permission-policy.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Built-in rules ---
+  console.log('Built-in rules:');
+
+  const defaults = compilePolicy({});
+
+  if (test('all built-in rules compile without errors', () => {
+    assert.strictEqual(defaults.errors.length, 0, defaults.errors.join('; '));
+    assert.strictEqual(defaults.rules.length, Object.keys(getBuiltinRules()).length);
+  })) passed++; else failed++;
+
+  if (test('allows known safe commands', () => {
+    for (const cmd of ['npm test', 'pytest -q', 'git status', 'cargo build', 'node --version']) {
+      assert.strictEqual(evaluateCommand(cmd, defaults).decision, 'allow', cmd);
+    }
+  })) passed++; else failed++;
+
+  if (test('has no opinion on unknown commands', () => {
+    const result = evaluateCommand('rm -rf build', defaults);
+    assert.strictEqual(result.decision, null);
+    assert.strictEqual(result.rule, null);
+  })) passed++; else failed++;
+
+  if (test('includes safe command patterns from every ecosystem', () => {
+    const rules = getBuiltinRules();
+    for (const id of ['nodejs-test', 'python-pytest', 'jvm-gradle-test', 'rust-test', 'go-test', 'nodejs-node-version']) {
+      assert.ok(rules[id], `missing ${id}`);
+    }
+  })) passed++; else failed++;
+
+  if (test('ecosystem rules approve wrapper and runner variants', () => {
+    for (const cmd of ['./gradlew test', './mvnw package', 'poetry run pytest', 'cargo check', 'java -version']) {
+      assert.strictEqual(evaluateCommand(cmd, defaults).decision, 'allow', cmd);
+    }
+  })) passed++; else failed++;
+
+  if (test('gofmt is approved only for read-only checks', () => {
+    for (const cmd of ['gofmt -l .', 'gofmt -d main.go', 'gofmt -l -s ./...']) {
+      assert.strictEqual(evaluateCommand(cmd, defaults).decision, 'allow', cmd);
+    }
+    for (const cmd of ['gofmt -l -w .', "gofmt -d -r 'a->b' -w .", 'gofmt -l --w .', 'gofmt -d -w=true x.go', 'gofmt -w .']) {
+      assert.strictEqual(evaluateCommand(cmd, defaults).decision, null, cmd);
+    }
+  })) passed++; else failed++;
+
+  if (test('useDefaults: false drops built-in rules', () => {
+    const compiled = compilePolicy({ useDefaults: false });
+    assert.strictEqual(compiled.rules.length, 0);
+    assert.strictEqual(evaluateCommand('npm test', compiled).decision, null);
+  })) passed++; else failed++;
+
+  // --- Custom rules ---
+  console.log('\nCustom rules:');
+
+  if (test('custom allow rule approves project commands', () => {
+    const compiled = compilePolicy({ rules: { 'make-check': { decision: 'allow', pattern: '^make\\s+check$', reason: 'quality gate' } } });
+    const result = evaluateCommand('make check', compiled);
+    assert.strictEqual(result.decision, 'allow');
+    assert.strictEqual(result.rule.id, 'make-check');
+    assert.strictEqual(result.rule.reason, 'quality gate');
+  })) passed++; else failed++;
+
+  if (test('deny wins over allow', () => {
+    const compiled = compilePolicy({ rules: { 'no-prod-tests': { decision: 'deny', pattern: '--env=prod', reason: 'never against prod' } } });
+    const result = evaluateCommand('npm test --env=prod', compiled);
+    assert.strictEqual(result.decision, 'deny');
+    assert.strictEqual(result.rule.id, 'no-prod-tests');
+    assert.strictEqual(result.matches.length, 2);
+  })) passed++; else failed++;
+
+  if (test('ask wins over allow', () => {
+    const compiled = compilePolicy({ rules: { 'git-log-all': { decision: 'ask', pattern: '^git\\s+log\\s+--all' } } });
+    assert.strictEqual(evaluateCommand('git log --all', compiled).decision, 'ask');
+    assert.strictEqual(evaluateCommand('git log', compiled).decision, 'allow');
+  })) passed++; else failed++;
+
+  if (test('built-in rule can be disabled by id', () => {
+    const compiled = compilePolicy({ rules: { 'nodejs-test': { enabled: false } } });
+    assert.strictEqual(evaluateCommand('npm test', compiled).decision, null);
+  })) passed++; else failed++;
+
+  if (test('partial override keeps built-in pattern', () => {
+    const compiled = compilePolicy({ rules: { 'rust-build': { decision: 'ask' } } });
+    assert.strictEqual(evaluateCommand('cargo build', compiled).decision, 'ask');
+  })) passed++; else failed++;
+
+  if (test('old built-in ids still override the ecosystem rules that replaced them', () => {
+    const rules = getBuiltinRules();
+    for (const [id, targets] of Object.entries(LEGACY_RULE_IDS)) {
+      for (const target of targets) assert.ok(rules[target], `${id} -> missing ${target}`);
+    }
+
+    const compiled = compilePolicy({ rules: { 'js-test': { enabled: false }, 'version': { decision: 'ask' } } });
+    assert.strictEqual(evaluateCommand('npm test', compiled).decision, null);
+    assert.strictEqual(evaluateCommand('node --version', compiled).decision, 'ask');
+    assert.strictEqual(evaluateCommand('cargo clippy --version', compiled).decision, 'allow', 'not covered by the old rule');
+
+    const own = compilePolicy({ useDefaults: false, rules: { 'tsc': { decision: 'allow', pattern: '^tsc\\b' } } });
+    assert.deepStrictEqual(own.rules.map(rule => rule.id), ['tsc']);
+  })) passed++; else failed++;
+
+  if (test('invalid rules are reported, not thrown', () => {
+    const compiled = compilePolicy({
+      rules: {
+        'bad-regex': { decision: 'allow', pattern: '(' },
+        'bad-decision': { decision: 'maybe', pattern: '^x' },
+        'no-pattern': { decision: 'deny' }
+      }
+    });
+    assert.strictEqual(compiled.errors.length, 3);
+    assert.ok(!compiled.rules.some(r => r.id.startsWith('bad') || r.id === 'no-pattern'));
+  })) passed++; else failed++;
+
+  // --- Config hierarchy ---
+  console.log('\nConfig hierarchy:');
+
+  if (test('loads policy from project .claude directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permission-policy-proj-'));
+    try {
+      writePolicy(dir, { rules: { 'just-test': { decision: 'allow', pattern: '^just\\s+test' } } });
+      const policy = loadPolicy(dir);
+      assert.ok(policy.rules['just-test']);
+      assert.strictEqual(evaluateCommand('just test', compilePolicy(policy)).decision, 'allow');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  })) passed++; else failed++;
+
+  if (test('project policy overrides global policy by rule id', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permission-policy-proj-'));
+    const globalPath = path.join(configDir, 'permission-policy.json');
+    try {
+      fs.writeFileSync(globalPath, JSON.stringify({ rules: { spotless: { decision: 'allow', pattern: '^\\./gradlew\\s+spotlessCheck', reason: 'global' } } }));
+      writePolicy(dir, { rules: { spotless: { reason: 'project' } } });
+      const result = evaluateCommand('./gradlew spotlessCheck', compilePolicy(loadPolicy(dir)));
+      assert.strictEqual(result.decision, 'allow');
+      assert.strictEqual(result.rule.reason, 'project');
+    } finally {
+      fs.unlinkSync(globalPath);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  })) passed++; else failed++;
+
+  if (test('missing policy falls back to defaults', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permission-policy-proj-'));
+    try {
+      const policy = loadPolicy(dir);
+      assert.strictEqual(policy.useDefaults, true);
+      assert.deepStrictEqual(policy.rules, {});
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  })) passed++; else failed++;
+
+  // --- Environment prefixes ---
+  console.log('\nEnvironment prefixes:');
+
+  if (test('variables that can run a program ask the user', () => {
+    const compiled = compilePolicy({});
+    for (const command of [
+      'GIT_EXTERNAL_DIFF=./evil.sh git diff',
+      'GIT_SSH_COMMAND=./x git log',
+      'NPM_CONFIG_SCRIPT_SHELL=./x npm test',
+      'npm_config_script_shell=./x npm test',
+      'GIT_PAGER=./x git log',
+      'PAGER=./x git log',
+      'EDITOR=./x git status',
+      'GIT_CONFIG_COUNT=1 GIT_CONFIG_KEY_0=core.pager GIT_CONFIG_VALUE_0=./x git log',
+      'CI=1 GIT_PAGER+=./x git log'
+    ]) {
+      const result = evaluateCommand(command, compiled);
+      assert.strictEqual(result.decision, 'ask', command);
+      assert.strictEqual(result.rule.id, 'shell-env-prefix', command);
+    }
+  })) passed++; else failed++;
+
+  if (test('allowlisted variables keep the command allowed', () => {
+    const compiled = compilePolicy({});
+    for (const command of ['CI=1 npm test', 'NODE_ENV=test FORCE_COLOR=0 npm test', 'NO_COLOR=1 git status']) {
+      assert.strictEqual(evaluateCommand(command, compiled).decision, 'allow', command);
+    }
+  })) passed++; else failed++;
+
+  if (test('--explain asks for GIT_EXTERNAL_DIFF', () => {
+    const result = spawnSync('node', [FILTER_PATH, '--explain', 'GIT_EXTERNAL_DIFF=./evil.sh git diff'], {
+      encoding: 'utf8',
+      timeout: 30000,
+      env: { ...process.env, CLAUDE_CONFIG_DIR: configDir }
+    });
+    assert.ok(result.stdout.includes('Decision: ask'), result.stdout);
+    assert.ok(result.stdout.includes('GIT_EXTERNAL_DIFF'), result.stdout);
+  })) passed++; else failed++;
+
+  // --- explainCommand ---
+  console.log('\nexplainCommand:');
+
+  if (test('reports matched rule and reason', () => {
+    const text = explainCommand('git diff HEAD', os.tmpdir());
+    assert.ok(text.includes('Decision: allow'));
+    assert.ok(text.includes('git-read'));
+    assert.ok(text.includes('Read-only git command'));
+  })) passed++; else failed++;
+
+  if (test('reports no decision for unknown commands', () => {
+    const text = explainCommand('curl example.com', os.tmpdir());
+    assert.ok(text.includes('none (user decides)'));
+  })) passed++; else failed++;
+
+  // --- Hook integration ---
+  console.log('\npermission-filter hook:');
+
+  if (test('hook emits allow decision', () => {
+    const output = runFilter({ tool_name: 'Bash', tool_input: { command: 'npm test' }, cwd: os.tmpdir() });
+    assert.strictEqual(output.hookSpecificOutput.decision.behavior, 'allow');
+  })) passed++; else failed++;
+
+  if (test('hook emits deny decision with message', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permission-policy-proj-'));
+    try {
+      writePolicy(dir, { rules: { 'tf-apply': { decision: 'deny', pattern: '^terraform\\s+apply', reason: 'Apply through CI only' } } });
+      const output = runFilter({ tool_name: 'Bash', tool_input: { command: 'terraform apply' }, cwd: dir });
+      assert.strictEqual(output.hookSpecificOutput.decision.behavior, 'deny');
+      assert.ok(output.hookSpecificOutput.decision.message.includes('Apply through CI only'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  })) passed++; else failed++;
+
+  if (test('hook leaves unknown commands to the user', () => {
+    const output = runFilter({ tool_name: 'Bash', tool_input: { command: 'rm -rf /tmp/x' }, cwd: os.tmpdir() });
+    assert.strictEqual(output.hookSpecificOutput, undefined);
+  })) passed++; else failed++;
+
+  if (test('--explain CLI mode prints the matching rule', () => {
+    const result = spawnSync('node', [FILTER_PATH, '--explain', 'pytest -x'], {
+      encoding: 'utf8',
+      env: { ...process.env, CLAUDE_CONFIG_DIR: configDir }
+    });
+    assert.strictEqual(result.status, 0);
+    assert.ok(result.stdout.includes('pytest'));
+    assert.ok(result.stdout.includes('Decision: allow'));
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(configDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -0,0 +1,103 @@
+/**
+ * Tests for scripts/lib/process-lock.cjs
+ *
+ * Run with: node tests/lib/process-lock.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const {
+  isProcessAlive,
+  isLockHeld,
+  acquireLock,
+  releaseLock
+} = require('../../plugin/scripts/lib/process-lock.cjs');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-lock-test-'));
+
+/** pid of a process that has exited */
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', ''], { timeout: 10000 }).pid;
+}
+
+function runTests() {
+  console.log('\n=== Testing process-lock.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  if (test('isProcessAlive tells running from exited processes', () => {
+    assert.strictEqual(isProcessAlive(process.pid), true);
+    assert.strictEqual(isProcessAlive(deadPid()), false);
+    assert.strictEqual(isProcessAlive(undefined), false);
+  })) passed++; else failed++;
+
+  if (test('acquireLock is exclusive while the holder lives', () => {
+    const file = path.join(tmpDir, 'nested', 'a.lock');
+    assert.strictEqual(acquireLock(file), true);
+    assert.strictEqual(isLockHeld(file), true);
+    assert.strictEqual(acquireLock(file), false, 'second acquire');
+
+    releaseLock(file);
+    assert.strictEqual(fs.existsSync(file), false);
+    assert.strictEqual(acquireLock(file), true, 'free again');
+    releaseLock(file);
+  })) passed++; else failed++;
+
+  if (test('a dead or stale holder is taken over', () => {
+    const file = path.join(tmpDir, 'b.lock');
+    fs.writeFileSync(file, JSON.stringify({ pid: deadPid(), started: Date.now() }));
+    assert.strictEqual(isLockHeld(file), false);
+    assert.strictEqual(acquireLock(file), true);
+    releaseLock(file);
+
+    fs.writeFileSync(file, JSON.stringify({ pid: process.pid, started: Date.now() - 60000 }));
+    assert.strictEqual(isLockHeld(file, { staleMs: 1000 }), false);
+    assert.strictEqual(acquireLock(file, { staleMs: 1000 }), true);
+    releaseLock(file);
+  })) passed++; else failed++;
+
+  if (test('a lock that is not written yet counts as held for a moment', () => {
+    const file = path.join(tmpDir, 'c.lock');
+    fs.writeFileSync(file, '');
+    assert.strictEqual(isLockHeld(file), true);
+    assert.strictEqual(isLockHeld(file, { now: Date.now() + 60000 }), false);
+  })) passed++; else failed++;
+
+  if (test('releaseLock leaves a lock another process took over', () => {
+    const file = path.join(tmpDir, 'd.lock');
+    fs.writeFileSync(file, JSON.stringify({ pid: process.pid + 1, started: Date.now() }));
+    releaseLock(file);
+    assert.strictEqual(fs.existsSync(file), true);
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -0,0 +1,250 @@
+/**
+ * Tests for scripts/lib/semgrep.cjs and the shipped Semgrep rule pack
+ *
+ * Run with: node tests/lib/semgrep.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const yaml = require('js-yaml');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+// Override CLAUDE_CONFIG_DIR before loading the modules
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'semgrep-test-'));
+process.env.CLAUDE_CONFIG_DIR = path.join(tmpDir, 'claude');
+delete process.env.MAGIC_CLAUDE_SEMGREP_RULES;
+
+const {
+  RULE_PACK_DIR,
+  loadRulePack,
+  getRuleMode,
+  findProjectRuleFiles,
+  collectRuleIds,
+  buildSemgrepArgs,
+  normalizeCheckId,
+  semgrepToDiagnostics
+} = require('../../plugin/scripts/lib/semgrep.cjs');
+const { commandExists } = require('../../plugin/scripts/lib/utils.cjs');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'security-rules');
+const FIXTURE_EXTENSIONS = { javascript: '.js', python: '.py' };
+
+const project = path.join(tmpDir, 'project');
+fs.mkdirSync(path.join(project, '.git'), { recursive: true });
+
+function write(relativePath, content) {
+  const fullPath = path.join(project, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+  return fullPath;
+}
+
+function configArgs(args) {
+  return args.filter((arg, i) => args[i - 1] === '--config');
+}
+
+function runTests() {
+  console.log('\n=== Testing semgrep.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const pack = loadRulePack();
+
+  // --- Rule pack ---
+
+  if (test('rule pack manifest has a name, semver version and existing rulesets', () => {
+    assert.ok(pack, 'manifest.json loads');
+    assert.strictEqual(pack.dir, RULE_PACK_DIR);
+    assert.ok(pack.name);
+    assert.ok(/^\d+\.\d+\.\d+$/.test(pack.version), pack.version);
+    assert.deepStrictEqual(Object.keys(pack.rulesets).sort(), ['javascript', 'python']);
+    for (const file of Object.values(pack.rulesets)) {
+      assert.ok(fs.existsSync(file), file);
+    }
+  })) passed++; else failed++;
+
+  for (const [language, file] of Object.entries(pack ? pack.rulesets : {})) {
+    const rules = yaml.load(fs.readFileSync(file, 'utf8')).rules;
+    const fixture = fs.readFileSync(path.join(FIXTURES_DIR, language + FIXTURE_EXTENSIONS[language]), 'utf8');
+
+    if (test(`${language} rules are complete and uniquely named`, () => {
+      assert.ok(Array.isArray(rules) && rules.length > 0);
+      const ids = rules.map(rule => rule.id);
+      assert.strictEqual(new Set(ids).size, ids.length, 'duplicate rule id');
+      for (const rule of rules) {
+        assert.ok(/^[a-z0-9-]+$/.test(rule.id), `id ${rule.id}`);
+        assert.ok(rule.message, `${rule.id} message`);
+        assert.ok(['ERROR', 'WARNING', 'INFO'].includes(rule.severity), `${rule.id} severity`);
+        assert.ok(Array.isArray(rule.languages) && rule.languages.length > 0, `${rule.id} languages`);
+        assert.ok(rule.pattern || rule.patterns || rule['pattern-either'], `${rule.id} has a pattern`);
+      }
+    })) passed++; else failed++;
+
+    if (test(`${language} fixture has ruleid and ok cases for every rule`, () => {
+      for (const rule of rules) {
+        assert.ok(new RegExp(`ruleid:\\s*${rule.id}\\b`).test(fixture), `${rule.id} has no ruleid: case`);
+        assert.ok(new RegExp(`ok:\\s*${rule.id}\\b`).test(fixture), `${rule.id} has no ok: case`);
+      }
+      const annotated = [...fixture.matchAll(/(?:ruleid|ok):\s*([a-z0-9-]+)/g)].map(m => m[1]);
+      const known = new Set(rules.map(rule => rule.id));
+      assert.deepStrictEqual(annotated.filter(id => !known.has(id)), [], 'fixture annotates unknown rules');
+    })) passed++; else failed++;
+
+    if (commandExists('semgrep')) {
+      if (test(`${language} rules pass semgrep --test on their fixture`, () => {
+        const fixturePath = path.join(FIXTURES_DIR, language + FIXTURE_EXTENSIONS[language]);
+        const result = spawnSync('semgrep', ['--test', '--metrics', 'off', '--config', file, fixturePath], {
+          encoding: 'utf8',
+          timeout: 120000
+        });
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+      })) passed++; else failed++;
+    } else {
+      console.log(`  - ${language} semgrep --test skipped (semgrep not installed)`);
+    }
+  }
+
+  // --- Rule mode ---
+
+  if (test('getRuleMode defaults to offline', () => {
+    assert.strictEqual(getRuleMode(project), 'offline');
+  })) passed++; else failed++;
+
+  if (test('getRuleMode reads semgrep.rules from .claude/security.json', () => {
+    write('.claude/security.json', JSON.stringify({ semgrep: { rules: 'both' } }));
+    assert.strictEqual(getRuleMode(project), 'both');
+    write('.claude/security.json', JSON.stringify({ semgrep: { rules: 'cloud' } }));
+    assert.strictEqual(getRuleMode(project), 'offline', 'unknown mode falls back to offline');
+    fs.rmSync(path.join(project, '.claude', 'security.json'));
+  })) passed++; else failed++;
+
+  if (test('MAGIC_CLAUDE_SEMGREP_RULES overrides the config', () => {
+    write('.claude/security.json', JSON.stringify({ semgrep: { rules: 'both' } }));
+    process.env.MAGIC_CLAUDE_SEMGREP_RULES = 'Registry';
+    try {
+      assert.strictEqual(getRuleMode(project), 'registry');
+    } finally {
+      delete process.env.MAGIC_CLAUDE_SEMGREP_RULES;
+      fs.rmSync(path.join(project, '.claude', 'security.json'));
+    }
+  })) passed++; else failed++;
+
+  // --- Arguments ---
+
+  const target = write('src/app.js', 'eval(input);\n');
+
+  if (test('offline mode scans with the language pack and never the registry', () => {
+    const { mode, args } = buildSemgrepArgs(target, { language: 'javascript', cwd: project });
+    assert.strictEqual(mode, 'offline');
+    assert.deepStrictEqual(configArgs(args), [pack.rulesets.javascript]);
+    assert.ok(!args.includes('auto'));
+    assert.ok(args.includes('--disable-version-check'));
+    assert.deepStrictEqual(args.slice(args.indexOf('--metrics'), args.indexOf('--metrics') + 2), ['--metrics', 'off']);
+    assert.deepStrictEqual(args.slice(-3), [target, '--json', '--quiet']);
+  })) passed++; else failed++;
+
+  if (test('project .claude/security-rules/ files are added on top of the pack', () => {
+    const ruleFile = write('.claude/security-rules/team.yaml', 'rules:\n  - id: no-legacy-crypto\n    pattern: legacyCrypto(...)\n    message: Use the crypto service.\n    languages: [javascript]\n    severity: ERROR\n');
+    write('.claude/security-rules/README.md', 'not a rule file');
+    assert.deepStrictEqual(findProjectRuleFiles(project), [ruleFile]);
+
+    const { args, ruleIds } = buildSemgrepArgs(target, { language: 'javascript', cwd: project });
+    assert.deepStrictEqual(configArgs(args), [pack.rulesets.javascript, ruleFile]);
+    assert.ok(ruleIds.has('no-legacy-crypto'));
+    assert.ok(ruleIds.has('code-injection-eval'));
+  })) passed++; else failed++;
+
+  if (test('registry mode uses --config auto only; both mode combines them', () => {
+    process.env.MAGIC_CLAUDE_SEMGREP_RULES = 'registry';
+    try {
+      const registry = buildSemgrepArgs(target, { language: 'javascript', cwd: project });
+      assert.deepStrictEqual(configArgs(registry.args), ['auto']);
+      assert.ok(!registry.args.includes('--disable-version-check'));
+
+      process.env.MAGIC_CLAUDE_SEMGREP_RULES = 'both';
+      const both = buildSemgrepArgs(target, { language: 'javascript', cwd: project });
+      assert.strictEqual(configArgs(both.args).length, 3);
+      assert.strictEqual(configArgs(both.args)[2], 'auto');
+    } finally {
+      delete process.env.MAGIC_CLAUDE_SEMGREP_RULES;
+    }
+  })) passed++; else failed++;
+
+  if (test('offline mode without a pack for the language or project rules scans nothing', () => {
+    fs.rmSync(path.join(project, '.claude', 'security-rules'), { recursive: true });
+    const { args } = buildSemgrepArgs(target, { language: 'go', cwd: project });
+    assert.deepStrictEqual(args, []);
+  })) passed++; else failed++;
+
+  // --- Results ---
+
+  if (test('collectRuleIds reads ids from rule files', () => {
+    const ids = collectRuleIds([pack.rulesets.python, path.join(tmpDir, 'missing.yaml')]);
+    assert.ok(ids.has('insecure-deserialization'));
+    assert.ok(ids.has('missing-authentication'));
+  })) passed++; else failed++;
+
+  if (test('normalizeCheckId strips the path prefix of local rules only', () => {
+    const ids = new Set(['code-injection-eval']);
+    assert.strictEqual(normalizeCheckId('root.plugin.security.semgrep.code-injection-eval', ids), 'code-injection-eval');
+    assert.strictEqual(normalizeCheckId('code-injection-eval', ids), 'code-injection-eval');
+    assert.strictEqual(
+      normalizeCheckId('javascript.browser.security.eval-detected.eval-detected', ids),
+      'javascript.browser.security.eval-detected.eval-detected'
+    );
+  })) passed++; else failed++;
+
+  if (test('semgrepToDiagnostics maps results to diagnostics', () => {
+    const output = {
+      results: [{
+        check_id: 'tmp.plugin.security.semgrep.code-injection-eval',
+        path: target,
+        start: { line: 1, col: 1 },
+        extra: { severity: 'ERROR', message: 'Code evaluated from a dynamic value.' }
+      }, {
+        check_id: 'javascript.lang.audit.something',
+        path: target,
+        start: { line: 1, col: 1 },
+        extra: { severity: 'INFO' }
+      }]
+    };
+    const [local, registry] = semgrepToDiagnostics(output, target, new Set(['code-injection-eval']));
+    assert.strictEqual(local.ruleId, 'code-injection-eval');
+    assert.strictEqual(local.source, 'semgrep');
+    assert.strictEqual(local.severity, 'error');
+    assert.strictEqual(local.line, 1);
+    assert.strictEqual(registry.ruleId, 'javascript.lang.audit.something');
+    assert.strictEqual(registry.severity, 'info');
+    assert.strictEqual(registry.message, 'javascript.lang.audit.something');
+    assert.deepStrictEqual(semgrepToDiagnostics({}, target), []);
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -6,6 +6,7 @@
 
 const assert = require('assert');
 const path = require('path');
+const os = require('os');
 const { execSync } = require('child_process');
 
 // Test helper
@@ -208,6 +209,16 @@ function runTests() {
     assert.deepStrictEqual(data.byCategory, {});
   })) passed++; else failed++;
 
+  if (test('collectHookSettings lists every registered hook with its state', () => {
+    const data = collectors.collectHookSettings(PLUGIN_ROOT, os.tmpdir());
+    assert.ok(data.hooks.length > 0, 'Should list hooks');
+    const formatter = data.hooks.find(h => h.hook === 'smart-formatter');
+    assert.ok(formatter, 'Should include smart-formatter');
+    assert.deepStrictEqual(formatter.events, ['PostToolUse']);
+    assert.strictEqual(typeof formatter.enabled, 'boolean');
+    assert.ok(Array.isArray(data.unknown), 'Should list unknown hook names');
+  })) passed++; else failed++;
+
   if (test('collectHooks handles missing hooks.json', () => {
     const data = collectors.collectHooks('/nonexistent/path');
     assert.strictEqual(data.totalRules, 0);
@@ -292,6 +303,21 @@ function runTests() {
     assert.ok(result.includes('1 rule'), 'Should show singular');
   })) passed++; else failed++;
 
+  if (test('formatHookSettingsSection shows state, source and options', () => {
+    const result = formatter.formatHookSettingsSection({
+      hooks: [
+        { hook: 'console-log-detector', events: ['PostToolUse'], enabled: false, source: 'workspace', file: '/repo/.claude/magic-claude.json', options: { skip: [] } },
+        { hook: 'python-security', events: ['PostToolUse'], enabled: true, source: 'default', file: null, options: { skip: ['tests/**'], minSeverity: 'error' } }
+      ],
+      files: ['/repo/.claude/magic-claude.json'],
+      unknown: ['smart-formater']
+    });
+    assert.ok(result.includes('1 enabled, 1 disabled'), 'Should show totals');
+    assert.ok(result.includes('disabled  workspace (/repo/.claude/magic-claude.json)'), 'Should show source');
+    assert.ok(result.includes('[skip=tests/** minSeverity="error"]'), 'Should show options');
+    assert.ok(result.includes('Unknown hooks in settings: smart-formater'), 'Should flag typos');
+  })) passed++; else failed++;
+
   if (test('formatCommandsSection wraps command names', () => {
     const result = formatter.formatCommandsSection({
       total: 3, commands: ['alpha', 'beta', 'gamma']
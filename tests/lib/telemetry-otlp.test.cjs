@@ -0,0 +1,315 @@
+/**
+ * Tests for scripts/lib/telemetry-otlp.cjs and scripts/otlp-receiver.cjs
+ *
+ * Run with: node tests/lib/telemetry-otlp.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const { spawn, spawnSync } = require('child_process');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-otlp-test-'));
+const configDir = path.join(tmpDir, 'config');
+fs.mkdirSync(configDir);
+// The OTLP buffer and config resolve their directory when first required
+process.env.CLAUDE_CONFIG_DIR = configDir;
+
+const {
+  getOtlpConfig,
+  toSpan,
+  fromSpan,
+  buildExportRequest,
+  exportSpan,
+  flushSpans,
+  compactSpans,
+  getOtlpStatus,
+  OTLP_DIR
+} = require('../../plugin/scripts/lib/telemetry-otlp.cjs');
+
+const RECEIVER = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'otlp-receiver.cjs');
+const OTLP_LIB = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'lib', 'telemetry-otlp.cjs');
+const TELEMETRY_LIB = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'lib', 'hook-telemetry.cjs');
+const CONFIG_FILE = path.join(configDir, 'hook-telemetry.json');
+
+// Test helpers
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const receivers = [];
+
+/**
+ * Start otlp-receiver.cjs on a free port
+ * @returns {Promise<{ url: string, out: string, child: import('child_process').ChildProcess }>}
+ */
+function startReceiver(extraArgs = []) {
+  const out = path.join(tmpDir, `received-${receivers.length}.jsonl`);
+  const child = spawn('node', [RECEIVER, '--port', '0', '--out', out, ...extraArgs], { stdio: ['ignore', 'pipe', 'pipe'] });
+  receivers.push(child);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('receiver did not start')), 10000);
+    child.stdout.on('data', (chunk) => {
+      const match = String(chunk).match(/Listening on (\S+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ url: match[1], out, child });
+      }
+    });
+    child.on('exit', () => reject(new Error('receiver exited')));
+  });
+}
+
+/**
+ * A URL nothing listens on
+ */
+function closedPortUrl() {
+  return new Promise((resolve) => {
+    const server = http.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(`http://127.0.0.1:${port}/v1/traces`));
+    });
+  });
+}
+
+function readReceived(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+function record(fields) {
+  return { ts: '2026-10-18T12:00:01.500Z', hook: 'smart-formatter', event: 'PostToolUse', outcome: 'fired', reason: 'formatted', duration_ms: 340, tool: 'Edit', ...fields };
+}
+
+async function runTests() {
+  console.log('\n=== Testing telemetry-otlp.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Spans ---
+  console.log('Spans:');
+
+  if (test('toSpan ends at the record time and carries the record fields', () => {
+    const span = toSpan(record({ session: 's-1', project: 'web', project_id: 'abcd1234' }));
+    assert.match(span.traceId, /^[0-9a-f]{32}$/);
+    assert.match(span.spanId, /^[0-9a-f]{16}$/);
+    assert.strictEqual(span.endTimeUnixNano, String(Date.parse('2026-10-18T12:00:01.500Z') * 1e6));
+    assert.strictEqual(BigInt(span.endTimeUnixNano) - BigInt(span.startTimeUnixNano), 340000000n);
+    const flat = fromSpan(span);
+    assert.strictEqual(flat.name, 'smart-formatter');
+    assert.strictEqual(flat['hook.event'], 'PostToolUse');
+    assert.strictEqual(flat['hook.outcome'], 'fired');
+    assert.strictEqual(flat['hook.duration_ms'], 340);
+    assert.strictEqual(flat['hook.tool'], 'Edit');
+    assert.strictEqual(flat['session.id'], 's-1');
+    assert.strictEqual(flat['project.id'], 'abcd1234');
+    assert.strictEqual(flat.status, 0);
+  })) passed++; else failed++;
+
+  if (test('spans of one session share a trace; failures get an error status', () => {
+    const a = toSpan(record({ session: 's-1' }));
+    const b = toSpan(record({ session: 's-1', hook: 'secret-scanner' }));
+    assert.strictEqual(a.traceId, b.traceId);
+    assert.notStrictEqual(a.spanId, b.spanId);
+    assert.notStrictEqual(toSpan(record({ session: 's-2' })).traceId, a.traceId);
+    assert.deepStrictEqual(toSpan(record({ outcome: 'timeout', reason: 'exceeded 60000ms budget' })).status, { code: 2, message: 'exceeded 60000ms budget' });
+  })) passed++; else failed++;
+
+  if (test('buildExportRequest groups spans by plugin version', () => {
+    const request = buildExportRequest([
+      { version: '2.0.0', span: toSpan(record()) },
+      { version: '2.1.0', span: toSpan(record()) },
+      { version: '2.0.0', span: toSpan(record()) }
+    ], 'magic-claude');
+    assert.strictEqual(request.resourceSpans.length, 2);
+    const [first] = request.resourceSpans;
+    assert.deepStrictEqual(first.resource.attributes, [
+      { key: 'service.name', value: { stringValue: 'magic-claude' } },
+      { key: 'service.version', value: { stringValue: '2.0.0' } }
+    ]);
+    assert.strictEqual(first.scopeSpans[0].spans.length, 2);
+  })) passed++; else failed++;
+
+  // --- Buffering ---
+  console.log('\nBuffering:');
+
+  if (test('exportSpan does nothing without an endpoint', () => {
+    assert.strictEqual(getOtlpConfig({ reload: true }), null);
+    exportSpan(record());
+    assert.ok(!fs.existsSync(OTLP_DIR));
+  })) passed++; else failed++;
+
+  const unreachable = await closedPortUrl();
+
+  if (await asyncTest('spans stay on disk while the collector is unreachable', async () => {
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify({ otlp: { endpoint: unreachable, timeoutMs: 2000 } }));
+    const config = getOtlpConfig({ reload: true });
+    assert.strictEqual(config.endpoint, unreachable);
+
+    // A recent failure holds back the background flusher
+    fs.mkdirSync(OTLP_DIR, { recursive: true });
+    fs.writeFileSync(path.join(OTLP_DIR, 'state.json'), JSON.stringify({ lastFailure: Date.now() }));
+    for (const hook of ['a', 'b', 'c']) exportSpan(record({ hook }));
+    assert.ok(!fs.existsSync(path.join(OTLP_DIR, 'flush.lock')), 'no flusher during the retry interval');
+    assert.strictEqual(getOtlpStatus().pending, 3);
+
+    const result = await flushSpans(config);
+    assert.strictEqual(result.sent, 0);
+    assert.strictEqual(result.pending, 3);
+    assert.ok(result.error);
+    assert.strictEqual(getOtlpStatus().pending, 3);
+  })) passed++; else failed++;
+
+  if (await asyncTest('a flush delivers the buffered spans once the collector is back', async () => {
+    const receiver = await startReceiver();
+    exportSpan(record({ hook: 'd' }));
+    const result = await flushSpans({ ...getOtlpConfig(), endpoint: receiver.url });
+    assert.deepStrictEqual([result.sent, result.pending], [4, 0]);
+    assert.deepStrictEqual(readReceived(receiver.out).map(s => s.name), ['a', 'b', 'c', 'd']);
+    assert.strictEqual(readReceived(receiver.out)[0].service, 'magic-claude');
+    assert.strictEqual(getOtlpStatus().pending, 0);
+    assert.strictEqual(getOtlpStatus().error, null);
+  })) passed++; else failed++;
+
+  if (await asyncTest('server errors are retried, rejected exports are dropped', async () => {
+    const unavailable = await startReceiver(['--status', '503']);
+    const rejecting = await startReceiver(['--status', '400']);
+    exportSpan(record());
+    const kept = await flushSpans({ ...getOtlpConfig(), endpoint: unavailable.url });
+    assert.deepStrictEqual([kept.sent, kept.pending, kept.error], [0, 1, 'HTTP 503']);
+    const dropped = await flushSpans({ ...getOtlpConfig(), endpoint: rejecting.url });
+    assert.deepStrictEqual([dropped.sent, dropped.dropped, dropped.pending], [0, 1, 0]);
+  })) passed++; else failed++;
+
+  if (await asyncTest('buffer and outbox stay under the cap across failed flushes, oldest spans dropped first', async () => {
+    const cap = 8 * 1024;
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify({ otlp: { endpoint: unreachable, timeoutMs: 2000, maxBufferMB: cap / 1024 / 1024 } }));
+    const config = getOtlpConfig({ reload: true });
+    assert.strictEqual(config.maxBufferBytes, cap);
+    fs.rmSync(OTLP_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OTLP_DIR, { recursive: true });
+    // A live flusher lock keeps exportSpan from starting background flushers
+    fs.writeFileSync(path.join(OTLP_DIR, 'flush.lock'), JSON.stringify({ pid: process.pid, started: Date.now() }));
+
+    const onDisk = () => ['buffer.jsonl', 'outbox.jsonl']
+      .reduce((size, file) => size + (fs.existsSync(path.join(OTLP_DIR, file)) ? fs.statSync(path.join(OTLP_DIR, file)).size : 0), 0);
+    let exported = 0;
+    for (let round = 0; round < 4; round++) {
+      for (let i = 0; i < 15; i++) exportSpan(record({ hook: `hook-${exported++}` }));
+      const result = await flushSpans(config);
+      assert.strictEqual(result.sent, 0);
+      assert.ok(result.error, 'the collector is unreachable');
+      assert.ok(onDisk() <= cap, `round ${round}: ${onDisk()} bytes on disk`);
+    }
+
+    const status = getOtlpStatus();
+    assert.ok(status.dropped > 0, 'dropped spans are counted');
+    assert.strictEqual(status.pending + status.dropped, exported);
+    exportSpan(record({ hook: 'newest' }));
+    const kept = compactSpans(config);
+    assert.ok(onDisk() <= cap);
+    assert.strictEqual(kept.pending + getOtlpStatus().dropped, exported + 1);
+    const names = fs.readFileSync(path.join(OTLP_DIR, 'outbox.jsonl'), 'utf8').trim().split('\n').map(line => fromSpan(JSON.parse(line).span).name);
+    assert.strictEqual(names[names.length - 1], 'newest');
+    assert.ok(!names.includes('hook-0'), 'the oldest spans went first');
+    fs.rmSync(OTLP_DIR, { recursive: true, force: true });
+  })) passed++; else failed++;
+
+  if (await asyncTest('a claimed buffer left by a failed flusher is sent by the next one', async () => {
+    const receiver = await startReceiver();
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify({ otlp: { endpoint: receiver.url } }));
+    const config = getOtlpConfig({ reload: true });
+    fs.mkdirSync(OTLP_DIR, { recursive: true });
+    const orphan = { version: '1.0.0', span: toSpan(record({ hook: 'orphaned' })) };
+    fs.writeFileSync(path.join(OTLP_DIR, 'buffer.jsonl.99999'), JSON.stringify(orphan) + '\n');
+
+    const result = await flushSpans(config);
+    assert.deepStrictEqual([result.sent, result.pending], [1, 0]);
+    assert.deepStrictEqual(readReceived(receiver.out).map(s => s.name), ['orphaned']);
+    assert.ok(!fs.existsSync(path.join(OTLP_DIR, 'buffer.jsonl.99999')));
+  })) passed++; else failed++;
+
+  if (test('a flusher exits at once while another holds the lock, and releases its own', () => {
+    const lock = path.join(OTLP_DIR, 'flush.lock');
+    const env = { ...process.env, CLAUDE_CONFIG_DIR: configDir };
+    fs.writeFileSync(lock, JSON.stringify({ pid: process.pid, started: Date.now() }));
+    const blocked = spawnSync('node', [OTLP_LIB, '--compact'], { encoding: 'utf8', timeout: 30000, env });
+    assert.strictEqual(blocked.status, 0, blocked.stderr);
+    assert.deepStrictEqual(JSON.parse(blocked.stdout), { skipped: 'another flusher is running' });
+
+    fs.rmSync(lock);
+    const run = spawnSync('node', [OTLP_LIB, '--compact'], { encoding: 'utf8', timeout: 30000, env });
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.strictEqual(JSON.parse(run.stdout).pending, 0);
+    assert.ok(!fs.existsSync(lock), 'lock removed when the flusher exits');
+  })) passed++; else failed++;
+
+  // --- End to end ---
+  console.log('\nEnd to end:');
+
+  if (await asyncTest('logTelemetry exports in the background without waiting', async () => {
+    const receiver = await startReceiver();
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify({ otlp: { endpoint: receiver.url, serviceName: 'hooks-test' } }));
+    fs.rmSync(OTLP_DIR, { recursive: true, force: true });
+
+    const script = `require(${JSON.stringify(TELEMETRY_LIB)}).logTelemetry({ hook: 'e2e-hook', event: 'Stop', outcome: 'fired', reason: 'ok', duration_ms: 12, session: 'e2e' })`;
+    const started = Date.now();
+    const run = spawnSync('node', ['-e', script], { encoding: 'utf8', timeout: 30000, env: { ...process.env, CLAUDE_CONFIG_DIR: configDir } });
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.ok(Date.now() - started < 5000);
+
+    let spans = [];
+    for (let i = 0; i < 100 && spans.length === 0; i++) {
+      await sleep(100);
+      spans = readReceived(receiver.out);
+    }
+    assert.strictEqual(spans.length, 1, 'the detached flusher delivered the span');
+    assert.strictEqual(spans[0].name, 'e2e-hook');
+    assert.strictEqual(spans[0].service, 'hooks-test');
+    assert.strictEqual(spans[0]['session.id'], 'e2e');
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  for (const child of receivers) child.kill();
+  // Give a detached flusher a moment to finish before removing its directory
+  await sleep(200);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
@@ -0,0 +1,346 @@
+/**
+ * Tests for scripts/lib/telemetry-report.cjs and telemetry retention
+ *
+ * Run with: node tests/lib/telemetry-report.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-report-test-'));
+// Telemetry resolves its file when first required
+process.env.CLAUDE_CONFIG_DIR = tmpDir;
+
+const {
+  resolveWindow,
+  previousWindow,
+  readTelemetry,
+  percentile,
+  buildReport,
+  formatReport,
+  toHtml
+} = require('../../plugin/scripts/lib/telemetry-report.cjs');
+const {
+  logTelemetry,
+  generateReport,
+  listTelemetryFiles,
+  getRetentionDays,
+  pruneTelemetry,
+  TELEMETRY_FILE
+} = require('../../plugin/scripts/lib/hook-telemetry.cjs');
+const { HookContext, runHook } = require('../../plugin/scripts/lib/hook-runtime.cjs');
+
+const CLI = path.join(__dirname, '..', '..', 'plugin', 'scripts', 'telemetry-report.cjs');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-18T12:00:00.000Z');
+
+// Test helpers
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+function record(daysAgo, fields) {
+  return { ts: new Date(NOW - daysAgo * DAY_MS).toISOString(), event: 'PostToolUse', outcome: 'fired', reason: 'ok', ...fields };
+}
+
+function writeLog(file, records) {
+  fs.writeFileSync(file, records.map(r => JSON.stringify(r)).join('\n') + '\n');
+}
+
+function reset() {
+  for (const f of fs.readdirSync(tmpDir)) fs.rmSync(path.join(tmpDir, f), { force: true });
+}
+
+/**
+ * Current log with this week's runs, a rotated log with last week's
+ */
+function seed() {
+  reset();
+  const current = [];
+  for (let i = 1; i <= 100; i++) {
+    current.push(record(i % 5, { hook: 'formatter', tool: 'Edit', duration_ms: i }));
+  }
+  current.push(record(1, { hook: 'checker', tool: 'Write', outcome: 'error', reason: 'crash', duration_ms: 900 }));
+  current.push(record(2, { hook: 'session-start', event: 'SessionStart', outcome: 'skipped', reason: 'subagent' }));
+  writeLog(TELEMETRY_FILE, current);
+
+  const rotatedAt = NOW - 6 * DAY_MS;
+  writeLog(path.join(tmpDir, `hook-telemetry.${rotatedAt}.jsonl`), [
+    record(9, { hook: 'formatter', tool: 'Edit', duration_ms: 50 }),
+    record(8, { hook: 'formatter', tool: 'Edit', duration_ms: 150 }),
+    record(8, { hook: 'checker', tool: 'Write', duration_ms: 20 })
+  ]);
+}
+
+async function runTests() {
+  console.log('\n=== Testing telemetry-report.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // --- Windows and logs ---
+  console.log('Windows and logs:');
+
+  if (test('percentile uses the nearest rank', () => {
+    const values = Array.from({ length: 100 }, (_, i) => i + 1);
+    assert.strictEqual(percentile(values, 50), 50);
+    assert.strictEqual(percentile(values, 95), 95);
+    assert.strictEqual(percentile(values, 99), 99);
+    assert.strictEqual(percentile([7], 99), 7);
+    assert.strictEqual(percentile([], 50), null);
+  })) passed++; else failed++;
+
+  if (test('resolveWindow covers whole UTC days between --since and --until', () => {
+    const window = resolveWindow({ since: '2026-10-01', until: '2026-10-07', now: NOW });
+    assert.strictEqual(window.since, '2026-10-01T00:00:00.000Z');
+    assert.strictEqual(window.until, '2026-10-08T00:00:00.000Z');
+    assert.strictEqual(window.label, '2026-10-01 to 2026-10-07');
+    assert.throws(() => resolveWindow({ since: 'last week' }), /Invalid date/);
+  })) passed++; else failed++;
+
+  if (test('previousWindow is the same length, right before', () => {
+    const window = resolveWindow({ days: 7, now: NOW });
+    const before = previousWindow(window, NOW);
+    assert.strictEqual(before.until, window.since);
+    assert.strictEqual(Date.parse(before.until) - Date.parse(before.since), 7 * DAY_MS);
+  })) passed++; else failed++;
+
+  if (test('readTelemetry includes rotated logs and skips those older than the window', () => {
+    seed();
+    assert.deepStrictEqual(listTelemetryFiles().map(f => f.rotatedAt), [NOW - 6 * DAY_MS, null]);
+    assert.strictEqual(readTelemetry(resolveWindow({ days: 14, now: NOW })).entries.length, 105);
+    const week = readTelemetry(resolveWindow({ days: 5, now: NOW }));
+    assert.strictEqual(week.entries.length, 102);
+    assert.strictEqual(week.files, 2);
+  })) passed++; else failed++;
+
+  // --- Report ---
+  console.log('\nReport:');
+
+  if (test('buildReport computes latency percentiles per hook', () => {
+    seed();
+    const report = buildReport({ days: 7, now: NOW });
+    const formatter = report.hooks.find(h => h.name === 'formatter');
+    assert.strictEqual(formatter.total, 100);
+    assert.deepStrictEqual(
+      [formatter.latency.p50, formatter.latency.p95, formatter.latency.p99, formatter.latency.max],
+      [50, 95, 99, 100]
+    );
+    assert.strictEqual(report.hooks.find(h => h.name === 'session-start').latency.p50, null);
+    assert.deepStrictEqual(report.neverFired.sort(), ['checker', 'session-start']);
+  })) passed++; else failed++;
+
+  if (test('buildReport breaks runs down by event, tool and day', () => {
+    seed();
+    const report = buildReport({ days: 7, now: NOW });
+    assert.deepStrictEqual(report.byEvent.map(e => [e.name, e.total]), [['PostToolUse', 101], ['SessionStart', 1]]);
+    assert.deepStrictEqual(report.byTool.map(t => [t.name, t.total, t.error]), [['Edit', 100, 0], ['Write', 1, 1]]);
+    assert.strictEqual(report.daily.length, 8, 'every day of the window, empty ones included');
+    assert.strictEqual(report.daily[0].name, '2026-10-11');
+    assert.strictEqual(report.daily[0].total, 0);
+    assert.strictEqual(report.daily.reduce((sum, d) => sum + d.total, 0), report.events);
+  })) passed++; else failed++;
+
+  if (test('compare summarizes the previous window per hook', () => {
+    seed();
+    const report = buildReport({ days: 7, compare: true, now: NOW });
+    assert.strictEqual(report.comparison.events, 3);
+    const formatter = report.comparison.hooks.find(h => h.name === 'formatter');
+    assert.deepStrictEqual([formatter.baseline.total, formatter.current.total], [2, 100]);
+    assert.deepStrictEqual([formatter.baseline.p95, formatter.current.p95], [150, 95]);
+    assert.ok(Math.abs(formatter.p95Change - (95 - 150) / 150) < 1e-9);
+    const checker = report.comparison.hooks.find(h => h.name === 'checker');
+    assert.deepStrictEqual([checker.baseline.errorRate, checker.current.errorRate], [0, 1]);
+
+    const explicit = buildReport({ days: 7, compare: { since: '2026-10-09', until: '2026-10-09' }, now: NOW });
+    assert.strictEqual(explicit.comparison.events, 1);
+  })) passed++; else failed++;
+
+  if (test('the report is plain JSON', () => {
+    seed();
+    const report = buildReport({ days: 7, compare: true, now: NOW });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(report)), report);
+  })) passed++; else failed++;
+
+  if (test('formatReport adds percentile, breakdown, trend and comparison sections', () => {
+    seed();
+    const text = formatReport(buildReport({ days: 7, compare: true, now: NOW }));
+    assert.ok(text.startsWith('Hook Telemetry Report (last 7 day(s), 102 events)'), text);
+    assert.ok(text.includes('Latency: p50 50ms  |  p95 95ms  |  p99 99ms'), text);
+    for (const heading of ['By event:', 'By tool:', 'Daily trend (UTC):', 'Compared with ']) {
+      assert.ok(text.includes(heading), `missing ${heading}`);
+    }
+    assert.ok(text.includes('150ms -> 95ms (-37%)'), text);
+    assert.ok(text.includes('Never fired: '));
+  })) passed++; else failed++;
+
+  if (test('formatReport names empty date windows', () => {
+    seed();
+    const text = formatReport(buildReport({ since: '2025-01-01', until: '2025-01-31', now: NOW }));
+    assert.strictEqual(text, 'No telemetry data from 2025-01-01 to 2025-01-31.');
+  })) passed++; else failed++;
+
+  if (test('toHtml renders a self-contained, escaped page', () => {
+    seed();
+    fs.appendFileSync(TELEMETRY_FILE, JSON.stringify(record(1, { hook: '<img src=x>', tool: 'Edit' })) + '\n');
+    const html = toHtml(buildReport({ days: 7, compare: true, now: NOW }));
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.includes('&lt;img src=x&gt;'));
+    assert.ok(!html.includes('<img'));
+    assert.ok(!/<script|<link|https?:\/\//.test(html), 'no external resources or scripts');
+    assert.ok(html.includes('Daily trend (UTC)') && html.includes('Compared with'));
+  })) passed++; else failed++;
+
+  if (test('generateReport reads rotated logs too', () => {
+    reset();
+    writeLog(path.join(tmpDir, `hook-telemetry.${Date.now() - 1000}.jsonl`), [
+      { ts: new Date().toISOString(), hook: 'rotated-hook', event: 'Stop', outcome: 'fired', reason: 'ok' }
+    ]);
+    const text = generateReport(1);
+    assert.ok(text.includes('rotated-hook') && text.includes('1 events'), text);
+  })) passed++; else failed++;
+
+  // --- Projects and sessions ---
+  console.log('\nProjects and sessions:');
+
+  if (test('filters narrow the report to a project or session', () => {
+    reset();
+    writeLog(TELEMETRY_FILE, [
+      record(1, { hook: 'formatter', duration_ms: 10, session: 'aaaa-1', project: 'web', project_id: '11111111' }),
+      record(1, { hook: 'formatter', duration_ms: 900, session: 'bbbb-2', project: 'api', project_id: '22222222' }),
+      record(1, { hook: 'formatter', duration_ms: 30, session: 'bbbb-2', project: 'api', project_id: '33333333' }),
+      record(1, { hook: 'formatter', duration_ms: 50 })
+    ]);
+    const all = buildReport({ days: 7, now: NOW });
+    assert.deepStrictEqual(all.byProject.map(p => [p.name, p.latency.max]), [['api [22222222]', 900], ['api [33333333]', 30], ['web [11111111]', 10]]);
+    assert.deepStrictEqual(all.filters, {});
+
+    assert.strictEqual(buildReport({ days: 7, project: 'api', now: NOW }).events, 2);
+    assert.strictEqual(buildReport({ days: 7, project: '33333333', now: NOW }).events, 1);
+    const session = buildReport({ days: 7, session: 'aaaa', now: NOW });
+    assert.deepStrictEqual([session.events, session.filters], [1, { session: 'aaaa' }]);
+
+    const text = formatReport(buildReport({ days: 7, project: 'api', now: NOW }));
+    assert.ok(text.includes('Filters: project=api') && text.includes('By project:'), text);
+    assert.strictEqual(formatReport(buildReport({ days: 7, project: 'nope', now: NOW })), 'No telemetry data in the last 7 day(s) matching project=nope.');
+    assert.ok(generateReport(7, { session: 'bbbb' }).includes('2 events'));
+  })) passed++; else failed++;
+
+  if (await asyncTest('runHook records the session, project and workspace package', async () => {
+    reset();
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-project-'));
+    try {
+      fs.writeFileSync(path.join(root, 'pnpm-workspace.yaml'), 'packages:\n  - packages/*\n');
+      fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'monorepo', private: true }));
+      fs.mkdirSync(path.join(root, 'packages', 'web', 'src'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'packages', 'web', 'package.json'), JSON.stringify({ name: '@acme/web' }));
+
+      const input = {
+        hook_event_name: 'PostToolUse',
+        session_id: 'session-42',
+        agent_id: 'agent-7',
+        cwd: root,
+        tool_name: 'Edit',
+        tool_input: { file_path: path.join(root, 'packages', 'web', 'src', 'app.ts') }
+      };
+      const hook = { name: 'dimension-test', handler: () => ({ outcome: 'fired', reason: 'ok' }) };
+      await runHook(hook, new HookContext(input));
+      const last = JSON.parse(fs.readFileSync(TELEMETRY_FILE, 'utf8').trim().split('\n').pop());
+      assert.deepStrictEqual(
+        [last.session, last.agent, last.project, last.package],
+        ['session-42', 'agent-7', path.basename(root), '@acme/web']
+      );
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  })) passed++; else failed++;
+
+  // --- Retention ---
+  console.log('\nRetention:');
+
+  if (test('retention defaults to 30 days and reads hook-telemetry.json', () => {
+    reset();
+    assert.strictEqual(getRetentionDays(), 30);
+    fs.writeFileSync(path.join(tmpDir, 'hook-telemetry.json'), JSON.stringify({ retentionDays: 3 }));
+    assert.strictEqual(getRetentionDays(), 3);
+    fs.writeFileSync(path.join(tmpDir, 'hook-telemetry.json'), JSON.stringify({ retentionDays: 'forever' }));
+    assert.strictEqual(getRetentionDays(), 30);
+  })) passed++; else failed++;
+
+  if (test('pruneTelemetry deletes only rotated logs past the retention period', () => {
+    reset();
+    const old = path.join(tmpDir, `hook-telemetry.${NOW - 40 * DAY_MS}.jsonl`);
+    const recent = path.join(tmpDir, `hook-telemetry.${NOW - 2 * DAY_MS}.jsonl`);
+    for (const file of [old, recent, TELEMETRY_FILE]) fs.writeFileSync(file, '');
+    assert.deepStrictEqual(pruneTelemetry({ retentionDays: 0, now: NOW }), [], '0 keeps everything');
+    assert.deepStrictEqual(pruneTelemetry({ now: NOW }), [old]);
+    assert.deepStrictEqual(pruneTelemetry({ retentionDays: 1, now: NOW }), [recent]);
+    assert.ok(fs.existsSync(TELEMETRY_FILE));
+  })) passed++; else failed++;
+
+  if (test('rotation prunes expired logs', () => {
+    reset();
+    const expired = path.join(tmpDir, `hook-telemetry.${Date.now() - 60 * DAY_MS}.jsonl`);
+    fs.writeFileSync(expired, '');
+    fs.writeFileSync(TELEMETRY_FILE, 'x'.repeat(5 * 1024 * 1024 + 100));
+    logTelemetry({ hook: 'rotation-test', event: 'Stop', outcome: 'fired', reason: 'trigger rotation' });
+    assert.ok(!fs.existsSync(expired));
+    assert.strictEqual(listTelemetryFiles().length, 2);
+  })) passed++; else failed++;
+
+  // --- CLI ---
+  console.log('\nCLI:');
+
+  if (test('exports JSON and HTML to a file', () => {
+    seed();
+    const env = { ...process.env, CLAUDE_CONFIG_DIR: tmpDir };
+    const jsonFile = path.join(os.tmpdir(), `telemetry-report-${process.pid}.json`);
+    const json = spawnSync('node', [CLI, '--days', '30', '--format', 'json', '--out', jsonFile], { encoding: 'utf8', timeout: 30000, env });
+    assert.strictEqual(json.status, 0, json.stderr);
+    assert.ok(JSON.parse(fs.readFileSync(jsonFile, 'utf8')).events >= 105);
+    fs.rmSync(jsonFile, { force: true });
+
+    const html = spawnSync('node', [CLI, '--format', 'html', '--compare'], { encoding: 'utf8', timeout: 30000, env });
+    assert.strictEqual(html.status, 0, html.stderr);
+    assert.ok(html.stdout.startsWith('<!DOCTYPE html>'));
+
+    const bad = spawnSync('node', [CLI, '--format', 'pdf'], { encoding: 'utf8', timeout: 30000, env });
+    assert.strictEqual(bad.status, 1);
+  })) passed++; else failed++;
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
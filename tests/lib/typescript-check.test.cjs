@@ -0,0 +1,230 @@
+/**
+ * Tests for scripts/lib/typescript-check.cjs
+ *
+ * Run with: node tests/lib/typescript-check.test.cjs
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Test helper
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (err) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${err.message}`);
+    return false;
+  }
+}
+
+// Override CLAUDE_CONFIG_DIR before loading the module (build-info cache lives there)
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'typescript-check-test-'));
+process.env.CLAUDE_CONFIG_DIR = path.join(tmpDir, 'claude');
+
+const {
+  readTsconfig,
+  resolveProjectConfig,
+  projectIncludesFile,
+  findOwningTsconfig,
+  findDirectDependents,
+  parseTscOutput,
+  getBuildInfoFile,
+  checkFile
+} = require('../../plugin/scripts/lib/typescript-check.cjs');
+const { getBudgetConfig, beginHookBudget, endHookBudget } = require('../../plugin/scripts/lib/hook-budget.cjs');
+
+const REPO_TYPESCRIPT = path.join(__dirname, '..', '..', 'node_modules', 'typescript');
+
+function write(relativePath, content) {
+  const fullPath = path.join(tmpDir, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  return fullPath;
+}
+
+function runTests() {
+  console.log('\n=== Testing typescript-check.cjs ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // Monorepo: solution-style root referencing two packages
+  write('mono/tsconfig.json', '{\n  // solution root\n  "files": [],\n  "references": [{ "path": "./packages/core" }, { "path": "./packages/app/tsconfig.app.json" }],\n}\n');
+  write('mono/tsconfig.base.json', { compilerOptions: { strict: true }, exclude: ['**/*.spec.ts'] });
+  write('mono/packages/core/tsconfig.json', { extends: '../../tsconfig.base.json', compilerOptions: { composite: true, outDir: 'dist' }, include: ['src'] });
+  write('mono/packages/app/tsconfig.app.json', { compilerOptions: { composite: true }, include: ['src/**/*.ts'], references: [{ path: '../core' }] });
+  const coreFile = write('mono/packages/core/src/math.ts', 'export const add = (a: number, b: number) => a + b;\n');
+  const coreSpec = write('mono/packages/core/src/math.spec.ts', 'import { add } from "./math";\n');
+  const appFile = write('mono/packages/app/src/main.ts', 'import { add } from "../../core/src/math";\n');
+
+  // --- tsconfig parsing ---
+  console.log('tsconfig parsing:');
+
+  if (test('readTsconfig handles comments and trailing commas', () => {
+    const config = readTsconfig(path.join(tmpDir, 'mono/tsconfig.json'));
+    assert.deepStrictEqual(config.files, []);
+    assert.strictEqual(config.references.length, 2);
+  })) passed++; else failed++;
+
+  if (test('readTsconfig keeps comment-like text inside strings', () => {
+    const file = write('strings/tsconfig.json', '{ "compilerOptions": { "baseUrl": "http://x/*y*/" } }');
+    assert.strictEqual(readTsconfig(file).compilerOptions.baseUrl, 'http://x/*y*/');
+  })) passed++; else failed++;
+
+  if (test('resolveProjectConfig follows relative extends', () => {
+    const project = resolveProjectConfig(path.join(tmpDir, 'mono/packages/core/tsconfig.json'));
+    assert.deepStrictEqual(project.exclude, [path.join(tmpDir, 'mono/**/*.spec.ts')]);
+    assert.deepStrictEqual(project.include, [path.join(tmpDir, 'mono/packages/core/src')]);
+  })) passed++; else failed++;
+
+  if (test('projectIncludesFile applies include, exclude and outDir', () => {
+    const project = resolveProjectConfig(path.join(tmpDir, 'mono/packages/core/tsconfig.json'));
+    assert.ok(projectIncludesFile(project, coreFile));
+    assert.ok(!projectIncludesFile(project, coreSpec), 'excluded by extended config');
+    assert.ok(!projectIncludesFile(project, appFile), 'outside the project');
+  })) passed++; else failed++;
+
+  // --- Ownership ---
+  console.log('\nOwnership:');
+
+  if (test('findOwningTsconfig descends into project references', () => {
+    // core has its own tsconfig.json, app only a tsconfig.app.json reached via the root
+    assert.strictEqual(findOwningTsconfig(coreFile).tsconfig, path.join(tmpDir, 'mono/packages/core/tsconfig.json'));
+    assert.strictEqual(findOwningTsconfig(appFile).tsconfig, path.join(tmpDir, 'mono/packages/app/tsconfig.app.json'));
+  })) passed++; else failed++;
+
+  if (test('findOwningTsconfig skips a nearest tsconfig that excludes the file', () => {
+    // math.spec.ts is excluded by packages/core; the solution root owns nothing
+    assert.strictEqual(findOwningTsconfig(coreSpec), null);
+  })) passed++; else failed++;
+
+  if (test('findOwningTsconfig defaults to everything below the tsconfig', () => {
+    write('plain/tsconfig.json', { compilerOptions: { strict: true } });
+    const file = write('plain/lib/deep/x.ts', 'export {};\n');
+    assert.strictEqual(findOwningTsconfig(file).tsconfig, path.join(tmpDir, 'plain/tsconfig.json'));
+    assert.strictEqual(findOwningTsconfig(write('plain/node_modules/pkg/y.ts', '')), null);
+  })) passed++; else failed++;
+
+  // --- Dependents ---
+  console.log('\nDependents:');
+
+  if (test('findDirectDependents resolves relative imports, re-exports and require', () => {
+    write('deps/src/util.ts', 'export const x = 1;\n');
+    const a = write('deps/src/a.ts', 'import { x } from "./util";\n');
+    const b = write('deps/src/b.ts', 'export * from "./util.js";\n');
+    const c = write('deps/src/nested/c.cjs', 'const u = require("../util");\n');
+    const d = write('deps/src/d.ts', 'const m = import("./util");\n');
+    write('deps/src/e.ts', 'import { x } from "./utility";\n');
+    write('deps/node_modules/lib/index.ts', 'import { x } from "../../src/util";\n');
+
+    const dependents = findDirectDependents(path.join(tmpDir, 'deps/src/util.ts'), path.join(tmpDir, 'deps')).sort();
+    assert.deepStrictEqual(dependents, [a, b, d, c].sort());
+  })) passed++; else failed++;
+
+  if (test('findDirectDependents resolves directory index imports', () => {
+    const index = write('idx/src/lib/index.ts', 'export {};\n');
+    const user = write('idx/src/main.ts', 'import "./lib";\n');
+    assert.deepStrictEqual(findDirectDependents(index, path.join(tmpDir, 'idx')), [user]);
+  })) passed++; else failed++;
+
+  // --- Output parsing ---
+  console.log('\nOutput parsing:');
+
+  if (test('parseTscOutput extracts diagnostics with absolute paths', () => {
+    const output = [
+      "src/a.ts(1,14): error TS2322: Type 'string' is not assignable to type 'number'.",
+      'Found 1 error.',
+      'src/b.ts(10,2): error TS2304: Cannot find name \'y\'.'
+    ].join('\n');
+    const diagnostics = parseTscOutput(output, '/project');
+    assert.strictEqual(diagnostics.length, 2);
+    assert.deepStrictEqual(
+      [diagnostics[0].file, diagnostics[0].line, diagnostics[0].column, diagnostics[0].code],
+      [path.resolve('/project/src/a.ts'), 1, 14, 'TS2322']
+    );
+    assert.strictEqual(diagnostics[1].message, "Cannot find name 'y'.");
+  })) passed++; else failed++;
+
+  // --- Budget and cache ---
+  console.log('\nBudget and cache:');
+
+  if (test('getBuildInfoFile is stable per tsconfig and lives in the cache dir', () => {
+    const first = getBuildInfoFile('/a/tsconfig.json');
+    assert.strictEqual(first, getBuildInfoFile('/a/tsconfig.json'));
+    assert.notStrictEqual(first, getBuildInfoFile('/b/tsconfig.json'));
+    assert.ok(first.startsWith(path.join(tmpDir, 'claude', 'cache', 'tsbuildinfo')));
+  })) passed++; else failed++;
+
+  if (test('checkFile skips files no tsconfig owns', () => {
+    const result = checkFile(write('loose/x.ts', 'export {};\n'));
+    assert.strictEqual(result.status, 'skipped');
+  })) passed++; else failed++;
+
+  // --- Real tsc run (uses the repo's typescript devDependency) ---
+  if (fs.existsSync(REPO_TYPESCRIPT)) {
+    console.log('\nIncremental tsc:');
+
+    write('real/tsconfig.json', { compilerOptions: { strict: true, target: 'es2020', module: 'commonjs' }, include: ['src'] });
+    fs.mkdirSync(path.join(tmpDir, 'real/node_modules'), { recursive: true });
+    fs.symlinkSync(REPO_TYPESCRIPT, path.join(tmpDir, 'real/node_modules/typescript'), 'junction');
+    const shared = write('real/src/shared.ts', 'export function count(): number { return 1; }\n');
+    const consumer = write('real/src/consumer.ts', 'import { count } from "./shared";\nexport const n: number = count();\n');
+    write('real/src/unrelated.ts', 'export const broken: number = "nope";\n');
+
+    if (test('reports errors in the edited file and its dependents only', () => {
+      fs.writeFileSync(shared, 'export function count(): string { return "1"; }\n');
+      const result = checkFile(shared, { budgetMs: 60000, warmOnTimeout: false });
+      assert.strictEqual(result.status, 'errors', result.reason);
+      assert.deepStrictEqual(result.diagnostics.map(d => d.file), [consumer]);
+      assert.strictEqual(result.diagnostics[0].code, 'TS2322');
+      assert.ok(fs.existsSync(getBuildInfoFile(path.join(tmpDir, 'real/tsconfig.json'))), 'build info is cached');
+    })) passed++; else failed++;
+
+    if (test('clean edit reports ok despite unrelated errors', () => {
+      fs.writeFileSync(shared, 'export function count(): number { return 2; }\n');
+      const result = checkFile(shared, { budgetMs: 60000, warmOnTimeout: false });
+      assert.strictEqual(result.status, 'ok');
+      assert.deepStrictEqual(result.dependents, [consumer]);
+    })) passed++; else failed++;
+
+    if (test('stops tsc when the hook budget runs out', () => {
+      const budget = beginHookBudget('typescript-checker', { config: getBudgetConfig(tmpDir), eventDeadline: Date.now() - 1 });
+      const result = checkFile(shared, { warmOnTimeout: false });
+      endHookBudget(budget);
+      assert.strictEqual(result.status, 'timeout');
+      assert.strictEqual(result.reason, 'exceeded hook budget');
+    })) passed++; else failed++;
+
+    if (test('skips a project whose referenced projects are not built', () => {
+      write('refs/core/tsconfig.json', { compilerOptions: { composite: true, outDir: 'dist' }, include: ['src'] });
+      write('refs/app/tsconfig.json', { compilerOptions: { composite: true, outDir: 'dist' }, include: ['src'], references: [{ path: '../core' }] });
+      fs.mkdirSync(path.join(tmpDir, 'refs/node_modules'), { recursive: true });
+      fs.symlinkSync(REPO_TYPESCRIPT, path.join(tmpDir, 'refs/node_modules/typescript'), 'junction');
+      write('refs/core/src/math.ts', 'export const add = (a: number, b: number) => a + b;\n');
+      const main = write('refs/app/src/main.ts', 'import { add } from "../../core/src/math";\nexport const sum = add(1, 2);\n');
+
+      const result = checkFile(main, { budgetMs: 60000, warmOnTimeout: false });
+      assert.strictEqual(result.status, 'skipped');
+      assert.match(result.reason, /tsc -b/);
+      assert.ok(!fs.existsSync(path.join(tmpDir, 'refs/core/dist')), 'nothing is built into the project');
+    })) passed++; else failed++;
+  }
+
+  // --- Cleanup ---
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+
+  if (failed > 0) process.exit(1);
+}
+
+runTests();
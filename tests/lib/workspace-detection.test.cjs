@@ -1,6 +1,6 @@
 /**
  * Tests for scripts/lib/workspace/detection.cjs
- * Workspace detection: pnpm, nx, lerna, turborepo, yarn workspaces
+ * Workspace detection: pnpm, nx, lerna, turborepo, yarn workspaces, go.work, .sln, Cargo
  *
  * Run with: node tests/lib/workspace-detection.test.cjs
  */
@@ -46,6 +46,9 @@ try {
     YARN: 'yarn-workspace',
     NPM: 'npm-workspace',
     TURBOREPO: 'turborepo',
+    GO: 'go-workspace',
+    DOTNET: 'dotnet-solution',
+    CARGO: 'cargo-workspace',
     NONE: null
   };
 
@@ -302,6 +305,118 @@ function runTests() {
     }
   }) ? 'passed' : 'failed']++;
 
+  results[test('should detect go workspace from go.work', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-gowork-'));
+    try {
+      fs.writeFileSync(
+        path.join(tempDir, 'go.work'),
+        'go 1.22\n\nuse (\n\t./api\n\t./worker // background jobs\n\t./missing\n)\n\nuse ./tools\n'
+      );
+      for (const [dir, mod] of [['api', 'example.com/api'], ['worker', 'example.com/worker'], ['tools', 'example.com/tools']]) {
+        fs.mkdirSync(path.join(tempDir, dir));
+        fs.writeFileSync(path.join(tempDir, dir, 'go.mod'), `module ${mod}\n\ngo 1.22\n`);
+      }
+
+      const workspace = detectWorkspace(tempDir);
+      assert.strictEqual(workspace.type, WORKSPACE_TYPES.GO);
+      assert.deepStrictEqual(workspace.config.modules, ['api', 'worker', 'missing', 'tools']);
+      assert.strictEqual(workspace.config.goVersion, '1.22');
+      assert.deepStrictEqual(
+        workspace.packages.map(p => p.name),
+        ['example.com/api', 'example.com/worker', 'example.com/tools']
+      );
+      assert.strictEqual(findWorkspaceRoot(path.join(tempDir, 'api')), path.resolve(tempDir));
+    } finally {
+      try {
+        fs.rmSync(tempDir, { recursive: true });
+      } catch {}
+    }
+  }) ? 'passed' : 'failed']++;
+
+  results[test('should detect .NET solution and enumerate its projects', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-sln-'));
+    try {
+      fs.writeFileSync(
+        path.join(tempDir, 'App.sln'),
+        [
+          '\uFEFF',
+          'Microsoft Visual Studio Solution File, Format Version 12.00',
+          'Project("{FAE04EC0-301F-11D3-BF4B-00C04F79EFBC}") = "App.Api", "src\\App.Api\\App.Api.csproj", "{11111111-1111-1111-1111-111111111111}"',
+          'EndProject',
+          'Project("{2150E333-8FDC-42A3-9474-1A3956D46DE8}") = "tests", "tests", "{22222222-2222-2222-2222-222222222222}"',
+          'EndProject',
+          'Project("{9A19103F-16F7-4668-BE54-9A1E7A4F7556}") = "App.Tests", "tests\\App.Tests\\App.Tests.csproj", "{33333333-3333-3333-3333-333333333333}"',
+          'EndProject',
+          'Global',
+          'EndGlobal'
+        ].join('\r\n')
+      );
+      for (const project of ['src/App.Api/App.Api.csproj', 'tests/App.Tests/App.Tests.csproj']) {
+        fs.mkdirSync(path.join(tempDir, path.dirname(project)), { recursive: true });
+        fs.writeFileSync(path.join(tempDir, project), '<Project Sdk="Microsoft.NET.Sdk" />');
+      }
+
+      const workspace = detectWorkspace(path.join(tempDir, 'src', 'App.Api'));
+      assert.strictEqual(workspace.type, WORKSPACE_TYPES.DOTNET);
+      assert.strictEqual(workspace.config.solution, 'App.sln');
+      assert.deepStrictEqual(workspace.packages.map(p => p.name), ['App.Api', 'App.Tests']);
+      assert.strictEqual(workspace.packages[0].relativePath, path.join('src', 'App.Api'));
+      assert.ok(workspace.packages[1].projectFile.endsWith('App.Tests.csproj'));
+    } finally {
+      try {
+        fs.rmSync(tempDir, { recursive: true });
+      } catch {}
+    }
+  }) ? 'passed' : 'failed']++;
+
+  results[test('should detect Cargo workspace and expand member globs', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-cargo-'));
+    try {
+      fs.writeFileSync(
+        path.join(tempDir, 'Cargo.toml'),
+        [
+          '[workspace]',
+          'resolver = "2"',
+          'members = [',
+          '  "crates/*", # libraries',
+          '  "cli",',
+          ']',
+          'exclude = ["crates/experimental"]',
+          '',
+          '[workspace.package]',
+          'edition = "2021"'
+        ].join('\n')
+      );
+      for (const [dir, name] of [['crates/core', 'app-core'], ['crates/net', 'app-net'], ['crates/experimental', 'exp'], ['cli', 'app-cli']]) {
+        fs.mkdirSync(path.join(tempDir, dir), { recursive: true });
+        fs.writeFileSync(path.join(tempDir, dir, 'Cargo.toml'), `[package]\nname = "${name}"\nversion = "0.1.0"\n`);
+      }
+      fs.mkdirSync(path.join(tempDir, 'crates', 'docs'));
+
+      const workspace = detectWorkspace(path.join(tempDir, 'crates', 'core'));
+      assert.strictEqual(workspace.type, WORKSPACE_TYPES.CARGO);
+      assert.strictEqual(workspace.root, path.resolve(tempDir));
+      assert.deepStrictEqual(workspace.config.packages, ['crates/*', 'cli']);
+      assert.deepStrictEqual(workspace.packages.map(p => p.name).sort(), ['app-cli', 'app-core', 'app-net']);
+    } finally {
+      try {
+        fs.rmSync(tempDir, { recursive: true });
+      } catch {}
+    }
+  }) ? 'passed' : 'failed']++;
+
+  results[test('should not treat a single crate as a Cargo workspace', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-crate-'));
+    try {
+      fs.writeFileSync(path.join(tempDir, 'Cargo.toml'), '[package]\nname = "solo"\n\n[dependencies]\nserde = "1"\n');
+      assert.strictEqual(detectWorkspace(tempDir), null);
+    } finally {
+      try {
+        fs.rmSync(tempDir, { recursive: true });
+      } catch {}
+    }
+  }) ? 'passed' : 'failed']++;
+
   console.log('');
 
   // Package Discovery
@@ -23,6 +23,27 @@ const testFiles = [
   'lib/serena.test.cjs',
   'lib/setup-rules.test.cjs',
   'lib/hook-telemetry.test.cjs',
+  'lib/permission-policy.test.cjs',
+  'lib/shell-parser.test.cjs',
+  'lib/permission-audit.test.cjs',
+  'lib/typescript-check.test.cjs',
+  'lib/diagnostics.test.cjs',
+  'lib/baseline.test.cjs',
+  'lib/semgrep.test.cjs',
+  'lib/jvm-security-scanner.test.cjs',
+  'lib/secret-scanner.test.cjs',
+  'lib/process-lock.test.cjs',
+  'lib/dependency-audit.test.cjs',
+  'lib/security-gate.test.cjs',
+  'lib/formatter-resolution.test.cjs',
+  'lib/format-queue.test.cjs',
+  'lib/format-ranges.test.cjs',
+  'lib/hook-runtime.test.cjs',
+  'lib/hook-budget.test.cjs',
+  'lib/hook-settings.test.cjs',
+  'lib/hook-sdk.test.cjs',
+  'lib/telemetry-report.test.cjs',
+  'lib/telemetry-otlp.test.cjs',
   'hooks/hooks.test.cjs',
   'hooks/serena-hooks.test.cjs',
   'hooks/pre-compact-enrichment.test.cjs',